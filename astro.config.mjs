@@ -2,11 +2,16 @@ import { defineConfig } from 'astro/config';
 import react from "@astrojs/react";
 import tailwind from "tailwindcss";
 import autoprefixer from "autoprefixer";
+import serviceWorker from "./integrations/serviceWorker.mjs";
 
 // https://astro.build/config
 export default defineConfig({
-  integrations: [react()],
+  integrations: [react(), serviceWorker()],
   vite: {
+    // decodeWorker.js 按需载入 pdf.js，需要支持拆分代码的 ES 模块格式
+    worker: {
+      format: 'es',
+    },
     css: {
       postcss: {
         plugins: [
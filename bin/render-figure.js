@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+// --- 命令行渲染 ---
+// render-figure <spec.json | project.collage> -o <output> [--format png|jpg|svg|pdf] [--dpi N] [--width MM]
+// 布局描述的格式见 src/node/renderFigure.js。
+import { parseArgs } from 'node:util';
+import { renderFigureFile } from '../src/node/renderFigure.js';
+
+const usage = `Usage: render-figure <spec.json | project.collage> -o <output> [options]
+
+Options:
+  -o, --output <file>   Output file (.png, .jpg, .svg or .pdf)
+  -f, --format <type>   Output format, defaults to the output extension
+      --dpi <n>         Override the page resolution
+      --width <mm>      Override the page width in millimetres
+  -h, --help            Show this message`;
+
+// 文案 key 对应的提示
+const messages = {
+  renderUnknownFormat: 'Unknown output format (expected png, jpg, svg or pdf)',
+  renderSpecInvalid: 'Invalid layout spec (rows, cols and images are required)',
+  renderInputMissing: 'Input file not found',
+  renderImageMissing: 'Image file not found',
+  renderImageUnsupported: 'Unsupported or unreadable image (convert PDF to PNG first)',
+  projectInvalidArchive: 'Not a valid .collage file',
+  projectInvalidFormat: 'The project file is damaged or not a figure collage project',
+  projectUnsupportedVersion: 'The project was saved by a newer version',
+};
+
+const fail = (message) => {
+  console.error(`render-figure: ${message}`);
+  process.exit(1);
+};
+
+const positiveNumber = (value, name) => {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!(number > 0)) fail(`--${name} must be a positive number`);
+  return number;
+};
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      output: { type: 'string', short: 'o' },
+      format: { type: 'string', short: 'f' },
+      dpi: { type: 'string' },
+      width: { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+} catch (error) {
+  fail(`${error.message}\n\n${usage}`);
+}
+
+const { values, positionals } = args;
+if (values.help) {
+  console.log(usage);
+  process.exit(0);
+}
+if (positionals.length !== 1 || !values.output) fail(`expected one input file and --output\n\n${usage}`);
+
+try {
+  await renderFigureFile(positionals[0], values.output, {
+    format: values.format,
+    dpi: positiveNumber(values.dpi, 'dpi'),
+    widthMm: positiveNumber(values.width, 'width'),
+  });
+} catch (error) {
+  const message = messages[error.message];
+  if (!message) throw error;
+  fail(error.cause && typeof error.cause === 'string' ? `${message}: ${error.cause}` : message);
+}
@@ -0,0 +1,46 @@
+// --- 离线支持 ---
+// 构建完成后列出输出目录中的全部文件，连同 sw.js 一起写入 dist/sw.js 作为预缓存清单。
+// 版本号取全部文件内容的哈希，任何文件变化都会让浏览器安装新的 service worker。
+import { createHash } from 'node:crypto';
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+const SW_FILE = 'sw.js';
+
+const listFiles = async (dir, prefix = '') => {
+  const entries = await readdir(dir, { withFileTypes: true });
+  const nested = await Promise.all(entries.map(entry => (entry.isDirectory()
+    ? listFiles(path.join(dir, entry.name), `${prefix}${entry.name}/`)
+    : [`${prefix}${entry.name}`])));
+  return nested.flat();
+};
+
+export default function serviceWorker() {
+  let base = '/';
+  return {
+    name: 'figure-collage-service-worker',
+    hooks: {
+      'astro:config:done': ({ config }) => {
+        base = config.base.endsWith('/') ? config.base : `${config.base}/`;
+      },
+      'astro:build:done': async ({ dir, logger }) => {
+        const outDir = fileURLToPath(dir);
+        const files = (await listFiles(outDir)).filter(file => file !== SW_FILE).sort();
+        const hash = createHash('sha256');
+        for (const file of files) {
+          hash.update(file);
+          hash.update(await readFile(path.join(outDir, file)));
+        }
+        // 首页放在第一位，离线时其他页面地址都回退到它
+        const urls = files
+          .map(file => `${base}${file === 'index.html' ? '' : file.replace(/(^|\/)index\.html$/, '$1')}`)
+          .sort((a, b) => (a === base ? -1 : b === base ? 1 : 0));
+        const manifest = { version: hash.digest('hex').slice(0, 12), files: urls };
+        const source = await readFile(new URL(`./${SW_FILE}`, import.meta.url), 'utf8');
+        await writeFile(path.join(outDir, SW_FILE), `self.PRECACHE_MANIFEST = ${JSON.stringify(manifest)};\n${source}`);
+        logger.info(`${SW_FILE}: ${urls.length} files precached (version ${manifest.version})`);
+      },
+    },
+  };
+}
@@ -0,0 +1,32 @@
+// --- Service Worker ---
+// 构建时 integrations/serviceWorker.mjs 在文件开头写入 self.PRECACHE_MANIFEST = { version, files }。
+// 安装时缓存全部构建产物 (包括按需载入的 PDF / TIFF 解码模块)，之后完全离线也能打开和使用。
+// 构建产物的文件名带内容哈希，一律优先使用缓存；新版本在所有页面关闭后启用并清理旧缓存。
+const { version, files } = self.PRECACHE_MANIFEST;
+const CACHE_PREFIX = 'figure-collage-';
+const CACHE_NAME = `${CACHE_PREFIX}${version}`;
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(files)));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  event.respondWith(
+    caches.open(CACHE_NAME).then(async cache => {
+      // 页面地址可能带查询参数，统一对应到缓存的首页
+      const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' })
+        || (request.mode === 'navigate' ? await cache.match(files[0]) : undefined);
+      return cached || fetch(request);
+    }),
+  );
+});
@@ -1,8 +1,34 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { create } from 'zustand';
-import { persist, createJSONStorage } from 'zustand/middleware';
+import { persist } from 'zustand/middleware';
+import { produce } from 'immer';
+import { toBlob } from 'html-to-image';
 import saveAs from 'file-saver';
-import { UploadCloud, Trash2, Download, Settings, History, Save, Languages, X, GripVertical } from 'lucide-react';
+import {
+  mmToPx, ptToPx, defaultStyles, withDefaultStyles, rowLabelOffset, labelSchemes, getPanelLabels, findMerge,
+  ROW_BASE_RATIO, defaultTrack, normalizeTracks, computeTrackSizes, trackStarts,
+  TEXT_LINE_HEIGHT, SCRIPT_SCALE, SUPERSCRIPT_RISE, SUBSCRIPT_DROP, PANEL_LABEL_INSET, PANEL_LABEL_PADDING, SCALE_BAR_MARGIN_MM, watermarkStyle,
+} from '../utils/figureLayout.js';
+import { renderFigure } from '../utils/figureRender.js';
+import { loadAsset } from '../utils/assetUrls.js';
+import { mmToInch, inchToMm, mmToPixels } from '../utils/dpi.js';
+import { createProjectBundle, readProjectBundle, PROJECT_EXTENSION } from '../utils/projectBundle.js';
+import { withDefaultEdits, effectiveSize, computeImagePlacement, placementTransform, fitCropToAspect } from '../utils/imageEdits.js';
+import { withDefaultScaleBar, isScaleBarVisible, scaleBarLabel, scaleBarImagePixels, niceScaleBarLength, lengthUnits } from '../utils/scaleBar.js';
+import { isTiff, readTiffPixelSize, readTiffColorSpace } from '../utils/tiffMetadata.js';
+import { parseRichText } from '../utils/richText.js';
+import { sourceKind, decodeSource, isPdf } from '../utils/imageDecode.js';
+import { createWorkspaceStorage, createProjectRecord, getProject, putProject, updateProject, listProjects, deleteProject as deleteProjectRecord } from '../utils/workspace.js';
+import { dbGet, putImage, countImageReferences, collectGarbage, listImages, estimateStorage, requestPersistentStorage } from '../utils/imageStore.js';
+import { diffSnapshots } from '../utils/snapshotDiff.js';
+import { builtInTemplates, isBuiltInTemplate, listPanels, createTemplate, applyTemplateToDocument } from '../utils/layoutTemplates.js';
+import { defaultComplianceSettings, resolveComplianceRules, checkCompliance, inspectImageFile } from '../utils/compliance.js';
+import { MIN_CHANNELS, MAX_CHANNELS, channelColors, createChannel, channelSourceId, channelMergeSignature, remapChannelSources, composeChannels } from '../utils/channelMerge.js';
+import { lutNames, lutGradient, defaultNormalize, hasPixelNormalization, measureLevels, sharedLevels, renderNormalized, matchDisplayScale } from '../utils/normalize.js';
+import { builtInThemes, isBuiltInTheme, mergeThemeStyles, createTheme, serializeThemes, parseThemes } from '../utils/themes.js';
+import { planBulkImport, captionFromFilename, DEFAULT_NAME_PATTERN } from '../utils/bulkImport.js';
+import { defaultAnnotationStyle, withDefaultAnnotationStyle, dashPattern, arrowGeometry, shiftAnnotationsOnInsert, shiftAnnotationsOnDelete, remapAnnotations } from '../utils/annotations.js';
+import { UploadCloud, Trash2, Download, Settings, History, Save, Languages, X, GripVertical, ArrowRightToLine, ArrowDownToLine, Ungroup, Undo2, Redo2, FileArchive, FolderOpen, Crop, RotateCcw, RotateCw, FlipHorizontal2, FlipVertical2, MousePointer2, MoveUpRight, Minus, Square, Circle, Type, Images, FolderInput, FolderKanban, Pencil, Copy, Plus, ImageOff, ListChecks, AlertCircle, AlertTriangle, CheckCircle2, Keyboard, SlidersHorizontal, Layers } from 'lucide-react';
 
 // --- 国际化 (i18n) 配置 ---
 const locales = {
@@ -14,21 +40,23 @@ const locales = {
     rows: "行数",
     generateGrid: "生成/重置网格",
     styleAndSpacing: "2. 样式与安全",
-    pagePadding: "页边距 (px)",
-    columnGap: "列间距 (px)",
-    rowGap: "行间距 (px)",
-    captionGap: "脚注间距 (px)",
-    captionFontSize: "脚注字号 (px)",
+    pagePadding: "页边距 (mm)",
+    columnGap: "列间距 (mm)",
+    rowGap: "行间距 (mm)",
+    captionGap: "脚注间距 (mm)",
+    captionFontSize: "脚注字号 (pt)",
     backgroundColor: "背景颜色",
     watermark: "水印文字 (留空则无水印)",
     watermarkPlaceholder: "例如: your-website.com",
     editContent: "3. 编辑内容",
-    uploadPlaceholder: "点击上传 / 粘贴 / 替换",
+    uploadPlaceholder: "双击上传 / 粘贴 / 替换",
     columnCaption: "第 {n} 列脚注",
     exportFile: "4. 导出文件",
     fileName: "文件名",
     download: "下载文件",
     history: "5. 历史记录",
+    undo: "撤销 (Ctrl+Z)",
+    redo: "重做 (Ctrl+Shift+Z)",
     saveToHistory: "保存当前排版",
     historyInfo: "请先设置行列数并点击“生成网格”",
     restoreConfirm: "确定要恢复这个历史版本吗？当前未保存的更改将会丢失。",
@@ -44,7 +72,368 @@ const locales = {
     deleteColumn: "删除此列",
     dragRow: "拖拽此行",
     dragColumn: "拖拽此列",
-    loading: "正在加载核心组件...",
+    loading: "正在载入项目...",
+    panelLabels: "面板标签",
+    panelLabelsEnabled: "自动添加面板标签",
+    labelOrder: "编号顺序",
+    labelOrderRow: "按行 (先左右后上下)",
+    labelOrderCol: "按列 (先上下后左右)",
+    labelScheme: "标签样式",
+    labelPosition: "标签位置",
+    positionTopLeft: "左上",
+    positionTopRight: "右上",
+    positionBottomLeft: "左下",
+    positionBottomRight: "右下",
+    labelFontFamily: "字体",
+    labelFontSize: "字号 (pt)",
+    labelFontWeight: "字重",
+    fontWeightNormal: "常规",
+    fontWeightBold: "加粗",
+    labelColor: "文字颜色",
+    labelBackground: "显示背景框",
+    labelBackgroundColor: "背景框颜色",
+    pageSize: "页面尺寸",
+    pagePreset: "期刊版式",
+    presetCustom: "自定义",
+    presetSingle: "单栏 (85 mm)",
+    presetOneHalf: "1.5 栏 (114 mm)",
+    presetDouble: "双栏 (180 mm)",
+    pageWidth: "图片宽度",
+    pageUnit: "单位",
+    exportDpi: "导出分辨率 (DPI)",
+    exportPixelWidth: "导出宽度: {px} px",
+    mergeRight: "向右合并",
+    mergeDown: "向下合并",
+    splitCell: "拆分单元格",
+    mergeDiscardConfirm: "合并区域内有多张图片，只会保留第一张。确定要继续吗？",
+    trackSizes: "行列尺寸",
+    columnN: "第 {n} 列",
+    rowN: "第 {n} 行",
+    trackWeight: "比例",
+    trackFixed: "固定 (mm)",
+    autoFitTracks: "按图片比例自动适配",
+    resetTracks: "恢复均分",
+    resizeTrack: "拖动调整尺寸",
+    moveBlockedByMerge: "该移动会拆开已合并的单元格，请先拆分后再移动。",
+    dragCell: "拖拽到其他格子以交换图片",
+    exportProject: "导出项目",
+    importProject: "导入项目",
+    projectFileInfo: "项目文件 (.collage) 包含布局、脚注、样式和所有图片，可发送给合作者或在其他电脑上继续编辑。",
+    projectMissingImages: "以下格子的图片已在本地数据库中丢失，未能打包: {keys}",
+    projectImported: "项目导入成功！",
+    projectImportedWithProblems: "项目已导入，但以下图片未能恢复:",
+    projectEntryMissing: "{key} ({name}): 项目包中缺少图片文件",
+    projectEntryCorrupt: "{key} ({name}): 图片文件已损坏",
+    projectImportError: "项目导入失败: ",
+    projectImportConfirm: "导入项目将替换当前排版 (可撤销)。确定要继续吗？",
+    projectInvalidArchive: "文件不是有效的项目包",
+    projectInvalidFormat: "项目数据格式不正确",
+    projectUnsupportedVersion: "项目文件版本过新，请更新本工具后再导入",
+    editImage: "编辑图片",
+    imageEditorTitle: "编辑图片: {name}",
+    cropAspect: "裁剪比例",
+    aspectFree: "自由",
+    aspectCell: "与格子一致",
+    rotateLeft: "向左旋转",
+    rotateRight: "向右旋转",
+    flipHorizontal: "水平翻转",
+    flipVertical: "垂直翻转",
+    fitMode: "填充方式",
+    fitContain: "完整显示",
+    fitCover: "铺满格子",
+    zoom: "缩放",
+    panX: "水平偏移",
+    panY: "垂直偏移",
+    resetEdits: "重置",
+    done: "完成",
+    cropHint: "拖动方框移动裁剪区域，拖动右下角调整大小。原图不会被修改。",
+    toolSelect: "选择 / 移动标注",
+    toolArrow: "箭头",
+    toolLine: "直线",
+    toolRect: "矩形",
+    toolEllipse: "椭圆",
+    toolText: "文字",
+    annotationColor: "颜色",
+    annotationStrokeWidth: "线宽 (pt)",
+    annotationDash: "线型",
+    dashSolid: "实线",
+    dashDashed: "虚线",
+    dashDotted: "点线",
+    annotationText: "标注文字",
+    annotationTextPrompt: "输入标注文字:",
+    deleteAnnotation: "删除标注",
+    rowLabelPlaceholder: "第 {n} 行标签",
+    titlePlaceholder: "图标题",
+    legendPlaceholder: "图例 / 说明文字",
+    richTextHint: "点击编辑。支持 **粗体**、*斜体*、^{上标}、_{下标}、\\alpha 等希腊字母，回车换行。",
+    captionsAndText: "脚注与文字",
+    captionPosition: "列脚注位置",
+    captionAbove: "网格上方",
+    captionBelow: "网格下方",
+    rowLabelsEnabled: "显示行标签",
+    rowLabelsRotated: "旋转 90°",
+    rowLabelsWidth: "标签宽度",
+    titleEnabled: "显示图标题",
+    legendEnabled: "显示图例",
+    bulkImport: "批量导入",
+    importFolder: "导入文件夹",
+    bulkImportTitle: "批量导入 {n} 张图片",
+    bulkSortMode: "排列方式",
+    bulkSortNatural: "按文件名顺序填充",
+    bulkSortPattern: "按文件名中的行列号",
+    bulkPattern: "正则表达式 (第 1、2 个分组为行号、列号)",
+    bulkPatternHint: "例如 sample_2_3.tif 对应第 2 行第 3 列；编号含 0 时按从 0 开始计。",
+    bulkFillOrder: "填充顺序",
+    bulkFillEmptyOnly: "只填充空格子",
+    bulkCaptionsFromNames: "用文件名生成列脚注 (取每列最上方的图片)",
+    bulkPreview: "预览",
+    bulkGridGrows: "网格将扩大为 {rows} 行 × {cols} 列",
+    bulkEmptyCell: "(空)",
+    bulkLegend: "蓝色: 新图片；琥珀色: 将替换已有图片；灰色: 保留已有图片。",
+    bulkUnmatched: "以下文件未能对应到格子，将被跳过: {names}",
+    bulkGridLimit: "网格最多扩大到 {rows} 行 × {cols} 列，超出范围的文件将被跳过。",
+    bulkPreviewClipped: "预览只显示前 {rows} 行 × {cols} 列。",
+    bulkInvalidPattern: "正则表达式无效",
+    bulkImportConfirm: "导入 {n} 张",
+    bulkImportError: "批量导入失败: ",
+    importing: "正在导入...",
+    exportRasterFailed: "无法生成位图，请尝试导出 SVG 或 PDF",
+    exportAssetFailed: "无法载入导出所需的字体或组件，请检查网络后重试",
+    cancel: "取消",
+    channelMerge: "通道合并",
+    channelMergeInfo: "把 2~4 个灰度通道按颜色叠加为一张合成图。来源可以是其他格子 (替换该格子的图片后自动更新) 或单独上传的图片。",
+    channelMergeEmpty: "合并格子：尚未选择通道图片",
+    channelMergeName: "通道合并",
+    channelLabel: "通道 {n}",
+    channelSource: "来源",
+    channelNone: "无",
+    channelCellOption: "第 {row} 行第 {col} 列: {name}",
+    channelUploaded: "上传的图片: {name}",
+    channelUpload: "上传图片…",
+    channelColor: "颜色",
+    channelBrightness: "亮度",
+    channelAdd: "添加通道",
+    channelRemove: "移除通道",
+    channelRed: "红",
+    channelGreen: "绿",
+    channelBlue: "蓝",
+    channelMagenta: "品红",
+    channelCyan: "青",
+    channelYellow: "黄",
+    channelGray: "灰",
+    channelMergePreview: "预览",
+    channelMergeApply: "应用",
+    channelMergeRemove: "移除合并",
+    channelMergeReplaceConfirm: "该格子中的图片将被合成图替换，是否继续？",
+    channelMergeNeedsSources: "请至少为 {n} 个通道选择图片。",
+    channelMergeFailed: "通道合成失败，请检查通道图片。",
+    normalize: "统一面板",
+    normalizeInfo: "让并排比较的图像外观一致。原图会保留，可随时重新设置或移除处理。",
+    normalizeScope: "范围",
+    normalizeScopeSelection: "所选格子",
+    normalizeScopeRow: "行",
+    normalizeScopeCol: "列",
+    normalizeImageCount: "范围内有 {n} 张图片",
+    normalizeMatchLevels: "统一强度范围 (共用最小值与最大值的自动色阶)",
+    normalizeGrayscale: "转为灰度",
+    normalizeLut: "伪彩色 (LUT)",
+    normalizeLutHint: "伪彩色以最亮的颜色通道作为强度，适用于单通道的荧光图像。",
+    normalizeMatchScale: "统一显示比例 (相同像素尺寸显示为相同大小)",
+    normalizeScaleHint: "所有图片都有像素尺寸标定时按实际长度统一，否则按像素统一；会覆盖这些格子的缩放。",
+    normalizeApply: "应用",
+    normalizeRemove: "移除处理",
+    normalizing: "处理中...",
+    normalizeSkippedSvg: "{n} 张 SVG 图片保持矢量，未做强度与颜色处理。",
+    normalizeError: "处理图片时出错: ",
+    normalizeFailed: "无法生成处理后的图片",
+    lut_none: "无 (保持原有颜色)",
+    lut_green: "绿色",
+    lut_magenta: "品红",
+    lut_fire: "Fire",
+    lut_viridis: "Viridis",
+    shortcutNormalize: "统一所选格子的外观",
+    shortcuts: "键盘快捷键",
+    shortcutSheetNote: "选中格子后可用；在文本框中输入时不生效。",
+    shortcutGroupSelection: "选择",
+    shortcutGroupCells: "格子",
+    shortcutGroupTracks: "行与列",
+    shortcutGroupGeneral: "通用",
+    shortcutClick: "单击",
+    shortcutShiftClick: "Shift + 单击",
+    shortcutDoubleClick: "双击",
+    shortcutSelectCell: "选择格子",
+    shortcutExtendSelection: "扩展选择区域",
+    shortcutMoveSelection: "移动选择",
+    shortcutSelectAll: "选择全部格子",
+    shortcutClearSelection: "取消选择",
+    shortcutOpenFile: "为当前格子选择图片",
+    shortcutClearImages: "移除所选格子的图片",
+    shortcutCopyCell: "复制当前格子的图片与编辑",
+    shortcutPasteCell: "粘贴到所选格子",
+    shortcutInsertRowBelow: "在下方插入行",
+    shortcutInsertRowAbove: "在上方插入行",
+    shortcutInsertColumnRight: "在右侧插入列",
+    shortcutInsertColumnLeft: "在左侧插入列",
+    shortcutDeleteRow: "删除当前行",
+    shortcutDeleteColumn: "删除当前列",
+    shortcutToggleSheet: "显示 / 隐藏快捷键一览",
+    startupErrorTitle: "无法启动",
+    startupMissingCapabilities: "当前浏览器缺少编辑器需要的功能。请使用新版的 Chrome、Edge、Firefox 或 Safari，并通过 https 或 localhost 打开。",
+    startupLoadFailed: "无法从浏览器存储中载入项目。隐私浏览窗口或被禁用的网站存储都可能导致这个问题。",
+    startupTimeout: "载入项目的时间过长。请关闭本工具的其他标签页后重新载入。",
+    startupReload: "重新载入",
+    compliance: "投稿前检查",
+    checkRun: "检查",
+    checkJournal: "期刊",
+    checkJournalNone: "自定义",
+    checkMinDpi: "最低 DPI",
+    checkMinFontSize: "最小字号 (pt)",
+    checkMinLineWidth: "最小线宽 (pt)",
+    checkBlockExport: "有错误时阻止导出",
+    checkPassed: "没有发现问题",
+    checkSummary: "{errors} 个错误，{warnings} 个警告。点击条目定位到对应的格子。",
+    checkCellPrefix: "第 {row} 行第 {col} 列：",
+    checkExportBlocked: "投稿前检查发现 {count} 个错误，已停止导出。请修正后重试，或在检查设置中关闭阻止导出。",
+    checkLowDpi: "按成图尺寸的有效分辨率为 {dpi} DPI，低于 {min} DPI",
+    checkPageDpi: "导出分辨率 {dpi} DPI 低于 {min} DPI",
+    checkSmallText: "{what}字号为 {size} pt，小于 {min} pt",
+    checkThinLine: "{what}线宽为 {width} pt，小于 {min} pt",
+    checkEmptyCell: "空格子",
+    checkMissingCaption: "第 {col} 列没有脚注",
+    checkNoCaptions: "图中没有任何脚注或图例",
+    checkJpegQuality: "JPEG 质量约为 {quality} (低于 {min})，可能有明显的压缩痕迹",
+    checkColorSpace: "{space} 图片，颜色可能显示不准确，建议转换为 RGB",
+    checkTooWide: "成图宽度 {width} mm 超过期刊上限 {max} mm",
+    checkTooTall: "成图高度 {height} mm 超过期刊上限 {max} mm",
+    checkNonStandardWidth: "成图宽度 {width} mm 与期刊的栏宽 ({widths} mm) 不一致",
+    checkWhatCaption: "脚注",
+    checkWhatRowLabel: "行标签",
+    checkWhatPanelLabel: "面板标签",
+    checkWhatTitle: "标题",
+    checkWhatLegend: "图例说明",
+    checkWhatAnnotation: "标注",
+    checkWhatScaleBar: "比例尺",
+    templates: "排版模板",
+    templatesHint: "应用模板时已放置的图片按阅读顺序移入新的面板",
+    templateApply: "应用此模板",
+    templateSaveCurrent: "保存当前排版为模板",
+    templateNamePrompt: "模板名称：",
+    templateDefaultName: "模板 {n}",
+    templateDelete: "删除模板",
+    templateDeleteConfirm: "确定要删除模板「{name}」吗？",
+    templateDropConfirm: "新模板的面板不足，将有 {count} 个面板的图片被移除 (可撤销)。继续吗？",
+    templateHeroStack: "大图 + 纵列小图",
+    templateMixed23: "2 + 3 混排",
+    templateInset: "主图 + 局部放大",
+    templateComparisonStrip: "对比条",
+    templateLShape: "L 形",
+    themes: "样式主题",
+    themeJournalPresets: "期刊预设",
+    themeSaved: "已保存的主题",
+    themeApply: "应用",
+    themeSaveCurrent: "保存当前样式",
+    themeNamePrompt: "主题名称：",
+    themeDefaultName: "主题 {n}",
+    themeDelete: "删除主题",
+    themeDeleteConfirm: "确定要删除主题「{name}」吗？",
+    themeExport: "导出",
+    themeImport: "导入",
+    themeImported: "已导入 {count} 个主题。",
+    themeImportError: "主题导入失败: ",
+    themeInvalidFile: "不是有效的主题文件",
+    themeUnsupportedVersion: "主题文件来自更新的版本",
+    themeGuidelines: "最小字号 {font} pt，最小线宽 {line} pt，图宽 {widths} mm。投稿前请核对期刊的最新要求。",
+    textFontFamily: "文字字体",
+    captionColor: "文字颜色",
+    historyRestore: "恢复",
+    historyDefaultName: "版本 {n}",
+    historyAutosaveName: "自动保存",
+    historyExportName: "导出 {format}",
+    historyTriggerInterval: "自动",
+    historyTriggerExport: "导出",
+    historyNotePlaceholder: "添加备注…",
+    historyCompareSelect: "比较",
+    historyCompare: "比较所选",
+    historyCompareHint: "勾选一条记录与当前排版比较，或勾选两条互相比较",
+    historyCompareTitle: "比较版本",
+    historyCurrentLayout: "当前排版",
+    historyChanges: "从「{from}」到「{to}」的变更",
+    historyAutosave: "自动保存",
+    historyAutosaveOff: "关闭",
+    historyAutosaveEvery: "每 {n} 分钟",
+    historyAutosaveOnExport: "导出时保存快照",
+    historyLimit: "最多保留",
+    listSeparator: "；",
+    diffInitial: "最早的记录",
+    diffNone: "没有变化",
+    diffGrid: "网格 {from} → {to}",
+    diffImages_added: "新增 {count} 张图片",
+    diffImages_removed: "移除 {count} 张图片",
+    diffImages_replaced: "替换 {count} 张图片",
+    diffImages_edited: "编辑 {count} 张图片 (裁剪、比例尺等)",
+    diffMerges: "合并单元格有变化",
+    diffTrackSizes: "行高/列宽有变化",
+    diffCaptions: "{count} 处标注文字有变化",
+    diffTitle: "标题有变化",
+    diffLegend: "图例说明有变化",
+    diffAnnotations: "注释：新增 {added}，删除 {removed}，修改 {changed}",
+    diffStyles: "{count} 项样式设置有变化",
+    projects: "项目",
+    newProject: "新建项目",
+    untitledProject: "未命名图",
+    projectNamePrompt: "项目名称",
+    projectCopyName: "{name} 副本",
+    projectRename: "重命名",
+    projectDuplicate: "复制",
+    projectDelete: "删除",
+    projectDeleteConfirm: "确定要删除项目“{name}”吗？其中的排版与历史记录都将被删除。",
+    projectCurrent: "当前项目",
+    projectSummary: "{cols}x{rows} 网格，{count} 张图片",
+    projectActionError: "操作失败: ",
+    projectNotFound: "找不到该项目",
+    storageGroup_projects: "仅其他项目",
+    storage: "6. 存储空间",
+    storageUsage: "已使用 {usage} / {quota}",
+    storageEstimateUnavailable: "此浏览器无法查询存储空间用量。",
+    storageGroup_current: "当前排版",
+    storageGroup_history: "仅历史记录",
+    storageGroup_undo: "仅撤销步骤",
+    storageGroup_unreferenced: "待回收",
+    storageGroupValue: "{count} 个文件，{size}",
+    storageCleanUp: "立即清理",
+    storageClearUndo: "清空撤销步骤",
+    storageClearUndoConfirm: "清空后将无法撤销之前的操作，确定吗？",
+    storageCleaned: "已删除 {count} 个未使用的文件，释放 {size}。",
+    storageError: "清理失败: ",
+    storageRequestPersist: "申请持久存储",
+    storagePersisted: "已启用持久存储",
+    storagePersistGranted: "已启用持久存储，浏览器不会在空间不足时自动清除图片。",
+    storagePersistDenied: "浏览器拒绝了持久存储申请 (通常需要先收藏本站或多次访问)。",
+    storageInfo: "项目与图片保存在浏览器本地，相同文件只保存一份；不再被任何项目的排版、历史记录或撤销步骤使用的图片会被自动删除。",
+    storageLowWarning: "浏览器存储空间即将用尽 ({usage} / {quota})。请删除不需要的历史记录或清空撤销步骤，否则新图片可能无法保存。",
+    storageQuotaExceeded: "浏览器存储空间不足，无法保存图片。请在“存储空间”中清理后重试。",
+    storageWriteError: "保存图片失败。",
+    decodeFailed: "无法解码该文件",
+    decodeUnsupported: "不支持该 TIFF 文件的格式 (如压缩方式或色彩模式)",
+    decoding: "正在解码...",
+    sourceSettingsTiff: "原 TIFF 文件 ({bitDepth} 位)",
+    sourceSettingsPdf: "原 PDF 文件 (按 300 DPI 栅格化)",
+    sourcePage: "页面 (共 {count} 页)",
+    levelsMin: "显示下限",
+    levelsMax: "显示上限",
+    levelsAuto: "自动",
+    levelsFull: "完整范围",
+    levelsRange: "数据范围 {min} – {max}",
+    scaleBar: "比例尺",
+    showScaleBar: "显示比例尺",
+    pixelSize: "像素尺寸",
+    scaleBarLength: "比例尺长度",
+    scaleBarPixels: "= 原图 {px} 像素",
+    scaleBarNeedsPixelSize: "请先输入像素尺寸 (TIFF / OME-TIFF 文件中带有时会自动读取)。",
+    scaleBarThickness: "粗细",
+    scaleBarShowLabel: "显示文字",
+    scaleBarLabel: "自定义文字 (留空则显示长度)",
+    annotationHint: "选择工具后在画布上拖动绘制；双击文字可修改，Delete 键删除选中的标注。",
   },
   en: {
     title: "Scientific Figure Collage Tool",
@@ -54,21 +443,23 @@ const locales = {
     rows: "Rows",
     generateGrid: "Generate / Reset Grid",
     styleAndSpacing: "2. Style & Spacing",
-    pagePadding: "Page Padding (px)",
-    columnGap: "Column Gap (px)",
-    rowGap: "Row Gap (px)",
-    captionGap: "Caption Gap (px)",
-    captionFontSize: "Caption Font Size (px)",
+    pagePadding: "Page Padding (mm)",
+    columnGap: "Column Gap (mm)",
+    rowGap: "Row Gap (mm)",
+    captionGap: "Caption Gap (mm)",
+    captionFontSize: "Caption Font Size (pt)",
     backgroundColor: "Background Color",
     watermark: "Watermark Text (leave empty for none)",
     watermarkPlaceholder: "e.g., your-website.com",
     editContent: "3. Edit Content",
-    uploadPlaceholder: "Click to Upload / Paste / Replace",
+    uploadPlaceholder: "Double-click to Upload / Paste / Replace",
     columnCaption: "Column {n} Caption",
     exportFile: "4. Export File",
     fileName: "File Name",
     download: "Download File",
     history: "5. History",
+    undo: "Undo (Ctrl+Z)",
+    redo: "Redo (Ctrl+Shift+Z)",
     saveToHistory: "Save Current Layout",
     historyInfo: "Please set rows/columns and click 'Generate Grid' first.",
     restoreConfirm: "Are you sure you want to restore this version? Any unsaved changes will be lost.",
@@ -84,246 +475,1687 @@ const locales = {
     deleteColumn: "Delete this column",
     dragRow: "Drag to reorder row",
     dragColumn: "Drag to reorder column",
-    loading: "Loading essential libraries...",
+    loading: "Loading projects...",
+    panelLabels: "Panel Labels",
+    panelLabelsEnabled: "Add panel labels automatically",
+    labelOrder: "Numbering Order",
+    labelOrderRow: "Row-major (left to right first)",
+    labelOrderCol: "Column-major (top to bottom first)",
+    labelScheme: "Label Scheme",
+    labelPosition: "Label Position",
+    positionTopLeft: "Top left",
+    positionTopRight: "Top right",
+    positionBottomLeft: "Bottom left",
+    positionBottomRight: "Bottom right",
+    labelFontFamily: "Font Family",
+    labelFontSize: "Font Size (pt)",
+    labelFontWeight: "Font Weight",
+    fontWeightNormal: "Normal",
+    fontWeightBold: "Bold",
+    labelColor: "Text Color",
+    labelBackground: "Show background box",
+    labelBackgroundColor: "Background Box Color",
+    pageSize: "Page Size",
+    pagePreset: "Journal Preset",
+    presetCustom: "Custom",
+    presetSingle: "Single column (85 mm)",
+    presetOneHalf: "1.5 column (114 mm)",
+    presetDouble: "Double column (180 mm)",
+    pageWidth: "Figure Width",
+    pageUnit: "Unit",
+    exportDpi: "Export Resolution (DPI)",
+    exportPixelWidth: "Export width: {px} px",
+    mergeRight: "Merge with the cell to the right",
+    mergeDown: "Merge with the cell below",
+    splitCell: "Split cell",
+    mergeDiscardConfirm: "The merged area contains several images; only the first one will be kept. Continue?",
+    trackSizes: "Row & Column Sizes",
+    columnN: "Column {n}",
+    rowN: "Row {n}",
+    trackWeight: "Ratio",
+    trackFixed: "Fixed (mm)",
+    autoFitTracks: "Auto-fit to image aspect ratios",
+    resetTracks: "Reset to uniform",
+    resizeTrack: "Drag to resize",
+    moveBlockedByMerge: "This move would break apart merged cells. Split them first, then move.",
+    dragCell: "Drag onto another cell to swap images",
+    exportProject: "Export Project",
+    importProject: "Import Project",
+    projectFileInfo: "A project file (.collage) contains the layout, captions, styles and all images, so it can be sent to a co-author or opened on another machine.",
+    projectMissingImages: "Images for these cells are missing from the local database and were not included: {keys}",
+    projectImported: "Project imported successfully!",
+    projectImportedWithProblems: "The project was imported, but these images could not be restored:",
+    projectEntryMissing: "{key} ({name}): image file missing from the bundle",
+    projectEntryCorrupt: "{key} ({name}): image file is corrupt",
+    projectImportError: "Project import failed: ",
+    projectImportConfirm: "Importing a project replaces the current layout (this can be undone). Continue?",
+    projectInvalidArchive: "The file is not a valid project bundle",
+    projectInvalidFormat: "The project data is malformed",
+    projectUnsupportedVersion: "The project was saved by a newer version of this tool; please update before importing",
+    editImage: "Edit image",
+    imageEditorTitle: "Edit image: {name}",
+    cropAspect: "Crop ratio",
+    aspectFree: "Free",
+    aspectCell: "Match cell",
+    rotateLeft: "Rotate left",
+    rotateRight: "Rotate right",
+    flipHorizontal: "Flip horizontally",
+    flipVertical: "Flip vertically",
+    fitMode: "Fit",
+    fitContain: "Contain",
+    fitCover: "Cover",
+    zoom: "Zoom",
+    panX: "Horizontal offset",
+    panY: "Vertical offset",
+    resetEdits: "Reset",
+    done: "Done",
+    cropHint: "Drag the box to move the crop, drag its bottom-right corner to resize. The original image is never modified.",
+    toolSelect: "Select / move annotations",
+    toolArrow: "Arrow",
+    toolLine: "Line",
+    toolRect: "Rectangle",
+    toolEllipse: "Ellipse",
+    toolText: "Text",
+    annotationColor: "Color",
+    annotationStrokeWidth: "Stroke width (pt)",
+    annotationDash: "Line style",
+    dashSolid: "Solid",
+    dashDashed: "Dashed",
+    dashDotted: "Dotted",
+    annotationText: "Annotation text",
+    annotationTextPrompt: "Annotation text:",
+    deleteAnnotation: "Delete annotation",
+    rowLabelPlaceholder: "Row {n} label",
+    titlePlaceholder: "Figure title",
+    legendPlaceholder: "Legend / description",
+    richTextHint: "Click to edit. Supports **bold**, *italic*, ^{superscript}, _{subscript} and Greek letters like \\alpha; press Enter for a new line.",
+    captionsAndText: "Captions & text",
+    captionPosition: "Column captions",
+    captionAbove: "Above the grid",
+    captionBelow: "Below the grid",
+    rowLabelsEnabled: "Show row labels",
+    rowLabelsRotated: "Rotate 90°",
+    rowLabelsWidth: "Label width",
+    titleEnabled: "Show figure title",
+    legendEnabled: "Show legend",
+    bulkImport: "Bulk import",
+    importFolder: "Import folder",
+    bulkImportTitle: "Import {n} images",
+    bulkSortMode: "Arrangement",
+    bulkSortNatural: "Fill in filename order",
+    bulkSortPattern: "Row/column numbers in filenames",
+    bulkPattern: "Regular expression (groups 1 and 2 are row and column)",
+    bulkPatternHint: "e.g. sample_2_3.tif goes to row 2, column 3; numbering is treated as 0-based if any number is 0.",
+    bulkFillOrder: "Fill order",
+    bulkFillEmptyOnly: "Only fill empty cells",
+    bulkCaptionsFromNames: "Generate column captions from filenames (top image of each column)",
+    bulkPreview: "Preview",
+    bulkGridGrows: "The grid will grow to {rows} rows × {cols} columns",
+    bulkEmptyCell: "(empty)",
+    bulkLegend: "Blue: new image; amber: replaces an existing image; grey: existing image kept.",
+    bulkUnmatched: "These files could not be mapped to a cell and will be skipped: {names}",
+    bulkGridLimit: "The grid can grow to at most {rows} rows × {cols} columns; files outside that range will be skipped.",
+    bulkPreviewClipped: "The preview shows only the first {rows} rows × {cols} columns.",
+    bulkInvalidPattern: "Invalid regular expression",
+    bulkImportConfirm: "Import {n}",
+    bulkImportError: "Bulk import failed: ",
+    importing: "Importing...",
+    exportRasterFailed: "Could not rasterize the figure. Try exporting SVG or PDF instead.",
+    exportAssetFailed: "Could not load the fonts or components needed for the export. Check your connection and try again.",
+    cancel: "Cancel",
+    channelMerge: "Channel merge",
+    channelMergeInfo: "Overlay 2–4 grayscale channels in color as one composite. A source can be another cell (the merge updates when that cell's image is replaced) or an uploaded image.",
+    channelMergeEmpty: "Merge cell: no channel images selected",
+    channelMergeName: "Merge",
+    channelLabel: "Channel {n}",
+    channelSource: "Source",
+    channelNone: "None",
+    channelCellOption: "Row {row}, column {col}: {name}",
+    channelUploaded: "Uploaded image: {name}",
+    channelUpload: "Upload image…",
+    channelColor: "Color",
+    channelBrightness: "Brightness",
+    channelAdd: "Add channel",
+    channelRemove: "Remove channel",
+    channelRed: "Red",
+    channelGreen: "Green",
+    channelBlue: "Blue",
+    channelMagenta: "Magenta",
+    channelCyan: "Cyan",
+    channelYellow: "Yellow",
+    channelGray: "Gray",
+    channelMergePreview: "Preview",
+    channelMergeApply: "Apply",
+    channelMergeRemove: "Remove merge",
+    channelMergeReplaceConfirm: "The image in this cell will be replaced by the composite. Continue?",
+    channelMergeNeedsSources: "Choose images for at least {n} channels.",
+    channelMergeFailed: "Channel merge failed. Please check the channel images.",
+    normalize: "Normalize Panels",
+    normalizeInfo: "Make side-by-side panels directly comparable. The original images are kept, so the processing can be changed or removed at any time.",
+    normalizeScope: "Apply to",
+    normalizeScopeSelection: "Selected cells",
+    normalizeScopeRow: "Row",
+    normalizeScopeCol: "Column",
+    normalizeImageCount: "{n} images in range",
+    normalizeMatchLevels: "Match intensity ranges (auto-levels with a shared min and max)",
+    normalizeGrayscale: "Convert to grayscale",
+    normalizeLut: "Pseudo-color LUT",
+    normalizeLutHint: "LUTs use the brightest color channel as intensity, which suits single-channel fluorescence images.",
+    normalizeMatchScale: "Uniform display scale (equal pixel sizes render at equal sizes)",
+    normalizeScaleHint: "Uses the pixel size calibration when every image has one, otherwise matches image pixels. Overrides the zoom of these cells.",
+    normalizeApply: "Apply",
+    normalizeRemove: "Remove Processing",
+    normalizing: "Processing...",
+    normalizeSkippedSvg: "{n} SVG images were kept as vectors and not processed for intensity or color.",
+    normalizeError: "Failed to process images: ",
+    normalizeFailed: "Could not render the processed image",
+    lut_none: "None (keep colors)",
+    lut_green: "Green",
+    lut_magenta: "Magenta",
+    lut_fire: "Fire",
+    lut_viridis: "Viridis",
+    shortcutNormalize: "Normalize the selected cells",
+    shortcuts: "Keyboard Shortcuts",
+    shortcutSheetNote: "Available while cells are selected; ignored while typing in a text field.",
+    shortcutGroupSelection: "Selection",
+    shortcutGroupCells: "Cells",
+    shortcutGroupTracks: "Rows & Columns",
+    shortcutGroupGeneral: "General",
+    shortcutClick: "Click",
+    shortcutShiftClick: "Shift + Click",
+    shortcutDoubleClick: "Double-click",
+    shortcutSelectCell: "Select a cell",
+    shortcutExtendSelection: "Extend the selection",
+    shortcutMoveSelection: "Move the selection",
+    shortcutSelectAll: "Select all cells",
+    shortcutClearSelection: "Clear the selection",
+    shortcutOpenFile: "Choose an image for the current cell",
+    shortcutClearImages: "Remove images from the selected cells",
+    shortcutCopyCell: "Copy the current cell's image and edits",
+    shortcutPasteCell: "Paste into the selected cells",
+    shortcutInsertRowBelow: "Insert a row below",
+    shortcutInsertRowAbove: "Insert a row above",
+    shortcutInsertColumnRight: "Insert a column to the right",
+    shortcutInsertColumnLeft: "Insert a column to the left",
+    shortcutDeleteRow: "Delete the current row",
+    shortcutDeleteColumn: "Delete the current column",
+    shortcutToggleSheet: "Show / hide this list",
+    startupErrorTitle: "Unable to start",
+    startupMissingCapabilities: "This browser lacks features the editor needs. Use a current version of Chrome, Edge, Firefox or Safari, and open the app over https or localhost.",
+    startupLoadFailed: "Projects could not be loaded from browser storage. Private browsing windows or blocked site storage can cause this.",
+    startupTimeout: "Loading projects is taking too long. Close other tabs of this app and reload.",
+    startupReload: "Reload",
+    compliance: "Pre-submission Check",
+    checkRun: "Run Check",
+    checkJournal: "Journal",
+    checkJournalNone: "Custom",
+    checkMinDpi: "Minimum DPI",
+    checkMinFontSize: "Minimum font size (pt)",
+    checkMinLineWidth: "Minimum line width (pt)",
+    checkBlockExport: "Block export on errors",
+    checkPassed: "No problems found",
+    checkSummary: "{errors} error(s), {warnings} warning(s). Click an entry to jump to its cell.",
+    checkCellPrefix: "Row {row}, column {col}: ",
+    checkExportBlocked: "Export stopped: the pre-submission check found {count} error(s). Fix them and try again, or turn off blocking in the check settings.",
+    checkLowDpi: "effective resolution is {dpi} DPI at print size, below {min} DPI",
+    checkPageDpi: "Export resolution {dpi} DPI is below {min} DPI",
+    checkSmallText: "{what} text is {size} pt, below {min} pt",
+    checkThinLine: "{what} line is {width} pt, below {min} pt",
+    checkEmptyCell: "empty cell",
+    checkMissingCaption: "column {col} has no caption",
+    checkNoCaptions: "The figure has no captions or legend",
+    checkJpegQuality: "JPEG quality is about {quality} (below {min}); compression artifacts may be visible",
+    checkColorSpace: "{space} image; colors may be reproduced incorrectly, convert to RGB",
+    checkTooWide: "Figure width {width} mm exceeds the journal maximum of {max} mm",
+    checkTooTall: "Figure height {height} mm exceeds the journal maximum of {max} mm",
+    checkNonStandardWidth: "Figure width {width} mm does not match a journal column width ({widths} mm)",
+    checkWhatCaption: "Caption",
+    checkWhatRowLabel: "Row label",
+    checkWhatPanelLabel: "Panel label",
+    checkWhatTitle: "Title",
+    checkWhatLegend: "Legend",
+    checkWhatAnnotation: "Annotation",
+    checkWhatScaleBar: "Scale bar",
+    templates: "Layout Templates",
+    templatesHint: "Placed images move into the new panels in reading order",
+    templateApply: "Apply this template",
+    templateSaveCurrent: "Save Layout as Template",
+    templateNamePrompt: "Template name:",
+    templateDefaultName: "Template {n}",
+    templateDelete: "Delete template",
+    templateDeleteConfirm: "Delete the template \"{name}\"?",
+    templateDropConfirm: "The template has fewer panels: images in {count} panel(s) will be removed (you can undo this). Continue?",
+    templateHeroStack: "Large + stack",
+    templateMixed23: "2 + 3 rows",
+    templateInset: "Main + insets",
+    templateComparisonStrip: "Comparison strip",
+    templateLShape: "L-shape",
+    themes: "Style Themes",
+    themeJournalPresets: "Journal presets",
+    themeSaved: "Saved themes",
+    themeApply: "Apply",
+    themeSaveCurrent: "Save Current Style",
+    themeNamePrompt: "Theme name:",
+    themeDefaultName: "Theme {n}",
+    themeDelete: "Delete theme",
+    themeDeleteConfirm: "Delete the theme \"{name}\"?",
+    themeExport: "Export",
+    themeImport: "Import",
+    themeImported: "Imported {count} theme(s).",
+    themeImportError: "Theme import failed: ",
+    themeInvalidFile: "not a valid theme file",
+    themeUnsupportedVersion: "the theme file is from a newer version",
+    themeGuidelines: "Minimum font size {font} pt, minimum line width {line} pt, figure widths {widths} mm. Check the journal's current guidelines before submission.",
+    textFontFamily: "Text Font",
+    captionColor: "Text Color",
+    historyRestore: "Restore",
+    historyDefaultName: "Version {n}",
+    historyAutosaveName: "Autosave",
+    historyExportName: "Exported {format}",
+    historyTriggerInterval: "Auto",
+    historyTriggerExport: "Export",
+    historyNotePlaceholder: "Add a note…",
+    historyCompareSelect: "Compare",
+    historyCompare: "Compare Selected",
+    historyCompareHint: "Select one snapshot to compare with the current layout, or two to compare with each other",
+    historyCompareTitle: "Compare Versions",
+    historyCurrentLayout: "Current layout",
+    historyChanges: "Changes from \"{from}\" to \"{to}\"",
+    historyAutosave: "Autosave",
+    historyAutosaveOff: "Off",
+    historyAutosaveEvery: "Every {n} min",
+    historyAutosaveOnExport: "Save a snapshot on export",
+    historyLimit: "Keep at most",
+    listSeparator: "; ",
+    diffInitial: "Oldest snapshot",
+    diffNone: "No changes",
+    diffGrid: "Grid {from} → {to}",
+    diffImages_added: "{count} image(s) added",
+    diffImages_removed: "{count} image(s) removed",
+    diffImages_replaced: "{count} image(s) replaced",
+    diffImages_edited: "{count} image(s) edited (crop, scale bar, …)",
+    diffMerges: "Merged cells changed",
+    diffTrackSizes: "Row/column sizes changed",
+    diffCaptions: "{count} caption(s) changed",
+    diffTitle: "Title changed",
+    diffLegend: "Legend changed",
+    diffAnnotations: "Annotations: {added} added, {removed} removed, {changed} edited",
+    diffStyles: "{count} style setting(s) changed",
+    projects: "Projects",
+    newProject: "New project",
+    untitledProject: "Untitled figure",
+    projectNamePrompt: "Project name",
+    projectCopyName: "{name} copy",
+    projectRename: "Rename",
+    projectDuplicate: "Duplicate",
+    projectDelete: "Delete",
+    projectDeleteConfirm: "Delete the project \"{name}\"? Its layout and history will be removed.",
+    projectCurrent: "Current project",
+    projectSummary: "{cols}x{rows} grid, {count} images",
+    projectActionError: "Operation failed: ",
+    projectNotFound: "Project not found",
+    storageGroup_projects: "Other projects only",
+    storage: "6. Storage",
+    storageUsage: "{usage} of {quota} used",
+    storageEstimateUnavailable: "This browser cannot report storage usage.",
+    storageGroup_current: "Current layout",
+    storageGroup_history: "History only",
+    storageGroup_undo: "Undo steps only",
+    storageGroup_unreferenced: "Pending cleanup",
+    storageGroupValue: "{count} files, {size}",
+    storageCleanUp: "Clean up now",
+    storageClearUndo: "Clear undo steps",
+    storageClearUndoConfirm: "You will no longer be able to undo earlier changes. Continue?",
+    storageCleaned: "Deleted {count} unused files, freeing {size}.",
+    storageError: "Cleanup failed: ",
+    storageRequestPersist: "Request persistent storage",
+    storagePersisted: "Persistent storage enabled",
+    storagePersistGranted: "Persistent storage enabled; the browser will not evict your images when space runs low.",
+    storagePersistDenied: "The browser declined persistent storage (it usually requires bookmarking or repeated visits).",
+    storageInfo: "Projects and images are stored locally in your browser and identical files are stored once. Images no longer used by any project's layout, history or undo steps are deleted automatically.",
+    storageLowWarning: "Browser storage is almost full ({usage} of {quota}). Delete history entries you no longer need or clear undo steps, or new images may fail to save.",
+    storageQuotaExceeded: "Not enough browser storage to save the image. Free up space under \"Storage\" and try again.",
+    storageWriteError: "Failed to save the image.",
+    decodeFailed: "Could not decode the file",
+    decodeUnsupported: "This TIFF variant (compression or color mode) is not supported",
+    decoding: "Decoding...",
+    sourceSettingsTiff: "Source TIFF ({bitDepth}-bit)",
+    sourceSettingsPdf: "Source PDF (rasterized at 300 DPI)",
+    sourcePage: "Page ({count} pages)",
+    levelsMin: "Display minimum",
+    levelsMax: "Display maximum",
+    levelsAuto: "Auto",
+    levelsFull: "Full range",
+    levelsRange: "Data range {min} – {max}",
+    scaleBar: "Scale bar",
+    showScaleBar: "Show scale bar",
+    pixelSize: "Pixel size",
+    scaleBarLength: "Bar length",
+    scaleBarPixels: "= {px} px of the original image",
+    scaleBarNeedsPixelSize: "Enter the pixel size first (it is read automatically from TIFF / OME-TIFF metadata when present).",
+    scaleBarThickness: "Thickness",
+    scaleBarShowLabel: "Show label",
+    scaleBarLabel: "Custom label (leave empty to show the length)",
+    annotationHint: "Pick a tool and drag on the canvas to draw; double-click text to edit it, press Delete to remove the selected annotation.",
   },
 };
 
-// --- IndexedDB 工具函数 ---
-const dbName = 'FigureCollageDB';
-const storeName = 'images';
+// --- 图片读写 ---
+// 读取图片的原始像素尺寸 (SVG 等 createImageBitmap 不支持的格式同样适用)
+const getImageSize = (blob) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(blob);
+  const img = new Image();
+  img.onload = () => {
+    resolve({ width: img.naturalWidth, height: img.naturalHeight });
+    URL.revokeObjectURL(url);
+  };
+  img.onerror = () => {
+    reject("Error reading image size");
+    URL.revokeObjectURL(url);
+  };
+  img.src = url;
+});
+
+// 解码结果保存为格子中显示的 PNG
+const storeDecodedImage = (decoded, name) => putImage(new File([decoded.blob], name, { type: decoded.blob.type }));
+
+const decodedSourceInfo = (decoded) => ({
+  page: decoded.page,
+  pageCount: decoded.pageCount,
+  bitDepth: decoded.bitDepth,
+  levels: decoded.levels,
+});
+
+// 图片文件写入数据库，返回 images[key] 中保存的信息。
+// TIFF / PDF 同时保存原文件 (source) 与解码后的 PNG，见 imageDecode.js
+const storeImageFile = async (file) => {
+  const kind = sourceKind(file);
+  let id;
+  let width;
+  let height;
+  let source = null;
+  if (kind) {
+    const decoded = await decodeSource(file, kind);
+    const sourceId = await putImage(file);
+    id = await storeDecodedImage(decoded, file.name);
+    ({ width, height } = decoded);
+    source = { id: sourceId, kind, ...decodedSourceInfo(decoded) };
+  } else {
+    id = await putImage(file);
+    ({ width, height } = await getImageSize(file).catch(() => ({})));
+  }
+  // TIFF / OME-TIFF 中带有像素尺寸时直接用于比例尺
+  const calibration = isTiff(file) ? await readTiffPixelSize(file).catch(() => null) : null;
+  const scaleBar = calibration && {
+    ...calibration,
+    ...(width ? niceScaleBarLength(calibration.pixelSize, calibration.pixelUnit, width) : {}),
+  };
+  return { id, name: file.name, width, height, ...(source && { source }), ...(scaleBar && { scaleBar }) };
+};
+
+const isImageFile = (file) => file.type.startsWith('image/') || isTiff(file) || isPdf(file);
+
+const IMAGE_ACCEPT = 'image/*,.tif,.tiff,.pdf,application/pdf';
+
+const fontFamilyOptions = [
+  { value: 'Arial, Helvetica, sans-serif', label: 'Arial / Helvetica' },
+  { value: "'Times New Roman', Times, serif", label: 'Times New Roman' },
+  { value: "'Courier New', Courier, monospace", label: 'Courier New' },
+];
+
+// 面板标签在格子中的位置
+const labelPositionStyles = Object.fromEntries(['top-left', 'top-right', 'bottom-left', 'bottom-right'].map(position => {
+  const [vertical, horizontal] = position.split('-');
+  return [position, { [vertical]: `${PANEL_LABEL_INSET}em`, [horizontal]: `${PANEL_LABEL_INSET}em` }];
+}));
+
+// --- 物理页面尺寸 ---
+// 间距以 mm 为单位，字号以 pt 为单位；编辑器按 pxPerMm 缩放显示，导出按 DPI 计算像素
+const pagePresets = {
+  single: 85,
+  oneHalf: 114,
+  double: 180,
+};
+
+const dpiOptions = [300, 600, 1200];
+
+// 滑块可调的数值样式
+const spacingStyleControls = {
+  pagePadding: { min: 0, max: 20, step: 0.5, unit: 'mm' },
+  columnGap: { min: 0, max: 20, step: 0.5, unit: 'mm' },
+  rowGap: { min: 0, max: 20, step: 0.5, unit: 'mm' },
+  captionGap: { min: 0, max: 20, step: 0.5, unit: 'mm' },
+  captionFontSize: { min: 4, max: 24, step: 0.5, unit: 'pt' },
+};
+
 
-const getDB = () => {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open(dbName, 1);
-    request.onerror = () => reject("Error opening DB");
-    request.onsuccess = () => resolve(request.result);
-    request.onupgradeneeded = event => {
-      const db = event.target.result;
-      if (!db.objectStoreNames.contains(storeName)) {
-        db.createObjectStore(storeName);
+// --- 合并单元格 ---
+// merges: [{ row, col, rowSpan, colSpan }]，合并后的图片保存在左上角锚点格子的 key 下
+const rangesOverlap = (a, b) =>
+  a.row < b.row + b.rowSpan && b.row < a.row + a.rowSpan && a.col < b.col + b.colSpan && b.col < a.col + a.colSpan;
+
+// 将区域扩展到完整包含与之重叠的合并区域，保证结果仍是矩形
+const expandRange = (merges, range) => {
+  let area = { ...range };
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const m of merges) {
+      if (!rangesOverlap(area, m)) continue;
+      const row = Math.min(area.row, m.row);
+      const col = Math.min(area.col, m.col);
+      const rowEnd = Math.max(area.row + area.rowSpan, m.row + m.rowSpan);
+      const colEnd = Math.max(area.col + area.colSpan, m.col + m.colSpan);
+      if (row !== area.row || col !== area.col || rowEnd - row !== area.rowSpan || colEnd - col !== area.colSpan) {
+        area = { row, col, rowSpan: rowEnd - row, colSpan: colEnd - col };
+        changed = true;
       }
-    };
+    }
+  }
+  return area;
+};
+
+// 区域内已放置图片的格子 key (按行优先顺序)
+const imageKeysInRange = (images, { row, col, rowSpan, colSpan }) => {
+  const keys = [];
+  for (let r = row; r < row + rowSpan; r++) {
+    for (let c = col; c < col + colSpan; c++) {
+      if (images[`${r}-${c}`]) keys.push(`${r}-${c}`);
+    }
+  }
+  return keys;
+};
+
+// 在 index 处插入一行/列后调整合并区域：之后的区域整体后移，跨越插入位置的区域变大
+const shiftMergesOnInsert = (merges, axis, index) => merges.map(m => {
+  const [startKey, spanKey] = axis === 'row' ? ['row', 'rowSpan'] : ['col', 'colSpan'];
+  if (m[startKey] >= index) return { ...m, [startKey]: m[startKey] + 1 };
+  if (index < m[startKey] + m[spanKey]) return { ...m, [spanKey]: m[spanKey] + 1 };
+  return m;
+});
+
+// 删除 index 处的行/列后调整合并区域：之后的区域整体前移，包含该行/列的区域缩小
+const shiftMergesOnDelete = (merges, axis, index) => merges.map(m => {
+  const [startKey, spanKey] = axis === 'row' ? ['row', 'rowSpan'] : ['col', 'colSpan'];
+  if (m[startKey] > index) return { ...m, [startKey]: m[startKey] - 1 };
+  if (index < m[startKey] + m[spanKey]) return { ...m, [spanKey]: m[spanKey] - 1 };
+  return m;
+}).filter(m => m.rowSpan > 0 && m.colSpan > 0 && (m.rowSpan > 1 || m.colSpan > 1));
+
+// 在 index 处插入 (delta = 1) 或删除 (delta = -1) 一行/列后格子 key 的新位置，被删除的格子返回 null
+const shiftCellKey = (key, axis, index, delta) => {
+  const [row, col] = key.split('-').map(Number);
+  const value = axis === 'row' ? row : col;
+  if (delta < 0 && value === index) return null;
+  const shifted = value >= index + (delta < 0 ? 1 : 0) ? value + delta : value;
+  return axis === 'row' ? `${shifted}-${col}` : `${row}-${shifted}`;
+};
+
+
+// --- 格子选择 ---
+// selection: { anchor, focus }，均为 { row, col }。anchor 为 Shift 扩展选择的起点，focus 为当前格子。
+// 行列被删除后选择可能超出网格，使用时先收回到网格内。
+const clampCell = ({ row, col }, rows, cols) => ({
+  row: Math.max(0, Math.min(row, rows - 1)),
+  col: Math.max(0, Math.min(col, cols - 1)),
+});
+
+// 当前格子所在面板的锚点
+const panelAnchor = (merges, cell) => {
+  const merge = findMerge(merges, cell.row, cell.col);
+  return merge ? { row: merge.row, col: merge.col } : cell;
+};
+
+// 选择区域 { row, col, rowSpan, colSpan }，扩展到完整包含合并区域；没有选择时为 null
+const selectionRange = ({ selection, merges, rows, cols }) => {
+  if (!selection) return null;
+  const anchor = clampCell(selection.anchor, rows, cols);
+  const focus = clampCell(selection.focus, rows, cols);
+  const row = Math.min(anchor.row, focus.row);
+  const col = Math.min(anchor.col, focus.col);
+  return expandRange(merges, {
+    row,
+    col,
+    rowSpan: Math.abs(anchor.row - focus.row) + 1,
+    colSpan: Math.abs(anchor.col - focus.col) + 1,
   });
 };
 
-const dbGet = async (key) => {
-  const db = await getDB();
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction([storeName], 'readonly');
-    const store = transaction.objectStore(storeName);
-    const request = store.get(key);
-    request.onsuccess = () => resolve(request.result);
-    request.onerror = () => reject("Error getting data from DB");
+// 与区域重叠的面板 (锚点 key)
+const panelKeysInRange = (state, range) => listPanels(state).filter(p => rangesOverlap(p, range)).map(p => `${p.row}-${p.col}`);
+
+// 从 cell 所在面板的边缘沿 (dRow, dCol) 走一格，超出网格时停在原处
+const stepCell = ({ merges, rows, cols }, cell, dRow, dCol) => {
+  const merge = findMerge(merges, cell.row, cell.col) || { ...cell, rowSpan: 1, colSpan: 1 };
+  const row = dRow > 0 ? merge.row + merge.rowSpan : dRow < 0 ? merge.row - 1 : cell.row;
+  const col = dCol > 0 ? merge.col + merge.colSpan : dCol < 0 ? merge.col - 1 : cell.col;
+  if (row < 0 || row >= rows || col < 0 || col >= cols) return cell;
+  return { row, col };
+};
+
+
+// --- 行列尺寸 ---
+// 尺寸的计算见 figureLayout.js，这里只处理拖动分隔线
+const MIN_TRACK_MM = 2;
+const MAX_GRID_SIZE = 20; // 网格设置与批量导入中行数、列数的上限
+
+// 拖动分隔线后的新尺寸。列在相邻两列之间重新分配宽度，行只改变上方一行的高度。
+// sizesMm 为拖动开始时的实际尺寸，unit 为比例 1 对应的 mm 数。返回 { index: size }
+const resizeTracks = (tracks, sizesMm, index, deltaMm, { pairwise, unit }) => {
+  const toTrack = (track, mm) => (track.mode === 'fixed'
+    ? { mode: 'fixed', value: Math.round(mm * 10) / 10 }
+    : { mode: 'weight', value: Math.round(mm / unit * 1000) / 1000 });
+
+  if (!pairwise) {
+    return { [index]: toTrack(tracks[index], Math.max(MIN_TRACK_MM, sizesMm[index] + deltaMm)) };
+  }
+  const a = tracks[index];
+  const b = tracks[index + 1];
+  const total = sizesMm[index] + sizesMm[index + 1];
+  const sizeA = Math.min(Math.max(MIN_TRACK_MM, sizesMm[index] + deltaMm), total - MIN_TRACK_MM);
+  const sizeB = total - sizeA;
+  if (a.mode === 'weight' && b.mode === 'weight') {
+    const weight = a.value + b.value;
+    return {
+      [index]: { mode: 'weight', value: Math.round(weight * sizeA / total * 1000) / 1000 },
+      [index + 1]: { mode: 'weight', value: Math.round(weight * sizeB / total * 1000) / 1000 },
+    };
+  }
+  // 一侧为固定尺寸时只改固定的一侧，按比例的列自动占据剩余宽度
+  const changes = {};
+  if (a.mode === 'fixed') changes[index] = toTrack(a, sizeA);
+  if (b.mode === 'fixed') changes[index + 1] = toTrack(b, sizeB);
+  return changes;
+};
+
+// 按图片宽高比拟合列宽与行高，使图片填满格子。
+// 在对数空间做交替最小二乘: log(列宽) - log(行高) ≈ log(宽高比)。
+// aspects: { 'row-col': width / height }，跨行列的合并格子不参与拟合
+const fitTracksToAspects = (aspects, rows, cols) => {
+  const entries = Object.entries(aspects).map(([key, aspect]) => {
+    const [r, c] = key.split('-').map(Number);
+    return { r, c, logAspect: Math.log(aspect) };
   });
+  const logW = Array(cols).fill(0);
+  const logH = Array(rows).fill(Math.log(ROW_BASE_RATIO));
+  const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+  for (let iter = 0; iter < 50; iter++) {
+    for (let c = 0; c < cols; c++) {
+      const values = entries.filter(e => e.c === c).map(e => e.logAspect + logH[e.r]);
+      if (values.length) logW[c] = mean(values);
+    }
+    for (let r = 0; r < rows; r++) {
+      const values = entries.filter(e => e.r === r).map(e => logW[e.c] - e.logAspect);
+      if (values.length) logH[r] = mean(values);
+    }
+  }
+
+  // 列比例的几何平均归一为 1
+  const shift = mean(logW);
+  return {
+    colSizes: logW.map(v => ({ mode: 'weight', value: Math.round(Math.exp(v - shift) * 1000) / 1000 })),
+    rowSizes: logH.map(v => ({ mode: 'weight', value: Math.round(Math.exp(v - shift) / ROW_BASE_RATIO * 1000) / 1000 })),
+  };
 };
 
-const dbSet = async (key, value) => {
-  const db = await getDB();
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction([storeName], 'readwrite');
-    const store = transaction.objectStore(storeName);
-    const request = store.put(value, key);
-    request.onsuccess = () => resolve(request.result);
-    request.onerror = () => reject("Error setting data in DB");
+
+// --- 拖拽排序 ---
+const CELL_DRAG_TYPE = 'application/x-figure-cell';
+const ROW_DRAG_TYPE = 'application/x-figure-row';
+const COL_DRAG_TYPE = 'application/x-figure-col';
+
+// 将第 from 行/列移动到 to 位置，同步移动图片、合并区域、尺寸和 (列的) 脚注。
+// 会拆开合并区域的移动返回 false，不做任何修改。state 为 immer draft
+const moveTrack = (state, axis, from, to) => {
+  const isRow = axis === 'row';
+  const count = isRow ? state.rows : state.cols;
+  if (from === to || from < 0 || to < 0 || from >= count || to >= count) return true;
+
+  // order[新位置] = 旧位置；inverse[旧位置] = 新位置
+  const order = [...Array(count).keys()];
+  order.splice(to, 0, order.splice(from, 1)[0]);
+  const inverse = [];
+  order.forEach((oldIndex, newIndex) => { inverse[oldIndex] = newIndex; });
+
+  const [startKey, spanKey] = isRow ? ['row', 'rowSpan'] : ['col', 'colSpan'];
+  const breaksMerge = state.merges.some(m => {
+    for (let i = 1; i < m[spanKey]; i++) {
+      if (inverse[m[startKey] + i] !== inverse[m[startKey]] + i) return true;
+    }
+    return false;
+  });
+  if (breaksMerge) return false;
+
+  const moveKey = (key) => {
+    const [r, c] = key.split('-').map(Number);
+    return isRow ? `${inverse[r] ?? r}-${c}` : `${r}-${inverse[c] ?? c}`;
+  };
+  const newImages = {};
+  Object.entries(state.images).forEach(([key, info]) => {
+    newImages[moveKey(key)] = info;
   });
+  state.images = remapChannelSources(newImages, moveKey);
+  state.merges = state.merges.map(m => ({ ...m, [startKey]: inverse[m[startKey]] }));
+  state.annotations = remapAnnotations(state.annotations, axis, inverse);
+
+  const sizesKey = isRow ? 'rowSizes' : 'colSizes';
+  const tracks = normalizeTracks(state[sizesKey], count);
+  state[sizesKey] = order.map(oldIndex => tracks[oldIndex]);
+  if (isRow) {
+    state.rowCaptions = order.map(oldIndex => state.rowCaptions[oldIndex] || '');
+  } else {
+    state.captions = order.map(oldIndex => state.captions[oldIndex] || '');
+  }
+  return true;
+};
+
+
+// --- 撤销 / 重做 ---
+// 撤销栈保存的是文档快照；immer 的结构共享使未改动的部分在快照间复用同一对象
+const documentKeys = ['rows', 'cols', 'images', 'merges', 'rowSizes', 'colSizes', 'captions', 'rowCaptions', 'titleText', 'legendText', 'styles', 'annotations'];
+const UNDO_LIMIT = 100;
+const UNDO_COALESCE_MS = 1000;
+
+const takeSnapshot = (state) => Object.fromEntries(documentKeys.map(key => [key, state[key]]));
+
+// --- 历史记录 ---
+// 每条记录是一份文档快照加上 { timestamp, name, note, trigger, thumbnail }；
+// trigger 为 'manual' | 'interval' | 'export'，thumbnail 为 PNG Blob (旧记录没有)。
+const defaultHistorySettings = {
+  autosaveMinutes: 0, // 定时自动保存的间隔，0 为关闭
+  autosaveOnExport: false, // 每次导出图片时自动保存
+  limit: 20, // 最多保留的记录数，超出时先删除最早的自动保存
+};
+
+const pruneHistory = (history, limit) => {
+  const result = [...history];
+  while (result.length > limit) {
+    const oldestAuto = result.map(entry => entry.trigger && entry.trigger !== 'manual').lastIndexOf(true);
+    result.splice(oldestAuto === -1 ? result.length - 1 : oldestAuto, 1);
+  }
+  return result;
+};
+
+// 新建项目的文档
+const emptyDocument = {
+  rows: 2,
+  cols: 3,
+  images: {}, // { 'row-col': { id, name, width, height, ... } }
+  merges: [], // [{ row, col, rowSpan, colSpan }]
+  rowSizes: [], // [{ mode: 'weight' | 'fixed', value }]
+  colSizes: [],
+  captions: [],
+  rowCaptions: [], // 左侧行标签
+  titleText: '', // 图标题与图例 (富文本标记，见 utils/richText.js)
+  legendText: '',
+  styles: defaultStyles,
+  annotations: [], // 标注层，见 utils/annotations.js
 };
 
+// 保存在 IndexedDB 中：设置一条记录，每个项目一条记录 (见 utils/workspace.js)
+const workspaceStorage = typeof indexedDB === 'undefined'
+  ? undefined
+  : createWorkspaceStorage({
+    defaultName: lang => locales[lang || 'zh'].untitledProject,
+    settingsKeys: ['lang', 'projectId', 'historySettings', 'themes', 'templates', 'complianceSettings'],
+  });
+
+// 持久化的状态
+const persistedState = (state) => ({
+  lang: state.lang,
+  projectId: state.projectId,
+  projectName: state.projectName,
+  ...takeSnapshot(state),
+  history: state.history,
+  historySettings: state.historySettings,
+  themes: state.themes,
+  templates: state.templates,
+  complianceSettings: state.complianceSettings,
+});
 
 // --- 状态管理 (Zustand) ---
 const useStore = create(
   persist(
-    (set, get) => ({
-      // --- 核心状态 ---
-      lang: 'zh',
-      rows: 2,
-      cols: 3,
-      gridKey: 1, // 用于强制重新渲染网格
-      images: {}, // { 'row-col': { id: 'uuid', name: 'file.png' } }
-      captions: [],
-      styles: {
-        pagePadding: 16,
-        columnGap: 16,
-        rowGap: 16,
-        captionGap: 16,
-        captionFontSize: 14,
-        backgroundColor: '#ffffff',
-        watermark: '',
-      },
-      history: [],
-      
-      // --- Actions ---
-      t: (key, params) => {
-        const lang = get().lang;
-        let text = locales[lang][key] || key;
-        if (params) {
-          Object.keys(params).forEach(pKey => {
-            text = text.replace(`{${pKey}}`, params[pKey]);
-          });
+    (set, get) => {
+      // setImageSource 中每个格子最新一次请求的序号
+      const sourceRequests = {};
+
+      // 修改文档内容的统一入口：应用 immer 修改，并把修改前的状态压入撤销栈。
+      // 相同 coalesceKey 的连续修改 (如拖动滑块) 只记录一次
+      const commit = (recipe, coalesceKey = null) => {
+        const before = get();
+        set(produce(recipe));
+        const after = get();
+        if (documentKeys.every(key => before[key] === after[key])) return;
+        const now = Date.now();
+        if (coalesceKey && before.lastCommit.key === coalesceKey && now - before.lastCommit.time < UNDO_COALESCE_MS) {
+          set({ lastCommit: { key: coalesceKey, time: now } });
+          return;
         }
-        return text;
-      },
+        set({
+          past: [...before.past, takeSnapshot(before)].slice(-UNDO_LIMIT),
+          future: [],
+          lastCommit: { key: coalesceKey, time: now },
+        });
+      };
+
+      return {
+        // --- 核心状态 ---
+        lang: 'zh',
+        projectId: null, // 当前项目，见 utils/workspace.js
+        projectName: '',
+        gridKey: 1, // 用于强制重新渲染网格
+        ...emptyDocument,
+        history: [],
+        historySettings: defaultHistorySettings, // 全局设置，不随项目切换
+        themes: [], // 用户保存与导入的样式主题 (全局)，见 utils/themes.js
+        templates: [], // 用户保存的排版模板 (全局)，见 utils/layoutTemplates.js
+        complianceSettings: defaultComplianceSettings, // 投稿前检查的设置 (全局)，见 utils/compliance.js
+        complianceIssues: null, // 最近一次检查的结果 { issues, checkedAt }，不持久化
+        highlightedCell: null, // 检查结果中点击的格子，短暂高亮
+        selection: null, // 选中的格子 { anchor, focus }，不持久化
+        cellClipboard: null, // 复制的格子图片 (含编辑参数与比例尺)，不持久化
+        loadError: null, // 从 IndexedDB 载入失败时的错误，不持久化
+        pxPerMm: 4, // 编辑器显示比例，由画布可用宽度决定，不持久化
+        editingImage: null, // 正在编辑的图片 { key, cellAspect }，不持久化
+        normalizeDialog: null, // 面板统一弹窗 { selectionKeys, row, col }，打开时的选择与当前格子，不持久化
+        channelMergeEditor: null, // 正在设置通道的合并格子 key，不持久化
+        bulkImportFiles: null, // 等待确认的批量导入文件
+        storageEstimate: null, // { usage, quota, persisted }，不持久化
+        annotationTool: null, // 当前标注工具，null 为选择/移动
+        selectedAnnotation: null, // 选中的标注 id
+        annotationStyle: defaultAnnotationStyle, // 新建标注使用的样式
+        past: [], // 撤销栈 (文档快照)，不持久化
+        future: [], // 重做栈
+        lastCommit: { key: null, time: 0 },
+      
+        // --- Actions ---
+        t: (key, params) => {
+          const lang = get().lang;
+          let text = locales[lang][key] || key;
+          if (params) {
+            Object.keys(params).forEach(pKey => {
+              text = text.replace(`{${pKey}}`, params[pKey]);
+            });
+          }
+          return text;
+        },
       
-      setLang: (lang) => set({ lang }),
+        setLang: (lang) => set({ lang }),
       
-      setStyle: (key, value) => set(window.immer.produce(state => {
-        state.styles[key] = value;
-      })),
+        setStyle: (key, value) => commit(state => {
+          state.styles[key] = value;
+        }, `style:${key}`),
+
+        setPanelLabelStyle: (key, value) => commit(state => {
+          state.styles.panelLabels[key] = value;
+        }, `panelLabels:${key}`),
+
+        setPageStyle: (key, value) => commit(state => {
+          state.styles.page[key] = value;
+        }, `page:${key}`),
+
+        // block: 'rowLabels' | 'title' | 'legend'
+        setTextBlockStyle: (block, key, value) => commit(state => {
+          state.styles[block][key] = value;
+        }, `${block}:${key}`),
+
+        // 主题中的样式合并到当前排版，线宽与字体同时应用到已有的标注和比例尺
+        applyTheme: (theme) => commit(state => {
+          state.styles = withDefaultStyles(mergeThemeStyles(state.styles, theme.styles));
+          const annotation = theme.annotation || {};
+          state.annotationStyle = { ...state.annotationStyle, ...annotation };
+          state.annotations.forEach(a => {
+            a.style = { ...withDefaultAnnotationStyle(a.style), ...annotation };
+          });
+          Object.values(state.images).forEach(info => {
+            if (info && info.scaleBar) info.scaleBar = { ...info.scaleBar, ...theme.scaleBar };
+          });
+        }),
+
+        saveTheme: (name) => set(state => {
+          const scaleBar = Object.values(state.images).map(info => info && info.scaleBar).find(Boolean);
+          const theme = createTheme({ name, styles: state.styles, annotationStyle: state.annotationStyle, scaleBar: scaleBar && withDefaultScaleBar(scaleBar) });
+          return { themes: [...state.themes, theme] };
+        }),
+
+        importThemes: (themes) => set(state => ({ themes: [...state.themes, ...themes] })),
+
+        deleteTheme: (id) => set(state => ({ themes: state.themes.filter(theme => theme.id !== id) })),
+
+        setComplianceSettings: (patch) => set(state => ({ complianceSettings: { ...state.complianceSettings, ...patch } })),
+
+        runComplianceCheck: async (node) => {
+          const issues = await collectComplianceIssues(node);
+          set({ complianceIssues: { issues, checkedAt: Date.now() } });
+          return issues;
+        },
+
+        highlightCell: (key) => set({ highlightedCell: key }),
+
+        // extend 为 true 时保留起点，选择起点到该格子的矩形区域
+        selectCell: (row, col, extend = false) => set(state => {
+          const focus = { row, col };
+          return { selection: { anchor: extend && state.selection ? state.selection.anchor : focus, focus } };
+        }),
+
+        selectAllCells: () => set(state => ({
+          selection: { anchor: { row: 0, col: 0 }, focus: { row: state.rows - 1, col: state.cols - 1 } },
+        })),
+
+        clearSelection: () => set({ selection: null }),
+
+        // 方向键移动当前格子，不扩展时落在目标面板的锚点上
+        moveSelection: (dRow, dCol, extend = false) => {
+          const state = get();
+          if (!state.selection) return;
+          const from = clampCell(state.selection.focus, state.rows, state.cols);
+          const to = stepCell(state, from, dRow, dCol);
+          if (extend) get().selectCell(to.row, to.col, true);
+          else {
+            const anchor = panelAnchor(state.merges, to);
+            get().selectCell(anchor.row, anchor.col);
+          }
+        },
+
+        clearSelectedImages: () => commit(state => {
+          const range = selectionRange(state);
+          if (range) imageKeysInRange(state.images, range).forEach(key => { delete state.images[key]; });
+        }),
+
+        // 复制当前格子的图片信息 (图片本身按 id 共享)，返回是否复制成功
+        copySelectedCell: () => {
+          const state = get();
+          if (!state.selection) return false;
+          const anchor = panelAnchor(state.merges, clampCell(state.selection.focus, state.rows, state.cols));
+          const info = state.images[`${anchor.row}-${anchor.col}`];
+          if (!info) return false;
+          set({ cellClipboard: info });
+          return true;
+        },
+
+        // 把复制的图片放入选择区域内的每个面板
+        pasteToSelection: () => {
+          const { cellClipboard } = get();
+          if (!cellClipboard) return;
+          commit(state => {
+            const range = selectionRange(state);
+            if (range) panelKeysInRange(state, range).forEach(key => { state.images[key] = cellClipboard; });
+          });
+        },
+
+        // 在选择区域之前或之后插入一行/列，并选中新插入的格子
+        insertAtSelection: (axis, after) => {
+          const range = selectionRange(get());
+          if (!range) return;
+          const { focus } = get().selection;
+          if (axis === 'row') {
+            const index = after ? range.row + range.rowSpan : range.row;
+            get().addRow(index);
+            get().selectCell(index, Math.min(focus.col, get().cols - 1));
+          } else {
+            const index = after ? range.col + range.colSpan : range.col;
+            get().addColumn(index);
+            get().selectCell(Math.min(focus.row, get().rows - 1), index);
+          }
+        },
+
+        // 删除当前格子所在的行/列，选择留在原位置
+        deleteAtSelection: (axis) => {
+          const state = get();
+          if (!state.selection) return;
+          const focus = clampCell(state.selection.focus, state.rows, state.cols);
+          if (axis === 'row') state.deleteRow(focus.row);
+          else state.deleteColumn(focus.col);
+          const { rows, cols, merges } = get();
+          const anchor = panelAnchor(merges, clampCell(focus, rows, cols));
+          get().selectCell(anchor.row, anchor.col);
+        },
+
+        setPxPerMm: (pxPerMm) => set({ pxPerMm }),
+        openImageEditor: (key, cellAspect) => set({ editingImage: { key, cellAspect } }),
+        closeImageEditor: () => set({ editingImage: null }),
+        openNormalizeDialog: () => set(state => {
+          const range = selectionRange(state);
+          const focus = range ? clampCell(state.selection.focus, state.rows, state.cols) : { row: 0, col: 0 };
+          return { normalizeDialog: { selectionKeys: range ? panelKeysInRange(state, range) : [], ...focus } };
+        }),
+        closeNormalizeDialog: () => set({ normalizeDialog: null }),
+        openChannelMergeEditor: (key) => set({ channelMergeEditor: key }),
+        closeChannelMergeEditor: () => set({ channelMergeEditor: null }),
+        openBulkImport: (files) => set({ bulkImportFiles: files }),
+        closeBulkImport: () => set({ bulkImportFiles: null }),
       
-      setGridDimensions: (rows, cols) => set({ rows, cols }),
+        setGridDimensions: (rows, cols) => commit(state => {
+          state.rows = rows;
+          state.cols = cols;
+        }, 'dimensions'),
       
-      generateGrid: () => set(window.immer.produce(state => {
-        state.images = {};
-        state.captions = Array(state.cols).fill('');
-        state.gridKey = Date.now(); // 强制刷新
-      })),
+        generateGrid: () => commit(state => {
+          state.images = {};
+          state.merges = [];
+          state.annotations = [];
+          state.rowSizes = [];
+          state.colSizes = [];
+          state.captions = Array(state.cols).fill('');
+          state.rowCaptions = [];
+          state.gridKey = Date.now(); // 强制刷新
+        }),
       
-      setImage: async (row, col, file) => {
-        if (!file) {
-          set(window.immer.produce(state => { delete state.images[`${row}-${col}`]; }));
-          return;
-        }
-        const id = crypto.randomUUID();
-        await dbSet(id, file);
-        set(window.immer.produce(state => {
-          state.images[`${row}-${col}`] = { id, name: file.name };
-        }));
-      },
+        // 换成模板的网格结构，已放置的图片与标注按阅读顺序移入新面板
+        applyTemplate: (template) => commit(state => {
+          Object.assign(state, applyTemplateToDocument(state, template).doc);
+          state.selectedAnnotation = null;
+          state.gridKey = Date.now();
+        }),
+
+        saveTemplate: (name) => set(state => ({ templates: [...state.templates, createTemplate(name, state)] })),
+
+        deleteTemplate: (id) => set(state => ({ templates: state.templates.filter(template => template.id !== id) })),
+
+        setImage: async (row, col, file) => {
+          if (!file) {
+            commit(state => { delete state.images[`${row}-${col}`]; });
+            return;
+          }
+          const info = await storeImageFile(file);
+          commit(state => {
+            state.images[`${row}-${col}`] = info;
+          });
+        },
       
-      setCaption: (colIndex, text) => set(window.immer.produce(state => {
-        if (colIndex < state.captions.length) {
-          state.captions[colIndex] = text;
-        }
-      })),
-
-      addRow: (rowIndex) => set(window.immer.produce(state => {
-        const newRows = state.rows + 1;
-        const newImages = {};
-        for (let r = 0; r < newRows; r++) {
-          for (let c = 0; c < state.cols; c++) {
-            let oldRow = r;
-            if (r > rowIndex) oldRow = r - 1;
-            if (r !== rowIndex && state.images[`${oldRow}-${c}`]) {
-              newImages[`${r}-${c}`] = state.images[`${oldRow}-${c}`];
+        // 按 planBulkImport 的计划写入图片；网格尺寸与全部图片作为一步撤销
+        bulkImport: async ({ rows, cols, assignments }, { captionsFromNames }) => {
+          const entries = [];
+          for (const { file, row, col } of assignments) {
+            entries.push({ row, col, info: await storeImageFile(file) });
+          }
+          commit(state => {
+            state.rows = Math.max(state.rows, rows);
+            state.cols = Math.max(state.cols, cols);
+            state.captions = Array.from({ length: state.cols }, (_, i) => state.captions[i] || '');
+            entries.forEach(({ row, col, info }) => { state.images[`${row}-${col}`] = info; });
+            if (captionsFromNames) {
+              // 每列取最上方那张图片的文件名
+              const topmost = {};
+              entries.forEach(entry => {
+                if (!topmost[entry.col] || entry.row < topmost[entry.col].row) topmost[entry.col] = entry;
+              });
+              Object.values(topmost).forEach(({ col, info }) => { state.captions[col] = captionFromFilename(info.name); });
             }
+          });
+        },
+
+        // 重新解码 TIFF / PDF 原文件 (换页或调整 16 位图像的显示范围)。
+        // 解码较慢，期间若有更新的请求则丢弃旧结果
+        setImageSource: async (key, options) => {
+          const info = get().images[key];
+          if (!info || !info.source) return;
+          const requestId = (sourceRequests[key] || 0) + 1;
+          sourceRequests[key] = requestId;
+          const blob = await dbGet(info.source.id);
+          if (!blob) throw new Error('decodeFailed');
+          const decoded = await decodeSource(blob, info.source.kind, {
+            page: options.page ?? info.source.page,
+            // 未指定显示范围 (如换页) 时自动计算
+            window: options.window || null,
+          });
+          if (sourceRequests[key] !== requestId) return;
+          const id = await storeDecodedImage(decoded, info.name);
+          // 统一处理过的图片按同样的参数处理新的解码结果
+          const normalize = info.normalize && { ...info.normalize, baseId: id };
+          const displayId = normalize
+            ? await putImage(new File([await renderNormalized(decoded.blob, normalize)], info.name, { type: 'image/png' }))
+            : id;
+          if (sourceRequests[key] !== requestId) return;
+          commit(state => {
+            const current = state.images[key];
+            if (!current || !current.source || current.source.id !== info.source.id) return;
+            current.id = displayId;
+            if (normalize) current.normalize = normalize;
+            current.width = decoded.width;
+            current.height = decoded.height;
+            Object.assign(current.source, decodedSourceInfo(decoded));
+          }, `source:${key}`);
+        },
+
+        // 统一一组格子的强度、颜色与显示比例，见 utils/normalize.js。
+        // 像素处理总是从处理前的图片重新渲染，SVG 保持矢量不做像素处理；全部格子作为一步撤销。
+        // 返回未做像素处理的 SVG 数量
+        normalizeCells: async (keys, { matchLevels, grayscale, lut, matchScale }) => {
+          const entries = [];
+          for (const key of keys) {
+            const info = get().images[key];
+            if (!info || !info.id) continue;
+            const baseId = info.normalize ? info.normalize.baseId : info.id;
+            entries.push({ key, info, baseId, blob: await dbGet(baseId) });
           }
-        }
-        state.rows = newRows;
-        state.images = newImages;
-      })),
-
-      deleteRow: (rowIndex) => set(window.immer.produce(state => {
-        if (state.rows <= 1) return;
-        const newRows = state.rows - 1;
-        const newImages = {};
-        for (let r = 0; r < newRows; r++) {
-          for (let c = 0; c < state.cols; c++) {
-            const oldRow = r < rowIndex ? r : r + 1;
-            if (state.images[`${oldRow}-${c}`]) {
-              newImages[`${r}-${c}`] = state.images[`${oldRow}-${c}`];
+          // 合并格子只统一显示比例：它的来源格子处理后会重新合成
+          const raster = entries.filter(e => e.blob && e.blob.type !== 'image/svg+xml' && !e.info.channelMerge);
+          let levels = null;
+          if (matchLevels && raster.length > 0) {
+            const ranges = [];
+            for (const e of raster) ranges.push(await measureLevels(e.blob));
+            levels = sharedLevels(ranges);
+          }
+          const normalize = { levels, grayscale, lut };
+          const results = {};
+          for (const e of raster) {
+            if (!hasPixelNormalization(normalize)) {
+              results[e.key] = { id: e.baseId, normalize: null };
+              continue;
             }
+            const png = await renderNormalized(e.blob, normalize);
+            const id = await putImage(new File([png], e.info.name || `${e.key}.png`, { type: 'image/png' }));
+            results[e.key] = { id, normalize: { baseId: e.baseId, ...normalize } };
           }
-        }
-        state.rows = newRows;
-        state.images = newImages;
-      })),
-
-      addColumn: (colIndex) => set(window.immer.produce(state => {
-        const newCols = state.cols + 1;
-        const newImages = {};
-        for (let r = 0; r < state.rows; r++) {
-          for (let c = 0; c < newCols; c++) {
-             let oldCol = c;
-             if (c > colIndex) oldCol = c - 1;
-             if (c !== colIndex && state.images[`${r}-${oldCol}`]) {
-                newImages[`${r}-${c}`] = state.images[`${r}-${oldCol}`];
-             }
+          const zooms = matchScale ? matchDisplayScale(displayScalePanels(get(), entries.map(e => e.key))) : {};
+          commit(state => {
+            entries.forEach(({ key, info }) => {
+              const current = state.images[key];
+              // 处理期间被替换的图片不再修改
+              if (!current || current.id !== info.id) return;
+              const result = results[key];
+              if (result) {
+                current.id = result.id;
+                if (result.normalize) current.normalize = result.normalize;
+                else delete current.normalize;
+              }
+              if (zooms[key] !== undefined) current.edits = { ...withDefaultEdits(current.edits), zoom: zooms[key] };
+            });
+          });
+          return entries.filter(e => e.blob && e.blob.type === 'image/svg+xml').length;
+        },
+
+        // 把格子设为合并格子或更新它的通道，见 utils/channelMerge.js。
+        // 已是合并格子时保留编辑参数与比例尺；合成由 updateChannelMerges 在后台完成
+        setChannelMerge: (key, channels) => commit(state => {
+          const current = state.images[key];
+          const info = current && current.channelMerge ? current : { name: get().t('channelMergeName') };
+          state.images[key] = { ...info, channelMerge: { channels, rendered: info.channelMerge ? info.channelMerge.rendered : null } };
+        }),
+
+        // 图片编辑参数非破坏地保存在 images[key].edits 中
+        setImageEdits: (key, edits) => commit(state => {
+          const info = state.images[key];
+          if (!info) return;
+          if (edits) {
+            info.edits = { ...withDefaultEdits(info.edits), ...edits };
+          } else {
+            delete info.edits;
           }
-        }
-        const newCaptions = [...state.captions];
-        newCaptions.splice(colIndex, 0, '');
-        state.cols = newCols;
-        state.images = newImages;
-        state.captions = newCaptions;
-      })),
-
-      deleteColumn: (colIndex) => set(window.immer.produce(state => {
-        if (state.cols <= 1) return;
-        const newCols = state.cols - 1;
-        const newImages = {};
-        for (let r = 0; r < state.rows; r++) {
-          for (let c = 0; c < newCols; c++) {
-            const oldCol = c < colIndex ? c : c + 1;
-            if (state.images[`${r}-${oldCol}`]) {
-              newImages[`${r}-${c}`] = state.images[`${r}-${oldCol}`];
+        }, `edits:${key}`),
+
+        setScaleBar: (key, patch) => commit(state => {
+          const info = state.images[key];
+          if (info) info.scaleBar = { ...withDefaultScaleBar(info.scaleBar), ...patch };
+        }, `scaleBar:${key}`),
+
+        setCaption: (colIndex, text) => commit(state => {
+          if (colIndex < state.captions.length) {
+            state.captions[colIndex] = text;
+          }
+        }, `caption:${colIndex}`),
+
+        setRowCaption: (rowIndex, text) => commit(state => {
+          state.rowCaptions = Array.from({ length: Math.max(state.rows, state.rowCaptions.length) }, (_, i) => state.rowCaptions[i] || '');
+          state.rowCaptions[rowIndex] = text;
+        }, `rowCaption:${rowIndex}`),
+
+        setTitleText: (text) => commit(state => { state.titleText = text; }, 'titleText'),
+        setLegendText: (text) => commit(state => { state.legendText = text; }, 'legendText'),
+
+        addRow: (rowIndex) => commit(state => {
+          const newRows = state.rows + 1;
+          const newImages = {};
+          for (let r = 0; r < newRows; r++) {
+            for (let c = 0; c < state.cols; c++) {
+              let oldRow = r;
+              if (r > rowIndex) oldRow = r - 1;
+              if (r !== rowIndex && state.images[`${oldRow}-${c}`]) {
+                newImages[`${r}-${c}`] = state.images[`${oldRow}-${c}`];
+              }
             }
           }
-        }
-        const newCaptions = state.captions.filter((_, i) => i !== colIndex);
-        state.cols = newCols;
-        state.images = newImages;
-        state.captions = newCaptions;
-      })),
+          state.rows = newRows;
+          state.images = remapChannelSources(newImages, key => shiftCellKey(key, 'row', rowIndex, 1));
+          state.merges = shiftMergesOnInsert(state.merges, 'row', rowIndex);
+          state.annotations = shiftAnnotationsOnInsert(state.annotations, 'row', rowIndex);
+          state.rowSizes = normalizeTracks(state.rowSizes, newRows - 1);
+          state.rowSizes.splice(rowIndex, 0, defaultTrack);
+          state.rowCaptions = Array.from({ length: newRows - 1 }, (_, i) => state.rowCaptions[i] || '');
+          state.rowCaptions.splice(rowIndex, 0, '');
+        }),
+
+        deleteRow: (rowIndex) => commit(state => {
+          if (state.rows <= 1) return;
+          const newRows = state.rows - 1;
+          const images = { ...state.images };
+          // 锚点所在行被删除时，图片随合并区域移到下一行 (删除后它会回到原位置)；
+          // 以该格子为来源的通道也跟随移动
+          const moved = {};
+          state.merges.forEach(m => {
+            if (m.row !== rowIndex || m.rowSpan <= 1) return;
+            moved[`${m.row}-${m.col}`] = `${m.row + 1}-${m.col}`;
+            if (images[`${m.row}-${m.col}`]) images[`${m.row + 1}-${m.col}`] = images[`${m.row}-${m.col}`];
+          });
+          const newImages = {};
+          for (let r = 0; r < newRows; r++) {
+            for (let c = 0; c < state.cols; c++) {
+              const oldRow = r < rowIndex ? r : r + 1;
+              if (images[`${oldRow}-${c}`]) {
+                newImages[`${r}-${c}`] = images[`${oldRow}-${c}`];
+              }
+            }
+          }
+          state.rows = newRows;
+          state.images = remapChannelSources(newImages, key => shiftCellKey(moved[key] || key, 'row', rowIndex, -1));
+          state.annotations = shiftAnnotationsOnDelete(state.annotations, state.merges, 'row', rowIndex);
+          state.merges = shiftMergesOnDelete(state.merges, 'row', rowIndex);
+          state.rowSizes = normalizeTracks(state.rowSizes, newRows + 1).filter((_, i) => i !== rowIndex);
+          state.rowCaptions = state.rowCaptions.filter((_, i) => i !== rowIndex);
+        }),
+
+        addColumn: (colIndex) => commit(state => {
+          const newCols = state.cols + 1;
+          const newImages = {};
+          for (let r = 0; r < state.rows; r++) {
+            for (let c = 0; c < newCols; c++) {
+               let oldCol = c;
+               if (c > colIndex) oldCol = c - 1;
+               if (c !== colIndex && state.images[`${r}-${oldCol}`]) {
+                  newImages[`${r}-${c}`] = state.images[`${r}-${oldCol}`];
+               }
+            }
+          }
+          const newCaptions = [...state.captions];
+          newCaptions.splice(colIndex, 0, '');
+          state.cols = newCols;
+          state.images = remapChannelSources(newImages, key => shiftCellKey(key, 'col', colIndex, 1));
+          state.captions = newCaptions;
+          state.merges = shiftMergesOnInsert(state.merges, 'col', colIndex);
+          state.annotations = shiftAnnotationsOnInsert(state.annotations, 'col', colIndex);
+          state.colSizes = normalizeTracks(state.colSizes, newCols - 1);
+          state.colSizes.splice(colIndex, 0, defaultTrack);
+        }),
+
+        deleteColumn: (colIndex) => commit(state => {
+          if (state.cols <= 1) return;
+          const newCols = state.cols - 1;
+          const images = { ...state.images };
+          // 锚点所在列被删除时，图片随合并区域移到右侧一列 (删除后它会回到原位置)；
+          // 以该格子为来源的通道也跟随移动
+          const moved = {};
+          state.merges.forEach(m => {
+            if (m.col !== colIndex || m.colSpan <= 1) return;
+            moved[`${m.row}-${m.col}`] = `${m.row}-${m.col + 1}`;
+            if (images[`${m.row}-${m.col}`]) images[`${m.row}-${m.col + 1}`] = images[`${m.row}-${m.col}`];
+          });
+          const newImages = {};
+          for (let r = 0; r < state.rows; r++) {
+            for (let c = 0; c < newCols; c++) {
+              const oldCol = c < colIndex ? c : c + 1;
+              if (images[`${r}-${oldCol}`]) {
+                newImages[`${r}-${c}`] = images[`${r}-${oldCol}`];
+              }
+            }
+          }
+          const newCaptions = state.captions.filter((_, i) => i !== colIndex);
+          state.cols = newCols;
+          state.images = remapChannelSources(newImages, key => shiftCellKey(moved[key] || key, 'col', colIndex, -1));
+          state.captions = newCaptions;
+          state.annotations = shiftAnnotationsOnDelete(state.annotations, state.merges, 'col', colIndex);
+          state.merges = shiftMergesOnDelete(state.merges, 'col', colIndex);
+          state.colSizes = normalizeTracks(state.colSizes, newCols + 1).filter((_, i) => i !== colIndex);
+        }),
+
+        // 合并矩形区域 { row, col, rowSpan, colSpan }，只保留区域内的第一张图片
+        mergeCells: (range) => commit(state => {
+          const area = expandRange(state.merges, range);
+          if (area.rowSpan === 1 && area.colSpan === 1) return;
+          const [firstKey, ...rest] = imageKeysInRange(state.images, area);
+          const anchorKey = `${area.row}-${area.col}`;
+          if (firstKey && firstKey !== anchorKey) {
+            state.images[anchorKey] = state.images[firstKey];
+            delete state.images[firstKey];
+          }
+          rest.forEach(key => { delete state.images[key]; });
+          state.merges = state.merges.filter(m => !rangesOverlap(m, area));
+          state.merges.push(area);
+        }),
+
+        splitCell: (row, col) => commit(state => {
+          state.merges = state.merges.filter(m => m.row !== row || m.col !== col);
+        }),
+
+        // 交换两个格子的图片，锚定在其上的标注随图片一起交换
+        swapCells: (fromKey, toKey) => commit(state => {
+          const from = state.images[fromKey];
+          const to = state.images[toKey];
+          if (from) state.images[toKey] = from; else delete state.images[toKey];
+          if (to) state.images[fromKey] = to; else delete state.images[fromKey];
+          state.images = remapChannelSources(state.images, key => (key === fromKey ? toKey : key === toKey ? fromKey : key));
+          const [fromRow, fromCol] = fromKey.split('-').map(Number);
+          const [toRow, toCol] = toKey.split('-').map(Number);
+          state.annotations.forEach(a => {
+            if (a.row === fromRow && a.col === fromCol) {
+              a.row = toRow;
+              a.col = toCol;
+            } else if (a.row === toRow && a.col === toCol) {
+              a.row = fromRow;
+              a.col = fromCol;
+            }
+          });
+        }),
+
+        // 返回是否移动成功 (会拆开合并区域时拒绝移动)
+        moveRow: (from, to) => {
+          let moved = true;
+          commit(state => { moved = moveTrack(state, 'row', from, to); });
+          return moved;
+        },
+
+        moveColumn: (from, to) => {
+          let moved = true;
+          commit(state => { moved = moveTrack(state, 'col', from, to); });
+          return moved;
+        },
+
+        // changes: { index: { mode, value } }
+        setTrackSizes: (axis, changes) => commit(state => {
+          const key = axis === 'row' ? 'rowSizes' : 'colSizes';
+          const tracks = normalizeTracks(state[key], axis === 'row' ? state.rows : state.cols);
+          Object.entries(changes).forEach(([index, size]) => { tracks[index] = size; });
+          state[key] = tracks;
+        }, `tracks:${axis}`),
+
+        resetTrackSizes: () => commit(state => {
+          state.rowSizes = [];
+          state.colSizes = [];
+        }),
+
+        autoFitTracks: async () => {
+          const { rows, cols, images, merges } = get();
+          const aspects = {};
+          for (const [key, info] of Object.entries(images)) {
+            const [r, c] = key.split('-').map(Number);
+            const merge = findMerge(merges, r, c);
+            if (r >= rows || c >= cols || merge) continue;
+            if (!info.id) continue; // 尚未合成的合并格子
+            const size = info.width && info.height ? info : await getImageSize(await dbGet(info.id)).catch(() => null);
+            if (size && size.width && size.height) {
+              // 按裁剪、旋转后的尺寸计算
+              const effective = effectiveSize(size.width, size.height, info.edits);
+              aspects[key] = effective.width / effective.height;
+            }
+          }
+          const { rowSizes, colSizes } = fitTracksToAspects(aspects, rows, cols);
+          commit(state => {
+            state.rowSizes = rowSizes;
+            state.colSizes = colSizes;
+          });
+        },
       
-      saveToHistory: () => set(window.immer.produce(state => {
-        const currentState = {
-          rows: state.rows,
-          cols: state.cols,
-          images: { ...state.images },
-          captions: [...state.captions],
-          styles: { ...state.styles },
-          timestamp: new Date().toISOString(),
-        };
-        state.history.unshift(currentState);
-        if (state.history.length > 20) { // 最多保存20条
-          state.history.pop();
-        }
-      })),
+        // --- 标注 ---
+        setAnnotationTool: (tool) => set({ annotationTool: tool, selectedAnnotation: null }),
+        selectAnnotation: (id) => set({ selectedAnnotation: id }),
+
+        addAnnotation: (annotation) => {
+          const id = crypto.randomUUID();
+          commit(state => {
+            state.annotations.push({ ...annotation, id, style: { ...state.annotationStyle } });
+          });
+          set({ selectedAnnotation: id, annotationTool: null });
+        },
+
+        // 拖动、改样式等连续修改按标注合并为一步撤销
+        updateAnnotation: (id, patch) => commit(state => {
+          const annotation = state.annotations.find(a => a.id === id);
+          if (annotation) Object.assign(annotation, patch);
+        }, `annotation:${id}`),
+
+        deleteAnnotation: (id) => {
+          commit(state => {
+            state.annotations = state.annotations.filter(a => a.id !== id);
+          });
+          set({ selectedAnnotation: null });
+        },
+
+        // 有选中标注时修改它的样式，并作为之后新建标注的默认样式
+        setAnnotationStyle: (key, value) => {
+          const { selectedAnnotation, annotations } = get();
+          set(state => ({ annotationStyle: { ...state.annotationStyle, [key]: value } }));
+          const annotation = annotations.find(a => a.id === selectedAnnotation);
+          if (annotation) {
+            get().updateAnnotation(annotation.id, { style: { ...withDefaultAnnotationStyle(annotation.style), [key]: value } });
+          }
+        },
+      
+        // 快照直接引用当前的文档对象 (immer 保证它们不会再被修改)
+        saveToHistory: ({ name, note = '', trigger = 'manual', thumbnail = null }) => set(state => ({
+          history: pruneHistory([
+            { ...takeSnapshot(state), timestamp: new Date().toISOString(), name, note, trigger, thumbnail },
+            ...state.history,
+          ], state.historySettings.limit),
+        })),
+
+        updateHistoryEntry: (timestamp, patch) => set(state => ({
+          history: state.history.map(entry => (entry.timestamp === timestamp ? { ...entry, ...patch } : entry)),
+        })),
+
+        setHistorySettings: (patch) => set(state => {
+          const historySettings = { ...state.historySettings, ...patch };
+          return { historySettings, history: pruneHistory(state.history, historySettings.limit) };
+        }),
       
-      restoreFromHistory: (timestamp) => set(window.immer.produce(state => {
-        const historyEntry = state.history.find(h => h.timestamp === timestamp);
-        if (historyEntry) {
-          state.rows = historyEntry.rows;
-          state.cols = historyEntry.cols;
-          state.images = historyEntry.images;
-          state.captions = historyEntry.captions;
-          state.styles = historyEntry.styles;
+        restoreFromHistory: (timestamp) => commit(state => {
+          const historyEntry = state.history.find(h => h.timestamp === timestamp);
+          if (historyEntry) {
+            state.rows = historyEntry.rows;
+            state.cols = historyEntry.cols;
+            state.images = historyEntry.images;
+            state.merges = historyEntry.merges || [];
+            state.rowSizes = historyEntry.rowSizes || [];
+            state.colSizes = historyEntry.colSizes || [];
+            state.captions = historyEntry.captions;
+            state.rowCaptions = historyEntry.rowCaptions || [];
+            state.titleText = historyEntry.titleText || '';
+            state.legendText = historyEntry.legendText || '';
+            state.styles = withDefaultStyles(historyEntry.styles);
+            state.annotations = historyEntry.annotations || [];
+            state.gridKey = Date.now();
+          }
+        }),
+
+        // 载入导入的项目 (图片已写入数据库并换成新的 id)
+        loadProject: (doc) => commit(state => {
+          state.rows = doc.rows;
+          state.cols = doc.cols;
+          state.images = doc.images;
+          state.merges = doc.merges || [];
+          state.rowSizes = doc.rowSizes || [];
+          state.colSizes = doc.colSizes || [];
+          state.captions = doc.captions;
+          state.rowCaptions = doc.rowCaptions || [];
+          state.titleText = doc.titleText || '';
+          state.legendText = doc.legendText || '';
+          state.styles = withDefaultStyles(doc.styles);
+          state.annotations = doc.annotations || [];
           state.gridKey = Date.now();
-        }
-      })),
+        }),
+
+        deleteFromHistory: (timestamp) => set(produce(state => {
+          state.history = state.history.filter(h => h.timestamp !== timestamp);
+        })),
+
+        // --- 项目 ---
+        // 切换后撤销栈清空；离开的项目已由 persist 写回数据库
+        switchProject: async (id) => {
+          const record = await getProject(id);
+          if (!record) throw new Error('projectNotFound');
+          set({
+            ...emptyDocument,
+            ...record.doc,
+            styles: withDefaultStyles(record.doc && record.doc.styles),
+            history: record.history || [],
+            projectId: record.id,
+            projectName: record.name,
+            gridKey: Date.now(),
+            editingImage: null,
+            bulkImportFiles: null,
+            selectedAnnotation: null,
+            selection: null,
+            past: [],
+            future: [],
+            lastCommit: { key: null, time: 0 },
+          });
+        },
+
+        createProject: async (name) => {
+          const record = createProjectRecord({ name });
+          await putProject(record);
+          await get().switchProject(record.id);
+        },
+
+        // 复制项目 (图片按内容存储，副本与原项目共用)，不切换
+        duplicateProject: async (id) => {
+          const state = get();
+          const source = await getProject(id);
+          if (!source) throw new Error('projectNotFound');
+          const isCurrent = id === state.projectId;
+          const record = createProjectRecord({
+            name: get().t('projectCopyName', { name: isCurrent ? state.projectName : source.name }),
+            doc: isCurrent ? takeSnapshot(state) : source.doc,
+            history: isCurrent ? state.history : source.history,
+            thumbnail: source.thumbnail,
+          });
+          await putProject(record);
+        },
+
+        // 当前项目的名称随状态保存，其他项目直接修改记录
+        renameProject: async (id, name) => {
+          if (id === get().projectId) {
+            set({ projectName: name });
+          } else {
+            await updateProject(id, { name });
+          }
+        },
+
+        // 删除当前项目时先切换到最近修改的其他项目，没有则新建一个
+        deleteProject: async (id) => {
+          if (id === get().projectId) {
+            const next = (await listProjects()).find(project => project.id !== id);
+            if (next) {
+              await get().switchProject(next.id);
+            } else {
+              await get().createProject(get().t('untitledProject'));
+            }
+          }
+          await deleteProjectRecord(id);
+        },
+
+        // 清空撤销/重做栈，释放只被其引用的图片
+        clearUndoHistory: () => set({ past: [], future: [], lastCommit: { key: null, time: 0 } }),
+
+        refreshStorageEstimate: async () => set({ storageEstimate: await estimateStorage() }),
 
-      deleteFromHistory: (timestamp) => set(window.immer.produce(state => {
-        state.history = state.history.filter(h => h.timestamp !== timestamp);
-      })),
+        undo: () => {
+          const state = get();
+          if (state.past.length === 0) return;
+          set({
+            ...state.past[state.past.length - 1],
+            past: state.past.slice(0, -1),
+            future: [takeSnapshot(state), ...state.future],
+            lastCommit: { key: null, time: 0 },
+          });
+        },
+
+        redo: () => {
+          const state = get();
+          if (state.future.length === 0) return;
+          set({
+            ...state.future[0],
+            past: [...state.past, takeSnapshot(state)],
+            future: state.future.slice(1),
+            lastCommit: { key: null, time: 0 },
+          });
+        },
 
-    }),
+      };
+    },
     {
-      name: 'figure-collage-storage', // local storage key
-      storage: createJSONStorage(() => localStorage),
-      partialize: (state) => ({
-        lang: state.lang,
-        rows: state.rows,
-        cols: state.cols,
-        images: state.images,
-        captions: state.captions,
-        styles: state.styles,
-        history: state.history,
+      name: 'figure-collage-storage',
+      storage: workspaceStorage,
+      partialize: persistedState,
+      // 载入失败时 zustand 不会结束 hydration，记录错误以便显示；
+      // 成功时告知存储载入的内容，之后的第一次修改即可写入
+      onRehydrateStorage: () => (state, error) => {
+        if (error) useStore.setState({ loadError: error });
+        else if (state && workspaceStorage) workspaceStorage.markLoaded(persistedState(state));
+      },
+      merge: (persisted, current) => ({
+        ...current,
+        ...persisted,
+        styles: withDefaultStyles(persisted?.styles),
+        historySettings: { ...defaultHistorySettings, ...persisted?.historySettings },
+        complianceSettings: { ...defaultComplianceSettings, ...persisted?.complianceSettings },
       }),
     }
   )
 );
 
+// --- 图片回收 ---
+// 当前文档、历史记录、撤销/重做栈、复制的格子以及其他项目共同引用数据库中的图片；
+// 其中任一变化后稍等片刻，删除引用计数为 0 的图片
+const GC_DELAY_MS = 3000;
+let gcTimer = null;
+
+// 其他项目的文档与历史记录 (当前项目以内存中的状态为准)
+const otherProjectDocs = async (projectId) => (await listProjects())
+  .filter(project => project.id !== projectId)
+  .flatMap(project => [project.doc, ...(project.history || [])]);
+
+const referencedImages = async (state) => countImageReferences([
+  state, ...state.history, ...state.past, ...state.future,
+  { images: { clipboard: state.cellClipboard } },
+  ...await otherProjectDocs(state.projectId),
+]);
+
+const runImageGC = async () => {
+  clearTimeout(gcTimer);
+  const result = await collectGarbage(await referencedImages(useStore.getState()));
+  await useStore.getState().refreshStorageEstimate();
+  return result;
+};
+
+useStore.subscribe((state, prev) => {
+  if (['images', 'history', 'past', 'future'].every(key => state[key] === prev[key])) return;
+  clearTimeout(gcTimer);
+  gcTimer = setTimeout(() => {
+    runImageGC().catch(error => console.error("Image garbage collection failed:", error));
+  }, GC_DELAY_MS);
+});
+
+// --- 通道合并 ---
+// 合并格子的输入 (来源图片、通道颜色与亮度) 变化后在后台重新合成，见 utils/channelMerge.js。
+// 合成结果直接写入状态而不进入撤销栈：撤销时来源图片与当时的合成结果一起恢复，不需要重新合成
+let channelMergeRunning = false;
+let channelMergeDirty = false;
+
+// 按当前的来源图片合成，没有任何通道有图片时返回 null
+const renderChannelMerge = async (images, channelMerge) => {
+  const channels = [];
+  for (const channel of channelMerge.channels) {
+    const id = channelSourceId(images, channel);
+    const blob = id && await dbGet(id);
+    if (blob) channels.push({ blob, color: channel.color, brightness: channel.brightness });
+  }
+  return channels.length > 0 ? composeChannels(channels) : null;
+};
+
+const updateChannelMerges = async () => {
+  if (channelMergeRunning) {
+    channelMergeDirty = true;
+    return;
+  }
+  channelMergeRunning = true;
+  try {
+    do {
+      channelMergeDirty = false;
+      const { images } = useStore.getState();
+      for (const [key, info] of Object.entries(images)) {
+        if (!info || !info.channelMerge) continue;
+        const signature = channelMergeSignature(images, info.channelMerge);
+        if (signature === info.channelMerge.rendered) continue;
+        // 一个格子合成失败时记下错误并继续处理其他格子；输入不变时不再重试
+        let composite = null;
+        let id = null;
+        let error = null;
+        try {
+          composite = await renderChannelMerge(images, info.channelMerge);
+          id = composite && await putImage(new File([composite.blob], `${info.name || key}.png`, { type: 'image/png' }));
+        } catch (e) {
+          console.error("Channel merge failed:", e);
+          error = e;
+        }
+        useStore.setState(produce(state => {
+          const current = state.images[key];
+          // 合成期间输入又有变化时丢弃结果，由下一轮重新合成
+          if (!current || !current.channelMerge || channelMergeSignature(state.images, current.channelMerge) !== signature) return;
+          if (error) {
+            current.channelMerge.error = error.message;
+          } else {
+            if (composite) {
+              current.id = id;
+              current.width = composite.width;
+              current.height = composite.height;
+            } else {
+              delete current.id;
+            }
+            delete current.channelMerge.error;
+          }
+          current.channelMerge.rendered = signature;
+        }));
+      }
+    } while (channelMergeDirty);
+  } finally {
+    channelMergeRunning = false;
+  }
+};
+
+useStore.subscribe((state, prev) => {
+  if (state.images === prev.images) return;
+  updateChannelMerges().catch(error => console.error("Channel merge failed:", error));
+});
+
 // --- UI 组件 ---
 
 // 1. 单个图片格子
-const GridCell = ({ row, col }) => {
+// 元素内容区尺寸 (不含边框)，随布局变化更新
+const useElementSize = (ref) => {
+  const [size, setSize] = useState({ width: 0, height: 0 });
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+    const updateSize = () => setSize({ width: el.clientWidth, height: el.clientHeight });
+    updateSize();
+    const observer = new ResizeObserver(updateSize);
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [ref]);
+  return size;
+};
+
+const GridCell = ({ row, col, rowSpan = 1, colSpan = 1 }) => {
   const t = useStore(state => state.t);
   const imageInfo = useStore(state => state.images[`${row}-${col}`]);
   const setImage = useStore(state => state.setImage);
+  const canMergeRight = useStore(state => col + colSpan < state.cols);
+  const canMergeDown = useStore(state => row + rowSpan < state.rows);
+  const labelStyle = useStore(state => state.styles.panelLabels);
+  const pxPerMm = useStore(state => state.pxPerMm);
+  const scaleBarFont = useStore(state => state.styles.panelLabels.fontFamily);
+  const panelLabel = useStore(state => state.styles.panelLabels.enabled ? getPanelLabels(state)[`${row}-${col}`] : null);
+  const isHighlighted = useStore(state => state.highlightedCell === `${row}-${col}`);
+  const isSelected = useStore(state => {
+    const range = selectionRange(state);
+    return !!range && rangesOverlap(range, { row, col, rowSpan, colSpan });
+  });
   const imageUploadError = useMemo(() => t('imageUploadError'), [t]);
 
   const [imageUrl, setImageUrl] = useState(null);
+  const [loadedSize, setLoadedSize] = useState(null);
   const [isDragging, setIsDragging] = useState(false);
   const fileInputRef = useRef(null);
+  const cellRef = useRef(null);
+  const cellSize = useElementSize(cellRef);
+
+  // 旧数据可能没有记录原图尺寸，此时以加载后的尺寸为准
+  const naturalSize = imageInfo && imageInfo.width && imageInfo.height ? imageInfo : loadedSize;
+  const placement = imageUrl && naturalSize && cellSize.width > 0 && cellSize.height > 0
+    ? computeImagePlacement(cellSize.width, cellSize.height, naturalSize.width, naturalSize.height, imageInfo.edits)
+    : null;
 
   useEffect(() => {
     let objectUrl;
@@ -347,8 +2179,11 @@ const GridCell = ({ row, col }) => {
   const handleFileChange = (files) => {
     if (files && files[0]) {
       const file = files[0];
-      if (file.type.startsWith('image/')) {
-        setImage(row, col, file);
+      if (isImageFile(file)) {
+        setImage(row, col, file).catch(error => {
+          console.error(imageUploadError, error);
+          alert(t(error.message));
+        });
       } else {
         alert(imageUploadError);
       }
@@ -357,10 +2192,22 @@ const GridCell = ({ row, col }) => {
 
   const handlePaste = (e) => {
     const items = e.clipboardData.items;
+    const pastedImages = [...items].filter(item => item.type.indexOf('image') !== -1);
+    // 剪贴板中没有图片时粘贴复制的格子
+    const { cellClipboard, pasteToSelection } = useStore.getState();
+    if (pastedImages.length === 0 && cellClipboard) {
+      e.preventDefault();
+      pasteToSelection();
+      return;
+    }
+    if (pastedImages.length > 1) {
+      e.preventDefault();
+      useStore.getState().openBulkImport(pastedImages.map(item => item.getAsFile()));
+      return;
+    }
     for (let i = 0; i < items.length; i++) {
       if (items[i].type.indexOf('image') !== -1) {
-        const file = items[i].getAsFile();
-        setImage(row, col, file);
+        handleFileChange([items[i].getAsFile()]);
         e.preventDefault();
         break;
       }
@@ -371,10 +2218,27 @@ const GridCell = ({ row, col }) => {
     e.preventDefault();
     e.stopPropagation();
     setIsDragging(false);
+    const fromKey = e.dataTransfer.getData(CELL_DRAG_TYPE);
+    if (fromKey) {
+      if (fromKey !== `${row}-${col}`) useStore.getState().swapCells(fromKey, `${row}-${col}`);
+      return;
+    }
+    // 一次拖入多个文件时走批量导入
+    if (e.dataTransfer.files.length > 1) {
+      useStore.getState().openBulkImport([...e.dataTransfer.files]);
+      return;
+    }
     handleFileChange(e.dataTransfer.files);
   };
+
+  const handleDragStart = (e) => {
+    e.dataTransfer.setData(CELL_DRAG_TYPE, `${row}-${col}`);
+    e.dataTransfer.effectAllowed = 'move';
+  };
   
   const handleDragOver = (e) => {
+    // 行/列拖拽不落在格子上
+    if (e.dataTransfer.types.includes(ROW_DRAG_TYPE) || e.dataTransfer.types.includes(COL_DRAG_TYPE)) return;
     e.preventDefault();
     e.stopPropagation();
     setIsDragging(true);
@@ -386,384 +2250,3467 @@ const GridCell = ({ row, col }) => {
     setIsDragging(false);
   };
 
+  const handleMerge = (e, range) => {
+    e.stopPropagation();
+    const { images, merges, mergeCells } = useStore.getState();
+    if (imageKeysInRange(images, expandRange(merges, range)).length > 1 && !window.confirm(t('mergeDiscardConfirm'))) {
+      return;
+    }
+    mergeCells(range);
+  };
+
+  const handleSplit = (e) => {
+    e.stopPropagation();
+    useStore.getState().splitCell(row, col);
+  };
+
+  const handleEdit = (e) => {
+    e.stopPropagation();
+    useStore.getState().openImageEditor(`${row}-${col}`, cellSize.width / cellSize.height);
+  };
+
+  const handleChannelMerge = (e) => {
+    e.stopPropagation();
+    useStore.getState().openChannelMergeEditor(`${row}-${col}`);
+  };
+
+  const imageProps = imageInfo && {
+    src: imageUrl,
+    alt: `Cell ${row}-${col}`,
+    draggable: false,
+  };
+
   return (
     <div 
-      className={`relative aspect-w-16 aspect-h-9 bg-slate-700/50 border border-dashed border-slate-500 transition-all duration-200 ${isDragging ? 'border-sky-400 bg-sky-900/50' : ''}`}
-      onClick={() => fileInputRef.current.click()}
+      className={`relative group overflow-hidden bg-slate-700/50 border border-dashed border-slate-500 transition-all duration-200 ${isDragging ? 'border-sky-400 bg-sky-900/50' : ''} ${isHighlighted ? 'ring-4 ring-amber-400' : ''}`}
+      style={{ gridRow: `${row + 1} / span ${rowSpan}`, gridColumn: `${col + 1} / span ${colSpan}` }}
+      onClick={e => useStore.getState().selectCell(row, col, e.shiftKey)}
+      onDoubleClick={e => { if (!e.target.closest('button')) fileInputRef.current.click(); }}
+      onFocus={() => { if (!useStore.getState().selection) useStore.getState().selectCell(row, col); }}
       onPaste={handlePaste}
       onDrop={handleDrop}
       onDragOver={handleDragOver}
       onDragLeave={handleDragLeave}
-      tabIndex={0} // Make it focusable for paste
+      draggable={!!imageInfo}
+      onDragStart={handleDragStart}
+      title={imageInfo ? t('dragCell') : undefined}
+      tabIndex={0} // 可获得焦点，用于粘贴与键盘操作
+      ref={cellRef}
+      data-cell={`${row}-${col}`}
     >
       <input
         type="file"
         ref={fileInputRef}
         className="hidden"
-        accept="image/*"
+        accept={IMAGE_ACCEPT}
         onChange={(e) => handleFileChange(e.target.files)}
       />
-      {imageUrl ? (
-        <img src={imageUrl} className="w-full h-full object-contain" alt={`Cell ${row}-${col}`} />
+      {imageUrl && placement ? (
+        // 裁剪框居中于显示区域，绕中心旋转/翻转
+        <div
+          className="absolute overflow-hidden"
+          style={{
+            left: placement.x + (placement.width - placement.cropWidth) / 2,
+            top: placement.y + (placement.height - placement.cropHeight) / 2,
+            width: placement.cropWidth,
+            height: placement.cropHeight,
+            transform: placementTransform(placement),
+          }}
+        >
+          <img
+            {...imageProps}
+            className="absolute max-w-none"
+            style={{ left: placement.offsetX, top: placement.offsetY, width: placement.imageWidth, height: placement.imageHeight }}
+          />
+        </div>
+      ) : imageUrl ? (
+        <img
+          {...imageProps}
+          className="w-full h-full object-contain"
+          onLoad={e => setLoadedSize({ width: e.target.naturalWidth, height: e.target.naturalHeight })}
+        />
       ) : (
-        <div className="flex flex-col items-center justify-center text-slate-400 text-center p-2">
-          <UploadCloud size={24} className="mb-2" />
-          <span className="text-xs">{t('uploadPlaceholder')}</span>
+        <div className="flex flex-col items-center justify-center h-full text-slate-400 text-center p-2">
+          {imageInfo && imageInfo.channelMerge ? <Layers size={24} className="mb-2" /> : <UploadCloud size={24} className="mb-2" />}
+          <span className="text-xs">{t(imageInfo && imageInfo.channelMerge ? 'channelMergeEmpty' : 'uploadPlaceholder')}</span>
         </div>
       )}
+      {placement && isScaleBarVisible(imageInfo.scaleBar) && (
+        <ScaleBar
+          scaleBar={withDefaultScaleBar(imageInfo.scaleBar)}
+          placement={placement}
+          naturalWidth={naturalSize.width}
+          cellSize={cellSize}
+          fontFamily={scaleBarFont}
+          pxPerMm={pxPerMm}
+        />
+      )}
+      {panelLabel && <PanelLabel text={panelLabel} labelStyle={labelStyle} pxPerMm={pxPerMm} />}
+      {imageInfo && imageInfo.channelMerge && imageInfo.channelMerge.error && (
+        <div className="interactive-control absolute bottom-1 left-1 right-1 flex items-center gap-1 p-1 rounded bg-slate-900/80 text-xs text-amber-300 pointer-events-none">
+          <AlertTriangle size={14} className="flex-shrink-0"/>
+          <span className="truncate">{t(imageInfo.channelMerge.error)}</span>
+        </div>
+      )}
+      {isSelected && <span className="interactive-control absolute inset-0 ring-2 ring-inset ring-sky-400 bg-sky-400/10 pointer-events-none"></span>}
+      <div className="absolute top-1 right-1 flex space-x-1 opacity-0 group-hover:opacity-100 transition-opacity interactive-control">
+        <button onClick={handleChannelMerge} title={t('channelMerge')} className="p-1 rounded bg-slate-900/70 text-slate-300 hover:text-sky-400"><Layers size={14}/></button>
+        {imageInfo && imageInfo.id && (
+          <button onClick={handleEdit} title={t('editImage')} className="p-1 rounded bg-slate-900/70 text-slate-300 hover:text-sky-400"><Crop size={14}/></button>
+        )}
+        {canMergeRight && (
+          <button onClick={e => handleMerge(e, { row, col, rowSpan, colSpan: colSpan + 1 })} title={t('mergeRight')} className="p-1 rounded bg-slate-900/70 text-slate-300 hover:text-sky-400"><ArrowRightToLine size={14}/></button>
+        )}
+        {canMergeDown && (
+          <button onClick={e => handleMerge(e, { row, col, rowSpan: rowSpan + 1, colSpan })} title={t('mergeDown')} className="p-1 rounded bg-slate-900/70 text-slate-300 hover:text-sky-400"><ArrowDownToLine size={14}/></button>
+        )}
+        {(rowSpan > 1 || colSpan > 1) && (
+          <button onClick={handleSplit} title={t('splitCell')} className="p-1 rounded bg-slate-900/70 text-slate-300 hover:text-sky-400"><Ungroup size={14}/></button>
+        )}
+      </div>
     </div>
   );
 };
 
-// 2. 主应用组件
-const FigureCollageApp = () => {
-  const [dependenciesLoaded, setDependenciesLoaded] = useState(false);
-  
-  useEffect(() => {
-    const intervalId = setInterval(() => {
-      if (window.immer && window.htmlToImage && window.jspdf) {
-        setDependenciesLoaded(true);
-        clearInterval(intervalId);
+// 行/列控制条：拖动手柄排序，垃圾桶删除
+const TrackHandle = ({ axis, index, onDelete }) => {
+  const t = useStore(state => state.t);
+  const [isOver, setIsOver] = useState(false);
+  const isRow = axis === 'row';
+  const dragType = isRow ? ROW_DRAG_TYPE : COL_DRAG_TYPE;
+
+  const handleDragStart = (e) => {
+    e.dataTransfer.setData(dragType, String(index));
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer.types.includes(dragType)) return;
+    e.preventDefault();
+    setIsOver(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsOver(false);
+    const from = parseInt(e.dataTransfer.getData(dragType));
+    if (Number.isNaN(from) || from === index) return;
+    const { moveRow, moveColumn } = useStore.getState();
+    const moved = isRow ? moveRow(from, index) : moveColumn(from, index);
+    if (!moved) alert(t('moveBlockedByMerge'));
+  };
+
+  return (
+    <div
+      className={`flex ${isRow ? 'flex-col h-full' : 'w-full'} items-center justify-center gap-1 group rounded interactive-control ${isOver ? 'bg-sky-900/50' : ''}`}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setIsOver(false)}
+      onDrop={handleDrop}
+    >
+      <span draggable onDragStart={handleDragStart} title={t(isRow ? 'dragRow' : 'dragColumn')} className="text-slate-500 hover:text-sky-400 cursor-grab opacity-50 group-hover:opacity-100 transition-opacity">
+        <GripVertical size={16} className={isRow ? '' : 'rotate-90'}/>
+      </span>
+      <button onClick={onDelete} title={t(isRow ? 'deleteRow' : 'deleteColumn')} className="text-slate-500 hover:text-red-500 opacity-50 group-hover:opacity-100 transition-opacity"><Trash2 size={16}/></button>
+    </div>
+  );
+};
+
+// 面板标签，绝对定位在格子角落 (导出时的位置见 figureLayout.js)
+const PanelLabel = ({ text, labelStyle, pxPerMm }) => {
+  const style = {
+    position: 'absolute',
+    ...labelPositionStyles[labelStyle.position],
+    fontFamily: labelStyle.fontFamily,
+    fontSize: `${ptToPx(labelStyle.fontSize, pxPerMm)}px`,
+    fontWeight: labelStyle.fontWeight,
+    color: labelStyle.color,
+    backgroundColor: labelStyle.showBackground ? labelStyle.backgroundColor : 'transparent',
+    padding: labelStyle.showBackground ? `${PANEL_LABEL_PADDING.y}em ${PANEL_LABEL_PADDING.x}em` : 0,
+    lineHeight: TEXT_LINE_HEIGHT,
+    pointerEvents: 'none',
+  };
+  return <span style={style}>{text}</span>;
+};
+
+// --- 标注层 ---
+// 覆盖在网格上方：SVG 绘制图形，文字用 HTML 元素。
+// 选择工具时拖动画布新建标注；无工具时可选中、拖动标注或其端点。
+
+const annotationTools = [
+  { type: null, icon: MousePointer2, label: 'toolSelect' },
+  { type: 'arrow', icon: MoveUpRight, label: 'toolArrow' },
+  { type: 'line', icon: Minus, label: 'toolLine' },
+  { type: 'rect', icon: Square, label: 'toolRect' },
+  { type: 'ellipse', icon: Circle, label: 'toolEllipse' },
+  { type: 'text', icon: Type, label: 'toolText' },
+];
+
+// 图形本身 (坐标为网格内 px)
+const AnnotationShape = ({ type, x1, y1, x2, y2, style, pxPerMm, onPointerDown }) => {
+  const strokeWidth = ptToPx(style.strokeWidth, pxPerMm);
+  const dash = dashPattern(style.dash, strokeWidth);
+  const stroke = { stroke: style.color, strokeWidth, strokeDasharray: dash ? dash.join(' ') : undefined, fill: 'none' };
+  const x = Math.min(x1, x2);
+  const y = Math.min(y1, y2);
+  const width = Math.abs(x2 - x1);
+  const height = Math.abs(y2 - y1);
+
+  let shape;
+  let hitArea;
+  if (type === 'rect') {
+    shape = <rect x={x} y={y} width={width} height={height} {...stroke} />;
+    hitArea = <rect x={x} y={y} width={width} height={height} />;
+  } else if (type === 'ellipse') {
+    shape = <ellipse cx={x + width / 2} cy={y + height / 2} rx={width / 2} ry={height / 2} {...stroke} />;
+    hitArea = <ellipse cx={x + width / 2} cy={y + height / 2} rx={width / 2} ry={height / 2} />;
+  } else {
+    const { shaft, head } = type === 'arrow' ? arrowGeometry(x1, y1, x2, y2, strokeWidth) : { shaft: { x1, y1, x2, y2 }, head: [] };
+    shape = (
+      <>
+        <line {...shaft} {...stroke} />
+        {head.length > 0 && <polygon points={head.map(p => p.join(',')).join(' ')} fill={style.color} />}
+      </>
+    );
+    hitArea = <line x1={x1} y1={y1} x2={x2} y2={y2} />;
+  }
+
+  return (
+    <g data-annotation onPointerDown={onPointerDown} style={{ pointerEvents: onPointerDown ? 'auto' : 'none', cursor: 'move' }}>
+      {shape}
+      {/* 透明的加粗描边，方便点中细线 */}
+      {React.cloneElement(hitArea, { stroke: 'transparent', strokeWidth: Math.max(strokeWidth, 8), fill: 'none', pointerEvents: 'stroke' })}
+    </g>
+  );
+};
+
+const AnnotationLayer = ({ trackSizes }) => {
+  const { t, rows, cols, merges, styles, pxPerMm, annotations, annotationTool, selectedAnnotation, annotationStyle, addAnnotation, updateAnnotation, selectAnnotation, deleteAnnotation, setAnnotationTool } = useStore();
+  const svgRef = useRef(null);
+  const [draft, setDraft] = useState(null);
+
+  const { colWidths, rowHeights } = trackSizes;
+  const colStarts = trackStarts(colWidths, styles.columnGap);
+  const rowStarts = trackStarts(rowHeights, styles.rowGap);
+  const width = mmToPx(colStarts[cols - 1] + colWidths[cols - 1], pxPerMm);
+  const height = mmToPx(rowStarts[rows - 1] + rowHeights[rows - 1], pxPerMm);
+
+  // 锚点格子 (合并区域取整个区域) 的位置，px
+  const cellBox = (row, col) => {
+    const merge = findMerge(merges, row, col);
+    const r0 = merge ? merge.row : row;
+    const c0 = merge ? merge.col : col;
+    const r1 = merge ? Math.min(r0 + merge.rowSpan, rows) - 1 : row;
+    const c1 = merge ? Math.min(c0 + merge.colSpan, cols) - 1 : col;
+    return {
+      x: mmToPx(colStarts[c0], pxPerMm),
+      y: mmToPx(rowStarts[r0], pxPerMm),
+      width: mmToPx(colStarts[c1] + colWidths[c1] - colStarts[c0], pxPerMm),
+      height: mmToPx(rowStarts[r1] + rowHeights[r1] - rowStarts[r0], pxPerMm),
+    };
+  };
+
+  // 点击位置所在的格子 (落在间距中时取左/上方的格子)，返回合并区域的锚点
+  const hitCell = (x, y) => {
+    const lastStart = (starts, value) => Math.max(0, starts.filter(start => start <= value).length - 1);
+    const row = lastStart(rowStarts, y / pxPerMm);
+    const col = lastStart(colStarts, x / pxPerMm);
+    const merge = findMerge(merges, row, col);
+    return merge ? { row: merge.row, col: merge.col } : { row, col };
+  };
+
+  const localPoint = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+
+  const trackPointer = (onMove, onUp) => {
+    const handleUp = () => {
+      window.removeEventListener('pointermove', onMove);
+      window.removeEventListener('pointerup', handleUp);
+      if (onUp) onUp();
+    };
+    window.addEventListener('pointermove', onMove);
+    window.addEventListener('pointerup', handleUp);
+  };
+
+  const startDraw = (e) => {
+    if (!annotationTool) return;
+    e.preventDefault();
+    const point = localPoint(e);
+    const anchor = hitCell(point.x, point.y);
+    const box = cellBox(anchor.row, anchor.col);
+    const toFraction = (p) => ({ x: (p.x - box.x) / box.width, y: (p.y - box.y) / box.height });
+    const start = toFraction(point);
+
+    if (annotationTool === 'text') {
+      const text = window.prompt(t('annotationTextPrompt'));
+      if (text) {
+        addAnnotation({ type: 'text', ...anchor, x1: start.x, y1: start.y, x2: start.x, y2: start.y, text });
+      }
+      return;
+    }
+
+    let end = start;
+    const type = annotationTool;
+    setDraft({ type, box, x1: start.x, y1: start.y, x2: end.x, y2: end.y });
+    trackPointer((ev) => {
+      end = toFraction(localPoint(ev));
+      setDraft(d => d && { ...d, x2: end.x, y2: end.y });
+    }, () => {
+      setDraft(null);
+      // 忽略误点
+      if (Math.hypot((end.x - start.x) * box.width, (end.y - start.y) * box.height) < 3) return;
+      addAnnotation({ type, ...anchor, x1: start.x, y1: start.y, x2: end.x, y2: end.y });
+    });
+  };
+
+  // handle: null 移动整个标注，1 / 2 移动对应端点
+  const startMove = (e, annotation, handle = null) => {
+    if (annotationTool) return;
+    e.preventDefault();
+    e.stopPropagation();
+    selectAnnotation(annotation.id);
+    const box = cellBox(annotation.row, annotation.col);
+    const start = localPoint(e);
+    const { id, x1, y1, x2, y2 } = annotation;
+    trackPointer((ev) => {
+      const p = localPoint(ev);
+      const dx = (p.x - start.x) / box.width;
+      const dy = (p.y - start.y) / box.height;
+      if (handle === 1) updateAnnotation(id, { x1: x1 + dx, y1: y1 + dy });
+      else if (handle === 2) updateAnnotation(id, { x2: x2 + dx, y2: y2 + dy });
+      else updateAnnotation(id, { x1: x1 + dx, y1: y1 + dy, x2: x2 + dx, y2: y2 + dy });
+    });
+  };
+
+  const editText = (annotation) => {
+    const text = window.prompt(t('annotationTextPrompt'), annotation.text);
+    if (text) updateAnnotation(annotation.id, { text });
+  };
+
+  // Delete / Backspace 删除选中的标注，Esc 取消选择；点击标注以外的地方取消选择
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+      const { selectedAnnotation: id } = useStore.getState();
+      if (e.key === 'Escape') {
+        setAnnotationTool(null);
+      } else if (id && (e.key === 'Delete' || e.key === 'Backspace')) {
+        e.preventDefault();
+        deleteAnnotation(id);
+      }
+    };
+    const handlePointerDown = (e) => {
+      if (!e.target.closest('[data-annotation], [data-annotation-toolbar]')) selectAnnotation(null);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('pointerdown', handlePointerDown);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('pointerdown', handlePointerDown);
+    };
+  }, [deleteAnnotation, selectAnnotation, setAnnotationTool]);
+
+  const placed = annotations
+    .filter(a => a.row < rows && a.col < cols)
+    .map(a => {
+      const box = cellBox(a.row, a.col);
+      return {
+        annotation: a,
+        style: withDefaultAnnotationStyle(a.style),
+        x1: box.x + a.x1 * box.width,
+        y1: box.y + a.y1 * box.height,
+        x2: box.x + a.x2 * box.width,
+        y2: box.y + a.y2 * box.height,
+      };
+    });
+  const selected = placed.find(p => p.annotation.id === selectedAnnotation);
+
+  return (
+    <>
+      <svg
+        ref={svgRef}
+        width={width}
+        height={height}
+        className={`absolute top-0 left-0 overflow-visible ${annotationTool ? 'cursor-crosshair' : ''}`}
+        style={{ pointerEvents: annotationTool ? 'auto' : 'none' }}
+        onPointerDown={startDraw}
+      >
+        {placed.filter(p => p.annotation.type !== 'text').map(p => (
+          <AnnotationShape
+            key={p.annotation.id}
+            type={p.annotation.type}
+            x1={p.x1} y1={p.y1} x2={p.x2} y2={p.y2}
+            style={p.style}
+            pxPerMm={pxPerMm}
+            onPointerDown={annotationTool ? null : e => startMove(e, p.annotation)}
+          />
+        ))}
+        {draft && (
+          <AnnotationShape
+            type={draft.type}
+            x1={draft.box.x + draft.x1 * draft.box.width}
+            y1={draft.box.y + draft.y1 * draft.box.height}
+            x2={draft.box.x + draft.x2 * draft.box.width}
+            y2={draft.box.y + draft.y2 * draft.box.height}
+            style={annotationStyle}
+            pxPerMm={pxPerMm}
+          />
+        )}
+        {selected && selected.annotation.type !== 'text' && (
+          <g className="interactive-control" data-annotation>
+            {[1, 2].map(handle => (
+              <circle
+                key={handle}
+                cx={handle === 1 ? selected.x1 : selected.x2}
+                cy={handle === 1 ? selected.y1 : selected.y2}
+                r={4}
+                className="fill-sky-400 stroke-white cursor-pointer"
+                style={{ pointerEvents: 'auto' }}
+                onPointerDown={e => startMove(e, selected.annotation, handle)}
+              />
+            ))}
+          </g>
+        )}
+      </svg>
+      <div className="absolute top-0 left-0" style={{ width, height, pointerEvents: 'none' }}>
+        {placed.filter(p => p.annotation.type === 'text').map(p => (
+          <div
+            key={p.annotation.id}
+            data-annotation
+            onPointerDown={e => startMove(e, p.annotation)}
+            onDoubleClick={() => editText(p.annotation)}
+            style={{
+              position: 'absolute',
+              left: p.x1,
+              top: p.y1,
+              color: p.style.color,
+              fontFamily: p.style.fontFamily,
+              fontSize: `${ptToPx(p.style.fontSize, pxPerMm)}px`,
+              fontWeight: p.style.fontWeight,
+              lineHeight: TEXT_LINE_HEIGHT,
+              whiteSpace: 'pre',
+              cursor: 'move',
+              pointerEvents: annotationTool ? 'none' : 'auto',
+            }}
+          >
+            {p.annotation.text}
+            {p.annotation.id === selectedAnnotation && (
+              <span className="interactive-control absolute -inset-1 border border-dashed border-sky-400 pointer-events-none"></span>
+            )}
+          </div>
+        ))}
+      </div>
+    </>
+  );
+};
+
+// 标注工具栏：工具切换，以及选中标注 (或新建标注) 的样式
+const AnnotationToolbar = () => {
+  const { t, annotations, annotationTool, selectedAnnotation, annotationStyle, setAnnotationTool, setAnnotationStyle, updateAnnotation, deleteAnnotation } = useStore();
+  const selected = annotations.find(a => a.id === selectedAnnotation);
+  const style = selected ? withDefaultAnnotationStyle(selected.style) : annotationStyle;
+  const isText = selected ? selected.type === 'text' : annotationTool === 'text';
+  const controlClass = "bg-slate-700 border-slate-600 rounded-md p-1 text-sm";
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-4" data-annotation-toolbar>
+      <div className="flex bg-slate-700 rounded-md p-1 space-x-1">
+        {annotationTools.map(tool => {
+          const Icon = tool.icon;
+          return (
+            <button
+              key={tool.label}
+              onClick={() => setAnnotationTool(tool.type)}
+              title={t(tool.label)}
+              className={`p-1.5 rounded ${annotationTool === tool.type ? 'bg-sky-600 text-white' : 'text-slate-300 hover:bg-slate-600'}`}
+            >
+              <Icon size={16}/>
+            </button>
+          );
+        })}
+      </div>
+      <input type="color" value={style.color} onChange={e => setAnnotationStyle('color', e.target.value)} title={t('annotationColor')} className="h-8 w-10 p-0.5 bg-slate-700 border-slate-600 rounded-md cursor-pointer"/>
+      {isText ? (
+        <>
+          <select value={style.fontFamily} onChange={e => setAnnotationStyle('fontFamily', e.target.value)} title={t('labelFontFamily')} className={controlClass}>
+            {fontFamilyOptions.map(font => <option key={font.value} value={font.value}>{font.label}</option>)}
+          </select>
+          <label className="flex items-center space-x-1 text-sm text-slate-300">
+            <input type="number" min="4" max="72" step="0.5" value={style.fontSize} onChange={e => setAnnotationStyle('fontSize', parseFloat(e.target.value) || style.fontSize)} title={t('labelFontSize')} className={`${controlClass} w-16`}/>
+            <span>pt</span>
+          </label>
+          <select value={style.fontWeight} onChange={e => setAnnotationStyle('fontWeight', e.target.value)} title={t('labelFontWeight')} className={controlClass}>
+            <option value="normal">{t('fontWeightNormal')}</option>
+            <option value="bold">{t('fontWeightBold')}</option>
+          </select>
+          {selected && (
+            <input type="text" value={selected.text} onChange={e => updateAnnotation(selected.id, { text: e.target.value })} placeholder={t('annotationText')} className={`${controlClass} min-w-[160px]`}/>
+          )}
+        </>
+      ) : (
+        <>
+          <label className="flex items-center space-x-1 text-sm text-slate-300">
+            <input type="number" min="0.25" max="10" step="0.25" value={style.strokeWidth} onChange={e => setAnnotationStyle('strokeWidth', parseFloat(e.target.value) || style.strokeWidth)} title={t('annotationStrokeWidth')} className={`${controlClass} w-16`}/>
+            <span>pt</span>
+          </label>
+          <select value={style.dash} onChange={e => setAnnotationStyle('dash', e.target.value)} title={t('annotationDash')} className={controlClass}>
+            <option value="solid">{t('dashSolid')}</option>
+            <option value="dashed">{t('dashDashed')}</option>
+            <option value="dotted">{t('dashDotted')}</option>
+          </select>
+        </>
+      )}
+      {selected && (
+        <button onClick={() => deleteAnnotation(selected.id)} title={t('deleteAnnotation')} className="p-1.5 rounded text-slate-400 hover:text-red-500"><Trash2 size={16}/></button>
+      )}
+      <span className="text-xs text-slate-400">{t('annotationHint')}</span>
+    </div>
+  );
+};
+
+// --- 图片编辑弹窗 ---
+// 裁剪框在未旋转的原图上操作；所有参数实时写入 store，格子中立即可见
+
+const cropAspectPresets = { free: null, '1:1': 1, '4:3': 4 / 3, '3:2': 3 / 2, '16:9': 16 / 9 };
+const MIN_CROP = 0.02; // 裁剪框最小边长 (相对原图)
+const PREVIEW_MAX_WIDTH = 560;
+const PREVIEW_MAX_HEIGHT = 360;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const ImageEditor = () => {
+  const { t, editingImage, images, setImageEdits, setScaleBar, closeImageEditor } = useStore();
+  const key = editingImage && editingImage.key;
+  const info = key ? images[key] : null;
+  const [imageUrl, setImageUrl] = useState(null);
+  const [loadedSize, setLoadedSize] = useState(null);
+  const dragRef = useRef(null);
+  const imageId = info && info.id;
+
+  useEffect(() => {
+    let objectUrl;
+    setImageUrl(null);
+    if (imageId) {
+      dbGet(imageId).then(file => {
+        if (file instanceof Blob) {
+          objectUrl = URL.createObjectURL(file);
+          setImageUrl(objectUrl);
+        }
+      }).catch(err => console.error("Failed to get image from DB:", err));
+    }
+    return () => {
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [imageId]);
+
+  // 图片被撤销或删除后关闭弹窗
+  useEffect(() => {
+    if (editingImage && !info) closeImageEditor();
+  }, [editingImage, info, closeImageEditor]);
+
+  useEffect(() => {
+    if (!editingImage) return;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') closeImageEditor();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [editingImage, closeImageEditor]);
+
+  if (!info) return null;
+
+  const edits = withDefaultEdits(info.edits);
+  const natural = info.width && info.height ? info : loadedSize;
+  const update = (patch) => setImageEdits(key, patch);
+
+  // aspectLock 是旋转后的显示比例，换算为原图上裁剪框的像素比例
+  const cropAspect = (aspect, rotation = edits.rotation) => aspect && (rotation % 180 === 0 ? aspect : 1 / aspect);
+  const aspectKey = edits.aspectLock === null
+    ? 'free'
+    : Object.keys(cropAspectPresets).find(k => cropAspectPresets[k] && Math.abs(cropAspectPresets[k] - edits.aspectLock) < 1e-6) || 'cell';
+
+  const handleAspectChange = (value) => {
+    const aspect = value === 'cell' ? editingImage.cellAspect : cropAspectPresets[value];
+    update({
+      aspectLock: aspect,
+      crop: aspect && natural ? fitCropToAspect(edits.crop, cropAspect(aspect), natural.width, natural.height) : edits.crop,
+    });
+  };
+
+  const handleRotate = (delta) => {
+    const rotation = (edits.rotation + delta + 360) % 360;
+    const crop = edits.aspectLock && natural
+      ? fitCropToAspect(edits.crop, cropAspect(edits.aspectLock, rotation), natural.width, natural.height)
+      : edits.crop;
+    update({ rotation, crop });
+  };
+
+  const scale = natural ? Math.min(PREVIEW_MAX_WIDTH / natural.width, PREVIEW_MAX_HEIGHT / natural.height) : 0;
+  const previewWidth = natural ? natural.width * scale : 0;
+  const previewHeight = natural ? natural.height * scale : 0;
+
+  const startDrag = (e, mode) => {
+    e.preventDefault();
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { mode, startX: e.clientX, startY: e.clientY, crop: edits.crop };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag || !natural) return;
+    const dx = (e.clientX - drag.startX) / previewWidth;
+    const dy = (e.clientY - drag.startY) / previewHeight;
+    const c = drag.crop;
+    if (drag.mode === 'move') {
+      update({ crop: { ...c, x: clamp(c.x + dx, 0, 1 - c.width), y: clamp(c.y + dy, 0, 1 - c.height) } });
+      return;
+    }
+    let width = clamp(c.width + dx, MIN_CROP, 1 - c.x);
+    let height = clamp(c.height + dy, MIN_CROP, 1 - c.y);
+    const aspect = cropAspect(edits.aspectLock);
+    if (aspect) {
+      height = width * natural.width / aspect / natural.height;
+      if (height > 1 - c.y) {
+        height = 1 - c.y;
+        width = height * natural.height * aspect / natural.width;
+      }
+    }
+    update({ crop: { ...c, width, height } });
+  };
+
+  const endDrag = () => {
+    dragRef.current = null;
+  };
+
+  const inputClass = "w-full bg-slate-700 border-slate-600 rounded-md p-2 focus:ring-sky-500 focus:border-sky-500";
+  const iconButtonClass = "p-2 rounded-md bg-slate-700 hover:bg-slate-600 text-slate-200";
+  const toggleClass = (active) => `${iconButtonClass} ${active ? 'ring-2 ring-sky-500' : ''}`;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={closeImageEditor}>
+      <div className="bg-slate-800 rounded-lg shadow-xl w-full max-w-2xl max-h-full overflow-y-auto p-6" onClick={e => e.stopPropagation()}>
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-lg font-semibold truncate">{t('imageEditorTitle', { name: info.name })}</h2>
+          <button onClick={closeImageEditor} className="text-slate-400 hover:text-white"><X size={20}/></button>
+        </div>
+
+        <div className="flex justify-center bg-slate-900 rounded-md p-2">
+          <div className="relative overflow-hidden select-none" style={{ width: previewWidth || undefined, height: previewHeight || undefined }}>
+            {imageUrl && (
+              <img
+                src={imageUrl}
+                alt={info.name}
+                draggable={false}
+                className={natural ? 'absolute inset-0 w-full h-full max-w-none' : 'max-h-64'}
+                onLoad={e => setLoadedSize({ width: e.target.naturalWidth, height: e.target.naturalHeight })}
+              />
+            )}
+            {natural && (
+              <div
+                className="absolute border-2 border-sky-400 cursor-move"
+                style={{
+                  left: edits.crop.x * previewWidth,
+                  top: edits.crop.y * previewHeight,
+                  width: edits.crop.width * previewWidth,
+                  height: edits.crop.height * previewHeight,
+                  boxShadow: '0 0 0 9999px rgba(15, 23, 42, 0.6)',
+                  touchAction: 'none',
+                }}
+                onPointerDown={e => startDrag(e, 'move')}
+                onPointerMove={handlePointerMove}
+                onPointerUp={endDrag}
+                onPointerCancel={endDrag}
+              >
+                <div
+                  className="absolute -right-1.5 -bottom-1.5 w-3 h-3 bg-sky-400 cursor-nwse-resize"
+                  onPointerDown={e => startDrag(e, 'resize')}
+                />
+              </div>
+            )}
+          </div>
+        </div>
+        <p className="text-xs text-slate-400 mt-2">{t('cropHint')}</p>
+
+        <div className="grid grid-cols-2 gap-4 mt-4">
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-1">{t('cropAspect')}</label>
+            <select value={aspectKey} onChange={e => handleAspectChange(e.target.value)} className={inputClass}>
+              <option value="free">{t('aspectFree')}</option>
+              {Object.keys(cropAspectPresets).filter(k => k !== 'free').map(k => <option key={k} value={k}>{k}</option>)}
+              <option value="cell">{t('aspectCell')}</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-1">{t('fitMode')}</label>
+            <select value={edits.fit} onChange={e => update({ fit: e.target.value })} className={inputClass}>
+              <option value="contain">{t('fitContain')}</option>
+              <option value="cover">{t('fitCover')}</option>
+            </select>
+          </div>
+          <div className="col-span-2 flex space-x-2">
+            <button onClick={() => handleRotate(-90)} title={t('rotateLeft')} className={iconButtonClass}><RotateCcw size={18}/></button>
+            <button onClick={() => handleRotate(90)} title={t('rotateRight')} className={iconButtonClass}><RotateCw size={18}/></button>
+            <button onClick={() => update({ flipH: !edits.flipH })} title={t('flipHorizontal')} className={toggleClass(edits.flipH)}><FlipHorizontal2 size={18}/></button>
+            <button onClick={() => update({ flipV: !edits.flipV })} title={t('flipVertical')} className={toggleClass(edits.flipV)}><FlipVertical2 size={18}/></button>
+            <span className="self-center text-sm text-slate-400 pl-2">{edits.rotation}°</span>
+          </div>
+          <div className="col-span-2">
+            <label className="block text-sm font-medium text-slate-300 mb-1">{t('zoom')}: {edits.zoom.toFixed(2)}×</label>
+            <input type="range" min="0.5" max="4" step="0.05" value={edits.zoom} onChange={e => update({ zoom: parseFloat(e.target.value) })} className="w-full"/>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-1">{t('panX')}: {Math.round(edits.panX * 100)}%</label>
+            <input type="range" min="-0.5" max="0.5" step="0.01" value={edits.panX} onChange={e => update({ panX: parseFloat(e.target.value) })} className="w-full"/>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-1">{t('panY')}: {Math.round(edits.panY * 100)}%</label>
+            <input type="range" min="-0.5" max="0.5" step="0.01" value={edits.panY} onChange={e => update({ panY: parseFloat(e.target.value) })} className="w-full"/>
+          </div>
+        </div>
+
+        {info.source && <SourceSettings imageKey={key} source={info.source} />}
+
+        <ScaleBarSettings
+          scaleBar={withDefaultScaleBar(info.scaleBar)}
+          onChange={patch => setScaleBar(key, patch)}
+          naturalWidth={natural && natural.width}
+        />
+
+        <div className="flex justify-end space-x-2 mt-6">
+          <button onClick={() => setImageEdits(key, null)} className="bg-slate-600 hover:bg-slate-500 text-white font-bold py-2 px-4 rounded-md">{t('resetEdits')}</button>
+          <button onClick={closeImageEditor} className="bg-sky-600 hover:bg-sky-700 text-white font-bold py-2 px-4 rounded-md">{t('done')}</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// TIFF / PDF 原文件：选择页面；位深大于 8 时调整显示范围 (窗宽窗位)
+const LEVELS_DEBOUNCE_MS = 300;
+
+const SourceSettings = ({ imageKey, source }) => {
+  const t = useStore(state => state.t);
+  const setImageSource = useStore(state => state.setImageSource);
+  const levels = source.levels;
+  const [displayRange, setDisplayRange] = useState(levels && levels.window);
+  const [pendingCount, setPendingCount] = useState(0);
+  const userEditRef = useRef(false);
+
+  // 撤销、换页等外部变化同步到滑块；拖动中的值不被旧的解码结果覆盖
+  useEffect(() => {
+    if (!userEditRef.current) setDisplayRange(levels && levels.window);
+  }, [levels]);
+
+  const apply = useCallback(async (options) => {
+    setPendingCount(n => n + 1);
+    try {
+      await setImageSource(imageKey, options);
+    } catch (error) {
+      console.error(t('decodeFailed'), error);
+      alert(t(error.message));
+    } finally {
+      setPendingCount(n => n - 1);
+    }
+  }, [imageKey, setImageSource, t]);
+
+  useEffect(() => {
+    if (!userEditRef.current || !displayRange) return;
+    const timer = setTimeout(async () => {
+      await apply({ window: displayRange });
+      userEditRef.current = false;
+    }, LEVELS_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [displayRange, apply]);
+
+  const changeRange = (patch) => {
+    userEditRef.current = true;
+    setDisplayRange(range => ({ ...range, ...patch }));
+  };
+
+  const inputClass = "w-full bg-slate-700 border-slate-600 rounded-md p-2 focus:ring-sky-500 focus:border-sky-500";
+  const buttonClass = "bg-slate-700 hover:bg-slate-600 rounded-md px-3 py-1 text-sm transition-colors";
+  const step = levels && (source.bitDepth === 32 && levels.range.max - levels.range.min < 1000
+    ? (levels.range.max - levels.range.min) / 1000
+    : 1);
+  const formatLevel = (value) => (Number.isInteger(step) ? Math.round(value) : +value.toPrecision(4));
+
+  return (
+    <div className="mt-6 pt-4 border-t border-slate-700">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="font-semibold">{source.kind === 'pdf' ? t('sourceSettingsPdf') : t('sourceSettingsTiff', { bitDepth: source.bitDepth })}</h3>
+        {pendingCount > 0 && <span className="text-xs text-slate-400">{t('decoding')}</span>}
+      </div>
+      <div className="grid grid-cols-2 gap-4">
+        {source.pageCount > 1 && (
+          <div className="col-span-2">
+            <label className="block text-sm font-medium text-slate-300 mb-1">{t('sourcePage', { count: source.pageCount })}</label>
+            <select value={source.page} onChange={e => apply({ page: parseInt(e.target.value, 10) })} className={inputClass}>
+              {[...Array(source.pageCount)].map((_, i) => <option key={i} value={i}>{i + 1}</option>)}
+            </select>
+          </div>
+        )}
+        {levels && displayRange && (
+          <>
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-1">{t('levelsMin')}: {formatLevel(displayRange.min)}</label>
+              <input type="range" min={levels.range.min} max={levels.range.max} step={step} value={displayRange.min}
+                onChange={e => changeRange({ min: Math.min(parseFloat(e.target.value), displayRange.max - step) })} className="w-full"/>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-1">{t('levelsMax')}: {formatLevel(displayRange.max)}</label>
+              <input type="range" min={levels.range.min} max={levels.range.max} step={step} value={displayRange.max}
+                onChange={e => changeRange({ max: Math.max(parseFloat(e.target.value), displayRange.min + step) })} className="w-full"/>
+            </div>
+            <div className="col-span-2 flex items-center space-x-2">
+              <button onClick={() => changeRange(levels.auto)} className={buttonClass}>{t('levelsAuto')}</button>
+              <button onClick={() => changeRange(levels.range)} className={buttonClass}>{t('levelsFull')}</button>
+              <span className="text-xs text-slate-400">{t('levelsRange', { min: formatLevel(levels.range.min), max: formatLevel(levels.range.max) })}</span>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// 比例尺：放在图片可见区域 (与格子的交集) 的角落，长度按图片当前的显示比例换算
+const ScaleBar = ({ scaleBar, placement, naturalWidth, cellSize, fontFamily, pxPerMm }) => {
+  const displayScale = placement.imageWidth / naturalWidth; // 屏幕 px / 原图 px
+  const length = scaleBarImagePixels(scaleBar) * displayScale;
+  const margin = mmToPx(SCALE_BAR_MARGIN_MM, pxPerMm);
+  const visible = {
+    left: Math.max(0, placement.x),
+    top: Math.max(0, placement.y),
+    right: Math.max(0, cellSize.width - placement.x - placement.width),
+    bottom: Math.max(0, cellSize.height - placement.y - placement.height),
+  };
+  const [vertical, horizontal] = scaleBar.position.split('-');
+  const style = {
+    position: 'absolute',
+    [vertical]: visible[vertical] + margin,
+    [horizontal]: visible[horizontal] + margin,
+    display: 'flex',
+    flexDirection: vertical === 'top' ? 'column-reverse' : 'column',
+    alignItems: 'center',
+    pointerEvents: 'none',
+  };
+  const labelStyle = {
+    color: scaleBar.color,
+    fontFamily,
+    fontSize: `${ptToPx(scaleBar.fontSize, pxPerMm)}px`,
+    lineHeight: TEXT_LINE_HEIGHT,
+    whiteSpace: 'nowrap',
+  };
+  return (
+    <div style={style}>
+      {scaleBar.showLabel && <span style={labelStyle}>{scaleBarLabel(scaleBar)}</span>}
+      <div style={{ width: length, height: ptToPx(scaleBar.thickness, pxPerMm), backgroundColor: scaleBar.color }} />
+    </div>
+  );
+};
+
+const ScaleBarSettings = ({ scaleBar, onChange, naturalWidth }) => {
+  const t = useStore(state => state.t);
+  const inputClass = "w-full bg-slate-700 border-slate-600 rounded-md p-2 focus:ring-sky-500 focus:border-sky-500";
+  const units = Object.keys(lengthUnits);
+  const calibrated = scaleBar.pixelSize > 0;
+
+  const handleNumber = (key, value) => {
+    const number = parseFloat(value);
+    onChange({ [key]: number > 0 ? number : null });
+  };
+
+  return (
+    <div className="mt-6 pt-4 border-t border-slate-700">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-semibold">{t('scaleBar')}</h3>
+        <label className="flex items-center space-x-2 text-sm text-slate-300 cursor-pointer">
+          <input type="checkbox" checked={scaleBar.enabled} disabled={!calibrated} onChange={e => onChange({ enabled: e.target.checked })} className="accent-sky-500"/>
+          <span>{t('showScaleBar')}</span>
+        </label>
+      </div>
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-slate-300 mb-1">{t('pixelSize')}</label>
+          <div className="flex space-x-2">
+            <input type="number" min="0" step="any" value={scaleBar.pixelSize ?? ''} onChange={e => handleNumber('pixelSize', e.target.value)} placeholder="0.325" className={inputClass}/>
+            <select value={scaleBar.pixelUnit} onChange={e => onChange({ pixelUnit: e.target.value })} className="bg-slate-700 border-slate-600 rounded-md p-2">
+              {units.filter(u => u !== 'mm').map(u => <option key={u} value={u}>{u}/px</option>)}
+            </select>
+          </div>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-slate-300 mb-1">{t('scaleBarLength')}</label>
+          <div className="flex space-x-2">
+            <input type="number" min="0" step="any" value={scaleBar.length ?? ''} onChange={e => handleNumber('length', e.target.value)} className={inputClass}/>
+            <select value={scaleBar.unit} onChange={e => onChange({ unit: e.target.value })} className="bg-slate-700 border-slate-600 rounded-md p-2">
+              {units.map(u => <option key={u} value={u}>{u}</option>)}
+            </select>
+          </div>
+          {calibrated && scaleBar.length > 0 && (
+            <span className="text-xs text-slate-400">
+              {t('scaleBarPixels', { px: +scaleBarImagePixels(scaleBar).toFixed(1) })}
+              {naturalWidth ? ` (${+(scaleBarImagePixels(scaleBar) / naturalWidth * 100).toFixed(1)}%)` : ''}
+            </span>
+          )}
+        </div>
+        {!calibrated && <p className="col-span-2 text-xs text-slate-400">{t('scaleBarNeedsPixelSize')}</p>}
+        {calibrated && scaleBar.enabled && (
+          <>
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-1">{t('labelPosition')}</label>
+              <select value={scaleBar.position} onChange={e => onChange({ position: e.target.value })} className={inputClass}>
+                <option value="top-left">{t('positionTopLeft')}</option>
+                <option value="top-right">{t('positionTopRight')}</option>
+                <option value="bottom-left">{t('positionBottomLeft')}</option>
+                <option value="bottom-right">{t('positionBottomRight')}</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-1">{t('labelColor')}</label>
+              <input type="color" value={scaleBar.color} onChange={e => onChange({ color: e.target.value })} className="w-full h-10 p-1 bg-slate-700 border-slate-600 rounded-md cursor-pointer"/>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-1">{t('scaleBarThickness')}</label>
+              <input type="range" min="0.5" max="8" step="0.5" value={scaleBar.thickness} onChange={e => onChange({ thickness: parseFloat(e.target.value) })} className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-sky-500"/>
+              <span className="text-xs text-slate-400">{scaleBar.thickness} pt</span>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-1">{t('labelFontSize')}</label>
+              <input type="range" min="4" max="24" step="0.5" value={scaleBar.fontSize} onChange={e => onChange({ fontSize: parseFloat(e.target.value) })} className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-sky-500"/>
+              <span className="text-xs text-slate-400">{scaleBar.fontSize} pt</span>
+            </div>
+            <div>
+              <label className="flex items-center space-x-2 text-sm font-medium text-slate-300 mb-1 cursor-pointer">
+                <input type="checkbox" checked={scaleBar.showLabel} onChange={e => onChange({ showLabel: e.target.checked })} className="accent-sky-500"/>
+                <span>{t('scaleBarShowLabel')}</span>
+              </label>
+            </div>
+            {scaleBar.showLabel && (
+              <div>
+                <input type="text" value={scaleBar.label} onChange={e => onChange({ label: e.target.value })} placeholder={`${scaleBar.length} ${scaleBar.unit}`} title={t('scaleBarLabel')} className={inputClass}/>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// --- 富文本 ---
+// 每个词单独成为 inline-block 的 span，可以在词间换行；上下标的字号与基线偏移与导出 (figureLayout.js) 相同
+const richRunStyle = (run) => ({
+  display: 'inline-block',
+  whiteSpace: 'pre',
+  fontWeight: run.bold ? 'bold' : undefined,
+  fontStyle: run.italic ? 'italic' : undefined,
+  fontSize: run.script ? `${SCRIPT_SCALE}em` : undefined,
+  verticalAlign: run.script === 'sup' ? `${SUPERSCRIPT_RISE / SCRIPT_SCALE}em` : run.script === 'sub' ? `${-SUBSCRIPT_DROP / SCRIPT_SCALE}em` : undefined,
+});
+
+const RichText = ({ source }) => (
+  <div>
+    {parseRichText(source).map((runs, i) => (
+      <div key={i}>
+        {runs.length === 0 ? '\u00a0' : runs.flatMap((run, j) => run.text.match(/\S+\s*|\s+/g).map((word, k) => (
+          <span key={`${j}-${k}`} style={richRunStyle(run)}>{word}</span>
+        )))}
+      </div>
+    ))}
+  </div>
+);
+
+// 显示排版后的富文本，点击后切换为编辑标记源码的文本框。
+// frame 给出时文字在该尺寸的容器中逆时针旋转 90° 显示 (用于行标签)
+const RichTextField = ({ value, onChange, placeholder, style, className = '', frame = null }) => {
+  const t = useStore(state => state.t);
+  const [editing, setEditing] = useState(false);
+
+  if (editing) {
+    return (
+      <textarea
+        autoFocus
+        value={value}
+        onChange={e => onChange(e.target.value)}
+        onBlur={() => setEditing(false)}
+        rows={Math.max(1, value.split('\n').length)}
+        placeholder={placeholder}
+        style={{ ...style, color: undefined }}
+        className={`${className} bg-slate-700 text-slate-100 rounded-sm resize-none focus:outline-none`}
+      />
+    );
+  }
+
+  const content = value
+    ? <RichText source={value} />
+    : <span className="interactive-control text-slate-500">{placeholder}</span>;
+  return (
+    <div onClick={() => setEditing(true)} title={t('richTextHint')} style={frame ? undefined : style} className={`${className} cursor-text`}>
+      {frame ? (
+        <div
+          className="absolute flex flex-col justify-center"
+          style={{ ...style, left: '50%', top: '50%', width: frame.width, height: frame.height, transform: 'translate(-50%, -50%) rotate(-90deg)' }}
+        >
+          {content}
+        </div>
+      ) : content}
+    </div>
+  );
+};
+
+// jsPDF、svg2pdf 与 pdf-lib 体积较大，只在导出时载入 (各种格式的文字排版都使用 jsPDF 的字宽，pdf-lib 嵌入 PDF 输入的原页面)
+const loadPdfLibraries = async () => {
+  const [{ jsPDF }, { svg2pdf }, pdfLib] = await Promise.all([import('jspdf'), import('svg2pdf.js'), import('pdf-lib')]);
+  return { jsPDF, svg2pdf, pdfLib };
+};
+
+// 载入已保存的项目超过这个时间仍未完成时显示错误 (如数据库被旧版本的其他标签页占用)
+const HYDRATION_TIMEOUT_MS = 15000;
+
+// 编辑器必需的浏览器功能
+const missingCapabilities = () => [
+  ['IndexedDB', typeof indexedDB !== 'undefined'],
+  ['crypto.randomUUID', typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'],
+].filter(([, available]) => !available).map(([name]) => name);
+
+// 启动失败时语言设置还没有载入，按浏览器语言显示
+const StartupError = ({ error }) => {
+  const strings = locales[/^zh/i.test(navigator.language || '') ? 'zh' : 'en'];
+  return (
+    <div className="bg-slate-900 text-white min-h-screen flex items-center justify-center font-sans p-4">
+      <div className="max-w-md text-center">
+        <AlertCircle size={48} className="text-red-400 mx-auto mb-4"/>
+        <h1 className="text-xl font-semibold mb-2">{strings.startupErrorTitle}</h1>
+        <p className="text-slate-300 mb-2">{strings[error.key]}</p>
+        {error.details && <p className="text-xs text-slate-500 mb-4 break-words">{error.details}</p>}
+        <button onClick={() => window.location.reload()} className="bg-sky-600 hover:bg-sky-700 rounded-md px-4 py-2 font-semibold transition-colors">
+          {strings.startupReload}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// 2. 主应用组件
+const FigureCollageApp = () => {
+  // 项目数据从 IndexedDB 异步载入，载入前不渲染编辑器，以免默认状态覆盖已保存的内容。
+  // 服务端渲染时没有存储 (useStore.persist 不存在)，始终显示载入中
+  const [hydrated, setHydrated] = useState(false);
+  const [startupError, setStartupError] = useState(null); // { key, details }
+  const loadError = useStore(state => state.loadError);
+
+  useEffect(() => {
+    const missing = missingCapabilities();
+    if (missing.length > 0) {
+      setStartupError({ key: 'startupMissingCapabilities', details: missing.join(', ') });
+      return;
+    }
+    const unsubscribe = useStore.persist.onFinishHydration(() => setHydrated(true));
+    if (useStore.persist.hasHydrated()) setHydrated(true);
+    const timer = setTimeout(() => {
+      if (!useStore.persist.hasHydrated()) setStartupError({ key: 'startupTimeout' });
+    }, HYDRATION_TIMEOUT_MS);
+    return () => {
+      unsubscribe();
+      clearTimeout(timer);
+    };
+  }, []);
+
+  const error = startupError || (loadError && { key: 'startupLoadFailed', details: String(loadError.message || loadError) });
+  if (error) return <StartupError error={error} />;
+
+  if (!hydrated) {
+    return (
+      <div className="bg-slate-900 text-white min-h-screen flex items-center justify-center font-sans">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-white mx-auto mb-4"></div>
+          <p>{locales.zh.loading}</p>
+        </div>
+      </div>
+    );
+  }
+
+  return <AppContent />;
+};
+
+
+// --- 键盘快捷键 ---
+const selectedCellElement = () => {
+  const { selection, merges, rows, cols } = useStore.getState();
+  if (!selection) return null;
+  const anchor = panelAnchor(merges, clampCell(selection.focus, rows, cols));
+  return document.querySelector(`[data-cell="${anchor.row}-${anchor.col}"]`);
+};
+
+// 焦点跟随当前格子，粘贴直接落在其上
+const focusSelectedCell = () => {
+  const el = selectedCellElement();
+  if (!el) return;
+  el.focus({ preventScroll: true });
+  el.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+};
+
+const openSelectedFilePicker = () => {
+  const input = selectedCellElement()?.querySelector('input[type="file"]');
+  if (input) input.click();
+};
+
+// 快捷键一览：keys 中的 mod 显示为 Ctrl 或 ⌘；mouse 为鼠标操作的文案 key
+const shortcutGroups = [
+  {
+    title: 'shortcutGroupSelection',
+    items: [
+      { mouse: 'shortcutClick', label: 'shortcutSelectCell' },
+      { mouse: 'shortcutShiftClick', label: 'shortcutExtendSelection' },
+      { keys: ['↑ ↓ ← →'], label: 'shortcutMoveSelection' },
+      { keys: ['Shift', '↑ ↓ ← →'], label: 'shortcutExtendSelection' },
+      { keys: ['mod', 'A'], label: 'shortcutSelectAll' },
+      { keys: ['Esc'], label: 'shortcutClearSelection' },
+    ],
+  },
+  {
+    title: 'shortcutGroupCells',
+    items: [
+      { mouse: 'shortcutDoubleClick', label: 'shortcutOpenFile' },
+      { keys: ['Enter'], label: 'shortcutOpenFile' },
+      { keys: ['Delete'], label: 'shortcutClearImages' },
+      { keys: ['mod', 'C'], label: 'shortcutCopyCell' },
+      { keys: ['mod', 'V'], label: 'shortcutPasteCell' },
+      { keys: ['N'], label: 'shortcutNormalize' },
+    ],
+  },
+  {
+    title: 'shortcutGroupTracks',
+    items: [
+      { keys: ['R'], label: 'shortcutInsertRowBelow' },
+      { keys: ['Shift', 'R'], label: 'shortcutInsertRowAbove' },
+      { keys: ['C'], label: 'shortcutInsertColumnRight' },
+      { keys: ['Shift', 'C'], label: 'shortcutInsertColumnLeft' },
+      { keys: ['Alt', 'R'], label: 'shortcutDeleteRow' },
+      { keys: ['Alt', 'C'], label: 'shortcutDeleteColumn' },
+    ],
+  },
+  {
+    title: 'shortcutGroupGeneral',
+    items: [
+      { keys: ['mod', 'Z'], label: 'undo' },
+      { keys: ['mod', 'Shift', 'Z'], label: 'redo' },
+      { keys: ['?'], label: 'shortcutToggleSheet' },
+    ],
+  },
+];
+
+const ShortcutSheet = ({ onClose }) => {
+  const t = useStore(state => state.t);
+  const isMac = /Mac|iPhone|iPad/.test(navigator.platform);
+  const keyLabel = (key) => (key === 'mod' ? (isMac ? '⌘' : 'Ctrl') : key === 'Alt' && isMac ? '⌥' : key);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={onClose}>
+      <div className="bg-slate-800 rounded-lg shadow-xl w-full max-w-3xl max-h-[90vh] overflow-y-auto p-6" onClick={e => e.stopPropagation()}>
+        <div className="flex justify-between items-center mb-2">
+          <h2 className="text-lg font-semibold">{t('shortcuts')}</h2>
+          <button onClick={onClose} className="text-slate-400 hover:text-white"><X size={20} /></button>
+        </div>
+        <p className="text-sm text-slate-400 mb-4">{t('shortcutSheetNote')}</p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-x-8 gap-y-6">
+          {shortcutGroups.map(group => (
+            <div key={group.title}>
+              <h3 className="font-semibold mb-2">{t(group.title)}</h3>
+              <ul className="space-y-1.5 text-sm">
+                {group.items.map(item => (
+                  <li key={`${item.label}:${(item.keys || [item.mouse]).join('+')}`} className="flex justify-between items-center gap-4">
+                    <span className="text-slate-300">{t(item.label)}</span>
+                    <span className="flex items-center gap-1 flex-shrink-0">
+                      {item.mouse ? (
+                        <span className="text-slate-400">{t(item.mouse)}</span>
+                      ) : item.keys.map(key => (
+                        <kbd key={key} className="px-1.5 py-0.5 rounded bg-slate-700 border border-slate-600 font-mono text-xs">{keyLabel(key)}</kbd>
+                      ))}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const AppContent = () => {
+  const store = useStore();
+  const { t, lang, setLang, rows, cols, styles, gridKey, captions, rowCaptions, titleText, legendText, merges, rowSizes, colSizes, pxPerMm, setStyle, setPxPerMm, setTrackSizes, undo, redo, setGridDimensions, generateGrid, setCaption, setRowCaption, setTitleText, setLegendText, addRow, deleteRow, addColumn, deleteColumn } = store;
+
+  const canUndo = store.past.length > 0;
+  const canRedo = store.future.length > 0;
+
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportFormat, setExportFormat] = useState('png');
+  const [fileName, setFileName] = useState('my-research-collage');
+  const collageRef = useRef(null);
+  const [showProjects, setShowProjects] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const canvasHostRef = useRef(null);
+
+  // 画布按页面物理宽度等比缩放，占满可用宽度
+  useEffect(() => {
+    const host = canvasHostRef.current;
+    if (!host) return;
+    const updateScale = () => setPxPerMm(Math.max(1, host.clientWidth / styles.page.widthMm));
+    updateScale();
+    const observer = new ResizeObserver(updateScale);
+    observer.observe(host);
+    return () => observer.disconnect();
+  }, [styles.page.widthMm, setPxPerMm]);
+
+  useEffect(() => {
+    const savedLang = localStorage.getItem('figure-collage-lang');
+    if (savedLang) {
+      setLang(savedLang);
+    } else {
+      const browserLang = navigator.language.split('-')[0];
+      if (browserLang === 'zh') {
+        setLang('zh');
+      } else {
+        setLang('en');
+      }
+    }
+  }, [setLang]);
+
+  // Ctrl/Cmd+Z 撤销，Ctrl/Cmd+Shift+Z 或 Ctrl+Y 重做；文本输入框内保留浏览器自带的撤销
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const target = e.target;
+      const isTextField = target.isContentEditable || target.tagName === 'TEXTAREA'
+        || (target.tagName === 'INPUT' && ['text', 'number', 'search', ''].includes(target.type));
+      if (isTextField) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        useStore.getState().undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        useStore.getState().redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // 格子选择的键盘操作 (见 shortcutGroups)；文本输入框、下拉框与其他弹窗中不处理。
+  // 点击格子以外的地方取消选择
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+      const state = useStore.getState();
+      if (state.editingImage || state.bulkImportFiles || state.normalizeDialog || state.channelMergeEditor || showProjects) return;
+      if (e.key === '?') {
+        e.preventDefault();
+        setShowShortcuts(show => !show);
+        return;
+      }
+      if (showShortcuts) {
+        if (e.key === 'Escape') setShowShortcuts(false);
+        return;
+      }
+      if (!state.selection) return;
+      const mod = e.ctrlKey || e.metaKey;
+      const arrows = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+      let handled = true;
+      if (arrows[e.key] && !mod && !e.altKey) {
+        state.moveSelection(...arrows[e.key], e.shiftKey);
+      } else if (mod && !e.altKey && e.code === 'KeyA') {
+        state.selectAllCells();
+      } else if (mod || target.tagName === 'BUTTON') {
+        handled = false;
+      } else if (e.key === 'Escape') {
+        state.clearSelection();
+        target.blur();
+        return;
+      } else if (e.key === 'Enter') {
+        openSelectedFilePicker();
+      } else if (e.code === 'KeyN' && !e.altKey && !e.shiftKey) {
+        state.openNormalizeDialog();
+      } else if (e.key === 'Delete' || e.key === 'Backspace') {
+        // 选中标注时由标注层删除标注
+        if (state.selectedAnnotation) return;
+        state.clearSelectedImages();
+      } else if (e.code === 'KeyR' || e.code === 'KeyC') {
+        const axis = e.code === 'KeyR' ? 'row' : 'col';
+        if (e.altKey) state.deleteAtSelection(axis);
+        else state.insertAtSelection(axis, !e.shiftKey);
+      } else {
+        handled = false;
+      }
+      if (!handled) return;
+      e.preventDefault();
+      // 等网格按新的行列渲染后再移动焦点
+      requestAnimationFrame(focusSelectedCell);
+    };
+    // 焦点在格子上时复制格子；同时覆盖系统剪贴板，之后的粘贴不会误用此前复制的图片
+    const handleCopy = (e) => {
+      if (!document.activeElement || !document.activeElement.matches('[data-cell]')) return;
+      if (!window.getSelection().isCollapsed) return;
+      if (!useStore.getState().copySelectedCell()) return;
+      e.preventDefault();
+      e.clipboardData.setData('text/plain', useStore.getState().cellClipboard.name || '');
+    };
+    const handlePointerDown = (e) => {
+      if (!e.target.closest('[data-cell], [data-keep-selection]')) useStore.getState().clearSelection();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('copy', handleCopy);
+    window.addEventListener('pointerdown', handlePointerDown);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('copy', handleCopy);
+      window.removeEventListener('pointerdown', handlePointerDown);
+    };
+  }, [showProjects, showShortcuts]);
+
+  // 拖到画布空白处 (格子以外) 的文件走批量导入
+  const handleCanvasDragOver = (e) => {
+    if (e.dataTransfer.types.includes('Files')) e.preventDefault();
+  };
+
+  const handleCanvasDrop = (e) => {
+    const files = [...e.dataTransfer.files].filter(isImageFile);
+    if (files.length === 0) return;
+    e.preventDefault();
+    useStore.getState().openBulkImport(files);
+  };
+
+  const toggleLang = () => {
+    const newLang = lang === 'en' ? 'zh' : 'en';
+    setLang(newLang);
+    localStorage.setItem('figure-collage-lang', newLang);
+  };
+
+  const handleExport = async () => {
+    if (!collageRef.current || isExporting) return;
+
+    // 检查需要读取全部图片，开始检查时即视为导出中，避免重复点击
+    setIsExporting(true);
+    try {
+      // 投稿前检查发现错误时按设置阻止导出，结果显示在检查列表中
+      const { complianceSettings, runComplianceCheck, highlightCell } = useStore.getState();
+      highlightCell(null);
+      const issues = await runComplianceCheck(collageRef.current);
+      const errorCount = issues.filter(issue => issue.severity === 'error').length;
+      if (complianceSettings.blockExport && errorCount > 0) {
+        alert(t('checkExportBlocked', { count: errorCount }));
+        return;
+      }
+
+      // 与命令行 (bin/render-figure.js) 相同，由文档直接排版，不读取画布的 DOM
+      const state = useStore.getState();
+      const blob = await renderFigure(takeSnapshot(state), {
+        format: exportFormat,
+        getImageBlob: dbGet,
+        getImageSize,
+        loadAsset,
+        ...await loadPdfLibraries(),
+      });
+      saveAs(blob, `${fileName}.${exportFormat}`);
+      console.log(t('exportSuccess'));
+      if (state.historySettings.autosaveOnExport) {
+        await saveHistorySnapshot(collageRef.current, { name: t('historyExportName', { format: exportFormat.toUpperCase() }), trigger: 'export' });
+      }
+    } catch (error) {
+      console.error(t('exportError'), error);
+      alert(t('exportError') + t(error.message));
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  // 被合并区域覆盖的格子不渲染，锚点格子跨越整个区域
+  const gridCells = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const merge = findMerge(merges, r, c);
+      if (merge && (merge.row !== r || merge.col !== c)) continue;
+      gridCells.push({
+        row: r,
+        col: c,
+        rowSpan: merge ? Math.min(merge.rowSpan, rows - r) : 1,
+        colSpan: merge ? Math.min(merge.colSpan, cols - c) : 1,
+      });
+    }
+  }
+
+  const trackSizes = computeTrackSizes({ rows, cols, rowSizes, colSizes, styles });
+  const columnTemplate = trackSizes.colWidths.map(w => `${mmToPx(w, pxPerMm)}px`).join(' ');
+  const rowTemplate = trackSizes.rowHeights.map(h => `${mmToPx(h, pxPerMm)}px`).join(' ');
+
+  const gridStyle = {
+    display: 'grid',
+    gridTemplateColumns: columnTemplate,
+    gridTemplateRows: rowTemplate,
+    gap: `${mmToPx(styles.rowGap, pxPerMm)}px ${mmToPx(styles.columnGap, pxPerMm)}px`,
+  };
+
+  // 分隔线位于两条轨道之间的间距中点 (px，相对网格左上角)
+  const dividerOffsets = (sizes, gap) => sizes.slice(0, -1).map((_, i) =>
+    mmToPx(sizes.slice(0, i + 1).reduce((a, b) => a + b, 0) + i * gap + gap / 2, pxPerMm)
+  );
+
+  const startTrackResize = (e, axis, index) => {
+    e.preventDefault();
+    const isCol = axis === 'col';
+    const startPos = isCol ? e.clientX : e.clientY;
+    const tracks = normalizeTracks(isCol ? colSizes : rowSizes, isCol ? cols : rows);
+    const sizesMm = isCol ? trackSizes.colWidths : trackSizes.rowHeights;
+    const unit = trackSizes.unitWidth * (isCol ? 1 : ROW_BASE_RATIO);
+    const onMove = (ev) => {
+      const deltaMm = ((isCol ? ev.clientX : ev.clientY) - startPos) / pxPerMm;
+      setTrackSizes(axis, resizeTracks(tracks, sizesMm, index, deltaMm, { pairwise: isCol, unit }));
+    };
+    const onUp = () => {
+      window.removeEventListener('pointermove', onMove);
+      window.removeEventListener('pointerup', onUp);
+    };
+    window.addEventListener('pointermove', onMove);
+    window.addEventListener('pointerup', onUp);
+  };
+
+  const canvasStyle = {
+    width: `${mmToPx(styles.page.widthMm, pxPerMm)}px`,
+    padding: `${mmToPx(styles.pagePadding, pxPerMm)}px`,
+    backgroundColor: styles.backgroundColor,
+    fontFamily: styles.fontFamily,
+    position: 'relative',
+  };
+  
+  const labelOffset = mmToPx(rowLabelOffset(styles), pxPerMm);
+  const captionGap = `${mmToPx(styles.captionGap, pxPerMm)}px`;
+
+  const captionContainerStyle = {
+    display: 'grid',
+    gridTemplateColumns: columnTemplate,
+    gap: `0 ${mmToPx(styles.columnGap, pxPerMm)}px`,
+    marginLeft: `${labelOffset}px`,
+    [styles.captionPosition === 'above' ? 'marginBottom' : 'marginTop']: captionGap,
+  };
+  
+  const captionStyle = {
+    fontSize: `${ptToPx(styles.captionFontSize, pxPerMm)}px`,
+    lineHeight: TEXT_LINE_HEIGHT,
+    color: styles.captionColor,
+  };
+
+  const captionRow = (
+    <div style={captionContainerStyle}>
+      {[...Array(cols)].map((_, c) => (
+        <RichTextField
+          key={`caption-${c}`}
+          value={captions[c] || ''}
+          onChange={text => setCaption(c, text)}
+          placeholder={t('columnCaption', {n: c + 1})}
+          style={captionStyle}
+          className="text-center"
+        />
+      ))}
+    </div>
+  );
+
+  const watermarkBoxStyle = {
+    position: 'absolute',
+    bottom: `${mmToPx(watermarkStyle.bottomMm, pxPerMm)}px`,
+    right: `${mmToPx(watermarkStyle.rightMm, pxPerMm)}px`,
+    color: watermarkStyle.color,
+    opacity: watermarkStyle.opacity,
+    fontSize: `${ptToPx(watermarkStyle.fontSize, pxPerMm)}px`,
+    lineHeight: TEXT_LINE_HEIGHT,
+    whiteSpace: 'nowrap',
+    pointerEvents: 'none',
+  };
+
+  return (
+    <div className="bg-slate-900 text-white min-h-screen font-sans p-4 sm:p-6 md:p-8">
+      <div className="max-w-7xl mx-auto">
+        <header className="flex justify-between items-center mb-6">
+          <div>
+            <h1 className="text-2xl font-bold">{t('title')}</h1>
+            <p className="text-sm text-slate-400">{t('subtitle')}</p>
+          </div>
+          <div className="flex items-center space-x-2">
+            <button onClick={() => setShowProjects(true)} title={t('projects')} className="flex items-center space-x-2 px-3 py-2 bg-slate-800 rounded-md hover:bg-slate-700 transition-colors max-w-xs">
+              <FolderKanban size={18} className="flex-shrink-0" />
+              <span className="truncate">{store.projectName}</span>
+            </button>
+            <button onClick={undo} disabled={!canUndo} title={t('undo')} className="p-2 bg-slate-800 rounded-md hover:bg-slate-700 transition-colors disabled:opacity-40 disabled:cursor-not-allowed">
+              <Undo2 size={18} />
+            </button>
+            <button onClick={redo} disabled={!canRedo} title={t('redo')} className="p-2 bg-slate-800 rounded-md hover:bg-slate-700 transition-colors disabled:opacity-40 disabled:cursor-not-allowed">
+              <Redo2 size={18} />
+            </button>
+            <button onClick={() => setShowShortcuts(true)} title={`${t('shortcuts')} (?)`} className="p-2 bg-slate-800 rounded-md hover:bg-slate-700 transition-colors">
+              <Keyboard size={18} />
+            </button>
+            <button onClick={toggleLang} className="flex items-center space-x-2 px-3 py-2 bg-slate-800 rounded-md hover:bg-slate-700 transition-colors">
+              <Languages size={18} />
+              <span>{lang === 'en' ? '中文' : 'English'}</span>
+            </button>
+          </div>
+        </header>
+
+        <StorageWarning />
+
+        <main className="space-y-8">
+          {/* 1. 布局设置 */}
+          <section className="bg-slate-800 p-6 rounded-lg">
+            <h2 className="text-lg font-semibold mb-4">{t('layoutSettings')}</h2>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-1">{t('columns')}</label>
+                <input type="number" min="1" max={MAX_GRID_SIZE} value={cols} onChange={e => setGridDimensions(rows, parseInt(e.target.value))} className="w-full bg-slate-700 border-slate-600 rounded-md p-2 focus:ring-sky-500 focus:border-sky-500"/>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-1">{t('rows')}</label>
+                <input type="number" min="1" max={MAX_GRID_SIZE} value={rows} onChange={e => setGridDimensions(parseInt(e.target.value), cols)} className="w-full bg-slate-700 border-slate-600 rounded-md p-2 focus:ring-sky-500 focus:border-sky-500"/>
+              </div>
+              <div className="md:self-end">
+                <button onClick={generateGrid} className="w-full bg-sky-600 hover:bg-sky-700 rounded-md px-4 py-2 font-semibold transition-colors">{t('generateGrid')}</button>
+              </div>
+            </div>
+            <TemplateGallery />
+            <PageSizeSettings />
+            <TrackSizeSettings />
+          </section>
+
+          {/* 2. 样式与安全 */}
+          <section className="bg-slate-800 p-6 rounded-lg">
+            <h2 className="text-lg font-semibold mb-4">{t('styleAndSpacing')}</h2>
+            <ThemeSettings />
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-x-6 gap-y-4">
+              {Object.entries(spacingStyleControls).map(([key, control]) => (
+                <div key={key}>
+                  <label className="block text-sm font-medium text-slate-300 mb-1">{t(key)}</label>
+                  <input type="range" min={control.min} max={control.max} step={control.step} value={styles[key]} onChange={e => setStyle(key, parseFloat(e.target.value))} className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-sky-500"/>
+                  <span className="text-xs text-slate-400">{styles[key]} {control.unit}</span>
+                </div>
+              ))}
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-1">{t('backgroundColor')}</label>
+                <input type="color" value={styles.backgroundColor} onChange={e => setStyle('backgroundColor', e.target.value)} className="w-full h-10 p-1 bg-slate-700 border-slate-600 rounded-md cursor-pointer"/>
+              </div>
+              <div className="col-span-2 md:col-span-1 lg:col-span-2">
+                <label className="block text-sm font-medium text-slate-300 mb-1">{t('watermark')}</label>
+                <input type="text" value={styles.watermark} onChange={e => setStyle('watermark', e.target.value)} placeholder={t('watermarkPlaceholder')} className="w-full bg-slate-700 border-slate-600 rounded-md p-2 focus:ring-sky-500 focus:border-sky-500"/>
+              </div>
+            </div>
+            <PanelLabelSettings />
+            <TextBlockSettings />
+          </section>
+
+          {/* 3. 编辑内容 */}
+          <section className="bg-slate-800 p-6 rounded-lg">
+            <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+              <h2 className="text-lg font-semibold">{t('editContent')}</h2>
+              <div className="flex flex-wrap gap-2">
+                <button onClick={() => useStore.getState().openNormalizeDialog()} data-keep-selection className="bg-slate-700 hover:bg-slate-600 rounded-md px-3 py-1 text-sm transition-colors flex items-center space-x-2">
+                  <SlidersHorizontal size={16}/><span>{t('normalize')}</span>
+                </button>
+                <BulkImportControls />
+              </div>
+            </div>
+            <AnnotationToolbar />
+            <div ref={canvasHostRef} className="w-full" onDragOver={handleCanvasDragOver} onDrop={handleCanvasDrop}>
+            <div ref={collageRef} style={canvasStyle} className="overflow-auto">
+              {styles.title.enabled && (
+                <RichTextField
+                  value={titleText}
+                  onChange={setTitleText}
+                  placeholder={t('titlePlaceholder')}
+                  style={{ fontSize: `${ptToPx(styles.title.fontSize, pxPerMm)}px`, lineHeight: TEXT_LINE_HEIGHT, fontWeight: 'bold', color: styles.captionColor, marginBottom: captionGap }}
+                  className="text-center"
+                />
+              )}
+              {styles.captionPosition === 'above' && captionRow}
+               <div className="relative" style={{ marginLeft: `${labelOffset}px` }}>
+                {/* Row Labels */}
+                {styles.rowLabels.enabled && (
+                  <div className="absolute top-0 grid" style={{ left: `${-labelOffset}px`, width: `${mmToPx(styles.rowLabels.widthMm, pxPerMm)}px`, gridTemplateRows: rowTemplate, rowGap: `${mmToPx(styles.rowGap, pxPerMm)}px` }}>
+                    {trackSizes.rowHeights.map((height, r) => (
+                      <div key={`row-label-${r}`} className="relative">
+                        <RichTextField
+                          value={rowCaptions[r] || ''}
+                          onChange={text => setRowCaption(r, text)}
+                          placeholder={t('rowLabelPlaceholder', { n: r + 1 })}
+                          style={captionStyle}
+                          className="absolute inset-0 flex flex-col justify-center text-center"
+                          frame={styles.rowLabels.rotated ? { width: mmToPx(height, pxPerMm), height: mmToPx(styles.rowLabels.widthMm, pxPerMm) } : null}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {/* Row Controls */}
+                <div className="absolute top-0 grid" style={{left: `calc(-3rem - ${labelOffset}px)`, gridTemplateRows: rowTemplate, gap: `${mmToPx(styles.rowGap, pxPerMm)}px`}}>
+                  {[...Array(rows)].map((_, r) => (
+                    <TrackHandle key={`row-ctrl-${r}`} axis="row" index={r} onDelete={() => deleteRow(r)} />
+                  ))}
+                </div>
+
+                {/* Column Controls */}
+                <div className="absolute -top-12 left-0 grid" style={{gridTemplateColumns: columnTemplate, gap: `${mmToPx(styles.columnGap, pxPerMm)}px`}}>
+                   {[...Array(cols)].map((_, c) => (
+                    <TrackHandle key={`col-ctrl-${c}`} axis="col" index={c} onDelete={() => deleteColumn(c)} />
+                  ))}
+                </div>
+                
+                {/* Main Grid */}
+                <div key={gridKey} style={gridStyle}>
+                  {gridCells.map(cell => (
+                    <GridCell key={`${cell.row}-${cell.col}`} {...cell} />
+                  ))}
+                </div>
+
+                {/* Track Dividers */}
+                {dividerOffsets(trackSizes.colWidths, styles.columnGap).map((x, i) => (
+                  <div key={`col-divider-${i}`} onPointerDown={e => startTrackResize(e, 'col', i)} title={t('resizeTrack')} className="absolute top-0 bottom-0 w-2 -ml-1 cursor-col-resize group interactive-control" style={{ left: `${x}px` }}>
+                    <div className="mx-auto h-full w-px bg-sky-400 opacity-0 group-hover:opacity-100 transition-opacity"></div>
+                  </div>
+                ))}
+                {dividerOffsets(trackSizes.rowHeights, styles.rowGap).map((y, i) => (
+                  <div key={`row-divider-${i}`} onPointerDown={e => startTrackResize(e, 'row', i)} title={t('resizeTrack')} className="absolute left-0 right-0 h-2 -mt-1 cursor-row-resize group interactive-control flex flex-col justify-center" style={{ top: `${y}px` }}>
+                    <div className="w-full h-px bg-sky-400 opacity-0 group-hover:opacity-100 transition-opacity"></div>
+                  </div>
+                ))}
+
+                <AnnotationLayer trackSizes={trackSizes} />
+
+                {/* Add Row Button */}
+                <div className="absolute -bottom-6 left-0 right-0 flex justify-center interactive-control">
+                    <button onClick={() => addRow(rows)} className="text-slate-500 hover:text-sky-400">+</button>
+                </div>
+                 {/* Add Column Button */}
+                <div className="absolute -right-6 top-0 bottom-0 flex items-center interactive-control">
+                    <button onClick={() => addColumn(cols)} className="text-slate-500 hover:text-sky-400">+</button>
+                </div>
+
+              </div>
+
+              {/* Captions */}
+              {styles.captionPosition === 'below' && captionRow}
+              {styles.legend.enabled && (
+                <RichTextField
+                  value={legendText}
+                  onChange={setLegendText}
+                  placeholder={t('legendPlaceholder')}
+                  style={{ fontSize: `${ptToPx(styles.legend.fontSize, pxPerMm)}px`, lineHeight: TEXT_LINE_HEIGHT, color: styles.captionColor, marginTop: captionGap }}
+                  className="text-left"
+                />
+              )}
+              {styles.watermark && <div style={watermarkBoxStyle}>{styles.watermark}</div>}
+            </div>
+            </div>
+          </section>
+
+          {/* 4. 导出文件 */}
+          <section className="bg-slate-800 p-6 rounded-lg">
+            <h2 className="text-lg font-semibold mb-4">{t('exportFile')}</h2>
+            <div className="flex flex-wrap gap-4">
+              <input 
+                type="text" 
+                value={fileName}
+                onChange={e => setFileName(e.target.value)}
+                placeholder={t('fileName')}
+                className="flex-grow bg-slate-700 border-slate-600 rounded-md p-2 focus:ring-sky-500 focus:border-sky-500 min-w-[200px]"
+              />
+              <div className="flex items-center bg-slate-700 rounded-md">
+                <span className="pl-3 text-slate-400">.</span>
+                <select value={exportFormat} onChange={e => setExportFormat(e.target.value)} className="bg-transparent p-2 pr-3 appearance-none focus:outline-none">
+                  <option value="png">png</option>
+                  <option value="jpg">jpg</option>
+                  <option value="pdf">pdf</option>
+                  <option value="svg">svg</option>
+                </select>
+              </div>
+              <button onClick={handleExport} disabled={isExporting} className="flex-grow md:flex-grow-0 bg-green-600 hover:bg-green-700 rounded-md px-6 py-2 font-semibold transition-colors disabled:bg-slate-600 disabled:cursor-not-allowed flex items-center justify-center">
+                {isExporting ? (
+                  <>
+                    <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
+                    {t('exporting')}
+                  </>
+                ) : (
+                  <>
+                    <Download size={18} className="mr-2"/> {t('download')}
+                  </>
+                )}
+              </button>
+            </div>
+            <ComplianceChecker collageRef={collageRef} />
+            <ProjectFileControls fileName={fileName} />
+          </section>
+
+          {/* 5. 历史记录 */}
+          <HistorySection collageRef={collageRef} />
+
+          {/* 6. 存储空间 */}
+          <StorageSection />
+
+        </main>
+      </div>
+      <ImageEditor />
+      <BulkImportDialog />
+      <NormalizeDialog />
+      <ChannelMergeDialog />
+      {showProjects && <ProjectManager collageRef={collageRef} onClose={() => setShowProjects(false)} />}
+      {showShortcuts && <ShortcutSheet onClose={() => setShowShortcuts(false)} />}
+    </div>
+  );
+}
+
+
+// --- 排版模板 ---
+// 缩略示意：按比例的行列用 fr，固定尺寸的行列按比例 1 示意
+const TemplatePreview = ({ template }) => {
+  const tracks = (sizes, count) => normalizeTracks(sizes, count).map(t => (t.mode === 'weight' ? `${t.value}fr` : '1fr')).join(' ');
+  return (
+    <div className="grid gap-0.5 w-24 h-16" style={{ gridTemplateColumns: tracks(template.colSizes, template.cols), gridTemplateRows: tracks(template.rowSizes, template.rows) }}>
+      {listPanels(template).map(panel => (
+        <div
+          key={`${panel.row}-${panel.col}`}
+          className="bg-slate-500 rounded-sm"
+          style={{ gridRow: `${panel.row + 1} / span ${panel.rowSpan}`, gridColumn: `${panel.col + 1} / span ${panel.colSpan}` }}
+        />
+      ))}
+    </div>
+  );
+};
+
+const TemplateGallery = () => {
+  const { t, templates, applyTemplate, saveTemplate, deleteTemplate } = useStore();
+  const templateName = (template) => (template.nameKey ? t(template.nameKey) : template.name);
+
+  const handleApply = (template) => {
+    const { dropped } = applyTemplateToDocument(useStore.getState(), template);
+    if (dropped > 0 && !window.confirm(t('templateDropConfirm', { count: dropped }))) return;
+    applyTemplate(template);
+  };
+
+  const handleSave = () => {
+    const name = window.prompt(t('templateNamePrompt'), t('templateDefaultName', { n: templates.length + 1 }));
+    if (name && name.trim()) saveTemplate(name.trim());
+  };
+
+  const handleDelete = (template) => {
+    if (window.confirm(t('templateDeleteConfirm', { name: template.name }))) deleteTemplate(template.id);
+  };
+
+  return (
+    <div className="mt-6 pt-4 border-t border-slate-700">
+      <div className="flex items-center justify-between gap-4 mb-3">
+        <div>
+          <h3 className="font-semibold">{t('templates')}</h3>
+          <p className="text-xs text-slate-400">{t('templatesHint')}</p>
+        </div>
+        <button onClick={handleSave} className="flex-shrink-0 bg-slate-700 hover:bg-slate-600 rounded-md px-3 py-2 text-sm font-semibold transition-colors flex items-center space-x-2">
+          <Save size={16}/>
+          <span>{t('templateSaveCurrent')}</span>
+        </button>
+      </div>
+      <div className="flex flex-wrap gap-3">
+        {[...builtInTemplates, ...templates].map(template => (
+          <div key={template.id} className="relative group">
+            <button onClick={() => handleApply(template)} title={t('templateApply')} className="w-28 bg-slate-700/50 hover:bg-slate-700 rounded-md p-2 flex flex-col items-center space-y-2 transition-colors">
+              <TemplatePreview template={template}/>
+              <span className="w-full text-xs text-slate-300 text-center truncate">{templateName(template)}</span>
+            </button>
+            {!isBuiltInTemplate(template) && (
+              <button onClick={() => handleDelete(template)} title={t('templateDelete')} className="absolute top-1 right-1 p-1 rounded bg-slate-800/80 text-slate-400 hover:text-red-400 opacity-0 group-hover:opacity-100 transition-opacity">
+                <X size={12}/>
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const PageSizeSettings = () => {
+  const { t, styles, setPageStyle } = useStore();
+  const { page } = styles;
+  const inputClass = "w-full bg-slate-700 border-slate-600 rounded-md p-2 focus:ring-sky-500 focus:border-sky-500";
+  const preset = Object.keys(pagePresets).find(key => pagePresets[key] === page.widthMm) || 'custom';
+  const displayWidth = page.unit === 'in' ? +mmToInch(page.widthMm).toFixed(2) : page.widthMm;
+
+  const handleWidthChange = (value) => {
+    const width = parseFloat(value);
+    if (!(width > 0)) return;
+    setPageStyle('widthMm', page.unit === 'in' ? +inchToMm(width).toFixed(1) : width);
+  };
+
+  return (
+    <div className="mt-6 pt-4 border-t border-slate-700">
+      <h3 className="font-semibold mb-4">{t('pageSize')}</h3>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-slate-300 mb-1">{t('pagePreset')}</label>
+          <select value={preset} onChange={e => e.target.value !== 'custom' && setPageStyle('widthMm', pagePresets[e.target.value])} className={inputClass}>
+            <option value="custom">{t('presetCustom')}</option>
+            <option value="single">{t('presetSingle')}</option>
+            <option value="oneHalf">{t('presetOneHalf')}</option>
+            <option value="double">{t('presetDouble')}</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-slate-300 mb-1">{t('pageWidth')}</label>
+          <div className="flex space-x-2">
+            <input type="number" min="1" step={page.unit === 'in' ? 0.01 : 0.5} value={displayWidth} onChange={e => handleWidthChange(e.target.value)} className={inputClass}/>
+            <select value={page.unit} onChange={e => setPageStyle('unit', e.target.value)} title={t('pageUnit')} className="bg-slate-700 border-slate-600 rounded-md p-2">
+              <option value="mm">mm</option>
+              <option value="in">in</option>
+            </select>
+          </div>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-slate-300 mb-1">{t('exportDpi')}</label>
+          <select value={page.dpi} onChange={e => setPageStyle('dpi', parseInt(e.target.value))} className={inputClass}>
+            {dpiOptions.map(dpi => <option key={dpi} value={dpi}>{dpi}</option>)}
+          </select>
+        </div>
+        <div className="self-end text-sm text-slate-400 pb-2">
+          {t('exportPixelWidth', { px: mmToPixels(page.widthMm, page.dpi) })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const TrackSizeSettings = () => {
+  const { t, rows, cols, rowSizes, colSizes, setTrackSizes, resetTrackSizes, autoFitTracks } = useStore();
+  const [isFitting, setIsFitting] = useState(false);
+
+  const handleAutoFit = async () => {
+    setIsFitting(true);
+    try {
+      await autoFitTracks();
+    } finally {
+      setIsFitting(false);
+    }
+  };
+
+  const renderTracks = (axis, tracks, labelKey) => tracks.map((track, i) => (
+    <div key={`${axis}-${i}`} className="flex items-center space-x-2">
+      <span className="w-16 text-sm text-slate-400 shrink-0">{t(labelKey, { n: i + 1 })}</span>
+      <select value={track.mode} onChange={e => setTrackSizes(axis, { [i]: { mode: e.target.value, value: e.target.value === 'fixed' ? 30 : 1 } })} className="bg-slate-700 border-slate-600 rounded-md p-1 text-sm">
+        <option value="weight">{t('trackWeight')}</option>
+        <option value="fixed">{t('trackFixed')}</option>
+      </select>
+      <input type="number" min={track.mode === 'fixed' ? MIN_TRACK_MM : 0.1} step={track.mode === 'fixed' ? 0.5 : 0.1} value={track.value} onChange={e => parseFloat(e.target.value) > 0 && setTrackSizes(axis, { [i]: { mode: track.mode, value: parseFloat(e.target.value) } })} className="w-20 bg-slate-700 border-slate-600 rounded-md p-1 text-sm"/>
+    </div>
+  ));
+
+  return (
+    <div className="mt-6 pt-4 border-t border-slate-700">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h3 className="font-semibold">{t('trackSizes')}</h3>
+        <div className="flex space-x-2">
+          <button onClick={handleAutoFit} disabled={isFitting} className="bg-slate-700 hover:bg-slate-600 rounded-md px-3 py-1 text-sm transition-colors disabled:opacity-50">{t('autoFitTracks')}</button>
+          <button onClick={resetTrackSizes} className="bg-slate-700 hover:bg-slate-600 rounded-md px-3 py-1 text-sm transition-colors">{t('resetTracks')}</button>
+        </div>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2">
+        <div className="space-y-2">{renderTracks('col', normalizeTracks(colSizes, cols), 'columnN')}</div>
+        <div className="space-y-2">{renderTracks('row', normalizeTracks(rowSizes, rows), 'rowN')}</div>
+      </div>
+    </div>
+  );
+}
+
+// --- 样式主题 ---
+const ThemeSettings = () => {
+  const { t, themes, applyTheme, saveTheme, importThemes, deleteTheme } = useStore();
+  const [selectedId, setSelectedId] = useState(builtInThemes[0].id);
+  const fileInputRef = useRef(null);
+  const selected = [...builtInThemes, ...themes].find(theme => theme.id === selectedId) || builtInThemes[0];
+  const buttonClass = "bg-slate-700 hover:bg-slate-600 rounded-md px-3 py-2 text-sm font-semibold transition-colors disabled:opacity-50 flex items-center space-x-2";
+
+  const handleSave = () => {
+    const name = window.prompt(t('themeNamePrompt'), t('themeDefaultName', { n: themes.length + 1 }));
+    if (!name || !name.trim()) return;
+    saveTheme(name.trim());
+    setSelectedId(useStore.getState().themes.at(-1).id);
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(t('themeDeleteConfirm', { name: selected.name }))) {
+      deleteTheme(selected.id);
+      setSelectedId(builtInThemes[0].id);
+    }
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([serializeThemes([selected])], { type: 'application/json' });
+    saveAs(blob, `${selected.name}.theme.json`);
+  };
+
+  const handleImport = async (file) => {
+    if (!file) return;
+    try {
+      const imported = parseThemes(await file.text());
+      importThemes(imported);
+      setSelectedId(imported[0].id);
+      alert(t('themeImported', { count: imported.length }));
+    } catch (error) {
+      console.error(t('themeImportError'), error);
+      alert(t('themeImportError') + t(error.message));
+    }
+  };
+
+  const { guidelines } = selected;
+
+  return (
+    <div className="mb-6 pb-4 border-b border-slate-700">
+      <h3 className="font-semibold mb-3">{t('themes')}</h3>
+      <div className="flex flex-wrap items-center gap-2">
+        <select value={selected.id} onChange={e => setSelectedId(e.target.value)} className="bg-slate-700 border-slate-600 rounded-md p-2 focus:ring-sky-500 focus:border-sky-500 min-w-[200px]">
+          <optgroup label={t('themeJournalPresets')}>
+            {builtInThemes.map(theme => <option key={theme.id} value={theme.id}>{theme.name}</option>)}
+          </optgroup>
+          {themes.length > 0 && (
+            <optgroup label={t('themeSaved')}>
+              {themes.map(theme => <option key={theme.id} value={theme.id}>{theme.name}</option>)}
+            </optgroup>
+          )}
+        </select>
+        <button onClick={() => applyTheme(selected)} className="bg-sky-600 hover:bg-sky-700 rounded-md px-3 py-2 text-sm font-semibold transition-colors">{t('themeApply')}</button>
+        <button onClick={handleSave} className={buttonClass}>
+          <Save size={16}/>
+          <span>{t('themeSaveCurrent')}</span>
+        </button>
+        <button onClick={handleExport} className={buttonClass}>
+          <Download size={16}/>
+          <span>{t('themeExport')}</span>
+        </button>
+        <button onClick={() => fileInputRef.current.click()} className={buttonClass}>
+          <FolderOpen size={16}/>
+          <span>{t('themeImport')}</span>
+        </button>
+        <button onClick={handleDelete} disabled={isBuiltInTheme(selected)} title={t('themeDelete')} className="p-2 rounded-md text-slate-300 hover:bg-slate-600 hover:text-red-400 disabled:opacity-50 disabled:hover:bg-transparent">
+          <Trash2 size={16}/>
+        </button>
+        <input
+          type="file"
+          ref={fileInputRef}
+          className="hidden"
+          accept=".json,application/json"
+          onChange={e => { handleImport(e.target.files[0]); e.target.value = ''; }}
+        />
+      </div>
+      {guidelines && (
+        <p className="text-xs text-slate-400 mt-2">
+          {t('themeGuidelines', { font: guidelines.minFontSize, line: guidelines.minLineWidth, widths: guidelines.widthsMm.join(' / ') })}
+        </p>
+      )}
+    </div>
+  );
+};
+
+const PanelLabelSettings = () => {
+  const { t, styles, setPanelLabelStyle } = useStore();
+  const labelStyle = styles.panelLabels;
+  const inputClass = "w-full bg-slate-700 border-slate-600 rounded-md p-2 focus:ring-sky-500 focus:border-sky-500";
+
+  return (
+    <div className="mt-6 pt-4 border-t border-slate-700">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-semibold">{t('panelLabels')}</h3>
+        <label className="flex items-center space-x-2 text-sm text-slate-300 cursor-pointer">
+          <input type="checkbox" checked={labelStyle.enabled} onChange={e => setPanelLabelStyle('enabled', e.target.checked)} className="accent-sky-500"/>
+          <span>{t('panelLabelsEnabled')}</span>
+        </label>
+      </div>
+      {labelStyle.enabled && (
+        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-x-6 gap-y-4">
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-1">{t('labelOrder')}</label>
+            <select value={labelStyle.order} onChange={e => setPanelLabelStyle('order', e.target.value)} className={inputClass}>
+              <option value="row">{t('labelOrderRow')}</option>
+              <option value="col">{t('labelOrderCol')}</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-1">{t('labelScheme')}</label>
+            <select value={labelStyle.scheme} onChange={e => setPanelLabelStyle('scheme', e.target.value)} className={inputClass}>
+              {Object.entries(labelSchemes).map(([key, scheme]) => (
+                <option key={key} value={key}>{scheme.example}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-1">{t('labelPosition')}</label>
+            <select value={labelStyle.position} onChange={e => setPanelLabelStyle('position', e.target.value)} className={inputClass}>
+              <option value="top-left">{t('positionTopLeft')}</option>
+              <option value="top-right">{t('positionTopRight')}</option>
+              <option value="bottom-left">{t('positionBottomLeft')}</option>
+              <option value="bottom-right">{t('positionBottomRight')}</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-1">{t('labelFontFamily')}</label>
+            <select value={labelStyle.fontFamily} onChange={e => setPanelLabelStyle('fontFamily', e.target.value)} className={inputClass}>
+              {fontFamilyOptions.map(font => <option key={font.value} value={font.value}>{font.label}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-1">{t('labelFontSize')}</label>
+            <input type="range" min="4" max="36" step="0.5" value={labelStyle.fontSize} onChange={e => setPanelLabelStyle('fontSize', parseFloat(e.target.value))} className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-sky-500"/>
+            <span className="text-xs text-slate-400">{labelStyle.fontSize} pt</span>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-1">{t('labelFontWeight')}</label>
+            <select value={labelStyle.fontWeight} onChange={e => setPanelLabelStyle('fontWeight', e.target.value)} className={inputClass}>
+              <option value="normal">{t('fontWeightNormal')}</option>
+              <option value="bold">{t('fontWeightBold')}</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-1">{t('labelColor')}</label>
+            <input type="color" value={labelStyle.color} onChange={e => setPanelLabelStyle('color', e.target.value)} className="w-full h-10 p-1 bg-slate-700 border-slate-600 rounded-md cursor-pointer"/>
+          </div>
+          <div>
+            <label className="flex items-center space-x-2 text-sm font-medium text-slate-300 mb-1 cursor-pointer">
+              <input type="checkbox" checked={labelStyle.showBackground} onChange={e => setPanelLabelStyle('showBackground', e.target.checked)} className="accent-sky-500"/>
+              <span>{t('labelBackground')}</span>
+            </label>
+            {labelStyle.showBackground && (
+              <input type="color" value={labelStyle.backgroundColor} onChange={e => setPanelLabelStyle('backgroundColor', e.target.value)} title={t('labelBackgroundColor')} className="w-full h-10 p-1 bg-slate-700 border-slate-600 rounded-md cursor-pointer"/>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// 批量导入入口：多选文件或整个文件夹
+const BulkImportControls = () => {
+  const t = useStore(state => state.t);
+  const openBulkImport = useStore(state => state.openBulkImport);
+  const filesInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+
+  const handleFiles = (e) => {
+    const files = [...e.target.files].filter(isImageFile);
+    e.target.value = '';
+    if (files.length > 0) openBulkImport(files);
+  };
+
+  const buttonClass = "bg-slate-700 hover:bg-slate-600 rounded-md px-3 py-1 text-sm transition-colors flex items-center space-x-2";
+  return (
+    <div className="flex space-x-2">
+      <button onClick={() => filesInputRef.current.click()} className={buttonClass}><Images size={16}/><span>{t('bulkImport')}</span></button>
+      <button onClick={() => folderInputRef.current.click()} className={buttonClass}><FolderInput size={16}/><span>{t('importFolder')}</span></button>
+      <input ref={filesInputRef} type="file" accept={IMAGE_ACCEPT} multiple className="hidden" onChange={handleFiles}/>
+      <input ref={folderInputRef} type="file" webkitdirectory="" multiple className="hidden" onChange={handleFiles}/>
+    </div>
+  );
+};
+
+// 批量导入预览：确认文件与格子的对应关系后再写入
+const BulkImportDialog = () => {
+  const { t, bulkImportFiles: files, rows, cols, images, merges, bulkImport, closeBulkImport } = useStore();
+  const [mode, setMode] = useState('natural');
+  const [pattern, setPattern] = useState(DEFAULT_NAME_PATTERN);
+  const [order, setOrder] = useState('row');
+  const [fillEmptyOnly, setFillEmptyOnly] = useState(true);
+  const [captionsFromNames, setCaptionsFromNames] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+
+  const plan = useMemo(() => files && planBulkImport(files, {
+    mode,
+    pattern,
+    order,
+    fillEmptyOnly,
+    rows,
+    cols,
+    maxRows: MAX_GRID_SIZE,
+    maxCols: MAX_GRID_SIZE,
+    isCovered: (r, c) => {
+      const merge = findMerge(merges, r, c);
+      return !!merge && (merge.row !== r || merge.col !== c);
+    },
+    isFilled: (r, c) => !!images[`${r}-${c}`],
+  }), [files, mode, pattern, order, fillEmptyOnly, rows, cols, images, merges]);
+
+  if (!files) return null;
+
+  const planned = {};
+  if (!plan.error) plan.assignments.forEach(a => { planned[`${a.row}-${a.col}`] = a.file; });
+  // 当前网格可能已大于上限，预览只显示左上部分
+  const previewRows = plan.error ? 0 : Math.min(plan.rows, MAX_GRID_SIZE);
+  const previewCols = plan.error ? 0 : Math.min(plan.cols, MAX_GRID_SIZE);
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    try {
+      await bulkImport(plan, { captionsFromNames });
+      closeBulkImport();
+    } catch (error) {
+      console.error(t('imageUploadError'), error);
+      alert(t('bulkImportError') + t(error.message));
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const inputClass = "w-full bg-slate-700 border-slate-600 rounded-md p-2 focus:ring-sky-500 focus:border-sky-500";
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={closeBulkImport}>
+      <div className="bg-slate-800 rounded-lg shadow-xl w-full max-w-3xl max-h-full overflow-y-auto p-6" onClick={e => e.stopPropagation()}>
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-lg font-semibold">{t('bulkImportTitle', { n: files.length })}</h2>
+          <button onClick={closeBulkImport} className="text-slate-400 hover:text-white"><X size={20}/></button>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-1">{t('bulkSortMode')}</label>
+            <select value={mode} onChange={e => setMode(e.target.value)} className={inputClass}>
+              <option value="natural">{t('bulkSortNatural')}</option>
+              <option value="pattern">{t('bulkSortPattern')}</option>
+            </select>
+          </div>
+          {mode === 'pattern' ? (
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-slate-300 mb-1">{t('bulkPattern')}</label>
+              <input type="text" value={pattern} onChange={e => setPattern(e.target.value)} className={`${inputClass} font-mono`}/>
+              <span className="text-xs text-slate-400">{t('bulkPatternHint')}</span>
+            </div>
+          ) : (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-1">{t('bulkFillOrder')}</label>
+                <select value={order} onChange={e => setOrder(e.target.value)} className={inputClass}>
+                  <option value="row">{t('labelOrderRow')}</option>
+                  <option value="col">{t('labelOrderCol')}</option>
+                </select>
+              </div>
+              <label className="flex items-center space-x-2 text-sm text-slate-300 cursor-pointer self-end pb-2">
+                <input type="checkbox" checked={fillEmptyOnly} onChange={e => setFillEmptyOnly(e.target.checked)} className="accent-sky-500"/>
+                <span>{t('bulkFillEmptyOnly')}</span>
+              </label>
+            </>
+          )}
+          <label className="flex items-center space-x-2 text-sm text-slate-300 cursor-pointer col-span-2 md:col-span-3">
+            <input type="checkbox" checked={captionsFromNames} onChange={e => setCaptionsFromNames(e.target.checked)} className="accent-sky-500"/>
+            <span>{t('bulkCaptionsFromNames')}</span>
+          </label>
+        </div>
+
+        <h3 className="font-semibold mt-6 mb-2">{t('bulkPreview')}</h3>
+        {plan.error ? (
+          <p className="text-sm text-red-400">{t(plan.error)}</p>
+        ) : (
+          <>
+            {(plan.rows > rows || plan.cols > cols) && (
+              <p className="text-sm text-amber-400 mb-2">{t('bulkGridGrows', { rows: plan.rows, cols: plan.cols })}</p>
+            )}
+            <div className="overflow-auto max-h-80 bg-slate-900 rounded-md p-2">
+              <div className="grid gap-1" style={{ gridTemplateColumns: `repeat(${previewCols}, minmax(6rem, 1fr))` }}>
+                {[...Array(previewRows * previewCols)].map((_, i) => {
+                  const r = Math.floor(i / previewCols);
+                  const c = i % previewCols;
+                  const key = `${r}-${c}`;
+                  const file = planned[key];
+                  const existing = images[key];
+                  const merge = findMerge(merges, r, c);
+                  const covered = merge && (merge.row !== r || merge.col !== c);
+                  let className = 'bg-slate-800 text-slate-600';
+                  if (file) className = existing ? 'bg-amber-900/60 text-amber-200' : 'bg-sky-900/60 text-sky-200';
+                  else if (existing) className = 'bg-slate-700 text-slate-400';
+                  return (
+                    <div key={key} title={file ? file.name : existing ? existing.name : undefined} className={`rounded px-1 py-2 text-xs truncate text-center ${className}`}>
+                      {covered ? '—' : file ? file.name : existing ? existing.name : t('bulkEmptyCell')}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+            {(previewRows < plan.rows || previewCols < plan.cols) && (
+              <p className="text-xs text-slate-400 mt-2">{t('bulkPreviewClipped', { rows: previewRows, cols: previewCols })}</p>
+            )}
+            <p className="text-xs text-slate-400 mt-2">{t('bulkLegend')}</p>
+            {plan.overflow && (
+              <p className="text-sm text-amber-400 mt-2">{t('bulkGridLimit', { rows: Math.max(rows, MAX_GRID_SIZE), cols: Math.max(cols, MAX_GRID_SIZE) })}</p>
+            )}
+            {plan.unmatched.length > 0 && (
+              <p className="text-sm text-amber-400 mt-2">{t('bulkUnmatched', { names: plan.unmatched.map(f => f.name).join(', ') })}</p>
+            )}
+          </>
+        )}
+
+        <div className="flex justify-end space-x-2 mt-6">
+          <button onClick={closeBulkImport} className="bg-slate-600 hover:bg-slate-500 text-white font-bold py-2 px-4 rounded-md">{t('cancel')}</button>
+          <button onClick={handleImport} disabled={isImporting || !!plan.error || plan.assignments.length === 0} className="bg-sky-600 hover:bg-sky-700 text-white font-bold py-2 px-4 rounded-md disabled:bg-slate-600 disabled:cursor-not-allowed">
+            {isImporting ? t('importing') : t('bulkImportConfirm', { n: plan.error ? 0 : plan.assignments.length })}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- 面板统一 ---
+// 各面板的格子尺寸 (mm) 与图片的像素尺寸标定，供 matchDisplayScale 使用
+const displayScalePanels = (state, keys) => {
+  const { colWidths, rowHeights } = computeTrackSizes(state);
+  const colStarts = trackStarts(colWidths, state.styles.columnGap);
+  const rowStarts = trackStarts(rowHeights, state.styles.rowGap);
+  return listPanels(state)
+    .filter(p => keys.includes(`${p.row}-${p.col}`) && state.images[`${p.row}-${p.col}`])
+    .map(p => {
+      const key = `${p.row}-${p.col}`;
+      const info = state.images[key];
+      const scaleBar = withDefaultScaleBar(info.scaleBar);
+      const lastCol = p.col + p.colSpan - 1;
+      const lastRow = p.row + p.rowSpan - 1;
+      return {
+        key,
+        cellWidth: colStarts[lastCol] + colWidths[lastCol] - colStarts[p.col],
+        cellHeight: rowStarts[lastRow] + rowHeights[lastRow] - rowStarts[p.row],
+        width: info.width,
+        height: info.height,
+        edits: info.edits,
+        pixelSize: scaleBar.pixelSize,
+        pixelUnit: scaleBar.pixelUnit,
+      };
+    });
+};
+
+// 对一行、一列或所选格子统一强度、颜色与显示比例
+const NormalizeDialog = () => {
+  const { t, normalizeDialog: dialog, rows, cols, images, merges, normalizeCells, closeNormalizeDialog } = useStore();
+  const [scope, setScope] = useState('row');
+  const [row, setRow] = useState(0);
+  const [col, setCol] = useState(0);
+  const [matchLevels, setMatchLevels] = useState(false);
+  const [grayscale, setGrayscale] = useState(false);
+  const [lut, setLut] = useState('none');
+  const [matchScale, setMatchScale] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+
+  // 打开时默认使用所选格子，选项取自其中已处理过的图片
+  useEffect(() => {
+    if (!dialog) return;
+    const hasSelection = dialog.selectionKeys.length > 0;
+    setScope(hasSelection ? 'selection' : 'row');
+    setRow(dialog.row);
+    setCol(dialog.col);
+    const current = useStore.getState().images;
+    const existing = dialog.selectionKeys.map(key => current[key]).find(info => info && info.normalize);
+    const normalize = existing ? existing.normalize : defaultNormalize;
+    setMatchLevels(!!normalize.levels);
+    setGrayscale(normalize.grayscale);
+    setLut(normalize.lut);
+    setMatchScale(false);
+  }, [dialog]);
+
+  useEffect(() => {
+    if (!dialog) return;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') closeNormalizeDialog();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [dialog, closeNormalizeDialog]);
+
+  if (!dialog) return null;
+
+  const scopeRange = scope === 'row'
+    ? { row: Math.min(row, rows - 1), col: 0, rowSpan: 1, colSpan: cols }
+    : { row: 0, col: Math.min(col, cols - 1), rowSpan: rows, colSpan: 1 };
+  const keys = (scope === 'selection' ? dialog.selectionKeys : panelKeysInRange({ rows, cols, merges }, scopeRange))
+    .filter(key => images[key]);
+
+  const run = async (params) => {
+    setIsBusy(true);
+    try {
+      const skipped = await normalizeCells(keys, params);
+      if (skipped > 0) alert(t('normalizeSkippedSvg', { n: skipped }));
+      closeNormalizeDialog();
+    } catch (error) {
+      console.error(t('normalizeError'), error);
+      alert(t('normalizeError') + t(error.message));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const inputClass = "bg-slate-700 border-slate-600 rounded-md p-1 focus:ring-sky-500 focus:border-sky-500";
+  const checkboxClass = "flex items-center space-x-2 text-sm text-slate-300 cursor-pointer";
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={closeNormalizeDialog}>
+      <div className="bg-slate-800 rounded-lg shadow-xl w-full max-w-xl max-h-full overflow-y-auto p-6" onClick={e => e.stopPropagation()}>
+        <div className="flex justify-between items-center mb-2">
+          <h2 className="text-lg font-semibold">{t('normalize')}</h2>
+          <button onClick={closeNormalizeDialog} className="text-slate-400 hover:text-white"><X size={20}/></button>
+        </div>
+        <p className="text-sm text-slate-400 mb-4">{t('normalizeInfo')}</p>
+
+        <h3 className="font-semibold mb-2">{t('normalizeScope')}</h3>
+        <div className="flex flex-wrap items-center gap-4 text-sm text-slate-300">
+          <label className={`flex items-center space-x-2 ${dialog.selectionKeys.length > 0 ? 'cursor-pointer' : 'opacity-50'}`}>
+            <input type="radio" name="normalize-scope" checked={scope === 'selection'} disabled={dialog.selectionKeys.length === 0} onChange={() => setScope('selection')} className="accent-sky-500"/>
+            <span>{t('normalizeScopeSelection')}</span>
+          </label>
+          <label className="flex items-center space-x-2 cursor-pointer">
+            <input type="radio" name="normalize-scope" checked={scope === 'row'} onChange={() => setScope('row')} className="accent-sky-500"/>
+            <span>{t('normalizeScopeRow')}</span>
+            <select value={Math.min(row, rows - 1)} onChange={e => { setRow(Number(e.target.value)); setScope('row'); }} className={inputClass}>
+              {[...Array(rows)].map((_, i) => <option key={i} value={i}>{i + 1}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center space-x-2 cursor-pointer">
+            <input type="radio" name="normalize-scope" checked={scope === 'col'} onChange={() => setScope('col')} className="accent-sky-500"/>
+            <span>{t('normalizeScopeCol')}</span>
+            <select value={Math.min(col, cols - 1)} onChange={e => { setCol(Number(e.target.value)); setScope('col'); }} className={inputClass}>
+              {[...Array(cols)].map((_, i) => <option key={i} value={i}>{i + 1}</option>)}
+            </select>
+          </label>
+        </div>
+        <p className="text-xs text-slate-400 mt-2">{t('normalizeImageCount', { n: keys.length })}</p>
+
+        <div className="mt-6 pt-4 border-t border-slate-700 space-y-3">
+          <label className={checkboxClass}>
+            <input type="checkbox" checked={matchLevels} onChange={e => setMatchLevels(e.target.checked)} className="accent-sky-500"/>
+            <span>{t('normalizeMatchLevels')}</span>
+          </label>
+          <label className={`${checkboxClass} ${lut !== 'none' ? 'opacity-50' : ''}`}>
+            <input type="checkbox" checked={grayscale || lut !== 'none'} disabled={lut !== 'none'} onChange={e => setGrayscale(e.target.checked)} className="accent-sky-500"/>
+            <span>{t('normalizeGrayscale')}</span>
+          </label>
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-1">{t('normalizeLut')}</label>
+            <div className="flex items-center gap-3">
+              <select value={lut} onChange={e => setLut(e.target.value)} className={inputClass}>
+                {lutNames.map(name => <option key={name} value={name}>{t(`lut_${name}`)}</option>)}
+              </select>
+              {lut !== 'none' && <span className="h-4 w-32 rounded" style={{ background: lutGradient(lut) }}></span>}
+            </div>
+            <span className="text-xs text-slate-400">{t('normalizeLutHint')}</span>
+          </div>
+          <div>
+            <label className={checkboxClass}>
+              <input type="checkbox" checked={matchScale} onChange={e => setMatchScale(e.target.checked)} className="accent-sky-500"/>
+              <span>{t('normalizeMatchScale')}</span>
+            </label>
+            <span className="text-xs text-slate-400">{t('normalizeScaleHint')}</span>
+          </div>
+        </div>
+
+        <div className="flex justify-between gap-2 mt-6">
+          <button onClick={() => run({ matchLevels: false, grayscale: false, lut: 'none', matchScale: false })} disabled={isBusy || keys.length === 0} className="bg-slate-600 hover:bg-slate-500 text-white font-bold py-2 px-4 rounded-md disabled:opacity-50 disabled:cursor-not-allowed">{t('normalizeRemove')}</button>
+          <div className="flex space-x-2">
+            <button onClick={closeNormalizeDialog} className="bg-slate-600 hover:bg-slate-500 text-white font-bold py-2 px-4 rounded-md">{t('cancel')}</button>
+            <button onClick={() => run({ matchLevels, grayscale, lut, matchScale })} disabled={isBusy || keys.length === 0} className="bg-sky-600 hover:bg-sky-700 text-white font-bold py-2 px-4 rounded-md disabled:bg-slate-600 disabled:cursor-not-allowed">
+              {isBusy ? t('normalizing') : t('normalizeApply')}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// 通道上传的图片在应用前只保存在弹窗中 (file 为可直接合成的 PNG 或原图)，避免被图片回收提前删除
+const readChannelFile = async (file) => {
+  const kind = sourceKind(file);
+  return kind ? (await decodeSource(file, kind)).blob : file;
+};
+
+const PREVIEW_DELAY_MS = 300;
+
+const ChannelMergeDialog = () => {
+  const { t, channelMergeEditor: cellKey, rows, cols, images, merges, setChannelMerge, setImage, closeChannelMergeEditor } = useStore();
+  const [channels, setChannels] = useState([]);
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const fileInputRef = useRef(null);
+  const uploadIndexRef = useRef(0);
+
+  // 打开时载入已有的通道，普通格子从两个空通道开始
+  useEffect(() => {
+    if (!cellKey) return;
+    const info = useStore.getState().images[cellKey];
+    setChannels(info && info.channelMerge ? info.channelMerge.channels : [createChannel(0), createChannel(1)]);
+  }, [cellKey]);
+
+  useEffect(() => {
+    if (!cellKey) return;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') closeChannelMergeEditor();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [cellKey, closeChannelMergeEditor]);
+
+  // 预览稍作延迟，拖动亮度滑块时不会反复合成
+  useEffect(() => {
+    if (!cellKey) return undefined;
+    let cancelled = false;
+    let url = null;
+    const timer = setTimeout(async () => {
+      const inputs = [];
+      for (const channel of channels) {
+        const id = channelSourceId(images, channel);
+        const blob = channel.file || (id && await dbGet(id));
+        if (blob) inputs.push({ blob, color: channel.color, brightness: channel.brightness });
+      }
+      const composite = inputs.length > 0 ? await composeChannels(inputs).catch(error => {
+        console.error(t('channelMergeFailed'), error);
+        return null;
+      }) : null;
+      if (cancelled) return;
+      url = composite && URL.createObjectURL(composite.blob);
+      setPreviewUrl(url);
+    }, PREVIEW_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [cellKey, channels, images, t]);
+
+  if (!cellKey) return null;
+
+  const [cellRow, cellCol] = cellKey.split('-').map(Number);
+  const info = images[cellKey];
+  const sourcePanels = listPanels({ rows, cols, merges })
+    .map(p => `${p.row}-${p.col}`)
+    .filter(key => key !== cellKey && images[key] && images[key].id && !images[key].channelMerge);
+  const sourceCount = channels.filter(channel => channel.file || channelSourceId(images, channel)).length;
+
+  // 来源格子的图片被移除后仍保留选项，放入新图片时继续使用
+  const cellOption = (key) => {
+    const [row, col] = key.split('-').map(Number);
+    return t('channelCellOption', { row: row + 1, col: col + 1, name: (images[key] && images[key].name) || '' });
+  };
+
+  const updateChannel = (index, values) => setChannels(channels.map((channel, i) => (i === index ? { ...channel, ...values } : channel)));
+
+  const handleSourceChange = (index, value) => {
+    if (value === 'upload') {
+      uploadIndexRef.current = index;
+      fileInputRef.current.click();
+      return;
+    }
+    if (value === 'uploaded') return;
+    updateChannel(index, { cell: value || null, imageId: null, file: null, name: value ? images[value].name || '' : '' });
+  };
+
+  const handleUpload = async (files) => {
+    const file = files && files[0];
+    if (!file) return;
+    if (!isImageFile(file)) {
+      alert(t('imageUploadError'));
+      return;
+    }
+    const index = uploadIndexRef.current;
+    try {
+      const blob = await readChannelFile(file);
+      setChannels(current => current.map((channel, i) => (i === index ? { ...channel, cell: null, imageId: null, file: blob, name: file.name } : channel)));
+    } catch (error) {
+      console.error(t('imageUploadError'), error);
+      alert(t(error.message));
+    }
+  };
+
+  const handleApply = async () => {
+    if (sourceCount < MIN_CHANNELS) {
+      alert(t('channelMergeNeedsSources', { n: MIN_CHANNELS }));
+      return;
+    }
+    if (info && !info.channelMerge && !window.confirm(t('channelMergeReplaceConfirm'))) return;
+    setIsBusy(true);
+    try {
+      const stored = [];
+      for (const { file, ...channel } of channels) {
+        stored.push(file ? { ...channel, imageId: await putImage(new File([file], channel.name, { type: file.type })) } : channel);
+      }
+      setChannelMerge(cellKey, stored);
+      closeChannelMergeEditor();
+    } catch (error) {
+      console.error(t('channelMergeFailed'), error);
+      alert(t('channelMergeFailed'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    await setImage(cellRow, cellCol, null);
+    closeChannelMergeEditor();
+  };
+
+  const inputClass = "bg-slate-700 border-slate-600 rounded-md p-1 focus:ring-sky-500 focus:border-sky-500";
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={closeChannelMergeEditor}>
+      <div className="bg-slate-800 rounded-lg shadow-xl w-full max-w-3xl max-h-full overflow-y-auto p-6" onClick={e => e.stopPropagation()}>
+        <div className="flex justify-between items-center mb-2">
+          <h2 className="text-lg font-semibold">{t('channelMerge')}</h2>
+          <button onClick={closeChannelMergeEditor} className="text-slate-400 hover:text-white"><X size={20}/></button>
+        </div>
+        <p className="text-sm text-slate-400 mb-4">{t('channelMergeInfo')}</p>
+        <input type="file" ref={fileInputRef} className="hidden" accept={IMAGE_ACCEPT} onChange={e => { handleUpload(e.target.files); e.target.value = ''; }}/>
+
+        <div className="flex flex-col md:flex-row gap-6">
+          <div className="flex-1 space-y-3">
+            {channels.map((channel, index) => {
+              const sourceValue = channel.cell || (channel.file || channel.imageId ? 'uploaded' : '');
+              return (
+                <div key={index} className="bg-slate-700/50 rounded-md p-3 space-y-2">
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm font-medium text-slate-300">{t('channelLabel', { n: index + 1 })}</span>
+                    {channels.length > MIN_CHANNELS && (
+                      <button onClick={() => setChannels(channels.filter((_, i) => i !== index))} title={t('channelRemove')} className="p-1 rounded text-slate-400 hover:text-red-500"><Trash2 size={14}/></button>
+                    )}
+                  </div>
+                  <label className="flex items-center gap-2 text-sm text-slate-300">
+                    <span className="w-16 shrink-0">{t('channelSource')}</span>
+                    <select value={sourceValue} onChange={e => handleSourceChange(index, e.target.value)} className={`${inputClass} flex-1 min-w-0`}>
+                      <option value="">{t('channelNone')}</option>
+                      {(channel.cell && !sourcePanels.includes(channel.cell) ? [...sourcePanels, channel.cell] : sourcePanels).map(key => (
+                        <option key={key} value={key}>{cellOption(key)}</option>
+                      ))}
+                      {sourceValue === 'uploaded' && <option value="uploaded">{t('channelUploaded', { name: channel.name })}</option>}
+                      <option value="upload">{t('channelUpload')}</option>
+                    </select>
+                  </label>
+                  <div className="flex items-center gap-2 text-sm text-slate-300">
+                    <span className="w-16 shrink-0">{t('channelColor')}</span>
+                    <input type="color" value={channel.color} onChange={e => updateChannel(index, { color: e.target.value })} className="w-8 h-6 bg-transparent cursor-pointer"/>
+                    {channelColors.map(({ value, label }) => (
+                      <button key={value} onClick={() => updateChannel(index, { color: value })} title={t(label)} className={`w-5 h-5 rounded-full border ${channel.color === value ? 'border-white' : 'border-slate-600'}`} style={{ backgroundColor: value }}></button>
+                    ))}
+                  </div>
+                  <label className="flex items-center gap-2 text-sm text-slate-300">
+                    <span className="w-16 shrink-0">{t('channelBrightness')}</span>
+                    <input type="range" min="0.2" max="4" step="0.1" value={channel.brightness} onChange={e => updateChannel(index, { brightness: Number(e.target.value) })} className="flex-1 h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-sky-500"/>
+                    <span className="w-10 text-right">{channel.brightness.toFixed(1)}×</span>
+                  </label>
+                </div>
+              );
+            })}
+            {channels.length < MAX_CHANNELS && (
+              <button onClick={() => setChannels([...channels, createChannel(channels.length)])} className="flex items-center space-x-1 text-sm text-sky-400 hover:text-sky-300">
+                <Plus size={16}/><span>{t('channelAdd')}</span>
+              </button>
+            )}
+          </div>
+          <div className="md:w-64 shrink-0">
+            <h3 className="text-sm font-semibold text-slate-300 mb-2">{t('channelMergePreview')}</h3>
+            <div className="aspect-square bg-black rounded-md flex items-center justify-center overflow-hidden">
+              {previewUrl ? <img src={previewUrl} alt={t('channelMergePreview')} className="max-w-full max-h-full object-contain"/> : <Layers size={32} className="text-slate-600"/>}
+            </div>
+          </div>
+        </div>
+
+        <div className="flex justify-between gap-2 mt-6">
+          <button onClick={handleRemove} disabled={isBusy || !(info && info.channelMerge)} className="bg-slate-600 hover:bg-slate-500 text-white font-bold py-2 px-4 rounded-md disabled:opacity-50 disabled:cursor-not-allowed">{t('channelMergeRemove')}</button>
+          <div className="flex space-x-2">
+            <button onClick={closeChannelMergeEditor} className="bg-slate-600 hover:bg-slate-500 text-white font-bold py-2 px-4 rounded-md">{t('cancel')}</button>
+            <button onClick={handleApply} disabled={isBusy} className="bg-sky-600 hover:bg-sky-700 text-white font-bold py-2 px-4 rounded-md disabled:bg-slate-600 disabled:cursor-not-allowed">{t('channelMergeApply')}</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const TextBlockSettings = () => {
+  const { t, styles, setStyle, setTextBlockStyle } = useStore();
+  const { rowLabels, title, legend } = styles;
+  const inputClass = "w-full bg-slate-700 border-slate-600 rounded-md p-2 focus:ring-sky-500 focus:border-sky-500";
+  const rangeClass = "w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-sky-500";
+  const checkbox = (block, key, label) => (
+    <label className="flex items-center space-x-2 text-sm font-medium text-slate-300 mb-1 cursor-pointer">
+      <input type="checkbox" checked={styles[block][key]} onChange={e => setTextBlockStyle(block, key, e.target.checked)} className="accent-sky-500"/>
+      <span>{t(label)}</span>
+    </label>
+  );
+
+  return (
+    <div className="mt-6 pt-4 border-t border-slate-700">
+      <h3 className="font-semibold mb-1">{t('captionsAndText')}</h3>
+      <p className="text-xs text-slate-400 mb-4">{t('richTextHint')}</p>
+      <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-x-6 gap-y-4">
+        <div>
+          <label className="block text-sm font-medium text-slate-300 mb-1">{t('captionPosition')}</label>
+          <select value={styles.captionPosition} onChange={e => setStyle('captionPosition', e.target.value)} className={inputClass}>
+            <option value="above">{t('captionAbove')}</option>
+            <option value="below">{t('captionBelow')}</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-slate-300 mb-1">{t('textFontFamily')}</label>
+          <select value={styles.fontFamily} onChange={e => setStyle('fontFamily', e.target.value)} className={inputClass}>
+            {fontFamilyOptions.map(font => <option key={font.value} value={font.value}>{font.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-slate-300 mb-1">{t('captionColor')}</label>
+          <input type="color" value={styles.captionColor} onChange={e => setStyle('captionColor', e.target.value)} className="w-full h-10 p-1 bg-slate-700 border-slate-600 rounded-md cursor-pointer"/>
+        </div>
+        <div>
+          {checkbox('rowLabels', 'enabled', 'rowLabelsEnabled')}
+          {rowLabels.enabled && (
+            <>
+              {checkbox('rowLabels', 'rotated', 'rowLabelsRotated')}
+              <input type="range" min="2" max="30" step="0.5" value={rowLabels.widthMm} onChange={e => setTextBlockStyle('rowLabels', 'widthMm', parseFloat(e.target.value))} title={t('rowLabelsWidth')} className={rangeClass}/>
+              <span className="text-xs text-slate-400">{t('rowLabelsWidth')}: {rowLabels.widthMm} mm</span>
+            </>
+          )}
+        </div>
+        <div>
+          {checkbox('title', 'enabled', 'titleEnabled')}
+          {title.enabled && (
+            <>
+              <input type="range" min="6" max="24" step="0.5" value={title.fontSize} onChange={e => setTextBlockStyle('title', 'fontSize', parseFloat(e.target.value))} title={t('labelFontSize')} className={rangeClass}/>
+              <span className="text-xs text-slate-400">{title.fontSize} pt</span>
+            </>
+          )}
+        </div>
+        <div>
+          {checkbox('legend', 'enabled', 'legendEnabled')}
+          {legend.enabled && (
+            <>
+              <input type="range" min="4" max="16" step="0.5" value={legend.fontSize} onChange={e => setTextBlockStyle('legend', 'fontSize', parseFloat(e.target.value))} title={t('labelFontSize')} className={rangeClass}/>
+              <span className="text-xs text-slate-400">{legend.fontSize} pt</span>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- 投稿前检查 ---
+// 图片按内容寻址，同一 id 的检查结果不会变化。
+// 统一处理过的图片检查处理前的文件 (JPEG 压缩等问题在处理后依然存在)
+const imageInspections = new Map();
+
+const inspectCellImage = (info) => {
+  const id = info.source ? info.source.id : info.normalize ? info.normalize.baseId : info.id;
+  if (!imageInspections.has(id)) {
+    imageInspections.set(id, (async () => {
+      const blob = await dbGet(id);
+      if (!blob) return null;
+      if (!info.source) return inspectImageFile(blob);
+      const colorSpace = info.source.kind === 'tiff' ? await readTiffColorSpace(blob) : null;
+      return { format: info.source.kind, quality: null, colorSpace };
+    })().catch(() => null));
+  }
+  return imageInspections.get(id);
+};
+
+const collectComplianceIssues = async (node) => {
+  const state = useStore.getState();
+  const { journalId } = state.complianceSettings;
+  const journal = [...builtInThemes, ...state.themes].find(theme => theme.id === journalId);
+  const inspections = {};
+  await Promise.all(Object.entries(state.images).map(async ([key, info]) => {
+    if (info && info.id) inspections[key] = await inspectCellImage(info);
+  }));
+  return checkCompliance({
+    doc: state,
+    panels: listPanels(state),
+    trackSizes: computeTrackSizes(state),
+    heightMm: node ? node.offsetHeight / state.pxPerMm : null,
+    inspections,
+    rules: resolveComplianceRules(state.complianceSettings, journal ? journal.guidelines : null),
+  });
+};
+
+// 滚动到格子并短暂高亮
+let highlightTimer = null;
+const jumpToCell = (key) => {
+  const el = document.querySelector(`[data-cell="${key}"]`);
+  if (!el) return;
+  el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  el.focus({ preventScroll: true });
+  useStore.getState().highlightCell(key);
+  clearTimeout(highlightTimer);
+  highlightTimer = setTimeout(() => useStore.getState().highlightCell(null), 2000);
+};
+
+const ComplianceChecker = ({ collageRef }) => {
+  const { t, themes, complianceSettings: settings, setComplianceSettings, complianceIssues, runComplianceCheck } = useStore();
+  const [isChecking, setIsChecking] = useState(false);
+  const journals = [...builtInThemes, ...themes].filter(theme => theme.guidelines);
+  const inputClass = "bg-slate-700 border-slate-600 rounded-md p-1 focus:ring-sky-500 focus:border-sky-500";
+
+  const handleCheck = async () => {
+    setIsChecking(true);
+    try {
+      await runComplianceCheck(collageRef.current);
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  const describe = (issue) => {
+    const text = t(issue.key, { ...issue.params, what: issue.params.what && t(issue.params.what) });
+    if (!issue.cell) return text;
+    const [row, col] = issue.cell.split('-').map(Number);
+    return t('checkCellPrefix', { row: row + 1, col: col + 1 }) + text;
+  };
+
+  const numberInput = (key, label, step) => (
+    <label className="flex items-center space-x-2">
+      <span>{t(label)}</span>
+      <input
+        type="number"
+        min="0"
+        step={step}
+        value={settings[key]}
+        onChange={e => {
+          const value = parseFloat(e.target.value);
+          if (value >= 0) setComplianceSettings({ [key]: value });
+        }}
+        className={`w-20 ${inputClass}`}
+      />
+    </label>
+  );
+
+  const issues = complianceIssues ? complianceIssues.issues : [];
+  const errorCount = issues.filter(issue => issue.severity === 'error').length;
+
+  return (
+    <div className="mt-6 pt-4 border-t border-slate-700">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-semibold">{t('compliance')}</h3>
+        <button onClick={handleCheck} disabled={isChecking} className="bg-slate-700 hover:bg-slate-600 rounded-md px-3 py-2 text-sm font-semibold transition-colors disabled:opacity-50 flex items-center space-x-2">
+          <ListChecks size={16}/>
+          <span>{t('checkRun')}</span>
+        </button>
+      </div>
+      <div className="flex flex-wrap items-center gap-x-6 gap-y-2 mb-3 text-sm text-slate-300">
+        <label className="flex items-center space-x-2">
+          <span>{t('checkJournal')}</span>
+          <select value={settings.journalId} onChange={e => setComplianceSettings({ journalId: e.target.value })} className={inputClass}>
+            <option value="">{t('checkJournalNone')}</option>
+            {journals.map(theme => <option key={theme.id} value={theme.id}>{theme.name}</option>)}
+          </select>
+        </label>
+        {numberInput('minDpi', 'checkMinDpi', 50)}
+        {!settings.journalId && numberInput('minFontSize', 'checkMinFontSize', 0.5)}
+        {!settings.journalId && numberInput('minLineWidth', 'checkMinLineWidth', 0.05)}
+        <label className="flex items-center space-x-2 cursor-pointer">
+          <input type="checkbox" checked={settings.blockExport} onChange={e => setComplianceSettings({ blockExport: e.target.checked })} className="accent-sky-500"/>
+          <span>{t('checkBlockExport')}</span>
+        </label>
+      </div>
+      {complianceIssues && (issues.length === 0 ? (
+        <p className="text-sm text-green-400 flex items-center space-x-2">
+          <CheckCircle2 size={16}/>
+          <span>{t('checkPassed')}</span>
+        </p>
+      ) : (
+        <>
+          <p className="text-xs text-slate-400 mb-2">{t('checkSummary', { errors: errorCount, warnings: issues.length - errorCount })}</p>
+          <ul className="max-h-60 overflow-y-auto space-y-1 pr-2">
+            {issues.map((issue, i) => (
+              <li key={i}>
+                <button
+                  onClick={() => jumpToCell(issue.cell)}
+                  disabled={!issue.cell}
+                  className="w-full text-left flex items-start space-x-2 rounded-md px-2 py-1 text-sm text-slate-300 hover:bg-slate-700 disabled:hover:bg-transparent disabled:cursor-default"
+                >
+                  {issue.severity === 'error'
+                    ? <AlertCircle size={16} className="flex-shrink-0 mt-0.5 text-red-400"/>
+                    : <AlertTriangle size={16} className="flex-shrink-0 mt-0.5 text-amber-400"/>}
+                  <span>{describe(issue)}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      ))}
+    </div>
+  );
+};
+
+const ProjectFileControls = ({ fileName }) => {
+  const t = useStore(state => state.t);
+  const loadProject = useStore(state => state.loadProject);
+  const [isBusy, setIsBusy] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const handleExportProject = async () => {
+    setIsBusy(true);
+    try {
+      const { blob, missing } = await createProjectBundle(takeSnapshot(useStore.getState()), dbGet);
+      saveAs(blob, `${fileName}.${PROJECT_EXTENSION}`);
+      if (missing.length > 0) {
+        alert(t('projectMissingImages', { keys: missing.join(', ') }));
+      }
+    } catch (error) {
+      console.error(t('exportError'), error);
+      alert(t('exportError') + t(error.message));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleImportProject = async (file) => {
+    if (!file || !window.confirm(t('projectImportConfirm'))) return;
+    setIsBusy(true);
+    try {
+      const { doc, images } = await readProjectBundle(file);
+      const problems = [];
+      const newImages = {};
+      for (const { key, info, blob, sourceBlob, baseBlob, channelBlobs } of images) {
+        const name = info.name || key;
+        if (!blob) {
+          problems.push(t('projectEntryMissing', { key, name }));
+          continue;
+        }
+        try {
+          const { width, height } = await getImageSize(blob);
+          const id = await putImage(new File([blob], name, { type: blob.type }));
+          newImages[key] = { ...info, id, width, height };
+          if (sourceBlob) {
+            const sourceId = await putImage(new File([sourceBlob], name, { type: sourceBlob.type }));
+            newImages[key].source = { ...info.source, id: sourceId };
+          }
+          if (baseBlob) {
+            const baseId = await putImage(new File([baseBlob], name, { type: baseBlob.type }));
+            newImages[key].normalize = { ...info.normalize, baseId };
+          }
+          if (info.channelMerge) {
+            const channels = [];
+            for (const [i, channel] of info.channelMerge.channels.entries()) {
+              const channelBlob = channelBlobs[i];
+              const imageId = channelBlob ? await putImage(new File([channelBlob], channel.name || name, { type: channelBlob.type })) : null;
+              channels.push({ ...channel, imageId });
+            }
+            newImages[key].channelMerge = { ...info.channelMerge, channels };
+          }
+        } catch {
+          problems.push(t('projectEntryCorrupt', { key, name }));
+        }
       }
-    }, 100);
+      loadProject({ ...doc, images: newImages });
+      alert(problems.length > 0 ? `${t('projectImportedWithProblems')}\n${problems.join('\n')}` : t('projectImported'));
+    } catch (error) {
+      console.error(t('projectImportError'), error);
+      alert(t('projectImportError') + t(error.message));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <div className="mt-6 pt-4 border-t border-slate-700">
+      <p className="text-sm text-slate-400 mb-3">{t('projectFileInfo')}</p>
+      <div className="flex flex-wrap gap-4">
+        <button onClick={handleExportProject} disabled={isBusy} className="bg-slate-700 hover:bg-slate-600 rounded-md px-4 py-2 font-semibold transition-colors disabled:opacity-50 flex items-center space-x-2">
+          <FileArchive size={18}/>
+          <span>{t('exportProject')}</span>
+        </button>
+        <button onClick={() => fileInputRef.current.click()} disabled={isBusy} className="bg-slate-700 hover:bg-slate-600 rounded-md px-4 py-2 font-semibold transition-colors disabled:opacity-50 flex items-center space-x-2">
+          <FolderOpen size={18}/>
+          <span>{t('importProject')}</span>
+        </button>
+        <input
+          type="file"
+          ref={fileInputRef}
+          className="hidden"
+          accept={`.${PROJECT_EXTENSION},.zip`}
+          onChange={e => { handleImportProject(e.target.files[0]); e.target.value = ''; }}
+        />
+      </div>
+    </div>
+  );
+}
+
+// 两份快照之间的变更 (before 较早)；样式先补全默认值，旧记录缺少新加入的样式项时不算修改
+const diffHistory = (before, after) => diffSnapshots(
+  { ...before, styles: withDefaultStyles(before.styles) },
+  { ...after, styles: withDefaultStyles(after.styles) },
+);
+
+const formatChanges = (changes, t) =>
+  changes.length === 0 ? t('diffNone') : changes.map(change => t(change.key, change.params)).join(t('listSeparator'));
+
+const snapshotSummary = (snapshot, t) =>
+  t('projectSummary', { cols: snapshot.cols, rows: snapshot.rows, count: Object.keys(snapshot.images || {}).length });
+
+// 为 Blob 创建临时 URL，Blob 变化或卸载时释放
+const useBlobUrl = (blob) => {
+  const [url, setUrl] = useState(null);
+  useEffect(() => {
+    if (!blob) {
+      setUrl(null);
+      return;
+    }
+    const objectUrl = URL.createObjectURL(blob);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [blob]);
+  return url;
+};
+
+const AUTOSAVE_INTERVALS = [0, 5, 10, 15, 30, 60];
+const historyTriggerLabels = { interval: 'historyTriggerInterval', export: 'historyTriggerExport' };
+
+// 保存一条带缩略图的历史记录。自动保存时内容与最近一条相同则跳过，返回是否保存
+const saveHistorySnapshot = async (node, { name, trigger = 'manual' }) => {
+  const state = useStore.getState();
+  if (trigger !== 'manual' && state.history[0] && diffHistory(state.history[0], state).length === 0) return false;
+  const thumbnail = await captureThumbnail(node, state.styles.backgroundColor);
+  useStore.getState().saveToHistory({ name, trigger, thumbnail });
+  return true;
+};
+
+const HistoryThumbnail = ({ blob, alt, className }) => {
+  const url = useBlobUrl(blob);
+  return (
+    <div className={`bg-slate-900 rounded flex items-center justify-center overflow-hidden ${className}`}>
+      {url ? <img src={url} alt={alt} className="max-w-full max-h-full object-contain"/> : <ImageOff size={20} className="text-slate-600"/>}
+    </div>
+  );
+};
+
+const HistoryEntry = ({ entry, previous, isSelected, onToggleSelect, onRestore, onDelete }) => {
+  const { t, updateHistoryEntry } = useStore();
+  const time = new Date(entry.timestamp).toLocaleString();
+  const changes = useMemo(
+    () => (previous ? formatChanges(diffHistory(previous, entry), t) : t('diffInitial')),
+    [previous, entry, t],
+  );
+
+  return (
+    <div className={`bg-slate-700/50 p-3 rounded-md flex gap-3 ${isSelected ? 'ring-2 ring-sky-500' : ''}`}>
+      <HistoryThumbnail blob={entry.thumbnail} alt={entry.name || time} className="w-28 h-20 flex-shrink-0"/>
+      <div className="flex-grow min-w-0 space-y-1">
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            value={entry.name || ''}
+            placeholder={time}
+            onChange={e => updateHistoryEntry(entry.timestamp, { name: e.target.value })}
+            className="flex-grow min-w-0 bg-transparent font-medium border-b border-transparent hover:border-slate-600 focus:border-sky-500 focus:outline-none"
+          />
+          {historyTriggerLabels[entry.trigger] && (
+            <span className="flex-shrink-0 text-xs bg-slate-600 text-slate-200 rounded px-2 py-0.5">{t(historyTriggerLabels[entry.trigger])}</span>
+          )}
+        </div>
+        <p className="text-xs text-slate-400">{time} · {snapshotSummary(entry, t)}</p>
+        <p className="text-xs text-slate-300">{changes}</p>
+        <input
+          type="text"
+          value={entry.note || ''}
+          placeholder={t('historyNotePlaceholder')}
+          onChange={e => updateHistoryEntry(entry.timestamp, { note: e.target.value })}
+          className="w-full bg-transparent text-xs text-slate-400 border-b border-transparent hover:border-slate-600 focus:border-sky-500 focus:outline-none"
+        />
+      </div>
+      <div className="flex flex-col items-end justify-between flex-shrink-0">
+        <label className="flex items-center space-x-1 text-xs text-slate-400 cursor-pointer">
+          <input type="checkbox" checked={isSelected} onChange={onToggleSelect} className="accent-sky-500"/>
+          <span>{t('historyCompareSelect')}</span>
+        </label>
+        <div className="flex items-center space-x-2">
+          <button onClick={onRestore} className="text-sky-400 hover:text-sky-300 text-sm">{t('historyRestore')}</button>
+          <button onClick={onDelete} className="text-red-500 hover:text-red-400"><Trash2 size={16}/></button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// 并排比较两份快照；snapshots 较早的在前，当前排版的 timestamp 为 null
+const SnapshotCompare = ({ snapshots, onRestore, onClose }) => {
+  const t = useStore(state => state.t);
+  const [before, after] = snapshots;
+  const changes = useMemo(() => diffHistory(before, after), [before, after]);
+  const label = (snapshot) => snapshot.name || new Date(snapshot.timestamp).toLocaleString();
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={onClose}>
+      <div className="bg-slate-800 rounded-lg shadow-xl w-full max-w-4xl max-h-full overflow-y-auto p-6" onClick={e => e.stopPropagation()}>
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-lg font-semibold">{t('historyCompareTitle')}</h2>
+          <button onClick={onClose} className="text-slate-400 hover:text-white"><X size={20}/></button>
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {snapshots.map(snapshot => (
+            <div key={snapshot.timestamp || 'current'} className="bg-slate-700/50 rounded-lg p-3 space-y-2">
+              <HistoryThumbnail blob={snapshot.thumbnail} alt={label(snapshot)} className="aspect-video w-full"/>
+              <div className="flex items-start justify-between gap-2">
+                <div className="min-w-0">
+                  <p className="font-medium truncate" title={label(snapshot)}>{label(snapshot)}</p>
+                  <p className="text-xs text-slate-400">
+                    {snapshot.timestamp ? new Date(snapshot.timestamp).toLocaleString() : t('projectCurrent')} · {snapshotSummary(snapshot, t)}
+                  </p>
+                  {snapshot.note && <p className="text-xs text-slate-400 mt-1">{snapshot.note}</p>}
+                </div>
+                {snapshot.timestamp && (
+                  <button onClick={() => onRestore(snapshot.timestamp)} className="flex-shrink-0 text-sky-400 hover:text-sky-300 text-sm">{t('historyRestore')}</button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+        <h3 className="font-semibold mt-6 mb-2">{t('historyChanges', { from: label(before), to: label(after) })}</h3>
+        {changes.length === 0 ? (
+          <p className="text-sm text-slate-400">{t('diffNone')}</p>
+        ) : (
+          <ul className="text-sm text-slate-300 list-disc pl-5 space-y-1">
+            {changes.map(change => (
+              <li key={change.key} title={change.params && change.params.keys}>{t(change.key, change.params)}</li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const HistorySection = ({ collageRef }) => {
+  const { t, history, historySettings, setHistorySettings, restoreFromHistory, deleteFromHistory } = useStore();
+  const [selected, setSelected] = useState([]); // 勾选用于比较的记录 (timestamp)，最多两条
+  const [comparing, setComparing] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // 定时自动保存
+  useEffect(() => {
+    if (!historySettings.autosaveMinutes) return;
+    const timer = setInterval(() => {
+      saveHistorySnapshot(collageRef.current, { name: t('historyAutosaveName'), trigger: 'interval' })
+        .catch(error => console.error("Autosave failed:", error));
+    }, historySettings.autosaveMinutes * 60 * 1000);
+    return () => clearInterval(timer);
+  }, [historySettings.autosaveMinutes, collageRef, t]);
+
+  const selectedEntries = selected.map(timestamp => history.find(h => h.timestamp === timestamp)).filter(Boolean);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await saveHistorySnapshot(collageRef.current, { name: t('historyDefaultName', { n: history.length + 1 }) });
+      alert(t('saveSuccess'));
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  const handleRestore = (timestamp) => {
+    if (window.confirm(t('restoreConfirm'))) {
+      restoreFromHistory(timestamp);
+      setComparing(null);
+    }
+  }
+
+  const handleDelete = (timestamp) => {
+    if (window.confirm(t('deleteConfirm'))) {
+      deleteFromHistory(timestamp);
+      setSelected(sel => sel.filter(ts => ts !== timestamp));
+    }
+  }
+
+  const toggleSelect = (timestamp) => {
+    setSelected(sel => (sel.includes(timestamp) ? sel.filter(ts => ts !== timestamp) : [...sel, timestamp].slice(-2)));
+  };
 
-    return () => clearInterval(intervalId);
-  }, []);
+  // 选中一条时与当前排版比较，选中两条时互相比较
+  const handleCompare = async () => {
+    if (selectedEntries.length === 1) {
+      const state = useStore.getState();
+      const thumbnail = await captureThumbnail(collageRef.current, state.styles.backgroundColor);
+      setComparing([selectedEntries[0], { ...takeSnapshot(state), timestamp: null, name: t('historyCurrentLayout'), thumbnail }]);
+    } else {
+      setComparing([...selectedEntries].sort((a, b) => a.timestamp.localeCompare(b.timestamp)));
+    }
+  };
 
-  if (!dependenciesLoaded) {
-    return (
-      <div className="bg-slate-900 text-white min-h-screen flex items-center justify-center font-sans">
-        <div className="text-center">
-          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-white mx-auto mb-4"></div>
-          <p>{locales.zh.loading}</p>
+  return (
+    <section className="bg-slate-800 p-6 rounded-lg">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-lg font-semibold">{t('history')}</h2>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={handleCompare}
+            disabled={selectedEntries.length === 0}
+            title={t('historyCompareHint')}
+            className="bg-slate-700 hover:bg-slate-600 rounded-md px-4 py-2 font-semibold transition-colors disabled:opacity-50"
+          >
+            {t('historyCompare')}
+          </button>
+          <button onClick={handleSave} disabled={isSaving} className="bg-indigo-600 hover:bg-indigo-700 rounded-md px-4 py-2 font-semibold transition-colors disabled:bg-slate-600 flex items-center space-x-2">
+            <Save size={18}/>
+            <span>{t('saveToHistory')}</span>
+          </button>
         </div>
       </div>
-    );
-  }
+      <div className="flex flex-wrap items-center gap-x-6 gap-y-2 mb-4 text-sm text-slate-300">
+        <label className="flex items-center space-x-2">
+          <span>{t('historyAutosave')}</span>
+          <select
+            value={historySettings.autosaveMinutes}
+            onChange={e => setHistorySettings({ autosaveMinutes: Number(e.target.value) })}
+            className="bg-slate-700 rounded-md p-1"
+          >
+            {AUTOSAVE_INTERVALS.map(minutes => (
+              <option key={minutes} value={minutes}>{minutes ? t('historyAutosaveEvery', { n: minutes }) : t('historyAutosaveOff')}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center space-x-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={historySettings.autosaveOnExport}
+            onChange={e => setHistorySettings({ autosaveOnExport: e.target.checked })}
+            className="accent-sky-500"
+          />
+          <span>{t('historyAutosaveOnExport')}</span>
+        </label>
+        <label className="flex items-center space-x-2">
+          <span>{t('historyLimit')}</span>
+          <input
+            type="number"
+            min="1"
+            max="200"
+            value={historySettings.limit}
+            onChange={e => {
+              const limit = parseInt(e.target.value, 10);
+              if (limit >= 1) setHistorySettings({ limit: Math.min(limit, 200) });
+            }}
+            className="w-16 bg-slate-700 rounded-md p-1"
+          />
+        </label>
+      </div>
+      <div className="max-h-96 overflow-y-auto space-y-2 pr-2">
+        {history.length === 0 ? (
+          <p className="text-slate-400 text-center py-4">{t('noHistory')}</p>
+        ) : (
+          history.map((h, index) => (
+            <HistoryEntry
+              key={h.timestamp}
+              entry={h}
+              previous={history[index + 1]}
+              isSelected={selected.includes(h.timestamp)}
+              onToggleSelect={() => toggleSelect(h.timestamp)}
+              onRestore={() => handleRestore(h.timestamp)}
+              onDelete={() => handleDelete(h.timestamp)}
+            />
+          ))
+        )}
+      </div>
+      {comparing && <SnapshotCompare snapshots={comparing} onRestore={handleRestore} onClose={() => setComparing(null)}/>}
+    </section>
+  );
+}
 
-  return <AppContent />;
+// --- 项目管理 ---
+const PROJECT_THUMBNAIL_WIDTH = 320;
+
+// 画布缩略图 (PNG)，生成失败时返回 null
+const captureThumbnail = async (node, backgroundColor) => {
+  if (!node || !node.offsetWidth) return null;
+  try {
+    return await toBlob(node, {
+      pixelRatio: Math.min(1, PROJECT_THUMBNAIL_WIDTH / node.offsetWidth),
+      backgroundColor,
+      filter: el => !(el.classList && el.classList.contains('interactive-control')),
+    });
+  } catch (error) {
+    console.error("Failed to capture thumbnail:", error);
+    return null;
+  }
 };
 
-const AppContent = () => {
-  const store = useStore();
-  const { t, lang, setLang, rows, cols, styles, gridKey, captions, setStyle, setGridDimensions, generateGrid, setCaption, addRow, deleteRow, addColumn, deleteColumn } = store;
+const ProjectManager = ({ collageRef, onClose }) => {
+  const { t, projectId, projectName, createProject, switchProject, duplicateProject, renameProject, deleteProject } = useStore();
+  const [projects, setProjects] = useState(null);
+  const [thumbnails, setThumbnails] = useState({});
+  const [isBusy, setIsBusy] = useState(false);
 
-  const [isExporting, setIsExporting] = useState(false);
-  const [exportFormat, setExportFormat] = useState('png');
-  const [fileName, setFileName] = useState('my-research-collage');
-  const collageRef = useRef(null);
+  const saveCurrentThumbnail = useCallback(async () => {
+    const { projectId: id, styles } = useStore.getState();
+    const thumbnail = await captureThumbnail(collageRef.current, styles.backgroundColor);
+    if (thumbnail) await updateProject(id, { thumbnail });
+  }, [collageRef]);
 
-  useEffect(() => {
-    const savedLang = localStorage.getItem('figure-collage-lang');
-    if (savedLang) {
-      setLang(savedLang);
-    } else {
-      const browserLang = navigator.language.split('-')[0];
-      if (browserLang === 'zh') {
-        setLang('zh');
-      } else {
-        setLang('en');
-      }
-    }
-  }, [setLang]);
+  const refresh = useCallback(async () => setProjects(await listProjects()), []);
 
-  const toggleLang = () => {
-    const newLang = lang === 'en' ? 'zh' : 'en';
-    setLang(newLang);
-    localStorage.setItem('figure-collage-lang', newLang);
-  };
+  useEffect(() => {
+    saveCurrentThumbnail().then(refresh).catch(error => console.error(t('projectActionError'), error));
+  }, [saveCurrentThumbnail, refresh, t]);
 
-  const handleExport = async () => {
-    if (!collageRef.current || isExporting) return;
+  useEffect(() => {
+    const urls = Object.fromEntries((projects || []).filter(p => p.thumbnail).map(p => [p.id, URL.createObjectURL(p.thumbnail)]));
+    setThumbnails(urls);
+    return () => Object.values(urls).forEach(url => URL.revokeObjectURL(url));
+  }, [projects]);
 
-    setIsExporting(true);
-    
-    const interactiveElements = collageRef.current.querySelectorAll('.interactive-control');
-    interactiveElements.forEach(el => el.style.display = 'none');
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
 
+  const run = async (action) => {
+    setIsBusy(true);
     try {
-      const { toPng, toJpeg } = window.htmlToImage;
-      const { jsPDF } = window.jspdf;
-
-      const options = {
-        quality: 1.0,
-        pixelRatio: 3,
-        backgroundColor: styles.backgroundColor,
-      };
-
-      if (exportFormat === 'png') {
-        const dataUrl = await toPng(collageRef.current, options);
-        saveAs(dataUrl, `${fileName}.png`);
-      } else if (exportFormat === 'jpg') {
-        const dataUrl = await toJpeg(collageRef.current, options);
-        saveAs(dataUrl, `${fileName}.jpg`);
-      } else if (exportFormat === 'pdf') {
-        const dataUrl = await toPng(collageRef.current, options);
-        const img = new Image();
-        img.src = dataUrl;
-        img.onload = () => {
-          const pdf = new jsPDF({
-            orientation: img.width > img.height ? 'l' : 'p',
-            unit: 'px',
-            format: [img.width, img.height],
-          });
-          pdf.addImage(dataUrl, 'PNG', 0, 0, img.width, img.height);
-          pdf.save(`${fileName}.pdf`);
-        };
-      }
-      console.log(t('exportSuccess'));
+      await action();
+      await refresh();
     } catch (error) {
-      console.error(t('exportError'), error);
-      alert(t('exportError') + error.message);
+      console.error(t('projectActionError'), error);
+      alert(t('projectActionError') + t(error.message));
     } finally {
-      setIsExporting(false);
-      interactiveElements.forEach(el => el.style.display = '');
+      setIsBusy(false);
     }
   };
 
-  const gridStyle = {
-    display: 'grid',
-    gridTemplateColumns: `repeat(${cols}, 1fr)`,
-    gridTemplateRows: `repeat(${rows}, auto)`,
-    gap: `${styles.rowGap}px ${styles.columnGap}px`,
+  const askName = (defaultValue) => {
+    const name = window.prompt(t('projectNamePrompt'), defaultValue);
+    return name && name.trim();
   };
 
-  const canvasStyle = {
-    padding: `${styles.pagePadding}px`,
-    backgroundColor: styles.backgroundColor,
-    position: 'relative',
+  const handleCreate = () => {
+    const name = askName(t('untitledProject'));
+    if (!name) return;
+    run(async () => {
+      await saveCurrentThumbnail();
+      await createProject(name);
+      onClose();
+    });
   };
-  
-  const captionContainerStyle = {
-    display: 'grid',
-    gridTemplateColumns: `repeat(${cols}, 1fr)`,
-    gap: `0 ${styles.columnGap}px`,
-    marginTop: `${styles.captionGap}px`,
+
+  const handleOpen = (id) => {
+    if (id === projectId) {
+      onClose();
+      return;
+    }
+    run(async () => {
+      await saveCurrentThumbnail();
+      await switchProject(id);
+      onClose();
+    });
   };
-  
-  const captionStyle = {
-    fontSize: `${styles.captionFontSize}px`,
+
+  const handleRename = (project) => {
+    const name = askName(project.name);
+    if (name) run(() => renameProject(project.id, name));
   };
 
-  const watermarkStyle = {
-    position: 'absolute',
-    bottom: '5px',
-    right: '10px',
-    color: '#888888',
-    opacity: 0.5,
-    fontSize: '12px',
-    pointerEvents: 'none',
+  const handleDelete = (project) => {
+    if (!window.confirm(t('projectDeleteConfirm', { name: project.name }))) return;
+    run(async () => {
+      await deleteProject(project.id);
+      runImageGC().catch(error => console.error("Image garbage collection failed:", error));
+    });
   };
 
+  const iconButtonClass = "p-2 rounded-md text-slate-300 hover:bg-slate-600 hover:text-white disabled:opacity-50";
+
   return (
-    <div className="bg-slate-900 text-white min-h-screen font-sans p-4 sm:p-6 md:p-8">
-      <div className="max-w-7xl mx-auto">
-        <header className="flex justify-between items-center mb-6">
-          <div>
-            <h1 className="text-2xl font-bold">{t('title')}</h1>
-            <p className="text-sm text-slate-400">{t('subtitle')}</p>
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={onClose}>
+      <div className="bg-slate-800 rounded-lg shadow-xl w-full max-w-4xl max-h-full overflow-y-auto p-6" onClick={e => e.stopPropagation()}>
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-lg font-semibold">{t('projects')}</h2>
+          <div className="flex items-center space-x-4">
+            <button onClick={handleCreate} disabled={isBusy} className="bg-sky-600 hover:bg-sky-700 rounded-md px-4 py-2 font-semibold transition-colors disabled:bg-slate-600 flex items-center space-x-2">
+              <Plus size={18}/>
+              <span>{t('newProject')}</span>
+            </button>
+            <button onClick={onClose} className="text-slate-400 hover:text-white"><X size={20}/></button>
           </div>
-          <button onClick={toggleLang} className="flex items-center space-x-2 px-3 py-2 bg-slate-800 rounded-md hover:bg-slate-700 transition-colors">
-            <Languages size={18} />
-            <span>{lang === 'en' ? '中文' : 'English'}</span>
-          </button>
-        </header>
-
-        <main className="space-y-8">
-          {/* 1. 布局设置 */}
-          <section className="bg-slate-800 p-6 rounded-lg">
-            <h2 className="text-lg font-semibold mb-4">{t('layoutSettings')}</h2>
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-              <div>
-                <label className="block text-sm font-medium text-slate-300 mb-1">{t('columns')}</label>
-                <input type="number" min="1" max="20" value={cols} onChange={e => setGridDimensions(rows, parseInt(e.target.value))} className="w-full bg-slate-700 border-slate-600 rounded-md p-2 focus:ring-sky-500 focus:border-sky-500"/>
-              </div>
-              <div>
-                <label className="block text-sm font-medium text-slate-300 mb-1">{t('rows')}</label>
-                <input type="number" min="1" max="20" value={rows} onChange={e => setGridDimensions(parseInt(e.target.value), cols)} className="w-full bg-slate-700 border-slate-600 rounded-md p-2 focus:ring-sky-500 focus:border-sky-500"/>
-              </div>
-              <div className="md:self-end">
-                <button onClick={generateGrid} className="w-full bg-sky-600 hover:bg-sky-700 rounded-md px-4 py-2 font-semibold transition-colors">{t('generateGrid')}</button>
-              </div>
-            </div>
-          </section>
-
-          {/* 2. 样式与安全 */}
-          <section className="bg-slate-800 p-6 rounded-lg">
-            <h2 className="text-lg font-semibold mb-4">{t('styleAndSpacing')}</h2>
-            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-x-6 gap-y-4">
-              {Object.keys(styles).filter(k => k !== 'backgroundColor' && k !== 'watermark').map(key => (
-                <div key={key}>
-                  <label className="block text-sm font-medium text-slate-300 mb-1">{t(key)}</label>
-                  <input type="range" min="0" max="100" value={styles[key]} onChange={e => setStyle(key, parseInt(e.target.value))} className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-sky-500"/>
-                  <span className="text-xs text-slate-400">{styles[key]}px</span>
-                </div>
-              ))}
-              <div>
-                <label className="block text-sm font-medium text-slate-300 mb-1">{t('backgroundColor')}</label>
-                <input type="color" value={styles.backgroundColor} onChange={e => setStyle('backgroundColor', e.target.value)} className="w-full h-10 p-1 bg-slate-700 border-slate-600 rounded-md cursor-pointer"/>
-              </div>
-              <div className="col-span-2 md:col-span-1 lg:col-span-2">
-                <label className="block text-sm font-medium text-slate-300 mb-1">{t('watermark')}</label>
-                <input type="text" value={styles.watermark} onChange={e => setStyle('watermark', e.target.value)} placeholder={t('watermarkPlaceholder')} className="w-full bg-slate-700 border-slate-600 rounded-md p-2 focus:ring-sky-500 focus:border-sky-500"/>
-              </div>
-            </div>
-          </section>
+        </div>
 
-          {/* 3. 编辑内容 */}
-          <section className="bg-slate-800 p-6 rounded-lg">
-            <h2 className="text-lg font-semibold mb-4">{t('editContent')}</h2>
-            <div ref={collageRef} style={canvasStyle} className="overflow-auto">
-               <div className="relative">
-                {/* Row Controls */}
-                <div className="absolute -left-12 top-0 bottom-0 flex flex-col justify-around" style={{gap: `${styles.rowGap}px`}}>
-                  {[...Array(rows)].map((_, r) => (
-                    <div key={`row-ctrl-${r}`} className="flex flex-col items-center justify-center h-full group interactive-control">
-                       <button onClick={() => deleteRow(r)} title={t('deleteRow')} className="text-slate-500 hover:text-red-500 opacity-50 group-hover:opacity-100 transition-opacity"><Trash2 size={16}/></button>
+        {!projects ? (
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-white mx-auto my-8"></div>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+            {projects.map(project => {
+              const isCurrent = project.id === projectId;
+              const name = isCurrent ? projectName : project.name;
+              const doc = project.doc || emptyDocument;
+              return (
+                <div key={project.id} className={`bg-slate-700/50 rounded-lg overflow-hidden flex flex-col ${isCurrent ? 'ring-2 ring-sky-500' : ''}`}>
+                  <button onClick={() => handleOpen(project.id)} disabled={isBusy} className="aspect-video bg-slate-900 flex items-center justify-center hover:opacity-90">
+                    {thumbnails[project.id]
+                      ? <img src={thumbnails[project.id]} alt={name} className="max-w-full max-h-full object-contain"/>
+                      : <ImageOff size={32} className="text-slate-600"/>}
+                  </button>
+                  <div className="p-3 flex items-start justify-between gap-2">
+                    <div className="min-w-0">
+                      <p className="font-medium truncate" title={name}>{name}</p>
+                      <p className="text-xs text-slate-400">
+                        {t('projectSummary', { cols: doc.cols, rows: doc.rows, count: Object.keys(doc.images || {}).length })}
+                      </p>
+                      <p className="text-xs text-slate-400">
+                        {isCurrent ? t('projectCurrent') : new Date(project.updatedAt).toLocaleString()}
+                      </p>
                     </div>
-                  ))}
-                </div>
-
-                {/* Column Controls */}
-                <div className="absolute -top-12 left-0 right-0 flex justify-around" style={{gap: `${styles.columnGap}px`}}>
-                   {[...Array(cols)].map((_, c) => (
-                    <div key={`col-ctrl-${c}`} className="flex items-center justify-center w-full group interactive-control">
-                      <button onClick={() => deleteColumn(c)} title={t('deleteColumn')} className="text-slate-500 hover:text-red-500 opacity-50 group-hover:opacity-100 transition-opacity"><Trash2 size={16}/></button>
+                    <div className="flex flex-shrink-0">
+                      <button onClick={() => handleRename({ ...project, name })} disabled={isBusy} title={t('projectRename')} className={iconButtonClass}><Pencil size={16}/></button>
+                      <button onClick={() => run(() => duplicateProject(project.id))} disabled={isBusy} title={t('projectDuplicate')} className={iconButtonClass}><Copy size={16}/></button>
+                      <button onClick={() => handleDelete({ ...project, name })} disabled={isBusy} title={t('projectDelete')} className={`${iconButtonClass} hover:text-red-400`}><Trash2 size={16}/></button>
                     </div>
-                  ))}
-                </div>
-                
-                {/* Main Grid */}
-                <div key={gridKey} style={gridStyle}>
-                  {[...Array(rows)].map((_, r) =>
-                    [...Array(cols)].map((_, c) => (
-                      <GridCell key={`${r}-${c}`} row={r} col={c} />
-                    ))
-                  )}
-                </div>
-
-                {/* Add Row Button */}
-                <div className="absolute -bottom-6 left-0 right-0 flex justify-center interactive-control">
-                    <button onClick={() => addRow(rows)} className="text-slate-500 hover:text-sky-400">+</button>
-                </div>
-                 {/* Add Column Button */}
-                <div className="absolute -right-6 top-0 bottom-0 flex items-center interactive-control">
-                    <button onClick={() => addColumn(cols)} className="text-slate-500 hover:text-sky-400">+</button>
+                  </div>
                 </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
 
-              </div>
-
-              {/* Captions */}
-              <div style={captionContainerStyle}>
-                {[...Array(cols)].map((_, c) => (
-                  <input
-                    key={`caption-${c}`}
-                    type="text"
-                    placeholder={t('columnCaption', {n: c + 1})}
-                    value={captions[c] || ''}
-                    onChange={e => setCaption(c, e.target.value)}
-                    style={captionStyle}
-                    className="bg-transparent text-center text-slate-300 placeholder-slate-500 focus:outline-none focus:bg-slate-700 rounded-sm"
-                  />
-                ))}
-              </div>
-              {styles.watermark && <div style={watermarkStyle}>{styles.watermark}</div>}
-            </div>
-          </section>
+// --- 存储空间 ---
+// 用量超过配额的这一比例时提醒用户清理
+const STORAGE_WARN_RATIO = 0.8;
 
-          {/* 4. 导出文件 */}
-          <section className="bg-slate-800 p-6 rounded-lg">
-            <h2 className="text-lg font-semibold mb-4">{t('exportFile')}</h2>
-            <div className="flex flex-wrap gap-4">
-              <input 
-                type="text" 
-                value={fileName}
-                onChange={e => setFileName(e.target.value)}
-                placeholder={t('fileName')}
-                className="flex-grow bg-slate-700 border-slate-600 rounded-md p-2 focus:ring-sky-500 focus:border-sky-500 min-w-[200px]"
-              />
-              <div className="flex items-center bg-slate-700 rounded-md">
-                <span className="pl-3 text-slate-400">.</span>
-                <select value={exportFormat} onChange={e => setExportFormat(e.target.value)} className="bg-transparent p-2 pr-3 appearance-none focus:outline-none">
-                  <option value="png">png</option>
-                  <option value="jpg">jpg</option>
-                  <option value="pdf">pdf</option>
-                </select>
-              </div>
-              <button onClick={handleExport} disabled={isExporting} className="flex-grow md:flex-grow-0 bg-green-600 hover:bg-green-700 rounded-md px-6 py-2 font-semibold transition-colors disabled:bg-slate-600 disabled:cursor-not-allowed flex items-center justify-center">
-                {isExporting ? (
-                  <>
-                    <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
-                    {t('exporting')}
-                  </>
-                ) : (
-                  <>
-                    <Download size={18} className="mr-2"/> {t('download')}
-                  </>
-                )}
-              </button>
-            </div>
-          </section>
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB', 'TB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+};
 
-          {/* 5. 历史记录 */}
-          <HistorySection />
+const isStorageLow = (estimate) => !!estimate && estimate.quota > 0 && estimate.usage / estimate.quota > STORAGE_WARN_RATIO;
 
-        </main>
-      </div>
+const StorageWarning = () => {
+  const t = useStore(state => state.t);
+  const estimate = useStore(state => state.storageEstimate);
+  if (!isStorageLow(estimate)) return null;
+  return (
+    <div className="mb-6 bg-amber-900/50 border border-amber-600 text-amber-200 rounded-lg px-4 py-3 text-sm">
+      {t('storageLowWarning', { usage: formatBytes(estimate.usage), quota: formatBytes(estimate.quota) })}
     </div>
   );
-}
+};
 
+const StorageSection = () => {
+  const { t, storageEstimate: estimate, refreshStorageEstimate, clearUndoHistory } = useStore();
+  const pastLength = useStore(state => state.past.length + state.future.length);
+  const [summary, setSummary] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
 
-const HistorySection = () => {
-  const { t, history, saveToHistory, restoreFromHistory, deleteFromHistory } = useStore();
+  // 按引用来源统计数据库中的图片：当前排版 > 历史记录 > 其他项目 > 撤销栈 > 未引用
+  const refreshSummary = useCallback(async () => {
+    const state = useStore.getState();
+    const current = countImageReferences([state]);
+    const history = countImageReferences(state.history);
+    const otherProjects = countImageReferences(await otherProjectDocs(state.projectId));
+    const references = await referencedImages(state);
+    const groups = { current: [0, 0], history: [0, 0], projects: [0, 0], undo: [0, 0], unreferenced: [0, 0] };
+    (await listImages()).forEach(({ id, size }) => {
+      const group = current.has(id) ? 'current'
+        : history.has(id) ? 'history'
+        : otherProjects.has(id) ? 'projects'
+        : references.has(id) ? 'undo'
+        : 'unreferenced';
+      groups[group][0]++;
+      groups[group][1] += size;
+    });
+    setSummary(groups);
+  }, []);
 
-  const handleSave = () => {
-    saveToHistory();
-    alert(t('saveSuccess'));
-  }
+  // 启动时回收上次会话遗留的图片 (撤销栈不会持久化)
+  useEffect(() => {
+    runImageGC().catch(error => console.error("Image garbage collection failed:", error));
+  }, []);
 
-  const handleRestore = (timestamp) => {
-    if (window.confirm(t('restoreConfirm'))) {
-      restoreFromHistory(timestamp);
-    }
-  }
+  // 每次回收后用量都会刷新，顺带更新分类统计
+  useEffect(() => {
+    refreshSummary().catch(error => console.error(t('storageError'), error));
+  }, [estimate, refreshSummary, t]);
 
-  const handleDelete = (timestamp) => {
-    if (window.confirm(t('deleteConfirm'))) {
-      deleteFromHistory(timestamp);
+  const handleCleanUp = async () => {
+    setIsBusy(true);
+    try {
+      const { count, bytes } = await runImageGC();
+      alert(t('storageCleaned', { count, size: formatBytes(bytes) }));
+    } catch (error) {
+      console.error(t('storageError'), error);
+      alert(t('storageError') + t(error.message));
+    } finally {
+      setIsBusy(false);
     }
-  }
+  };
+
+  const handleClearUndo = async () => {
+    if (!window.confirm(t('storageClearUndoConfirm'))) return;
+    clearUndoHistory();
+    await handleCleanUp();
+  };
+
+  const handlePersist = async () => {
+    const granted = await requestPersistentStorage();
+    await refreshStorageEstimate();
+    alert(t(granted ? 'storagePersistGranted' : 'storagePersistDenied'));
+  };
+
+  const ratio = estimate && estimate.quota > 0 ? estimate.usage / estimate.quota : 0;
+  const buttonClass = "bg-slate-700 hover:bg-slate-600 rounded-md px-4 py-2 font-semibold transition-colors disabled:opacity-50";
 
   return (
     <section className="bg-slate-800 p-6 rounded-lg">
-      <div className="flex justify-between items-center mb-4">
-        <h2 className="text-lg font-semibold">{t('history')}</h2>
-        <button onClick={handleSave} className="bg-indigo-600 hover:bg-indigo-700 rounded-md px-4 py-2 font-semibold transition-colors flex items-center space-x-2">
-          <Save size={18}/>
-          <span>{t('saveToHistory')}</span>
-        </button>
-      </div>
-      <div className="max-h-60 overflow-y-auto space-y-2 pr-2">
-        {history.length === 0 ? (
-          <p className="text-slate-400 text-center py-4">{t('noHistory')}</p>
-        ) : (
-          history.map(h => (
-            <div key={h.timestamp} className="bg-slate-700/50 p-3 rounded-md flex justify-between items-center group">
-              <div>
-                <p className="font-medium">{new Date(h.timestamp).toLocaleString()}</p>
-                <p className="text-xs text-slate-400">{`${h.cols}x${h.rows} Grid`}</p>
-              </div>
-              <div className="flex items-center space-x-2 opacity-0 group-hover:opacity-100 transition-opacity">
-                <button onClick={() => handleRestore(h.timestamp)} className="text-sky-400 hover:text-sky-300">{t('restoreConfirm').split('?')[0]}</button>
-                <button onClick={() => handleDelete(h.timestamp)} className="text-red-500 hover:text-red-400"><Trash2 size={16}/></button>
-              </div>
+      <h2 className="text-lg font-semibold mb-4">{t('storage')}</h2>
+      {estimate && estimate.quota > 0 ? (
+        <>
+          <div className="flex justify-between text-sm text-slate-300 mb-1">
+            <span>{t('storageUsage', { usage: formatBytes(estimate.usage), quota: formatBytes(estimate.quota) })}</span>
+            <span>{(ratio * 100).toFixed(1)}%</span>
+          </div>
+          <div className="h-2 bg-slate-700 rounded-full overflow-hidden">
+            <div className={`h-full ${isStorageLow(estimate) ? 'bg-amber-500' : 'bg-sky-500'}`} style={{ width: `${Math.min(100, ratio * 100)}%` }}/>
+          </div>
+        </>
+      ) : (
+        <p className="text-sm text-slate-400">{t('storageEstimateUnavailable')}</p>
+      )}
+
+      {summary && (
+        <dl className="grid grid-cols-2 md:grid-cols-5 gap-4 mt-4 text-sm">
+          {['current', 'history', 'projects', 'undo', 'unreferenced'].map(group => (
+            <div key={group} className="bg-slate-700/50 rounded-md p-3">
+              <dt className="text-slate-400">{t(`storageGroup_${group}`)}</dt>
+              <dd className="font-medium">{t('storageGroupValue', { count: summary[group][0], size: formatBytes(summary[group][1]) })}</dd>
             </div>
-          ))
-        )}
+          ))}
+        </dl>
+      )}
+
+      <div className="flex flex-wrap items-center gap-4 mt-4">
+        <button onClick={handleCleanUp} disabled={isBusy} className={buttonClass}>{t('storageCleanUp')}</button>
+        <button onClick={handleClearUndo} disabled={isBusy || pastLength === 0} className={buttonClass}>{t('storageClearUndo')}</button>
+        {estimate && (estimate.persisted ? (
+          <span className="text-sm text-green-400">{t('storagePersisted')}</span>
+        ) : (
+          <button onClick={handlePersist} className={buttonClass}>{t('storageRequestPersist')}</button>
+        ))}
       </div>
+      <p className="text-xs text-slate-400 mt-3">{t('storageInfo')}</p>
     </section>
   );
-}
+};
 
 export default FigureCollageApp;
@@ -0,0 +1,232 @@
+// --- Node 渲染接口 ---
+// 不经过网页界面，由布局描述 (JSON) 或项目包 (.collage) 直接输出 PNG / JPEG / SVG / PDF。
+// 排版与输出 (含 PNG / JPEG 的栅格化) 和网页导出共用 figureLayout.js / figureRender.js，
+// 这里只提供 Node 下的文件读取、svg2pdf.js 需要的 DOM (jsdom)，以及 PDF 中需要转为位图的图片处理 (sharp)。
+//
+// 布局描述与项目包中的 project.json 结构相同 (format / version 可省略)，images[key] 为图片路径，
+// 或 { file, edits, scaleBar, width, height } 等格子设置；路径相对描述文件所在目录。
+// TIFF 与网页中导入时相同：解码后自动窗宽窗位转为 PNG，source.page / source.levels.window 可指定页面与窗口。
+// 图片按原样使用：统一处理 (normalize) 与通道合并 (channelMerge) 只在网页中计算，
+// 项目包中保存的是它们的结果。
+// 出错时抛出 Error，message 为文案 key (见 bin/render-figure.js)。
+import { readFile, writeFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import sharp from 'sharp';
+import { jsPDF } from 'jspdf';
+import { svg2pdf } from 'svg2pdf.js/dist/svg2pdf.es.min.js';
+import { JSDOM } from 'jsdom';
+import * as pdfLib from 'pdf-lib';
+import { renderFigure, exportFormats } from '../utils/figureRender.js';
+import { withDefaultStyles } from '../utils/figureLayout.js';
+import { needsPixelEdits } from '../utils/vectorExport.js';
+import { normalizeSvg } from '../utils/rasterize.js';
+import { svgFonts, loadFonts } from '../utils/fonts.js';
+import { withDefaultEdits } from '../utils/imageEdits.js';
+import { readProjectBundle, PROJECT_EXTENSION } from '../utils/projectBundle.js';
+import { decodeTiffPixels } from '../utils/tiffDecode.js';
+
+const imageTypes = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+  avif: 'image/avif',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+};
+
+// 网页中导入时先解码为 PNG 的格式，布局描述中需先转换
+const decodedTypes = ['pdf'];
+
+// 无法内联为矢量的 SVG 图片按位图嵌入 PDF 时的分辨率 (sharp 以 72 为原始尺寸)
+const SVG_DENSITY = 288;
+
+const require = createRequire(import.meta.url);
+
+// 随应用提供的文件 (字体与 wasm) 以包内路径标识，直接从 node_modules 读取
+const loadAsset = (file) => readFile(require.resolve(file));
+
+// svg2pdf.js 在全局 document 上创建样式表等临时节点，Node 中由 jsdom 提供
+let dom = null;
+const installDom = () => {
+  if (dom) return;
+  dom = new JSDOM('').window;
+  ['document', 'DOMParser', 'CSSStyleSheet', 'CSSStyleRule'].forEach(name => {
+    if (!(name in globalThis)) globalThis[name] = dom[name];
+  });
+};
+
+// jsdom 不能度量文字，SVG 先由 resvg 规范化 (文字转为路径)，PDF 中仍是矢量图形
+const parseSvg = async (markup, { loadAsset }) => {
+  installDom();
+  const svg = await normalizeSvg(markup, { fonts: await loadFonts(svgFonts(markup), loadAsset), loadAsset });
+  return new dom.DOMParser().parseFromString(svg, 'image/svg+xml').documentElement;
+};
+
+const isInt = (value, min) => Number.isInteger(value) && value >= min;
+
+// 由文件名取图片类型，不支持时抛出错误
+const imageType = (file) => {
+  const ext = path.extname(file).slice(1).toLowerCase();
+  if (decodedTypes.includes(ext) || !imageTypes[ext]) throw new Error('renderImageUnsupported', { cause: file });
+  return imageTypes[ext];
+};
+
+// 与网页中的 decodeWorker.js 相同，解码选中的页面并转为 PNG
+const decodeTiff = async (data, file, source) => {
+  try {
+    const { rgba, width, height } = decodeTiffPixels({
+      buffer: data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength),
+      page: source.page,
+      window: source.levels && source.levels.window,
+    });
+    const png = await sharp(Buffer.from(rgba.buffer, rgba.byteOffset, rgba.byteLength), { raw: { width, height, channels: 4 } })
+      .png()
+      .toBuffer();
+    return new Blob([png], { type: 'image/png' });
+  } catch {
+    throw new Error('renderImageUnsupported', { cause: file });
+  }
+};
+
+const readSpec = async (file) => {
+  const dir = path.dirname(file);
+  let spec;
+  try {
+    spec = JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new Error('renderInputMissing', { cause: file });
+    throw new Error('renderSpecInvalid', { cause: error });
+  }
+  if (!spec || !isInt(spec.rows, 1) || !isInt(spec.cols, 1)) throw new Error('renderSpecInvalid');
+  if (spec.images && typeof spec.images !== 'object') throw new Error('renderSpecInvalid');
+
+  const blobs = {};
+  const images = {};
+  for (const [key, entry] of Object.entries(spec.images || {})) {
+    if (!entry) continue;
+    const info = typeof entry === 'string' ? { file: entry } : entry;
+    if (typeof info.file !== 'string') throw new Error('renderSpecInvalid', { cause: key });
+    const file = path.resolve(dir, info.file);
+    const type = imageType(file);
+    let data;
+    try {
+      data = await readFile(file);
+    } catch {
+      throw new Error('renderImageMissing', { cause: file });
+    }
+    const { file: _file, type: _type, ...rest } = info;
+    images[key] = { ...rest, id: key };
+    blobs[key] = type === 'image/tiff' ? await decodeTiff(data, file, info.source || {}) : new Blob([data], { type });
+  }
+  const { format: _format, version: _version, createdAt: _createdAt, ...doc } = spec;
+  return { doc: { captions: [], ...doc, images }, blobs };
+};
+
+const readBundle = async (file) => {
+  let data;
+  try {
+    data = await readFile(file);
+  } catch {
+    throw new Error('renderInputMissing', { cause: file });
+  }
+  const bundle = await readProjectBundle(new Blob([data]));
+  const blobs = {};
+  const images = {};
+  bundle.images.forEach(({ key, info, blob, sourceBlob }) => {
+    if (!blob || !info.id) return;
+    images[key] = info;
+    blobs[info.id] = blob;
+    // PDF 输入在 PDF 输出中嵌入原页面
+    if (sourceBlob && info.source) blobs[info.source.id] = sourceBlob;
+  });
+  return { doc: { ...bundle.doc, images }, blobs };
+};
+
+/**
+ * 读取布局描述 (.json) 或项目包 (.collage)。
+ * @param {string} file
+ * @returns {Promise<{ doc: object, blobs: Object<string, Blob> }>} blobs 为图片 id -> 图片
+ */
+export const loadFigure = (file) => (
+  path.extname(file).toLowerCase() === `.${PROJECT_EXTENSION}` ? readBundle(file) : readSpec(file)
+);
+
+const toBuffer = async (blob) => Buffer.from(await blob.arrayBuffer());
+
+const getImageSize = async (blob) => {
+  const { width, height } = await sharp(await toBuffer(blob)).metadata();
+  return { width, height };
+};
+
+// 与浏览器相同：先按比例裁剪，再翻转，最后顺时针旋转
+const rasterizeImage = async (item) => {
+  const input = await toBuffer(item.blob);
+  const options = item.mime === 'image/svg+xml' ? { density: SVG_DENSITY } : {};
+  if (needsPixelEdits(item.edits)) {
+    const e = withDefaultEdits(item.edits);
+    const { width, height } = await sharp(input, options).metadata();
+    const left = Math.min(width - 1, Math.round(e.crop.x * width));
+    const top = Math.min(height - 1, Math.round(e.crop.y * height));
+    const cropped = await sharp(input, options)
+      .extract({
+        left,
+        top,
+        width: Math.min(width - left, Math.max(1, Math.round(e.crop.width * width))),
+        height: Math.min(height - top, Math.max(1, Math.round(e.crop.height * height))),
+      })
+      .png()
+      .toBuffer();
+    const data = await sharp(cropped).flip(e.flipV).flop(e.flipH).rotate(e.rotation).png().toBuffer();
+    return { data: new Uint8Array(data), format: 'PNG' };
+  }
+  if (item.mime === 'image/png' || item.mime === 'image/jpeg') {
+    return { data: new Uint8Array(input), format: item.mime === 'image/png' ? 'PNG' : 'JPEG' };
+  }
+  return { data: new Uint8Array(await sharp(input, options).png().toBuffer()), format: 'PNG' };
+};
+
+/**
+ * 输出成图。
+ * @param {{ doc: object, blobs: Object<string, Blob> }} figure loadFigure 的结果
+ * @param {{ format: 'png' | 'jpg' | 'svg' | 'pdf', dpi?: number, widthMm?: number }} options
+ *   dpi、widthMm 覆盖文档中的页面设置
+ * @returns {Promise<Buffer>}
+ */
+export const renderFigureBuffer = async ({ doc, blobs }, { format, dpi, widthMm }) => {
+  const styles = withDefaultStyles(doc.styles);
+  const page = { ...styles.page, ...(dpi && { dpi }), ...(widthMm && { widthMm }) };
+  const blob = await renderFigure({ ...doc, styles: { ...styles, page } }, {
+    format,
+    getImageBlob: async (id) => blobs[id] || null,
+    getImageSize,
+    jsPDF,
+    loadAsset,
+    svg2pdf,
+    parseSvg,
+    pdfLib,
+    rasterizeImage,
+  });
+  return toBuffer(blob);
+};
+
+// 输出格式默认取输出文件的扩展名
+export const formatFromPath = (file) => {
+  const ext = path.extname(file).slice(1).toLowerCase();
+  return ext === 'jpeg' ? 'jpg' : ext;
+};
+
+/**
+ * 读取布局描述或项目包并写入输出文件。
+ * @param {string} input
+ * @param {string} output
+ * @param {{ format?: string, dpi?: number, widthMm?: number }} [options]
+ */
+export const renderFigureFile = async (input, output, { format = formatFromPath(output), ...options } = {}) => {
+  if (!exportFormats[format]) throw new Error('renderUnknownFormat', { cause: format });
+  const figure = await loadFigure(input);
+  await writeFile(output, await renderFigureBuffer(figure, { format, ...options }));
+};
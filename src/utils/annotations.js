@@ -0,0 +1,64 @@
+// --- 标注层 (箭头 / 直线 / 矩形 / 椭圆 / 文字) ---
+// 每个标注锚定在一个格子上：{ id, type, row, col, x1, y1, x2, y2, text?, style }。
+// 坐标为相对锚点格子 (合并区域则为整个区域) 的比例，可超出 0~1 以跨出格子；
+// 文字只使用 (x1, y1) 作为左上角。插入、删除或移动行列时锚点随格子移动。
+
+export const annotationTypes = ['arrow', 'line', 'rect', 'ellipse', 'text'];
+
+export const defaultAnnotationStyle = {
+  color: '#ff0000',
+  strokeWidth: 1, // pt
+  dash: 'solid', // 'solid' | 'dashed' | 'dotted'
+  fontSize: 8, // pt
+  fontFamily: 'Arial, Helvetica, sans-serif',
+  fontWeight: 'normal',
+};
+
+export const withDefaultAnnotationStyle = (style) => ({ ...defaultAnnotationStyle, ...style });
+
+// 虚线样式 (与线宽同单位)
+export const dashPattern = (dash, strokeWidth) => {
+  if (dash === 'dashed') return [strokeWidth * 4, strokeWidth * 3];
+  if (dash === 'dotted') return [strokeWidth, strokeWidth * 2];
+  return null;
+};
+
+/**
+ * 箭头几何：箭杆止于箭头底边，箭头为实心三角形。
+ * @returns {{ shaft: { x1: number, y1: number, x2: number, y2: number }, head: number[][] }}
+ */
+export const arrowGeometry = (x1, y1, x2, y2, strokeWidth) => {
+  const length = Math.hypot(x2 - x1, y2 - y1);
+  if (length === 0) return { shaft: { x1, y1, x2, y2 }, head: [] };
+  const headLength = Math.min(length, strokeWidth * 5);
+  const halfWidth = headLength * 0.4;
+  const ux = (x2 - x1) / length;
+  const uy = (y2 - y1) / length;
+  const bx = x2 - ux * headLength;
+  const by = y2 - uy * headLength;
+  return {
+    shaft: { x1, y1, x2: bx, y2: by },
+    head: [[x2, y2], [bx - uy * halfWidth, by + ux * halfWidth], [bx + uy * halfWidth, by - ux * halfWidth]],
+  };
+};
+
+// 在 index 处插入一行/列后，之后的锚点整体后移
+export const shiftAnnotationsOnInsert = (annotations, axis, index) => annotations.map(a => {
+  const key = axis === 'row' ? 'row' : 'col';
+  return a[key] >= index ? { ...a, [key]: a[key] + 1 } : a;
+});
+
+// 删除 index 处的行/列：锚定在该行/列上的标注随之删除，
+// 除非锚点是跨越多行/列的合并区域 (区域缩小后锚点仍在原位置)
+export const shiftAnnotationsOnDelete = (annotations, merges, axis, index) => {
+  const [key, spanKey] = axis === 'row' ? ['row', 'rowSpan'] : ['col', 'colSpan'];
+  return annotations
+    .filter(a => a[key] !== index || merges.some(m => m.row === a.row && m.col === a.col && m[spanKey] > 1))
+    .map(a => (a[key] > index ? { ...a, [key]: a[key] - 1 } : a));
+};
+
+// 行/列重新排序后更新锚点，inverse[旧位置] = 新位置
+export const remapAnnotations = (annotations, axis, inverse) => annotations.map(a => {
+  const key = axis === 'row' ? 'row' : 'col';
+  return { ...a, [key]: inverse[a[key]] ?? a[key] };
+});
@@ -0,0 +1,57 @@
+// --- 随应用提供的文件 (浏览器) ---
+// 导出用到的字体与 wasm 以包内路径标识 (见 fonts.js、rasterize.js)，这里由 Vite 打包为静态资源，导出时按需下载。
+// Node 中直接从 node_modules 读取，见 src/node/renderFigure.js。
+import resvgWasm from '@resvg/resvg-wasm/index_bg.wasm?url';
+import mozjpegWasm from '@jsquash/jpeg/codec/enc/mozjpeg_enc.wasm?url';
+import arimoRegular from '@expo-google-fonts/arimo/400Regular/Arimo_400Regular.ttf?url';
+import arimoBold from '@expo-google-fonts/arimo/700Bold/Arimo_700Bold.ttf?url';
+import arimoItalic from '@expo-google-fonts/arimo/400Regular_Italic/Arimo_400Regular_Italic.ttf?url';
+import arimoBoldItalic from '@expo-google-fonts/arimo/700Bold_Italic/Arimo_700Bold_Italic.ttf?url';
+import tinosRegular from '@expo-google-fonts/tinos/400Regular/Tinos_400Regular.ttf?url';
+import tinosBold from '@expo-google-fonts/tinos/700Bold/Tinos_700Bold.ttf?url';
+import tinosItalic from '@expo-google-fonts/tinos/400Regular_Italic/Tinos_400Regular_Italic.ttf?url';
+import tinosBoldItalic from '@expo-google-fonts/tinos/700Bold_Italic/Tinos_700Bold_Italic.ttf?url';
+import cousineRegular from '@expo-google-fonts/cousine/400Regular/Cousine_400Regular.ttf?url';
+import cousineBold from '@expo-google-fonts/cousine/700Bold/Cousine_700Bold.ttf?url';
+import cousineItalic from '@expo-google-fonts/cousine/400Regular_Italic/Cousine_400Regular_Italic.ttf?url';
+import cousineBoldItalic from '@expo-google-fonts/cousine/700Bold_Italic/Cousine_700Bold_Italic.ttf?url';
+import notoSansRegular from '@expo-google-fonts/noto-sans/400Regular/NotoSans_400Regular.ttf?url';
+import notoSansBold from '@expo-google-fonts/noto-sans/700Bold/NotoSans_700Bold.ttf?url';
+import notoSansItalic from '@expo-google-fonts/noto-sans/400Regular_Italic/NotoSans_400Regular_Italic.ttf?url';
+import notoSansBoldItalic from '@expo-google-fonts/noto-sans/700Bold_Italic/NotoSans_700Bold_Italic.ttf?url';
+import notoSansScRegular from '@expo-google-fonts/noto-sans-sc/400Regular/NotoSansSC_400Regular.ttf?url';
+import notoSansScBold from '@expo-google-fonts/noto-sans-sc/700Bold/NotoSansSC_700Bold.ttf?url';
+
+const assetUrls = {
+  '@resvg/resvg-wasm/index_bg.wasm': resvgWasm,
+  '@jsquash/jpeg/codec/enc/mozjpeg_enc.wasm': mozjpegWasm,
+  '@expo-google-fonts/arimo/400Regular/Arimo_400Regular.ttf': arimoRegular,
+  '@expo-google-fonts/arimo/700Bold/Arimo_700Bold.ttf': arimoBold,
+  '@expo-google-fonts/arimo/400Regular_Italic/Arimo_400Regular_Italic.ttf': arimoItalic,
+  '@expo-google-fonts/arimo/700Bold_Italic/Arimo_700Bold_Italic.ttf': arimoBoldItalic,
+  '@expo-google-fonts/tinos/400Regular/Tinos_400Regular.ttf': tinosRegular,
+  '@expo-google-fonts/tinos/700Bold/Tinos_700Bold.ttf': tinosBold,
+  '@expo-google-fonts/tinos/400Regular_Italic/Tinos_400Regular_Italic.ttf': tinosItalic,
+  '@expo-google-fonts/tinos/700Bold_Italic/Tinos_700Bold_Italic.ttf': tinosBoldItalic,
+  '@expo-google-fonts/cousine/400Regular/Cousine_400Regular.ttf': cousineRegular,
+  '@expo-google-fonts/cousine/700Bold/Cousine_700Bold.ttf': cousineBold,
+  '@expo-google-fonts/cousine/400Regular_Italic/Cousine_400Regular_Italic.ttf': cousineItalic,
+  '@expo-google-fonts/cousine/700Bold_Italic/Cousine_700Bold_Italic.ttf': cousineBoldItalic,
+  '@expo-google-fonts/noto-sans/400Regular/NotoSans_400Regular.ttf': notoSansRegular,
+  '@expo-google-fonts/noto-sans/700Bold/NotoSans_700Bold.ttf': notoSansBold,
+  '@expo-google-fonts/noto-sans/400Regular_Italic/NotoSans_400Regular_Italic.ttf': notoSansItalic,
+  '@expo-google-fonts/noto-sans/700Bold_Italic/NotoSans_700Bold_Italic.ttf': notoSansBoldItalic,
+  '@expo-google-fonts/noto-sans-sc/400Regular/NotoSansSC_400Regular.ttf': notoSansScRegular,
+  '@expo-google-fonts/noto-sans-sc/700Bold/NotoSansSC_700Bold.ttf': notoSansScBold,
+};
+
+/**
+ * 读取随应用提供的文件，失败时抛出 Error('exportAssetFailed')。
+ * @param {string} file 包内路径
+ * @returns {Promise<ArrayBuffer>}
+ */
+export const loadAsset = async (file) => {
+  const response = await fetch(assetUrls[file]).catch(() => null);
+  if (!response || !response.ok) throw new Error('exportAssetFailed', { cause: file });
+  return response.arrayBuffer();
+};
@@ -0,0 +1,117 @@
+// --- 批量导入 ---
+// 根据文件名把一批图片分配到格子中，返回预览与提交共用的计划：
+//   { rows, cols, assignments: [{ file, row, col }], unmatched: File[], overflow: boolean }
+// rows / cols 为容纳所有图片所需的网格尺寸 (不小于当前尺寸)。网格最多扩大到 maxRows / maxCols，
+// 超出的文件列入 unmatched，并以 overflow 标记。
+
+// 自然排序：img2 排在 img10 之前
+export const naturalCompare = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' }).compare;
+
+// 文件夹导入时按相对路径排序，保证不同子文件夹中的同名文件顺序稳定
+const sortKey = (file) => file.webkitRelativePath || file.name;
+
+export const stripExtension = (name) => name.replace(/\.[^.]+$/, '');
+
+// 由文件名生成脚注：去掉扩展名，下划线与连字符换成空格
+export const captionFromFilename = (name) => stripExtension(name).replace(/[_-]+/g, ' ').trim();
+
+// 默认匹配 "…1_2…" / "…1-2…" 形式的行、列号
+export const DEFAULT_NAME_PATTERN = '(\\d+)[_-](\\d+)';
+
+// 按行或列优先列出可放置图片的格子
+const listSlots = (rows, cols, order, isFree) => {
+  const slots = [];
+  const [outer, inner] = order === 'col' ? [cols, rows] : [rows, cols];
+  for (let i = 0; i < outer; i++) {
+    for (let j = 0; j < inner; j++) {
+      const [row, col] = order === 'col' ? [j, i] : [i, j];
+      if (isFree(row, col)) slots.push({ row, col });
+    }
+  }
+  return slots;
+};
+
+/**
+ * @param {File[]} files
+ * @param {{
+ *   mode: 'natural' | 'pattern',  natural 按文件名顺序依次填充，pattern 按正则的前两个分组取行、列号
+ *   pattern?: string,
+ *   order: 'row' | 'col',          顺序填充时行优先或列优先；网格不够时相应地增加行或列
+ *   fillEmptyOnly: boolean,        顺序填充时跳过已有图片的格子
+ *   rows: number, cols: number,
+ *   maxRows: number, maxCols: number,  网格可扩大到的行数、列数 (当前尺寸更大时以当前尺寸为准)
+ *   isCovered: (row: number, col: number) => boolean,  被合并区域覆盖 (非锚点) 的格子
+ *   isFilled: (row: number, col: number) => boolean,
+ * }} options
+ * @returns {{ rows: number, cols: number, assignments: Array<{ file: File, row: number, col: number }>, unmatched: File[], overflow: boolean } | { error: string }}
+ *   error 为多语言文案 key
+ */
+export const planBulkImport = (files, options) => {
+  const { mode, pattern, order, fillEmptyOnly, rows, cols, isCovered, isFilled } = options;
+  const maxRows = Math.max(rows, options.maxRows);
+  const maxCols = Math.max(cols, options.maxCols);
+  const sorted = [...files].sort((a, b) => naturalCompare(sortKey(a), sortKey(b)));
+
+  if (mode === 'pattern') {
+    let regex;
+    try {
+      regex = new RegExp(pattern || DEFAULT_NAME_PATTERN);
+    } catch {
+      return { error: 'bulkInvalidPattern' };
+    }
+    const matched = [];
+    const unmatched = [];
+    sorted.forEach(file => {
+      const match = regex.exec(stripExtension(file.name));
+      if (match && match[1] !== undefined && match[2] !== undefined && /^\d+$/.test(match[1]) && /^\d+$/.test(match[2])) {
+        matched.push({ file, row: parseInt(match[1], 10), col: parseInt(match[2], 10) });
+      } else {
+        unmatched.push(file);
+      }
+    });
+    // 编号中出现 0 时按从 0 开始计，否则按从 1 开始计
+    const base = matched.some(m => m.row === 0 || m.col === 0) ? 0 : 1;
+    const taken = new Set();
+    const assignments = [];
+    let overflow = false;
+    matched.forEach(({ file, row, col }) => {
+      // 文件名中的日期、序号等大数字不能把网格扩大到上限之外
+      if (row - base >= maxRows || col - base >= maxCols) {
+        overflow = true;
+        unmatched.push(file);
+        return;
+      }
+      const key = `${row - base}-${col - base}`;
+      // 同一格子只放第一张；被合并区域覆盖的格子无法显示图片
+      if (taken.has(key) || isCovered(row - base, col - base)) {
+        unmatched.push(file);
+        return;
+      }
+      taken.add(key);
+      assignments.push({ file, row: row - base, col: col - base });
+    });
+    return {
+      rows: Math.max(rows, ...assignments.map(a => a.row + 1)),
+      cols: Math.max(cols, ...assignments.map(a => a.col + 1)),
+      assignments,
+      unmatched,
+      overflow,
+    };
+  }
+
+  const isFree = (row, col) => !isCovered(row, col) && !(fillEmptyOnly && isFilled(row, col));
+  let newRows = rows;
+  let newCols = cols;
+  let slots = listSlots(newRows, newCols, order, isFree);
+  while (slots.length < sorted.length && (order === 'col' ? newCols < maxCols : newRows < maxRows)) {
+    if (order === 'col') newCols++; else newRows++;
+    slots = listSlots(newRows, newCols, order, isFree);
+  }
+  return {
+    rows: newRows,
+    cols: newCols,
+    assignments: sorted.slice(0, slots.length).map((file, i) => ({ file, ...slots[i] })),
+    unmatched: sorted.slice(slots.length),
+    overflow: sorted.length > slots.length,
+  };
+};
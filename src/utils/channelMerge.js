@@ -0,0 +1,102 @@
+// --- 通道合并 ---
+// 合并格子把 2~4 个灰度通道按颜色叠加为一张彩色图，常用于荧光图像的 merge 面板：
+//   images[key].channelMerge = { channels: [{ cell, imageId, name, color, brightness }], rendered, error }
+// 通道的来源为另一个格子 (cell 为 'row-col'，跟随该格子当前的图片) 或单独上传的图片 (imageId)。
+// color 为 '#rrggbb'，brightness 为亮度倍数。images[key].id 为合成结果 (PNG)，
+// rendered 记录合成时的输入 (见 channelMergeSignature)，与当前输入不同时需要重新合成。
+// 合成失败时 error 为错误的多语言文案 key，images[key].id 保留上一次的结果。
+// 合成在 channelMergeWorker.js 中进行。出错时抛出 Error，message 为多语言文案 key。
+
+export const MIN_CHANNELS = 2;
+export const MAX_CHANNELS = 4;
+
+// 常用的通道颜色，label 为多语言文案 key
+export const channelColors = [
+  { value: '#ff0000', label: 'channelRed' },
+  { value: '#00ff00', label: 'channelGreen' },
+  { value: '#0000ff', label: 'channelBlue' },
+  { value: '#ff00ff', label: 'channelMagenta' },
+  { value: '#00ffff', label: 'channelCyan' },
+  { value: '#ffff00', label: 'channelYellow' },
+  { value: '#ffffff', label: 'channelGray' },
+];
+
+// 新通道依次使用的颜色
+const DEFAULT_ORDER = ['#ff0000', '#00ff00', '#0000ff', '#ff00ff'];
+
+export const createChannel = (index) => ({
+  cell: null,
+  imageId: null,
+  name: '',
+  color: DEFAULT_ORDER[index % DEFAULT_ORDER.length],
+  brightness: 1,
+});
+
+// 通道当前使用的图片 key；来源格子为空或本身是合并格子时为 null
+export const channelSourceId = (images, channel) => {
+  if (!channel.cell) return channel.imageId || null;
+  const info = images[channel.cell];
+  return info && !info.channelMerge ? info.id || null : null;
+};
+
+// 决定合成结果的全部输入
+export const channelMergeSignature = (images, channelMerge) => JSON.stringify(
+  channelMerge.channels.map(channel => [channelSourceId(images, channel), channel.color, channel.brightness])
+);
+
+/**
+ * 行列插入、删除、移动或格子交换后更新来源格子。
+ * @param {object} images
+ * @param {(key: string) => string | null} mapKey 旧 key -> 新 key，格子被删除时返回 null
+ * @returns {object} 新的 images (没有合并格子时原样返回)
+ */
+export const remapChannelSources = (images, mapKey) => {
+  if (!Object.values(images).some(info => info && info.channelMerge)) return images;
+  return Object.fromEntries(Object.entries(images).map(([key, info]) => {
+    if (!info || !info.channelMerge) return [key, info];
+    const channels = info.channelMerge.channels.map(channel => (channel.cell ? { ...channel, cell: mapKey(channel.cell) } : channel));
+    return [key, { ...info, channelMerge: { ...info.channelMerge, channels } }];
+  }));
+};
+
+let worker = null;
+let nextRequestId = 0;
+const pending = new Map();
+
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('./channelMergeWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (e) => {
+      const { requestId, result, error } = e.data;
+      const request = pending.get(requestId);
+      pending.delete(requestId);
+      if (error) request.reject(new Error(error));
+      else request.resolve(result);
+    };
+    // worker 崩溃 (如内存不足) 时拒绝所有请求，下次重新创建
+    worker.onerror = () => {
+      pending.forEach(request => request.reject(new Error('channelMergeFailed')));
+      pending.clear();
+      worker.terminate();
+      worker = null;
+    };
+  }
+  return worker;
+};
+
+/**
+ * 合成通道。
+ * @param {Array<{ blob: Blob, color: string, brightness: number }>} channels 至少一个
+ * @returns {Promise<{ blob: Blob, width: number, height: number }>} PNG
+ */
+export const composeChannels = async (channels) => {
+  try {
+    return await new Promise((resolve, reject) => {
+      const requestId = nextRequestId++;
+      pending.set(requestId, { resolve, reject });
+      getWorker().postMessage({ requestId, channels });
+    });
+  } catch (error) {
+    throw new Error('channelMergeFailed', { cause: error });
+  }
+};
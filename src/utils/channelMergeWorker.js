@@ -0,0 +1,45 @@
+// --- 通道合并 Worker ---
+// 在后台线程中把 2~4 张灰度通道图按颜色叠加为一张彩色图 (加色混合)，避免大图阻塞界面。
+// 消息格式见 channelMerge.js 中的 composeChannels。
+
+const hexToRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+
+const compose = async ({ channels }) => {
+  const bitmaps = await Promise.all(channels.map(channel => createImageBitmap(channel.blob)));
+  try {
+    // 以第一个通道的尺寸为准，尺寸不同的通道拉伸到相同大小
+    const { width, height } = bitmaps[0];
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    channels.forEach((channel, i) => {
+      ctx.clearRect(0, 0, width, height);
+      ctx.drawImage(bitmaps[i], 0, 0, width, height);
+      const { data } = ctx.getImageData(0, 0, width, height);
+      const [r, g, b] = hexToRgb(channel.color).map(v => v * channel.brightness);
+      for (let q = 0; q < rgba.length; q += 4) {
+        // 灰度图的三个分量相同；彩色图按最亮的分量取强度
+        const v = Math.max(data[q], data[q + 1], data[q + 2]);
+        // Uint8ClampedArray 在每次相加时截断到 255，结果与先求和再截断相同
+        rgba[q] += v * r;
+        rgba[q + 1] += v * g;
+        rgba[q + 2] += v * b;
+      }
+    });
+    for (let q = 3; q < rgba.length; q += 4) rgba[q] = 255;
+    ctx.putImageData(new ImageData(rgba, width, height), 0, 0);
+    const blob = await canvas.convertToBlob({ type: 'image/png' });
+    return { blob, width, height };
+  } finally {
+    bitmaps.forEach(bitmap => bitmap.close());
+  }
+};
+
+self.onmessage = async (e) => {
+  const { requestId, ...request } = e.data;
+  try {
+    self.postMessage({ requestId, result: await compose(request) });
+  } catch (error) {
+    self.postMessage({ requestId, error: error.message || String(error) });
+  }
+};
@@ -0,0 +1,199 @@
+// --- 投稿前检查 ---
+// 检查当前排版中常见的投稿问题 (分辨率、字号、线宽、空格子、脚注、JPEG 压缩、颜色空间、成图尺寸)。
+// 每个问题为 { severity: 'error' | 'warning', key, params, cell }，key 为多语言文案 key，
+// params.what 也是文案 key；cell 为相关格子的 'row-col'，与格子无关时为 null。
+import { computeImagePlacement } from './imageEdits.js';
+import { isScaleBarVisible, withDefaultScaleBar } from './scaleBar.js';
+import { parseRichText } from './richText.js';
+import { withDefaultAnnotationStyle } from './annotations.js';
+
+const MM_PER_INCH = 25.4;
+const SCRIPT_SCALE = 0.7; // 上下标相对正文的字号，与富文本显示一致
+
+export const defaultComplianceSettings = {
+  journalId: '', // 按该期刊预设 (见 themes.js 的 guidelines) 检查字号、线宽与图宽，为空时使用下面的值
+  minDpi: 300,
+  minFontSize: 6, // pt
+  minLineWidth: 0.25, // pt
+  minJpegQuality: 75,
+  blockExport: true, // 有错误时阻止导出
+};
+
+/**
+ * 合并检查设置与期刊要求。
+ * @param {object} settings defaultComplianceSettings 的结构
+ * @param {{ minFontSize?: number, minLineWidth?: number, widthsMm?: number[], maxHeightMm?: number } | null} guidelines
+ */
+export const resolveComplianceRules = (settings, guidelines) => ({
+  minDpi: settings.minDpi,
+  minJpegQuality: settings.minJpegQuality,
+  minFontSize: (guidelines && guidelines.minFontSize) || settings.minFontSize,
+  minLineWidth: (guidelines && guidelines.minLineWidth) || settings.minLineWidth,
+  widthsMm: (guidelines && guidelines.widthsMm) || null,
+  maxHeightMm: (guidelines && guidelines.maxHeightMm) || null,
+});
+
+// --- 图片文件检查 ---
+
+// libjpeg 在质量 50 时使用的亮度量化表 (zigzag 顺序与求和无关)
+const STANDARD_LUMINANCE_TABLE = [
+  16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55,
+  14, 13, 16, 24, 40, 57, 69, 56, 14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77, 24, 35, 55, 64, 81, 104, 113, 92,
+  49, 64, 78, 87, 103, 121, 120, 101, 72, 92, 95, 98, 112, 100, 103, 99,
+];
+const STANDARD_LUMINANCE_SUM = STANDARD_LUMINANCE_TABLE.reduce((a, b) => a + b, 0);
+
+// 按 libjpeg 的缩放公式由亮度量化表反推质量 (1~100)
+const estimateQuality = (table) => {
+  const scale = (table.reduce((a, b) => a + b, 0) / STANDARD_LUMINANCE_SUM) * 100;
+  const quality = scale <= 100 ? (200 - scale) / 2 : 5000 / scale;
+  return Math.round(Math.min(100, Math.max(1, quality)));
+};
+
+// 读取 JPEG 的量化表与分量数，扫描数据开始后停止
+const readJpeg = (view) => {
+  const result = { format: 'jpeg', quality: null, colorSpace: null };
+  let pos = 2;
+  while (pos + 4 <= view.byteLength && view.getUint8(pos) === 0xff) {
+    const marker = view.getUint8(pos + 1);
+    const length = view.getUint16(pos + 2);
+    if (marker === 0xda) break;
+    if (marker === 0xdb) {
+      let offset = pos + 4;
+      while (offset < pos + 2 + length) {
+        const precision = view.getUint8(offset) >> 4;
+        const id = view.getUint8(offset) & 0x0f;
+        const table = Array.from({ length: 64 }, (_, i) =>
+          (precision ? view.getUint16(offset + 1 + i * 2) : view.getUint8(offset + 1 + i)));
+        if (id === 0 && result.quality === null) result.quality = estimateQuality(table);
+        offset += 1 + 64 * (precision ? 2 : 1);
+      }
+    } else if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      const components = view.getUint8(pos + 9);
+      result.colorSpace = components === 1 ? 'gray' : components === 4 ? 'cmyk' : 'rgb';
+    }
+    pos += 2 + length;
+  }
+  return result;
+};
+
+/**
+ * 读取图片文件的格式、JPEG 质量与颜色空间。
+ * @param {Blob} blob
+ * @returns {Promise<{ format: string | null, quality: number | null, colorSpace: string | null }>}
+ */
+export const inspectImageFile = async (blob) => {
+  const view = new DataView(await blob.arrayBuffer());
+  if (view.byteLength > 3 && view.getUint16(0) === 0xffd8) return readJpeg(view);
+  return { format: blob.type.replace(/^image\//, '') || null, quality: null, colorSpace: null };
+};
+
+// --- 排版检查 ---
+
+const panelSpan = (sizes, start, span, gap) => sizes.slice(start, start + span).reduce((a, b) => a + b, 0) + (span - 1) * gap;
+
+// 文字的最小实际字号：含上下标时按上下标的字号计算
+const smallestTextSize = (text, size) =>
+  (parseRichText(text).some(line => line.some(run => run.script)) ? size * SCRIPT_SCALE : size);
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * @param {object} options
+ * @param {object} options.doc 当前文档 (rows, cols, images, merges, captions, ..., styles, annotations)
+ * @param {Array<{ row: number, col: number, rowSpan: number, colSpan: number }>} options.panels 面板列表
+ * @param {{ colWidths: number[], rowHeights: number[] }} options.trackSizes 行列尺寸 (mm)
+ * @param {number | null} options.heightMm 成图高度
+ * @param {Object<string, object>} options.inspections 各格子图片的 inspectImageFile 结果
+ * @param {object} options.rules resolveComplianceRules 的结果
+ * @returns {Array<{ severity: string, key: string, params: object, cell: string | null }>}
+ */
+export const checkCompliance = ({ doc, panels, trackSizes, heightMm, inspections, rules }) => {
+  const { styles, images } = doc;
+  const issues = [];
+  const add = (severity, key, params = {}, cell = null) => issues.push({ severity, key, params, cell });
+  const checkSize = (what, size, cell = null) => {
+    if (size < rules.minFontSize) add('error', 'checkSmallText', { what, size: round(size), min: rules.minFontSize }, cell);
+  };
+  const checkText = (what, text, size, cell = null) => {
+    if (text) checkSize(what, smallestTextSize(text, size), cell);
+  };
+  const checkLine = (what, width, cell) => {
+    if (width < rules.minLineWidth) add('warning', 'checkThinLine', { what, width, min: rules.minLineWidth }, cell);
+  };
+
+  // 成图尺寸与导出分辨率
+  const widthMm = styles.page.widthMm;
+  if (rules.widthsMm && rules.widthsMm.length > 0) {
+    const maxWidth = Math.max(...rules.widthsMm);
+    if (widthMm > maxWidth + 0.5) {
+      add('error', 'checkTooWide', { width: round(widthMm), max: maxWidth });
+    } else if (!rules.widthsMm.some(width => Math.abs(width - widthMm) <= 1)) {
+      add('warning', 'checkNonStandardWidth', { width: round(widthMm), widths: rules.widthsMm.join(' / ') });
+    }
+  }
+  if (rules.maxHeightMm && heightMm > rules.maxHeightMm + 0.5) {
+    add('error', 'checkTooTall', { height: round(heightMm), max: rules.maxHeightMm });
+  }
+  if (styles.page.dpi < rules.minDpi) add('error', 'checkPageDpi', { dpi: styles.page.dpi, min: rules.minDpi });
+
+  // 面板：空格子、有效分辨率、JPEG 压缩、颜色空间、比例尺
+  panels.forEach(panel => {
+    const key = `${panel.row}-${panel.col}`;
+    const info = images[key];
+    if (!info) {
+      add('warning', 'checkEmptyCell', {}, key);
+      return;
+    }
+    const inspection = inspections[key];
+    // SVG 导出时保持矢量，不受分辨率限制
+    if (info.width && info.height && !(inspection && inspection.format === 'svg+xml')) {
+      const cellWidth = panelSpan(trackSizes.colWidths, panel.col, panel.colSpan, styles.columnGap);
+      const cellHeight = panelSpan(trackSizes.rowHeights, panel.row, panel.rowSpan, styles.rowGap);
+      const placement = computeImagePlacement(cellWidth, cellHeight, info.width, info.height, info.edits);
+      const dpi = info.width / (placement.imageWidth / MM_PER_INCH);
+      if (dpi < rules.minDpi) add('error', 'checkLowDpi', { dpi: Math.round(dpi), min: rules.minDpi }, key);
+    }
+    if (inspection && inspection.quality !== null && inspection.quality < rules.minJpegQuality) {
+      add('warning', 'checkJpegQuality', { quality: inspection.quality, min: rules.minJpegQuality }, key);
+    }
+    if (inspection && inspection.colorSpace && !['rgb', 'gray', 'ycbcr'].includes(inspection.colorSpace)) {
+      add('warning', 'checkColorSpace', { space: inspection.colorSpace.toUpperCase() }, key);
+    }
+    const scaleBar = info.scaleBar && withDefaultScaleBar(info.scaleBar);
+    if (isScaleBarVisible(scaleBar)) {
+      checkLine('checkWhatScaleBar', scaleBar.thickness, key);
+      if (scaleBar.showLabel) checkSize('checkWhatScaleBar', scaleBar.fontSize, key);
+    }
+  });
+
+  // 文字
+  const captions = doc.captions || [];
+  const rowCaptions = doc.rowCaptions || [];
+  captions.forEach(text => checkText('checkWhatCaption', text, styles.captionFontSize));
+  if (styles.rowLabels.enabled) rowCaptions.forEach(text => checkText('checkWhatRowLabel', text, styles.captionFontSize));
+  if (styles.panelLabels.enabled) checkSize('checkWhatPanelLabel', styles.panelLabels.fontSize);
+  if (styles.title.enabled) checkText('checkWhatTitle', doc.titleText, styles.title.fontSize);
+  if (styles.legend.enabled) checkText('checkWhatLegend', doc.legendText, styles.legend.fontSize);
+  (doc.annotations || []).forEach(annotation => {
+    const cell = `${annotation.row}-${annotation.col}`;
+    const style = withDefaultAnnotationStyle(annotation.style);
+    if (annotation.type === 'text') checkText('checkWhatAnnotation', annotation.text, style.fontSize, cell);
+    else checkLine('checkWhatAnnotation', style.strokeWidth, cell);
+  });
+
+  // 脚注：有图片的列缺少列脚注；完全没有脚注与图例时只提示一次
+  const hasLegend = styles.legend.enabled && !!doc.legendText;
+  if (!captions.some(Boolean) && !hasLegend) {
+    add('warning', 'checkNoCaptions');
+  } else if (captions.some(Boolean)) {
+    for (let col = 0; col < doc.cols; col++) {
+      const panel = panels.find(p => p.col === col && images[`${p.row}-${p.col}`]);
+      if (panel && !captions[col]) add('warning', 'checkMissingCaption', { col: col + 1 }, `${panel.row}-${panel.col}`);
+    }
+  }
+
+  // 错误排在警告前面
+  return issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+};
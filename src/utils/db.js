@@ -0,0 +1,70 @@
+// --- IndexedDB ---
+// 一个数据库中的三张表：
+//   images    图片文件，见 imageStore.js
+//   projects  项目 (排版、历史记录、缩略图)，见 workspace.js
+//   settings  界面设置等键值
+const dbName = 'FigureCollageDB';
+const DB_VERSION = 2;
+
+export const IMAGES = 'images';
+export const PROJECTS = 'projects';
+export const SETTINGS = 'settings';
+
+let dbPromise = null;
+
+export const getDB = () => {
+  dbPromise = dbPromise || new Promise((resolve, reject) => {
+    const request = indexedDB.open(dbName, DB_VERSION);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      // 其他标签页升级数据库时让出连接，下次使用时重新打开
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onupgradeneeded = event => {
+      const db = event.target.result;
+      [IMAGES, PROJECTS, SETTINGS].forEach(name => {
+        if (!db.objectStoreNames.contains(name)) {
+          db.createObjectStore(name);
+        }
+      });
+    };
+  });
+  return dbPromise;
+};
+
+// 在一个事务中执行 fn(store)，返回其 request 的结果
+export const withStore = async (storeName, mode, fn) => {
+  const db = await getDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([storeName], mode);
+    const request = fn(transaction.objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// 在同一个事务中读取并写回一条记录，避免并发修改互相覆盖。
+// update(value) 返回新值；返回 undefined 时不写入
+export const updateRecord = async (storeName, key, update) => {
+  const db = await getDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([storeName], 'readwrite');
+    const store = transaction.objectStore(storeName);
+    let result;
+    const request = store.get(key);
+    request.onsuccess = () => {
+      result = update(request.result);
+      if (result !== undefined) store.put(result, key);
+    };
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
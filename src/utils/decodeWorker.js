@@ -0,0 +1,89 @@
+// --- 解码 Worker ---
+// 在后台线程中解码 TIFF (含多页、8/16/32 位) 与 PDF 的一页，转换为 PNG，避免大文件阻塞界面。
+// TIFF 的解码见 tiffDecode.js；PDF 由 pdf.js 绘制到 OffscreenCanvas。消息格式见 imageDecode.js 中的 decodeSource。
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+import { decodeTiffPixels } from './tiffDecode.js';
+
+const PDF_RENDER_DPI = 300;
+const PDF_MAX_PIXELS = 40e6; // 超大页面降低分辨率，避免画布超出浏览器限制
+
+const decodeTiff = async (request) => {
+  const { rgba, width, height, ...info } = decodeTiffPixels(request);
+  const canvas = new OffscreenCanvas(width, height);
+  canvas.getContext('2d').putImageData(new ImageData(rgba, width, height), 0, 0);
+  const blob = await canvas.convertToBlob({ type: 'image/png' });
+  return { blob, width, height, ...info };
+};
+
+// pdf.js 默认用 document 创建临时画布与 SVG 滤镜，worker 中改用 OffscreenCanvas；
+// 滤镜只用于传递函数与高对比度模式，这里不生效
+class OffscreenCanvasFactory {
+  create(width, height) {
+    const canvas = new OffscreenCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d') };
+  }
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+class NoFilterFactory {
+  addFilter() { return 'none'; }
+  addHCMFilter() { return 'none'; }
+  addAlphaFilter() { return 'none'; }
+  addLuminosityFilter() { return 'none'; }
+  addHighlightHCMFilter() { return 'none'; }
+  destroy() {}
+}
+
+let pdfjsPromise = null;
+
+const loadPdfjs = () => {
+  pdfjsPromise = pdfjsPromise || import('pdfjs-dist').then(pdfjs => {
+    pdfjs.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+    return pdfjs;
+  });
+  return pdfjsPromise;
+};
+
+const decodePdf = async ({ buffer, page = 0 }) => {
+  const pdfjs = await loadPdfjs();
+  const doc = await pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    CanvasFactory: OffscreenCanvasFactory,
+    FilterFactory: NoFilterFactory,
+    // 没有 document.fonts，字形按路径绘制
+    disableFontFace: true,
+  }).promise;
+  try {
+    const index = Math.min(Math.max(0, page), doc.numPages - 1);
+    const pdfPage = await doc.getPage(index + 1);
+    const size = pdfPage.getViewport({ scale: 1 }); // 1 单位 = 1/72 英寸
+    const scale = Math.min(PDF_RENDER_DPI / 72, Math.sqrt(PDF_MAX_PIXELS / (size.width * size.height)));
+    const viewport = pdfPage.getViewport({ scale });
+    const canvas = new OffscreenCanvas(Math.round(viewport.width), Math.round(viewport.height));
+    await pdfPage.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+    const blob = await canvas.convertToBlob({ type: 'image/png' });
+    return { blob, width: canvas.width, height: canvas.height, page: index, pageCount: doc.numPages, bitDepth: 8, levels: null };
+  } finally {
+    doc.destroy();
+  }
+};
+
+self.onmessage = async (e) => {
+  const { requestId, ...request } = e.data;
+  try {
+    self.postMessage({ requestId, result: await (request.kind === 'pdf' ? decodePdf(request) : decodeTiff(request)) });
+  } catch (error) {
+    self.postMessage({ requestId, error: error.message || String(error) });
+  }
+};
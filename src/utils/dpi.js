@@ -0,0 +1,113 @@
+// --- 物理尺寸与 DPI 元数据 ---
+// canvas 导出的 PNG / JPEG 不带分辨率信息 (默认按 72/96 DPI 解读)，
+// 这里直接改写文件头，写入目标 DPI。
+
+export const MM_PER_INCH = 25.4;
+export const PT_PER_INCH = 72;
+
+export const mmToInch = (mm) => mm / MM_PER_INCH;
+export const inchToMm = (inch) => inch * MM_PER_INCH;
+export const ptToMm = (pt) => pt * MM_PER_INCH / PT_PER_INCH;
+
+// 给定物理宽度与 DPI 时的像素宽度
+export const mmToPixels = (mm, dpi) => Math.round(mmToInch(mm) * dpi);
+
+const crcTable = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * 在 PNG 中写入 pHYs 块 (替换已有的 pHYs)。
+ * @param {ArrayBuffer} buffer
+ * @param {number} dpi
+ * @returns {Uint8Array}
+ */
+export const setPngDpi = (buffer, dpi) => {
+  const src = new Uint8Array(buffer);
+  const view = new DataView(src.buffer, src.byteOffset, src.byteLength);
+  const pixelsPerMeter = Math.round(dpi / MM_PER_INCH * 1000);
+
+  const phys = new Uint8Array(21);
+  const physView = new DataView(phys.buffer);
+  physView.setUint32(0, 9);
+  phys.set([0x70, 0x48, 0x59, 0x73], 4); // 'pHYs'
+  physView.setUint32(8, pixelsPerMeter);
+  physView.setUint32(12, pixelsPerMeter);
+  phys[16] = 1; // 单位: 米
+  physView.setUint32(17, crc32(phys.subarray(4, 17)));
+
+  // 8 字节签名之后逐块复制，在 IHDR 之后插入 pHYs，并丢弃原有的 pHYs
+  const chunks = [src.subarray(0, 8)];
+  let offset = 8;
+  while (offset < src.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...src.subarray(offset + 4, offset + 8));
+    const end = offset + 12 + length;
+    if (type !== 'pHYs') {
+      chunks.push(src.subarray(offset, end));
+    }
+    if (type === 'IHDR') {
+      chunks.push(phys);
+    }
+    offset = end;
+  }
+
+  const out = new Uint8Array(chunks.reduce((sum, c) => sum + c.length, 0));
+  let pos = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, pos);
+    pos += chunk.length;
+  }
+  return out;
+};
+
+/**
+ * 在 JPEG 的 JFIF (APP0) 段中写入像素密度；没有 JFIF 段时插入一个。
+ * @param {ArrayBuffer} buffer
+ * @param {number} dpi
+ * @returns {Uint8Array}
+ */
+export const setJpegDpi = (buffer, dpi) => {
+  const src = new Uint8Array(buffer);
+  const isJfif = src[2] === 0xff && src[3] === 0xe0
+    && String.fromCharCode(...src.subarray(6, 11)) === 'JFIF\0';
+
+  if (isJfif) {
+    const out = src.slice();
+    const view = new DataView(out.buffer);
+    out[13] = 1; // 单位: 每英寸
+    view.setUint16(14, dpi);
+    view.setUint16(16, dpi);
+    return out;
+  }
+
+  const app0 = new Uint8Array([
+    0xff, 0xe0, 0x00, 0x10,
+    0x4a, 0x46, 0x49, 0x46, 0x00, // 'JFIF\0'
+    0x01, 0x01, 0x01,
+    dpi >> 8, dpi & 0xff,
+    dpi >> 8, dpi & 0xff,
+    0x00, 0x00,
+  ]);
+  const out = new Uint8Array(src.length + app0.length);
+  out.set(src.subarray(0, 2), 0);
+  out.set(app0, 2);
+  out.set(src.subarray(2), 2 + app0.length);
+  return out;
+};
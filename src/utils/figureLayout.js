@@ -0,0 +1,619 @@
+// --- 成图排版 ---
+// 排版模型：页面样式、行列尺寸、面板标签，以及由文档直接计算导出场景 (不依赖 DOM)。
+// 编辑器的画布与这里使用相同的尺寸与常量；网页导出和命令行 (bin/render-figure.js) 都由
+// layoutFigure 生成场景，再由 vectorExport.js 输出，同一文档得到的成图完全相同。
+//
+// 场景的坐标单位为输出像素 (见 figurePxPerMm)，原点为页面左上角：
+//   { width, height, background, items }
+//   items 按叠放次序排列，每项为 rect / text / image / shape，字段见 vectorExport.js。
+// 图片项只给出 imageId，由 figureRender.js 读取图片后补上 blob。
+import { ptToMm, mmToPixels } from './dpi.js';
+import { computeImagePlacement } from './imageEdits.js';
+import { withDefaultScaleBar, isScaleBarVisible, scaleBarLabel, scaleBarImagePixels } from './scaleBar.js';
+import { parseRichText } from './richText.js';
+import { withDefaultAnnotationStyle, dashPattern } from './annotations.js';
+import { listPanels } from './layoutTemplates.js';
+import { fontClass, textFont, fontStyleKey, registerPdfFonts, pdfFontStyle } from './fonts.js';
+
+export const mmToPx = (mm, pxPerMm) => mm * pxPerMm;
+export const ptToPx = (pt, pxPerMm) => ptToMm(pt) * pxPerMm;
+
+// --- 页面样式 ---
+// 间距以 mm 为单位，字号以 pt 为单位
+
+// CSS 参考像素: 96 px = 1 in
+const LEGACY_PX_TO_MM = 25.4 / 96;
+const LEGACY_PX_TO_PT = 0.75;
+
+export const defaultStyles = {
+  page: {
+    widthMm: 180,
+    unit: 'mm', // 'mm' | 'in'，仅影响宽度的显示
+    dpi: 300,
+  },
+  pagePadding: 3,
+  columnGap: 2,
+  rowGap: 2,
+  captionGap: 2,
+  captionFontSize: 8,
+  fontFamily: 'Arial, Helvetica, sans-serif', // 脚注、行标签、标题与图例
+  captionColor: '#cbd5e1',
+  backgroundColor: '#ffffff',
+  watermark: '',
+  panelLabels: {
+    enabled: false,
+    order: 'row', // 'row' | 'col'
+    scheme: 'lower',
+    position: 'top-left',
+    fontFamily: 'Arial, Helvetica, sans-serif',
+    fontSize: 10,
+    fontWeight: 'bold',
+    color: '#000000',
+    showBackground: false,
+    backgroundColor: '#ffffff',
+  },
+  captionPosition: 'below', // 列脚注位于网格上方或下方: 'above' | 'below'
+  rowLabels: {
+    enabled: false,
+    rotated: true, // 逆时针旋转 90°，自下而上阅读
+    widthMm: 6,
+  },
+  title: { enabled: false, fontSize: 10 },
+  legend: { enabled: false, fontSize: 7 },
+};
+
+const roundTo = (value, step) => Math.round(value / step) * step;
+
+// 旧版本以屏幕 px 保存间距和字号，按 96 DPI 换算为 mm / pt
+const convertLegacyStyles = (styles) => {
+  const converted = { ...styles };
+  ['pagePadding', 'columnGap', 'rowGap', 'captionGap'].forEach(key => {
+    if (typeof styles[key] === 'number') converted[key] = roundTo(styles[key] * LEGACY_PX_TO_MM, 0.1);
+  });
+  if (typeof styles.captionFontSize === 'number') {
+    converted.captionFontSize = roundTo(styles.captionFontSize * LEGACY_PX_TO_PT, 0.5);
+  }
+  if (styles.panelLabels && typeof styles.panelLabels.fontSize === 'number') {
+    converted.panelLabels = { ...styles.panelLabels, fontSize: roundTo(styles.panelLabels.fontSize * LEGACY_PX_TO_PT, 0.5) };
+  }
+  return converted;
+};
+
+// 旧版本保存的样式缺少新增字段，这里用默认值补齐
+export const withDefaultStyles = (styles = {}) => {
+  const source = styles.page || styles.pagePadding === undefined ? styles : convertLegacyStyles(styles);
+  return {
+    ...defaultStyles,
+    ...source,
+    page: { ...defaultStyles.page, ...source.page },
+    panelLabels: { ...defaultStyles.panelLabels, ...source.panelLabels },
+    rowLabels: { ...defaultStyles.rowLabels, ...source.rowLabels },
+    title: { ...defaultStyles.title, ...source.title },
+    legend: { ...defaultStyles.legend, ...source.legend },
+  };
+};
+
+// 左侧行标签列占用的宽度 (含与网格之间的列间距)，mm
+export const rowLabelOffset = (styles) => (styles.rowLabels.enabled ? styles.rowLabels.widthMm + styles.columnGap : 0);
+
+// 文字的行高 (相对字号)
+export const TEXT_LINE_HEIGHT = 1.2;
+// 上下标的字号与基线偏移 (相对正文字号)
+export const SCRIPT_SCALE = 0.7;
+export const SUPERSCRIPT_RISE = 0.35;
+export const SUBSCRIPT_DROP = 0.2;
+// 面板标签距格子边缘的距离与背景框的内边距 (相对标签字号)
+export const PANEL_LABEL_INSET = 0.25;
+export const PANEL_LABEL_PADDING = { x: 0.35, y: 0.1 };
+// 比例尺距图片可见区域边缘的距离
+export const SCALE_BAR_MARGIN_MM = 1.5;
+// 水印位于页面右下角
+export const watermarkStyle = { rightMm: 2, bottomMm: 1, fontSize: 6, color: '#888888', opacity: 0.5 };
+
+// --- 合并单元格与行列尺寸 ---
+
+export const findMerge = (merges, row, col) => merges.find(m =>
+  row >= m.row && row < m.row + m.rowSpan && col >= m.col && col < m.col + m.colSpan
+);
+
+// rowSizes / colSizes: [{ mode: 'weight' | 'fixed', value }]，fixed 的单位为 mm。
+// 按比例的列平分扣除固定列后的剩余宽度；比例为 1 的行高等于比例为 1 的列宽的 9/16，
+// 与原先统一的 16:9 格子保持一致。
+export const ROW_BASE_RATIO = 9 / 16;
+export const defaultTrack = { mode: 'weight', value: 1 };
+
+export const normalizeTracks = (sizes = [], count) => Array.from({ length: count }, (_, i) => sizes[i] || defaultTrack);
+
+// 计算每一列的宽度和每一行的高度 (mm)
+export const computeTrackSizes = ({ rows, cols, rowSizes, colSizes, styles }) => {
+  const colTracks = normalizeTracks(colSizes, cols);
+  const rowTracks = normalizeTracks(rowSizes, rows);
+  const contentWidth = styles.page.widthMm - 2 * styles.pagePadding - rowLabelOffset(styles) - (cols - 1) * styles.columnGap;
+  const fixedWidth = colTracks.reduce((sum, t) => sum + (t.mode === 'fixed' ? t.value : 0), 0);
+  const totalWeight = colTracks.reduce((sum, t) => sum + (t.mode === 'weight' ? t.value : 0), 0);
+  const unitWidth = totalWeight > 0 ? Math.max(0, contentWidth - fixedWidth) / totalWeight : contentWidth / cols;
+  return {
+    colWidths: colTracks.map(t => (t.mode === 'fixed' ? t.value : t.value * unitWidth)),
+    rowHeights: rowTracks.map(t => (t.mode === 'fixed' ? t.value : t.value * unitWidth * ROW_BASE_RATIO)),
+    unitWidth,
+  };
+};
+
+// 每条轨道的起点 (mm，相对网格左上角)
+export const trackStarts = (sizes, gap) => sizes.map((_, i) => sizes.slice(0, i).reduce((a, b) => a + b, 0) + i * gap);
+
+// --- 面板标签 (a, b, c / A, B, C / (i), (ii)) ---
+
+// 0 -> a, 25 -> z, 26 -> aa ...
+const toAlpha = (n) => {
+  let s = '';
+  for (let i = n + 1; i > 0; i = Math.floor((i - 1) / 26)) {
+    s = String.fromCharCode(97 + ((i - 1) % 26)) + s;
+  }
+  return s;
+};
+
+// 0 -> i, 3 -> iv ...
+const toRoman = (n) => {
+  const table = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'], [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+  let value = n + 1;
+  let s = '';
+  for (const [v, sym] of table) {
+    while (value >= v) {
+      s += sym;
+      value -= v;
+    }
+  }
+  return s;
+};
+
+export const labelSchemes = {
+  lower: { example: 'a, b, c', format: n => toAlpha(n) },
+  upper: { example: 'A, B, C', format: n => toAlpha(n).toUpperCase() },
+  lowerParen: { example: '(a), (b), (c)', format: n => `(${toAlpha(n)})` },
+  upperParen: { example: '(A), (B), (C)', format: n => `(${toAlpha(n).toUpperCase()})` },
+  roman: { example: 'i, ii, iii', format: n => toRoman(n) },
+  romanParen: { example: '(i), (ii), (iii)', format: n => `(${toRoman(n)})` },
+  number: { example: '1, 2, 3', format: n => String(n + 1) },
+};
+
+// 按行/列顺序为所有已填充的格子编号，返回 { 'row-col': 'a' }
+export const getPanelLabels = ({ rows, cols, images, styles }) => {
+  const { order, scheme } = styles.panelLabels;
+  const format = (labelSchemes[scheme] || labelSchemes.lower).format;
+  const labels = {};
+  let index = 0;
+  const outer = order === 'col' ? cols : rows;
+  const inner = order === 'col' ? rows : cols;
+  for (let i = 0; i < outer; i++) {
+    for (let j = 0; j < inner; j++) {
+      const key = order === 'col' ? `${j}-${i}` : `${i}-${j}`;
+      if (images[key]) {
+        labels[key] = format(index++);
+      }
+    }
+  }
+  return labels;
+};
+
+// --- 文字度量 ---
+// 排版按 PDF 标准字体 (Helvetica / Times / Courier) 的字宽计算，与运行环境中安装的字体无关，
+// 浏览器与 Node 中的换行和文字位置因此完全一致。Arial、Times New Roman、Courier New 与之等宽。
+// 标准字体不含的字符按 fonts.js 中随应用提供的字体计算。
+
+// 行盒中的上伸与下伸高度 (相对字号)，取自 Arial / Times New Roman / Courier New 的字体度量
+const verticalMetrics = {
+  helvetica: { ascent: 0.905, descent: 0.212 },
+  times: { ascent: 0.891, descent: 0.216 },
+  courier: { ascent: 0.833, descent: 0.3 },
+};
+
+// 没有载入对应字体时的估算：中日韩等全角字符按 1em，其余按 0.6em
+const WIDE_CHAR = /[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/;
+
+/**
+ * 创建文字度量函数。
+ * @param {Function} jsPDF jsPDF 构造函数 (只用于读取字宽)
+ * @param {object[]} [fonts] fonts.js 中 loadFonts 的结果；缺少的字体按估算的字宽排版
+ * @returns {(text: string, font: { fontFamily: string, fontSize: number, fontWeight: string, fontStyle: string }) =>
+ *   { width: number, ascent: number, descent: number }}
+ */
+export const createTextMeasurer = (jsPDF, fonts = []) => {
+  const pdf = new jsPDF({ unit: 'pt' });
+  registerPdfFonts(pdf, fonts);
+  const cache = new Map();
+  return (text, { fontFamily, fontSize, fontWeight, fontStyle }) => {
+    const name = fontClass(fontFamily);
+    const style = fontStyleKey({ fontWeight, fontStyle });
+    const key = `${name} ${style} ${text}`;
+    if (!cache.has(key)) {
+      const unicodeFont = textFont(text);
+      const unicodeStyle = unicodeFont && pdfFontStyle(fonts, unicodeFont, style);
+      let units = 0;
+      if (unicodeStyle) {
+        pdf.setFont(unicodeFont.pdfFamily, unicodeStyle);
+        units = pdf.getStringUnitWidth(text);
+      } else {
+        pdf.setFont(name, style);
+        for (const part of text.match(/[\u0000-\u00ff]+|[^\u0000-\u00ff]/g) || []) {
+          if (part.charCodeAt(0) <= 0xff) units += pdf.getStringUnitWidth(part);
+          else units += WIDE_CHAR.test(part) ? 1 : 0.6;
+        }
+      }
+      cache.set(key, units);
+    }
+    const { ascent, descent } = verticalMetrics[name];
+    return { width: cache.get(key) * fontSize, ascent: ascent * fontSize, descent: descent * fontSize };
+  };
+};
+
+// --- 颜色 ---
+
+/**
+ * 解析 CSS 颜色 (#rgb、#rrggbb、#rrggbbaa、rgb()、rgba())，透明时返回 null。
+ * @returns {{ r: number, g: number, b: number, a: number } | null}
+ */
+export const parseCssColor = (value) => {
+  const text = String(value || '').trim();
+  let hex = /^#([0-9a-f]{3,8})$/i.exec(text);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) digits = digits.split('').map(d => d + d).join('');
+    const [r, g, b, a = 255] = digits.match(/../g).map(d => parseInt(d, 16));
+    return a === 0 ? null : { r, g, b, a: a / 255 };
+  }
+  const match = /rgba?\(([^)]+)\)/.exec(text);
+  if (!match) return null;
+  const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+  return a === 0 ? null : { r, g, b, a };
+};
+
+// --- 文字排版 ---
+
+/**
+ * 排版一段富文本 (见 richText.js)：按词换行，行高为字号的 TEXT_LINE_HEIGHT 倍。
+ * @param {string} source
+ * @param {object} options
+ * @param {object} options.font { fontFamily, fontSize, fontWeight, color }，fontSize 为 px
+ * @param {number} options.width 可用宽度，超出时在词间换行；Infinity 表示不换行
+ * @param {'left' | 'center' | 'right'} options.align
+ * @param {Function} options.measure createTextMeasurer 的结果
+ * @returns {{ lines: Array<{ runs: object[], width: number }>, height: number }}
+ *   runs 中的 x 相对行首 (已按对齐方式偏移)，shift 为基线偏移 (向下为正)
+ */
+export const layoutRichText = (source, { font, width, align, measure }) => {
+  if (!source) return { lines: [], height: 0 };
+  const base = font.fontSize;
+  const lines = [];
+  parseRichText(source).forEach(runs => {
+    let line = [];
+    let x = 0;
+    const pieces = runs.flatMap(run => run.text.match(/\S+\s*|\s+/g).map(text => ({
+      text,
+      font: {
+        fontFamily: font.fontFamily,
+        fontSize: run.script ? base * SCRIPT_SCALE : base,
+        fontWeight: run.bold ? 'bold' : font.fontWeight || 'normal',
+        fontStyle: run.italic ? 'italic' : 'normal',
+      },
+      shift: run.script === 'sup' ? -base * SUPERSCRIPT_RISE : run.script === 'sub' ? base * SUBSCRIPT_DROP : 0,
+    })));
+    for (const piece of pieces) {
+      const pieceWidth = measure(piece.text, piece.font).width;
+      if (line.length > 0 && x + measure(piece.text.trimEnd(), piece.font).width > width) {
+        lines.push(line);
+        line = [];
+        x = 0;
+      }
+      line.push({ ...piece, x, width: pieceWidth });
+      x += pieceWidth;
+    }
+    lines.push(line);
+  });
+
+  return {
+    lines: lines.map(pieces => {
+      // 格式与字体都相同的相邻词合并为一段
+      const runs = [];
+      pieces.forEach(piece => {
+        const last = runs[runs.length - 1];
+        if (last && last.shift === piece.shift && JSON.stringify(last.font) === JSON.stringify(piece.font)
+          && textFont(last.text) === textFont(piece.text)) {
+          last.text += piece.text;
+          last.width += piece.width;
+        } else {
+          runs.push({ ...piece });
+        }
+      });
+      // 行尾空白不参与对齐
+      const last = runs[runs.length - 1];
+      if (last) {
+        last.text = last.text.trimEnd();
+        last.width = measure(last.text, last.font).width;
+      }
+      const lineWidth = last ? last.x + last.width : 0;
+      const offset = align === 'center' ? (width - lineWidth) / 2 : align === 'right' ? width - lineWidth : 0;
+      return { runs: runs.filter(run => run.text).map(run => ({ ...run, x: run.x + offset })), width: lineWidth };
+    }),
+    height: lines.length * base * TEXT_LINE_HEIGHT,
+  };
+};
+
+/**
+ * 把排版好的文字放入场景。
+ * @param {object[]} items 场景项
+ * @param {object} block layoutRichText 的结果
+ * @param {object} options
+ * @param {number} options.x 文字框左边
+ * @param {number} options.y 文字框顶边
+ * @param {object} options.font 同 layoutRichText
+ * @param {number} [options.opacity]
+ * @param {(x: number, y: number) => { x: number, y: number }} [options.transform] 旋转时的坐标变换
+ * @param {number} [options.rotation] 旋转角度 (顺时针为正)
+ */
+const placeText = (items, block, { x, y, font, measure, opacity = 1, transform = null, rotation = 0 }) => {
+  const color = parseCssColor(font.color);
+  if (!color) return;
+  const lineHeight = font.fontSize * TEXT_LINE_HEIGHT;
+  block.lines.forEach((line, i) => {
+    const metrics = measure('', font);
+    const baseline = y + i * lineHeight + (lineHeight - metrics.ascent - metrics.descent) / 2 + metrics.ascent;
+    line.runs.forEach(run => {
+      const { ascent, descent } = measure('', run.font);
+      const point = { x: x + run.x, y: baseline + run.shift };
+      const position = transform ? transform(point.x, point.y) : point;
+      items.push({
+        type: 'text',
+        text: run.text,
+        ...run.font,
+        x: position.x,
+        y: position.y,
+        anchor: 'start',
+        width: run.width,
+        ascent,
+        descent,
+        color,
+        opacity,
+        ...(rotation && { rotation }),
+      });
+    });
+  });
+};
+
+// --- 场景 ---
+
+// 场景坐标的缩放：1 mm 对应的输出像素，页面宽度恰好为整数像素
+export const figurePxPerMm = (styles) => mmToPixels(styles.page.widthMm, styles.page.dpi) / styles.page.widthMm;
+
+/**
+ * 由文档计算导出场景。
+ * @param {object} doc 文档 (rows, cols, images, merges, rowSizes, colSizes, captions, rowCaptions,
+ *   titleText, legendText, styles, annotations)，styles 需已经过 withDefaultStyles
+ * @param {object} options
+ * @param {Function} options.measure createTextMeasurer 的结果
+ * @param {Object<string, { width: number, height: number }>} options.imageSizes 图片 id -> 原图尺寸，
+ *   不在其中的图片 (如数据库中已找不到) 不输出
+ * @returns {object} 场景
+ */
+export const layoutFigure = (doc, { measure, imageSizes }) => {
+  const { rows, cols, styles } = doc;
+  const images = doc.images || {};
+  const merges = doc.merges || [];
+  const s = figurePxPerMm(styles);
+  const items = [];
+
+  const width = mmToPx(styles.page.widthMm, s);
+  const padding = mmToPx(styles.pagePadding, s);
+  const contentWidth = width - 2 * padding;
+  const captionGap = mmToPx(styles.captionGap, s);
+  const gridX = padding + mmToPx(rowLabelOffset(styles), s);
+  const captionFont = { fontFamily: styles.fontFamily, fontSize: ptToPx(styles.captionFontSize, s), color: styles.captionColor };
+
+  const trackSizes = computeTrackSizes({ rows, cols, rowSizes: doc.rowSizes, colSizes: doc.colSizes, styles });
+  const colWidths = trackSizes.colWidths.map(w => mmToPx(w, s));
+  const rowHeights = trackSizes.rowHeights.map(h => mmToPx(h, s));
+  const colStarts = trackStarts(colWidths, mmToPx(styles.columnGap, s));
+  const rowStarts = trackStarts(rowHeights, mmToPx(styles.rowGap, s));
+  const gridHeight = rowStarts[rows - 1] + rowHeights[rows - 1];
+
+  const text = (source, font, box, align) => {
+    const block = layoutRichText(source, { font, width: box.width, align, measure });
+    placeText(items, block, { ...box, font, measure });
+    return block.height;
+  };
+
+  // 列脚注的一行：高度取最高的脚注
+  const captionRow = (y) => {
+    const heights = [...Array(cols)].map((_, c) =>
+      text((doc.captions || [])[c], captionFont, { x: gridX + colStarts[c], y, width: colWidths[c] }, 'center'));
+    return Math.max(0, ...heights);
+  };
+
+  let y = padding;
+  if (styles.title.enabled) {
+    const font = { ...captionFont, fontSize: ptToPx(styles.title.fontSize, s), fontWeight: 'bold' };
+    y += text(doc.titleText, font, { x: padding, y, width: contentWidth }, 'center') + captionGap;
+  }
+  if (styles.captionPosition === 'above') y += captionRow(y) + captionGap;
+
+  const gridY = y;
+  const cellBox = ({ row, col, rowSpan, colSpan }) => {
+    const lastRow = Math.min(row + rowSpan, rows) - 1;
+    const lastCol = Math.min(col + colSpan, cols) - 1;
+    return {
+      x: gridX + colStarts[col],
+      y: gridY + rowStarts[row],
+      width: colStarts[lastCol] + colWidths[lastCol] - colStarts[col],
+      height: rowStarts[lastRow] + rowHeights[lastRow] - rowStarts[row],
+    };
+  };
+
+  // 行标签：在行高与标签列宽的框内居中，旋转时框也随之旋转
+  if (styles.rowLabels.enabled) {
+    const labelWidth = mmToPx(styles.rowLabels.widthMm, s);
+    rowHeights.forEach((height, r) => {
+      const box = { x: padding, y: gridY + rowStarts[r], width: labelWidth, height };
+      const rotated = styles.rowLabels.rotated;
+      const frame = rotated ? { width: height, height: labelWidth } : box;
+      const block = layoutRichText((doc.rowCaptions || [])[r], { font: captionFont, width: frame.width, align: 'center', measure });
+      const cx = box.x + box.width / 2;
+      const cy = box.y + box.height / 2;
+      const top = (frame.height - block.height) / 2;
+      if (!rotated) {
+        placeText(items, block, { x: box.x, y: box.y + top, font: captionFont, measure });
+        return;
+      }
+      // 框内坐标逆时针旋转 90° 到页面
+      const transform = (x, y) => ({ x: cx + (y - frame.height / 2), y: cy - (x - frame.width / 2) });
+      placeText(items, block, { x: 0, y: top, font: captionFont, measure, transform, rotation: -90 });
+    });
+  }
+
+  // 格子：图片、比例尺、面板标签
+  const panelLabels = styles.panelLabels.enabled ? getPanelLabels({ rows, cols, images, styles }) : {};
+  listPanels({ rows, cols, merges }).forEach(panel => {
+    const key = `${panel.row}-${panel.col}`;
+    const info = images[key];
+    const cell = cellBox(panel);
+    const size = info && info.id && imageSizes[info.id];
+    if (size) {
+      const placement = computeImagePlacement(cell.width, cell.height, size.width, size.height, info.edits);
+      items.push({
+        type: 'image',
+        x: cell.x + placement.x,
+        y: cell.y + placement.y,
+        width: placement.width,
+        height: placement.height,
+        placement,
+        edits: info.edits || null,
+        naturalWidth: size.width,
+        naturalHeight: size.height,
+        clip: cell,
+        imageId: info.id,
+        opacity: 1,
+      });
+      if (isScaleBarVisible(info.scaleBar)) {
+        layoutScaleBar(items, withDefaultScaleBar(info.scaleBar), { cell, placement, naturalWidth: size.width, fontFamily: styles.panelLabels.fontFamily, s, measure });
+      }
+    }
+    if (panelLabels[key]) layoutPanelLabel(items, panelLabels[key], { cell, labelStyle: styles.panelLabels, s, measure });
+  });
+
+  // 标注：先图形后文字，坐标为锚点格子 (合并区域取整个区域) 内的比例
+  const placed = (doc.annotations || [])
+    .filter(a => a.row < rows && a.col < cols)
+    .map(a => {
+      const merge = findMerge(merges, a.row, a.col);
+      const box = cellBox(merge || { row: a.row, col: a.col, rowSpan: 1, colSpan: 1 });
+      return {
+        annotation: a,
+        style: withDefaultAnnotationStyle(a.style),
+        x1: box.x + a.x1 * box.width,
+        y1: box.y + a.y1 * box.height,
+        x2: box.x + a.x2 * box.width,
+        y2: box.y + a.y2 * box.height,
+      };
+    });
+  placed.filter(p => p.annotation.type !== 'text').forEach(p => {
+    const strokeWidth = ptToPx(p.style.strokeWidth, s);
+    items.push({
+      type: 'shape',
+      shape: p.annotation.type,
+      x1: p.x1,
+      y1: p.y1,
+      x2: p.x2,
+      y2: p.y2,
+      color: p.style.color,
+      strokeWidth,
+      dash: dashPattern(p.style.dash, strokeWidth),
+      opacity: 1,
+    });
+  });
+  placed.filter(p => p.annotation.type === 'text').forEach(p => {
+    const font = { fontFamily: p.style.fontFamily, fontSize: ptToPx(p.style.fontSize, s), fontWeight: p.style.fontWeight, color: p.style.color };
+    const lines = String(p.annotation.text || '').split('\n');
+    const block = { lines: lines.map(line => ({ runs: line ? [{ text: line, x: 0, width: measure(line, font).width, font: { ...font, fontStyle: 'normal' }, shift: 0 }] : [] })) };
+    placeText(items, block, { x: p.x1, y: p.y1, font: { ...font, fontStyle: 'normal' }, measure });
+  });
+
+  y = gridY + gridHeight;
+  if (styles.captionPosition === 'below') y += captionGap + captionRow(y + captionGap);
+  if (styles.legend.enabled) {
+    const font = { ...captionFont, fontSize: ptToPx(styles.legend.fontSize, s) };
+    y += captionGap + text(doc.legendText, font, { x: padding, y: y + captionGap, width: contentWidth }, 'left');
+  }
+  const height = y + padding;
+
+  if (styles.watermark) {
+    const font = { fontFamily: styles.fontFamily, fontSize: ptToPx(watermarkStyle.fontSize, s), fontWeight: 'normal', fontStyle: 'normal', color: watermarkStyle.color };
+    const lineHeight = font.fontSize * TEXT_LINE_HEIGHT;
+    const metrics = measure(styles.watermark, font);
+    const block = { lines: [{ runs: [{ text: styles.watermark, x: -metrics.width, width: metrics.width, font, shift: 0 }] }] };
+    placeText(items, block, {
+      x: width - mmToPx(watermarkStyle.rightMm, s),
+      y: height - mmToPx(watermarkStyle.bottomMm, s) - lineHeight,
+      font,
+      measure,
+      opacity: watermarkStyle.opacity,
+    });
+  }
+
+  return { width, height, background: parseCssColor(styles.backgroundColor), items };
+};
+
+// 比例尺：长度按图片的实际显示比例计算，文字与横条居中对齐，贴着图片可见区域的角落
+const layoutScaleBar = (items, scaleBar, { cell, placement, naturalWidth, fontFamily, s, measure }) => {
+  const length = scaleBarImagePixels(scaleBar) * (placement.imageWidth / naturalWidth);
+  const thickness = ptToPx(scaleBar.thickness, s);
+  const margin = mmToPx(SCALE_BAR_MARGIN_MM, s);
+  const font = { fontFamily, fontSize: ptToPx(scaleBar.fontSize, s), fontWeight: 'normal', fontStyle: 'normal', color: scaleBar.color };
+  const label = scaleBar.showLabel ? scaleBarLabel(scaleBar) : '';
+  const labelWidth = label ? measure(label, font).width : 0;
+  const labelHeight = label ? font.fontSize * TEXT_LINE_HEIGHT : 0;
+  const [vertical, horizontal] = scaleBar.position.split('-');
+
+  const width = Math.max(length, labelWidth);
+  const height = labelHeight + thickness;
+  const left = horizontal === 'left'
+    ? cell.x + Math.max(0, placement.x) + margin
+    : cell.x + cell.width - Math.max(0, cell.width - placement.x - placement.width) - margin - width;
+  const top = vertical === 'top'
+    ? cell.y + Math.max(0, placement.y) + margin
+    : cell.y + cell.height - Math.max(0, cell.height - placement.y - placement.height) - margin - height;
+  // 位于下方时文字在横条上方，位于上方时文字在横条下方
+  const barY = vertical === 'top' ? top : top + labelHeight;
+  const labelY = vertical === 'top' ? top + thickness : top;
+  const cx = left + width / 2;
+
+  if (label) {
+    const block = { lines: [{ runs: [{ text: label, x: -labelWidth / 2, width: labelWidth, font, shift: 0 }] }] };
+    placeText(items, block, { x: cx, y: labelY, font, measure });
+  }
+  const fill = parseCssColor(scaleBar.color);
+  if (fill) items.push({ type: 'rect', x: cx - length / 2, y: barY, width: length, height: thickness, fill, opacity: 1 });
+};
+
+// 面板标签：带背景时先画背景框
+const layoutPanelLabel = (items, label, { cell, labelStyle, s, measure }) => {
+  const font = {
+    fontFamily: labelStyle.fontFamily,
+    fontSize: ptToPx(labelStyle.fontSize, s),
+    fontWeight: labelStyle.fontWeight,
+    fontStyle: 'normal',
+    color: labelStyle.color,
+  };
+  const inset = font.fontSize * PANEL_LABEL_INSET;
+  const padX = labelStyle.showBackground ? font.fontSize * PANEL_LABEL_PADDING.x : 0;
+  const padY = labelStyle.showBackground ? font.fontSize * PANEL_LABEL_PADDING.y : 0;
+  const textWidth = measure(label, font).width;
+  const width = textWidth + 2 * padX;
+  const height = font.fontSize * TEXT_LINE_HEIGHT + 2 * padY;
+  const [vertical, horizontal] = labelStyle.position.split('-');
+  const x = horizontal === 'left' ? cell.x + inset : cell.x + cell.width - inset - width;
+  const y = vertical === 'top' ? cell.y + inset : cell.y + cell.height - inset - height;
+
+  const fill = labelStyle.showBackground && parseCssColor(labelStyle.backgroundColor);
+  if (fill) items.push({ type: 'rect', x, y, width, height, fill, opacity: 1 });
+  const block = { lines: [{ runs: [{ text: label, x: 0, width: textWidth, font, shift: 0 }] }] };
+  placeText(items, block, { x: x + padX, y: y + padY, font, measure });
+};
@@ -0,0 +1,108 @@
+// --- 成图输出 ---
+// 网页导出与命令行共用的输出流程：文档 -> layoutFigure 场景 -> SVG / PDF，PNG / JPEG 由同一份 SVG 经 resvg 栅格化得到。
+// 与运行环境有关的部分 (读取图片、字体与 wasm，PDF 中的图片转换) 由调用方提供：浏览器见 FigureCollageApp.jsx 的 handleExport，
+// Node 见 src/node/renderFigure.js。出错时抛出 Error，message 为多语言文案 key。
+import { withDefaultStyles, createTextMeasurer, layoutFigure } from './figureLayout.js';
+import { sceneToSvg, sceneToPdf, rasterImageData } from './vectorExport.js';
+import { setPngDpi, setJpegDpi } from './dpi.js';
+import { requiredFonts, loadFonts } from './fonts.js';
+import { rasterizeSvg, resvgImageTypes } from './rasterize.js';
+
+export const exportFormats = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  svg: 'image/svg+xml',
+  pdf: 'application/pdf',
+};
+
+/**
+ * 输出成图。
+ * @param {object} doc 文档快照 (见 layoutFigure)，styles 可以是旧版本保存的样式
+ * @param {object} options
+ * @param {'png' | 'jpg' | 'svg' | 'pdf'} options.format
+ * @param {(id: string) => Promise<Blob>} options.getImageBlob blob.type 需为图片的 MIME 类型
+ * @param {(blob: Blob) => Promise<{ width: number, height: number }>} options.getImageSize 文档中没有记录尺寸的图片
+ * @param {Function} options.jsPDF 用于文字度量与 PDF 输出
+ * @param {(file: string) => Promise<ArrayBuffer | Uint8Array>} options.loadAsset 读取随应用提供的文件 (字体与 wasm，见 fonts.js)
+ * @param {Function} [options.svg2pdf] 见 sceneToPdf
+ * @param {object} [options.pdfLib] 见 sceneToPdf；PDF 输入的原文件 (images[key].source) 同样由 getImageBlob 读取
+ * @param {(markup: string, options: { loadAsset: Function }) => Promise<Element | null>} [options.parseSvg] 见 sceneToPdf，
+ *   另外传入带缓存的 loadAsset
+ * @param {Function} [options.rasterizeImage] 见 sceneToPdf；栅格化前也用它把 resvg 不能解码的图片转为 PNG
+ * @returns {Promise<Blob>} PNG / JPEG 已写入 DPI
+ */
+export const renderFigure = async (doc, { format, getImageBlob, getImageSize, jsPDF, loadAsset, svg2pdf, parseSvg, pdfLib, rasterizeImage = rasterImageData }) => {
+  const mime = exportFormats[format];
+  if (!mime) throw new Error('renderUnknownFormat');
+  const styles = withDefaultStyles(doc.styles);
+  // 排版与栅格化用到的字体相同时只读取一次
+  const assets = new Map();
+  const loadCachedAsset = (file) => {
+    if (!assets.has(file)) assets.set(file, loadAsset(file));
+    return assets.get(file);
+  };
+
+  // 数据库中找不到或无法读取尺寸的图片不输出，与画布上的空格子相同
+  const blobs = {};
+  const imageSizes = {};
+  for (const info of Object.values(doc.images || {})) {
+    if (!info || !info.id || info.id in blobs) continue;
+    const blob = await getImageBlob(info.id).catch(() => null);
+    blobs[info.id] = blob;
+    const size = blob && (info.width && info.height ? info : await getImageSize(blob).catch(() => null));
+    if (size) imageSizes[info.id] = { width: size.width, height: size.height };
+  }
+
+  // 先按估算的字宽排版，找出需要的字体，载入后重新排版。换行只发生在词间，两次用到的字体相同
+  let scene = layoutFigure({ ...doc, styles }, { measure: createTextMeasurer(jsPDF), imageSizes });
+  const fonts = await loadFonts(requiredFonts(scene), loadCachedAsset);
+  if (fonts.length > 0) {
+    scene = layoutFigure({ ...doc, styles }, { measure: createTextMeasurer(jsPDF, fonts), imageSizes });
+  }
+  scene.items.forEach(item => {
+    if (item.type !== 'image') return;
+    item.blob = blobs[item.imageId];
+    item.mime = item.blob.type;
+  });
+
+  const { widthMm, dpi } = styles.page;
+  if (format === 'svg') {
+    return new Blob([await sceneToSvg(scene, { widthMm })], { type: 'image/svg+xml;charset=utf-8' });
+  }
+  if (format === 'pdf') {
+    // PDF 输入嵌入原页面；做过像素处理 (normalize) 或原文件读取失败时使用解码得到的 PNG
+    const pdfSources = {};
+    for (const info of Object.values(doc.images || {})) {
+      if (!info || !info.source || info.source.kind !== 'pdf' || info.normalize || info.id in pdfSources) continue;
+      const blob = await getImageBlob(info.source.id).catch(() => null);
+      pdfSources[info.id] = blob && { blob, page: info.source.page || 0 };
+    }
+    scene.items.forEach(item => {
+      if (item.type === 'image' && pdfSources[item.imageId]) item.pdfSource = pdfSources[item.imageId];
+    });
+    const pdf = await sceneToPdf(scene, {
+      jsPDF,
+      svg2pdf,
+      ...(parseSvg && { parseSvg: (markup) => parseSvg(markup, { loadAsset: loadCachedAsset }) }),
+      pdfLib,
+      fonts,
+      rasterizeImage,
+    }, { widthMm });
+    return new Blob([pdf], { type: mime });
+  }
+  // resvg 不能解码的位图格式 (如 WebP) 按原始尺寸转为 PNG，裁剪等编辑仍由 SVG 完成
+  for (const item of scene.items) {
+    if (item.type !== 'image' || resvgImageTypes.includes(item.mime)) continue;
+    const { data } = await rasterizeImage({ ...item, edits: null });
+    item.blob = typeof data === 'string' ? await (await fetch(data)).blob() : new Blob([data], { type: 'image/png' });
+    item.mime = 'image/png';
+  }
+  // 场景坐标即输出像素
+  const raster = { width: Math.round(scene.width), height: Math.round(scene.height) };
+  const bytes = await rasterizeSvg(await sceneToSvg(scene, { raster }), {
+    mime,
+    fonts: await loadFonts(requiredFonts(scene, { raster: true }), loadCachedAsset),
+    loadAsset: loadCachedAsset,
+  });
+  return new Blob([(format === 'png' ? setPngDpi : setJpegDpi)(bytes, dpi)], { type: mime });
+};
@@ -0,0 +1,171 @@
+// --- 随应用提供的字体 ---
+// PDF 标准字体 (Helvetica / Times / Courier) 只能编码 Latin-1 字符。其他文字 (希腊字母、中文等)
+// 使用这里列出的 Noto 字体：排版按它的字宽计算，PDF 中以子集嵌入，导出后仍是可选中的文字。
+// PNG / JPEG 由 resvg 栅格化 (见 rasterize.js)，同样只使用这里的字体，与系统中安装的字体无关。
+// 字体文件以包内路径标识，由运行环境的 loadAsset 读取：浏览器见 assetUrls.js，Node 见 src/node/renderFigure.js。
+//
+// 已载入的字体：{ family, pdfFamily, style, file, data }，style 与 jsPDF 相同 ('normal' | 'bold' | 'italic' | 'bolditalic')。
+
+// 按顺序选用第一个能覆盖全部字符的字体，最后一项不限字符
+export const unicodeFonts = [
+  {
+    family: 'Noto Sans',
+    pdfFamily: 'NotoSans',
+    // 拉丁、希腊与西里尔字母，以及常用标点、上下标、货币与字母式符号
+    chars: /^[\u0000-\u052f\u1d00-\u1fff\u2000-\u20cf\u2100-\u215f]*$/,
+    files: {
+      normal: '@expo-google-fonts/noto-sans/400Regular/NotoSans_400Regular.ttf',
+      bold: '@expo-google-fonts/noto-sans/700Bold/NotoSans_700Bold.ttf',
+      italic: '@expo-google-fonts/noto-sans/400Regular_Italic/NotoSans_400Regular_Italic.ttf',
+      bolditalic: '@expo-google-fonts/noto-sans/700Bold_Italic/NotoSans_700Bold_Italic.ttf',
+    },
+  },
+  {
+    family: 'Noto Sans SC',
+    pdfFamily: 'NotoSansSC',
+    // 中日韩文字、箭头与数学符号等；没有斜体
+    chars: null,
+    files: {
+      normal: '@expo-google-fonts/noto-sans-sc/400Regular/NotoSansSC_400Regular.ttf',
+      bold: '@expo-google-fonts/noto-sans-sc/700Bold/NotoSansSC_700Bold.ttf',
+    },
+  },
+];
+
+// 栅格化时代替 PDF 标准字体的字体，字宽与 Helvetica / Times / Courier (即 Arial / Times New Roman / Courier New) 相同
+export const standardFontSubstitutes = {
+  helvetica: {
+    family: 'Arimo',
+    files: {
+      normal: '@expo-google-fonts/arimo/400Regular/Arimo_400Regular.ttf',
+      bold: '@expo-google-fonts/arimo/700Bold/Arimo_700Bold.ttf',
+      italic: '@expo-google-fonts/arimo/400Regular_Italic/Arimo_400Regular_Italic.ttf',
+      bolditalic: '@expo-google-fonts/arimo/700Bold_Italic/Arimo_700Bold_Italic.ttf',
+    },
+  },
+  times: {
+    family: 'Tinos',
+    files: {
+      normal: '@expo-google-fonts/tinos/400Regular/Tinos_400Regular.ttf',
+      bold: '@expo-google-fonts/tinos/700Bold/Tinos_700Bold.ttf',
+      italic: '@expo-google-fonts/tinos/400Regular_Italic/Tinos_400Regular_Italic.ttf',
+      bolditalic: '@expo-google-fonts/tinos/700Bold_Italic/Tinos_700Bold_Italic.ttf',
+    },
+  },
+  courier: {
+    family: 'Cousine',
+    files: {
+      normal: '@expo-google-fonts/cousine/400Regular/Cousine_400Regular.ttf',
+      bold: '@expo-google-fonts/cousine/700Bold/Cousine_700Bold.ttf',
+      italic: '@expo-google-fonts/cousine/400Regular_Italic/Cousine_400Regular_Italic.ttf',
+      bolditalic: '@expo-google-fonts/cousine/700Bold_Italic/Cousine_700Bold_Italic.ttf',
+    },
+  },
+};
+
+// 字体族名对应的标准字体
+export const fontClass = (fontFamily = '') => {
+  const family = fontFamily.toLowerCase();
+  if (family.includes('times') || (family.includes('serif') && !family.includes('sans-serif'))) return 'times';
+  if (family.includes('courier') || family.includes('mono')) return 'courier';
+  return 'helvetica';
+};
+
+const isLatin1 = (text) => /^[\u0000-\u00ff]*$/.test(text);
+
+/**
+ * 文字使用的字体：Latin-1 文字返回 null (标准字体)。
+ * @param {string} text
+ * @returns {object | null} unicodeFonts 中的一项
+ */
+export const textFont = (text) => (isLatin1(text) ? null : unicodeFonts.find(font => !font.chars || font.chars.test(text)));
+
+// 字重与字形对应的 jsPDF 字体样式
+export const fontStyleKey = ({ fontWeight, fontStyle }) => {
+  const bold = fontWeight === 'bold' || parseInt(fontWeight) >= 600;
+  const italic = fontStyle === 'italic' || fontStyle === 'oblique';
+  if (bold && italic) return 'bolditalic';
+  if (bold) return 'bold';
+  if (italic) return 'italic';
+  return 'normal';
+};
+
+// 字体没有的样式退回到不带斜体的样式
+export const availableStyle = (font, style) => (font.files[style] ? style : style.replace('italic', '') || 'normal');
+
+// 栅格化时文字使用的字体
+export const rasterFont = (item) => textFont(item.text) || standardFontSubstitutes[fontClass(item.fontFamily)];
+
+/**
+ * 场景中的文字需要的字体文件。
+ * @param {object} scene layoutFigure 的结果
+ * @param {{ raster?: boolean }} [options] raster 为 true 时包括代替标准字体的字体
+ * @returns {Array<{ family: string, pdfFamily?: string, style: string, file: string }>}
+ */
+export const requiredFonts = (scene, { raster = false } = {}) => {
+  const fonts = new Map();
+  scene.items.forEach(item => {
+    if (item.type !== 'text') return;
+    const font = raster ? rasterFont(item) : textFont(item.text);
+    if (!font) return;
+    const style = availableStyle(font, fontStyleKey(item));
+    fonts.set(`${font.family} ${style}`, { family: font.family, pdfFamily: font.pdfFamily, style, file: font.files[style] });
+  });
+  return [...fonts.values()];
+};
+
+/**
+ * 把 SVG 图片中的文字转为路径时提供的字体：代替标准字体的全部字体，以及能覆盖文件中字符的 Unicode 字体。
+ * @param {string} svg
+ * @returns {Array<{ family: string, pdfFamily?: string, style: string, file: string }>}
+ */
+export const svgFonts = (svg) => {
+  const unicodeFont = textFont(svg);
+  return [...Object.values(standardFontSubstitutes), ...(unicodeFont ? [unicodeFont] : [])]
+    .flatMap(font => Object.entries(font.files).map(([style, file]) => ({ family: font.family, pdfFamily: font.pdfFamily, style, file })));
+};
+
+/**
+ * 读取字体文件。
+ * @param {object[]} fonts requiredFonts 的结果
+ * @param {(file: string) => Promise<ArrayBuffer | Uint8Array>} loadAsset
+ * @returns {Promise<object[]>} 补上 data (Uint8Array) 的字体
+ */
+export const loadFonts = (fonts, loadAsset) => Promise.all(fonts.map(async font => ({
+  ...font,
+  data: new Uint8Array(await loadAsset(font.file)),
+})));
+
+// jsPDF 的虚拟文件系统只接受字符串，TrueType 文件以二进制字符串保存
+const toBinaryString = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return binary;
+};
+
+/**
+ * 在 jsPDF 文档中登记字体，之后可用 setFont(pdfFamily, style) 选用；输出时只嵌入用到的字形。
+ * @param {object} pdf jsPDF 实例
+ * @param {object[]} fonts loadFonts 的结果
+ */
+export const registerPdfFonts = (pdf, fonts) => {
+  fonts.forEach(font => {
+    const name = `${font.pdfFamily}-${font.style}.ttf`;
+    pdf.addFileToVFS(name, toBinaryString(font.data));
+    pdf.addFont(name, font.pdfFamily, font.style, 'Identity-H');
+  });
+};
+
+/**
+ * 已在 jsPDF 文档中登记的字体样式。
+ * @param {object[]} fonts loadFonts 的结果
+ * @param {object} font unicodeFonts 中的一项
+ * @param {string} style fontStyleKey 的结果
+ * @returns {string | null} 可用于 setFont 的样式，没有登记时返回 null
+ */
+export const pdfFontStyle = (fonts, font, style) => {
+  const available = availableStyle(font, style);
+  return fonts.some(f => f.pdfFamily === font.pdfFamily && f.style === available) ? available : null;
+};
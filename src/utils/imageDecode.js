@@ -0,0 +1,67 @@
+// --- 非原生图片格式 ---
+// TIFF 与 PDF 无法直接用 <img> 显示：原文件作为 source 单独保存，
+// 格子显示使用解码得到的 PNG (images[key].id)。
+//   images[key].source = { id, kind: 'tiff' | 'pdf', page, pageCount, bitDepth, levels }
+// levels 仅在位深大于 8 时存在：{ range, auto, window }，均为 { min, max }。
+// 两者都在 decodeWorker.js 中解码，PDF 页面由 pdf.js 绘制到 OffscreenCanvas。
+// 解码得到的 PNG 只用于显示与位图输出，PDF 导出时嵌入原页面 (见 vectorExport.js)。
+// SVG 可以直接显示，不经过这里，导出时保持矢量。
+// 出错时抛出 Error，message 为多语言文案 key。
+import { isTiff } from './tiffMetadata.js';
+
+export const isPdf = (file) => file.type === 'application/pdf' || /\.pdf$/i.test(file.name || '');
+
+// 需要解码的格式返回 'tiff' / 'pdf'，浏览器可直接显示的返回 null
+export const sourceKind = (file) => (isTiff(file) ? 'tiff' : isPdf(file) ? 'pdf' : null);
+
+let worker = null;
+let nextRequestId = 0;
+const pending = new Map();
+
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('./decodeWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (e) => {
+      const { requestId, result, error } = e.data;
+      const request = pending.get(requestId);
+      pending.delete(requestId);
+      if (error) request.reject(new Error(error));
+      else request.resolve(result);
+    };
+    // worker 崩溃 (如内存不足) 时拒绝所有请求，下次重新创建
+    worker.onerror = () => {
+      pending.forEach(request => request.reject(new Error('decodeFailed')));
+      pending.clear();
+      worker.terminate();
+      worker = null;
+    };
+  }
+  return worker;
+};
+
+// TIFF / PDF 都在 decodeWorker.js 中解码，原文件的数据转移给 worker
+const decodeInWorker = async (blob, kind, { page = 0, window = null }) => {
+  const buffer = await blob.arrayBuffer();
+  return new Promise((resolve, reject) => {
+    const requestId = nextRequestId++;
+    pending.set(requestId, { resolve, reject });
+    getWorker().postMessage({ requestId, kind, buffer, page, window }, [buffer]);
+  });
+};
+
+/**
+ * 解码 TIFF / PDF 的一页。
+ * @param {Blob} blob 原文件
+ * @param {'tiff' | 'pdf'} kind
+ * @param {{ page?: number, window?: { min: number, max: number } | null }} [options]
+ *   page 从 0 开始；window 为高位深 TIFF 的显示范围，省略时自动计算
+ * @returns {Promise<{ blob: Blob, width: number, height: number, page: number, pageCount: number, bitDepth: number,
+ *   levels: { range: object, auto: object, window: object } | null }>}
+ */
+export const decodeSource = async (blob, kind, options = {}) => {
+  try {
+    return await decodeInWorker(blob, kind, options);
+  } catch (error) {
+    throw new Error(error.message === 'decodeUnsupported' ? 'decodeUnsupported' : 'decodeFailed', { cause: error });
+  }
+};
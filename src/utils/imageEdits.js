@@ -0,0 +1,116 @@
+// --- 单元格图片编辑 (裁剪 / 旋转 / 翻转 / 缩放 / 平移) ---
+// 编辑参数以非破坏方式保存在 images['row-col'].edits 中，原图保持不变。
+// 编辑器显示、PNG/JPG 导出与矢量导出共用这里的几何计算，保证结果一致。
+
+export const defaultEdits = {
+  crop: { x: 0, y: 0, width: 1, height: 1 }, // 相对原图的比例
+  aspectLock: null, // 裁剪后显示的宽高比 (旋转后的 width / height)，null 为自由裁剪
+  rotation: 0, // 0 | 90 | 180 | 270，顺时针
+  flipH: false,
+  flipV: false,
+  fit: 'contain', // 'contain' | 'cover'
+  zoom: 1,
+  panX: 0, // 相对格子宽度的偏移
+  panY: 0, // 相对格子高度的偏移
+};
+
+export const withDefaultEdits = (edits) => ({
+  ...defaultEdits,
+  ...edits,
+  crop: { ...defaultEdits.crop, ...(edits && edits.crop) },
+});
+
+// 裁剪、旋转后的图片尺寸 (原图像素)
+export const effectiveSize = (naturalWidth, naturalHeight, edits) => {
+  const { crop, rotation } = withDefaultEdits(edits);
+  const width = naturalWidth * crop.width;
+  const height = naturalHeight * crop.height;
+  return rotation % 180 === 0 ? { width, height } : { width: height, height: width };
+};
+
+/**
+ * 计算图片在格子中的摆放。坐标相对格子左上角，单位与 cellWidth/cellHeight 相同。
+ * @returns {{
+ *   x: number, y: number, width: number, height: number,  裁剪旋转后的显示区域
+ *   cropWidth: number, cropHeight: number,                 旋转前裁剪框的显示尺寸
+ *   imageWidth: number, imageHeight: number,               整张原图的显示尺寸
+ *   offsetX: number, offsetY: number,                      原图相对裁剪框的偏移
+ *   rotation: number, flipH: boolean, flipV: boolean,
+ * }}
+ */
+export const computeImagePlacement = (cellWidth, cellHeight, naturalWidth, naturalHeight, edits) => {
+  const e = withDefaultEdits(edits);
+  const effective = effectiveSize(naturalWidth, naturalHeight, e);
+  const fitScale = e.fit === 'cover'
+    ? Math.max(cellWidth / effective.width, cellHeight / effective.height)
+    : Math.min(cellWidth / effective.width, cellHeight / effective.height);
+  const scale = fitScale * e.zoom;
+  const width = effective.width * scale;
+  const height = effective.height * scale;
+  const imageWidth = naturalWidth * scale;
+  const imageHeight = naturalHeight * scale;
+  return {
+    x: (cellWidth - width) / 2 + e.panX * cellWidth,
+    y: (cellHeight - height) / 2 + e.panY * cellHeight,
+    width,
+    height,
+    cropWidth: imageWidth * e.crop.width,
+    cropHeight: imageHeight * e.crop.height,
+    imageWidth,
+    imageHeight,
+    offsetX: -e.crop.x * imageWidth,
+    offsetY: -e.crop.y * imageHeight,
+    rotation: e.rotation,
+    flipH: e.flipH,
+    flipV: e.flipV,
+  };
+};
+
+// 裁剪框绕显示区域中心旋转/翻转的变换 (CSS 与 SVG 通用的顺序)
+export const placementTransform = (p) => `rotate(${p.rotation}deg) scale(${p.flipH ? -1 : 1}, ${p.flipV ? -1 : 1})`;
+
+export const svgPlacementTransform = (p) =>
+  `translate(${p.width / 2} ${p.height / 2}) rotate(${p.rotation}) scale(${p.flipH ? -1 : 1} ${p.flipV ? -1 : 1}) translate(${-p.cropWidth / 2} ${-p.cropHeight / 2})`;
+
+/**
+ * 按原始分辨率把裁剪、旋转、翻转应用到位图上 (均为无损的像素操作)。
+ * @param {ImageBitmap | HTMLImageElement} source
+ * @returns {HTMLCanvasElement}
+ */
+export const renderEditedImage = (source, edits) => {
+  const e = withDefaultEdits(edits);
+  const naturalWidth = source.naturalWidth || source.width;
+  const naturalHeight = source.naturalHeight || source.height;
+  const sx = Math.round(e.crop.x * naturalWidth);
+  const sy = Math.round(e.crop.y * naturalHeight);
+  const sw = Math.max(1, Math.round(e.crop.width * naturalWidth));
+  const sh = Math.max(1, Math.round(e.crop.height * naturalHeight));
+  const rotated = e.rotation % 180 !== 0;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = rotated ? sh : sw;
+  canvas.height = rotated ? sw : sh;
+  const ctx = canvas.getContext('2d');
+  ctx.translate(canvas.width / 2, canvas.height / 2);
+  ctx.rotate(e.rotation * Math.PI / 180);
+  ctx.scale(e.flipH ? -1 : 1, e.flipV ? -1 : 1);
+  ctx.drawImage(source, sx, sy, sw, sh, -sw / 2, -sh / 2, sw, sh);
+  return canvas;
+};
+
+// 在保持中心的前提下把裁剪框调整为指定宽高比 (aspect 为原图像素宽高比)
+export const fitCropToAspect = (crop, aspect, naturalWidth, naturalHeight) => {
+  if (!aspect) return crop;
+  const cx = crop.x + crop.width / 2;
+  const cy = crop.y + crop.height / 2;
+  let width = crop.width;
+  let height = (crop.width * naturalWidth / aspect) / naturalHeight;
+  if (height > 1) {
+    height = 1;
+    width = (aspect * naturalHeight) / naturalWidth;
+  }
+  width = Math.min(width, 1);
+  const x = Math.min(Math.max(0, cx - width / 2), 1 - width);
+  const y = Math.min(Math.max(0, cy - height / 2), 1 - height);
+  return { x, y, width, height };
+};
@@ -0,0 +1,134 @@
+// --- 图片数据库 (IndexedDB) ---
+// 图片以内容的 SHA-256 为 key 保存，相同文件只存一份。
+// 各项目的文档、历史记录与撤销栈中只保存 key；不再被任何一处引用的图片由 collectGarbage 删除。
+// 写入失败时抛出 Error，message 为多语言文案 key。
+import { getDB, withStore, IMAGES } from './db.js';
+
+// 刚写入、可能还没有提交到文档中的图片在这段时间内不会被回收 (如批量导入进行中)
+const GC_GRACE_MS = 10 * 60 * 1000;
+const recentWrites = new Map();
+
+// putImage 的查重与写入、collectGarbage 的列出与删除互斥进行：
+// 否则回收期间命中查重的图片可能在返回 key 之后被删除
+let lock = Promise.resolve();
+const exclusive = (fn) => {
+  const run = lock.then(fn);
+  lock = run.catch(() => {});
+  return run;
+};
+
+export const dbGet = (key) => withStore(IMAGES, 'readonly', store => store.get(key));
+
+const hashBlob = async (blob) => {
+  // crypto.subtle 只在安全上下文 (https / localhost) 中可用
+  if (!crypto.subtle) return crypto.randomUUID();
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return `sha256-${[...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('')}`;
+};
+
+/**
+ * 保存图片，内容相同的文件只保存一次。
+ * @param {File} file
+ * @returns {Promise<string>} 图片 key
+ */
+export const putImage = async (file) => {
+  const id = await hashBlob(file);
+  return exclusive(async () => {
+    recentWrites.set(id, Date.now());
+    const existing = await withStore(IMAGES, 'readonly', store => store.getKey(id));
+    if (existing !== undefined) return id;
+
+    const { usage, quota } = await estimateStorage();
+    if (quota && usage + file.size > quota) throw new Error('storageQuotaExceeded');
+    try {
+      await withStore(IMAGES, 'readwrite', store => store.put(file, id));
+    } catch (error) {
+      throw new Error(error && error.name === 'QuotaExceededError' ? 'storageQuotaExceeded' : 'storageWriteError', { cause: error });
+    }
+    return id;
+  });
+};
+
+/**
+ * 统计各图片被引用的次数。
+ * @param {object[]} docs 文档快照 (当前状态、历史记录、撤销/重做栈)，只读取其中的 images
+ * @returns {Map<string, number>}
+ */
+export const countImageReferences = (docs) => {
+  const counts = new Map();
+  const add = (id) => counts.set(id, (counts.get(id) || 0) + 1);
+  docs.forEach(doc => {
+    Object.values((doc && doc.images) || {}).forEach(info => {
+      if (!info) return;
+      if (info.id) add(info.id);
+      if (info.source && info.source.id) add(info.source.id);
+      if (info.normalize && info.normalize.baseId) add(info.normalize.baseId);
+      if (info.channelMerge) info.channelMerge.channels.forEach(channel => channel.imageId && add(channel.imageId));
+    });
+  });
+  return counts;
+};
+
+/**
+ * 列出数据库中的全部图片。
+ * @returns {Promise<Array<{ id: string, size: number, type: string }>>}
+ */
+export const listImages = async () => {
+  const db = await getDB();
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    const request = db.transaction([IMAGES], 'readonly').objectStore(IMAGES).openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(entries);
+        return;
+      }
+      const blob = cursor.value;
+      entries.push({ id: cursor.key, size: (blob && blob.size) || 0, type: (blob && blob.type) || '' });
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * 删除引用计数为 0 的图片。
+ * @param {Map<string, number>} references countImageReferences 的结果
+ * @returns {Promise<{ count: number, bytes: number }>} 删除的数量与大小
+ */
+export const collectGarbage = (references) => exclusive(async () => {
+  const now = Date.now();
+  recentWrites.forEach((time, id) => {
+    if (now - time > GC_GRACE_MS) recentWrites.delete(id);
+  });
+  const garbage = (await listImages()).filter(entry => !references.get(entry.id) && !recentWrites.has(entry.id));
+  if (garbage.length === 0) return { count: 0, bytes: 0 };
+
+  const db = await getDB();
+  await new Promise((resolve, reject) => {
+    const transaction = db.transaction([IMAGES], 'readwrite');
+    const store = transaction.objectStore(IMAGES);
+    garbage.forEach(entry => store.delete(entry.id));
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+  });
+  return { count: garbage.length, bytes: garbage.reduce((sum, entry) => sum + entry.size, 0) };
+});
+
+/**
+ * 浏览器为本站分配的存储空间。
+ * @returns {Promise<{ usage: number, quota: number, persisted: boolean }>} 不支持时 quota 为 0
+ */
+export const estimateStorage = async () => {
+  if (!navigator.storage || !navigator.storage.estimate) return { usage: 0, quota: 0, persisted: false };
+  const [{ usage = 0, quota = 0 }, persisted] = await Promise.all([
+    navigator.storage.estimate(),
+    navigator.storage.persisted ? navigator.storage.persisted() : false,
+  ]);
+  return { usage, quota, persisted };
+};
+
+// 申请持久化存储 (浏览器空间不足时不会自动清除)；返回是否成功
+export const requestPersistentStorage = async () =>
+  !!(navigator.storage && navigator.storage.persist && await navigator.storage.persist());
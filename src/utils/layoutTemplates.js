@@ -0,0 +1,151 @@
+// --- 排版模板 ---
+// 模板是一套网格结构：{ id, name, rows, cols, merges, rowSizes, colSizes }。
+// 内置模板的 name 为多语言文案 key (nameKey)，用户保存的模板直接保存名称。
+// 应用模板时按阅读顺序 (先行后列) 把原有的面板依次放入新模板的面板中，
+// 图片、标注随面板移动；新模板面板不足时多出的面板被舍弃。
+import { remapChannelSources } from './channelMerge.js';
+
+const weights = (...values) => values.map(value => ({ mode: 'weight', value }));
+
+export const builtInTemplates = [
+  {
+    // 左侧一个大面板，右侧三个小面板纵向排列
+    id: 'builtin:hero-stack',
+    nameKey: 'templateHeroStack',
+    rows: 3,
+    cols: 2,
+    merges: [{ row: 0, col: 0, rowSpan: 3, colSpan: 1 }],
+    rowSizes: [],
+    colSizes: weights(2, 1),
+  },
+  {
+    // 第一行两个面板，第二行三个面板
+    id: 'builtin:mixed-2-3',
+    nameKey: 'templateMixed23',
+    rows: 2,
+    cols: 6,
+    merges: [
+      { row: 0, col: 0, rowSpan: 1, colSpan: 3 },
+      { row: 0, col: 3, rowSpan: 1, colSpan: 3 },
+      { row: 1, col: 0, rowSpan: 1, colSpan: 2 },
+      { row: 1, col: 2, rowSpan: 1, colSpan: 2 },
+      { row: 1, col: 4, rowSpan: 1, colSpan: 2 },
+    ],
+    rowSizes: [],
+    colSizes: [],
+  },
+  {
+    // 上方通栏的主图，下方一排局部放大图
+    id: 'builtin:inset',
+    nameKey: 'templateInset',
+    rows: 2,
+    cols: 3,
+    merges: [{ row: 0, col: 0, rowSpan: 1, colSpan: 3 }],
+    rowSizes: weights(3, 1.5),
+    colSizes: [],
+  },
+  {
+    // 一行等宽面板，用于处理前后或多组对比
+    id: 'builtin:comparison-strip',
+    nameKey: 'templateComparisonStrip',
+    rows: 1,
+    cols: 4,
+    merges: [],
+    rowSizes: weights(1.78), // 接近正方形的格子
+    colSizes: [],
+  },
+  {
+    // 左上角大面板，右侧与下方的小面板围成 L 形
+    id: 'builtin:l-shape',
+    nameKey: 'templateLShape',
+    rows: 3,
+    cols: 3,
+    merges: [{ row: 0, col: 0, rowSpan: 2, colSpan: 2 }],
+    rowSizes: [],
+    colSizes: [],
+  },
+];
+
+export const isBuiltInTemplate = (template) => !!template && template.id.startsWith('builtin:');
+
+/**
+ * 按阅读顺序列出面板：未合并的格子与合并区域 (以左上角锚点表示)。
+ * @param {{ rows: number, cols: number, merges: object[] }} layout
+ * @returns {Array<{ row: number, col: number, rowSpan: number, colSpan: number }>}
+ */
+export const listPanels = ({ rows, cols, merges = [] }) => {
+  const panels = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const merge = merges.find(m => row >= m.row && row < m.row + m.rowSpan && col >= m.col && col < m.col + m.colSpan);
+      if (merge && (merge.row !== row || merge.col !== col)) continue;
+      panels.push({
+        row,
+        col,
+        rowSpan: merge ? Math.min(merge.rowSpan, rows - row) : 1,
+        colSpan: merge ? Math.min(merge.colSpan, cols - col) : 1,
+      });
+    }
+  }
+  return panels;
+};
+
+// 由当前排版保存的模板
+export const createTemplate = (name, { rows, cols, merges, rowSizes, colSizes }) => ({
+  id: crypto.randomUUID(),
+  name,
+  rows,
+  cols,
+  merges,
+  rowSizes: rowSizes.slice(0, rows),
+  colSizes: colSizes.slice(0, cols),
+});
+
+/**
+ * 计算应用模板后的文档。只有放了图片或标注的面板计入顺序，空面板不占用新模板的位置。
+ * 行列脚注按序号保留。
+ * @param {object} doc 当前文档 (rows, cols, merges, images, annotations, captions, rowCaptions)
+ * @param {object} template
+ * @returns {{ doc: object, dropped: number }} dropped 为放不下而被舍弃的面板数
+ */
+export const applyTemplateToDocument = (doc, template) => {
+  const annotations = doc.annotations || [];
+  const used = listPanels(doc).filter(panel =>
+    doc.images[`${panel.row}-${panel.col}`] || annotations.some(a => a.row === panel.row && a.col === panel.col)
+  );
+  const targets = listPanels(template);
+
+  const images = {};
+  const moves = new Map(); // 旧锚点 key -> 新锚点
+  used.forEach((panel, i) => {
+    const target = targets[i];
+    if (!target) return;
+    const oldKey = `${panel.row}-${panel.col}`;
+    moves.set(oldKey, target);
+    if (doc.images[oldKey]) images[`${target.row}-${target.col}`] = doc.images[oldKey];
+  });
+
+  return {
+    doc: {
+      rows: template.rows,
+      cols: template.cols,
+      merges: template.merges.map(m => ({ ...m })),
+      rowSizes: template.rowSizes.map(t => ({ ...t })),
+      colSizes: template.colSizes.map(t => ({ ...t })),
+      // 合并格子的来源格子随面板移动，被舍弃的面板不再作为来源
+      images: remapChannelSources(images, key => {
+        const target = moves.get(key);
+        return target ? `${target.row}-${target.col}` : null;
+      }),
+      annotations: annotations
+        .filter(a => moves.has(`${a.row}-${a.col}`))
+        .map(a => {
+          const target = moves.get(`${a.row}-${a.col}`);
+          return { ...a, row: target.row, col: target.col };
+        }),
+      captions: Array.from({ length: template.cols }, (_, i) => (doc.captions && doc.captions[i]) || ''),
+      rowCaptions: Array.from({ length: template.rows }, (_, i) => (doc.rowCaptions && doc.rowCaptions[i]) || ''),
+    },
+    dropped: Math.max(0, used.length - targets.length),
+  };
+};
@@ -0,0 +1,158 @@
+// --- 面板统一 (强度、颜色与显示比例) ---
+// 让并排比较的实验图像外观一致。处理参数非破坏地保存在 images[key].normalize 中：
+//   { baseId, levels, grayscale, lut }
+// baseId 为处理前的图片 (上传的原图，TIFF / PDF 为解码后的 PNG)，images[key].id 为按参数渲染的 PNG，
+// 格子显示与各种格式的导出都直接使用处理结果。levels 为共用的强度范围 { min, max } (0~255) 或 null，
+// lut 为 LUTS 中的 key，'none' 表示保持原有颜色。
+// 统一显示比例只修改 edits.zoom (见 imageEdits.js)，不需要重新渲染。
+import { computeImagePlacement } from './imageEdits.js';
+import { lengthUnits } from './scaleBar.js';
+
+// 自动色阶时两端各舍弃的像素比例 (与 decodeWorker.js、ImageJ 的 Auto 相同)
+const AUTO_SATURATION = 0.0035;
+const SAMPLE_PIXELS = 1e6; // 统计强度时最多抽样的像素数
+
+// 伪彩色查找表的控制点，按强度均匀分布，中间线性插值
+const LUTS = {
+  none: null,
+  green: [[0, 0, 0], [0, 255, 0]],
+  magenta: [[0, 0, 0], [255, 0, 255]],
+  fire: [[0, 0, 0], [0, 0, 120], [90, 0, 200], [170, 0, 150], [220, 40, 40], [250, 120, 0], [255, 200, 0], [255, 255, 120], [255, 255, 255]],
+  viridis: [[68, 1, 84], [72, 40, 120], [62, 73, 137], [49, 104, 142], [38, 130, 142], [31, 158, 137], [53, 183, 121], [110, 206, 88], [181, 222, 43], [253, 231, 37]],
+};
+
+export const lutNames = Object.keys(LUTS);
+
+export const defaultNormalize = { levels: null, grayscale: false, lut: 'none' };
+
+// 需要重新渲染像素的处理 (不含显示比例)
+export const hasPixelNormalization = (normalize) =>
+  !!normalize && (!!normalize.levels || normalize.grayscale || (normalize.lut || 'none') !== 'none');
+
+const lutTables = {};
+
+// 256 级的 RGB 查找表
+const lutTable = (name) => {
+  if (!lutTables[name]) {
+    const points = LUTS[name];
+    const table = new Uint8ClampedArray(256 * 3);
+    for (let v = 0; v < 256; v++) {
+      const position = (v / 255) * (points.length - 1);
+      const i = Math.min(points.length - 2, Math.floor(position));
+      const f = position - i;
+      for (let c = 0; c < 3; c++) table[v * 3 + c] = points[i][c] + (points[i + 1][c] - points[i][c]) * f;
+    }
+    lutTables[name] = table;
+  }
+  return lutTables[name];
+};
+
+// CSS 渐变，用于界面上的色带预览
+export const lutGradient = (name) => {
+  const points = LUTS[name] || [[0, 0, 0], [255, 255, 255]];
+  return `linear-gradient(to right, ${points.map(([r, g, b]) => `rgb(${r}, ${g}, ${b})`).join(', ')})`;
+};
+
+const readPixels = async (blob) => {
+  const bitmap = await createImageBitmap(blob);
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return { canvas, ctx, imageData: ctx.getImageData(0, 0, canvas.width, canvas.height) };
+};
+
+/**
+ * 统计图片的强度范围：舍弃两端极少量的像素后的最小值与最大值 (各颜色通道合并统计)。
+ * @param {Blob} blob
+ * @returns {Promise<{ min: number, max: number }>}
+ */
+export const measureLevels = async (blob) => {
+  const { imageData } = await readPixels(blob);
+  const { data } = imageData;
+  const pixels = data.length / 4;
+  const step = Math.max(1, Math.floor(pixels / SAMPLE_PIXELS)) * 4;
+  const histogram = new Uint32Array(256);
+  let total = 0;
+  for (let i = 0; i < data.length; i += step) {
+    if (data[i + 3] === 0) continue; // 透明像素不参与统计
+    histogram[data[i]]++;
+    histogram[data[i + 1]]++;
+    histogram[data[i + 2]]++;
+    total += 3;
+  }
+  const threshold = total * AUTO_SATURATION;
+  let min = 0;
+  for (let sum = 0; min < 255 && (sum += histogram[min]) <= threshold;) min++;
+  let max = 255;
+  for (let sum = 0; max > min && (sum += histogram[max]) <= threshold;) max--;
+  return { min, max: Math.max(max, min + 1) };
+};
+
+// 一组图片共用的强度范围：覆盖每张图片自己的范围，相同的原始强度处理后仍然相同
+export const sharedLevels = (ranges) => ({
+  min: Math.min(...ranges.map(r => r.min)),
+  max: Math.max(...ranges.map(r => r.max)),
+});
+
+/**
+ * 按参数渲染处理结果：先按强度范围线性拉伸，再转为灰度或套用伪彩色。
+ * 伪彩色按各通道的最大值取强度，单色的荧光通道 (如绿色) 换色后亮度不变。
+ * @param {Blob} blob 处理前的图片
+ * @param {{ levels: { min: number, max: number } | null, grayscale: boolean, lut: string }} normalize
+ * @returns {Promise<Blob>} PNG
+ */
+export const renderNormalized = async (blob, { levels, grayscale, lut = 'none' }) => {
+  const { canvas, ctx, imageData } = await readPixels(blob);
+  const { data } = imageData;
+  const stretch = new Uint8ClampedArray(256);
+  for (let v = 0; v < 256; v++) {
+    stretch[v] = levels ? ((v - levels.min) * 255) / Math.max(1, levels.max - levels.min) : v;
+  }
+  const table = lut !== 'none' && LUTS[lut] ? lutTable(lut) : null;
+  for (let i = 0; i < data.length; i += 4) {
+    const r = stretch[data[i]];
+    const g = stretch[data[i + 1]];
+    const b = stretch[data[i + 2]];
+    if (table) {
+      const v = Math.max(r, g, b) * 3;
+      data[i] = table[v];
+      data[i + 1] = table[v + 1];
+      data[i + 2] = table[v + 2];
+    } else if (grayscale) {
+      data[i] = data[i + 1] = data[i + 2] = 0.299 * r + 0.587 * g + 0.114 * b;
+    } else {
+      data[i] = r;
+      data[i + 1] = g;
+      data[i + 2] = b;
+    }
+  }
+  ctx.putImageData(imageData, 0, 0);
+  const png = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  if (!png) throw new Error('normalizeFailed');
+  return png;
+};
+
+/**
+ * 统一显示比例：计算每个面板的 zoom，使相同的像素尺寸显示为相同的大小。
+ * 全部图片都有像素尺寸标定 (比例尺的 pixelSize) 时按实际长度统一，否则按像素统一。
+ * 以显示比例最小的面板为准，其余面板缩小，保证每张图片仍能完整放入格子。
+ * @param {Array<{ key: string, cellWidth: number, cellHeight: number, width: number, height: number,
+ *   edits: object | undefined, pixelSize: number | null, pixelUnit: string }>} panels
+ * @returns {Object<string, number>} key -> zoom
+ */
+export const matchDisplayScale = (panels) => {
+  const usable = panels.filter(p => p.width > 0 && p.height > 0 && p.cellWidth > 0 && p.cellHeight > 0);
+  if (usable.length === 0) return {};
+  const calibrated = usable.every(p => p.pixelSize > 0 && lengthUnits[p.pixelUnit]);
+  // 每个面板在 zoom 为 1 时，单位长度 (像素或 µm) 显示为多少格子单位
+  const scales = usable.map(p => {
+    const placement = computeImagePlacement(p.cellWidth, p.cellHeight, p.width, p.height, { ...p.edits, zoom: 1 });
+    const perPixel = placement.imageWidth / p.width;
+    return calibrated ? perPixel / (p.pixelSize * lengthUnits[p.pixelUnit]) : perPixel;
+  });
+  const target = Math.min(...scales);
+  return Object.fromEntries(usable.map((p, i) => [p.key, target / scales[i]]));
+};
@@ -0,0 +1,166 @@
+// --- 项目文件 (.collage) ---
+// .collage 是一个 zip 包：
+//   project.json        布局、图片映射、脚注、样式等 (见 createProjectBundle)
+//   images/<id>.<ext>   每张被引用的图片原始文件；TIFF / PDF 另有解码前的原文件 (images[key].source)，
+//                       统一处理过的图片另有处理前的图片 (images[key].normalize，见 normalize.js)，
+//                       合并格子另有单独上传的通道图片 (images[key].channelMerge，见 channelMerge.js)
+// 读取时出错会抛出 Error，message 为对应的多语言文案 key。
+import { zip, unzip, strToU8, strFromU8 } from 'fflate';
+
+export const PROJECT_FORMAT = 'figure-collage';
+export const PROJECT_VERSION = 1;
+export const PROJECT_EXTENSION = 'collage';
+
+const extensionFromType = (type = '') => {
+  const sub = type.split('/')[1] || 'bin';
+  return { jpeg: 'jpg', 'svg+xml': 'svg' }[sub] || sub.replace(/[^a-z0-9]/gi, '');
+};
+
+const zipAsync = (files) => new Promise((resolve, reject) => {
+  // 图片本身已压缩，不再重复压缩
+  zip(files, { level: 0 }, (err, data) => (err ? reject(err) : resolve(data)));
+});
+
+const unzipAsync = (data) => new Promise((resolve, reject) => {
+  unzip(data, (err, files) => (err ? reject(err) : resolve(files)));
+});
+
+/**
+ * 打包项目。
+ * @param {object} doc 文档快照 { rows, cols, images, merges, rowSizes, colSizes, captions, styles, annotations }
+ * @param {(id: string) => Promise<Blob>} getImageBlob
+ * @returns {Promise<{ blob: Blob, missing: string[] }>} missing 为数据库中已找不到的图片 key
+ */
+export const createProjectBundle = async (doc, getImageBlob) => {
+  const files = {};
+  const images = {};
+  const missing = [];
+
+  // 写入包内并返回 { file, type }，数据库中找不到时返回 null
+  const addImage = async (id) => {
+    const blob = await getImageBlob(id).catch(() => null);
+    if (!blob) return null;
+    const path = `images/${id}.${extensionFromType(blob.type)}`;
+    if (!files[path]) {
+      files[path] = new Uint8Array(await blob.arrayBuffer());
+    }
+    return { file: path, type: blob.type };
+  };
+
+  // 合并格子中单独上传的通道图片，找不到的通道保留设置、不再有图片
+  const addChannels = async (channelMerge) => {
+    const channels = [];
+    for (const channel of channelMerge.channels) {
+      const channelEntry = channel.imageId && await addImage(channel.imageId);
+      channels.push(channelEntry ? { ...channel, ...channelEntry } : { ...channel, imageId: null });
+    }
+    return { ...channelMerge, channels };
+  };
+
+  for (const [key, info] of Object.entries(doc.images)) {
+    const entry = await addImage(info.id);
+    if (!entry) {
+      missing.push(key);
+      continue;
+    }
+    const { source, normalize, channelMerge, ...rest } = info;
+    const sourceEntry = source && await addImage(source.id);
+    const baseEntry = normalize && await addImage(normalize.baseId);
+    if (channelMerge) rest.channelMerge = await addChannels(channelMerge);
+    // 原文件丢失时仍可使用已解码的图片，只是不能再换页或调整显示范围；
+    // 处理前的图片丢失时处理结果成为普通图片
+    images[key] = {
+      ...rest,
+      ...entry,
+      ...(sourceEntry && { source: { ...source, ...sourceEntry } }),
+      ...(baseEntry && { normalize: { ...normalize, ...baseEntry } }),
+    };
+  }
+
+  const project = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    createdAt: new Date().toISOString(),
+    ...doc,
+    images,
+  };
+  files['project.json'] = strToU8(JSON.stringify(project, null, 2));
+
+  const data = await zipAsync(files);
+  return { blob: new Blob([data], { type: 'application/zip' }), missing };
+};
+
+const isInt = (value, min) => Number.isInteger(value) && value >= min;
+
+// 校验 project.json 的结构，返回第一个错误的文案 key
+const validateProject = (project) => {
+  if (!project || project.format !== PROJECT_FORMAT) return 'projectInvalidFormat';
+  if (!isInt(project.version, 1)) return 'projectInvalidFormat';
+  if (project.version > PROJECT_VERSION) return 'projectUnsupportedVersion';
+  if (!isInt(project.rows, 1) || !isInt(project.cols, 1)) return 'projectInvalidFormat';
+  if (!project.images || typeof project.images !== 'object') return 'projectInvalidFormat';
+  if (!Array.isArray(project.captions)) return 'projectInvalidFormat';
+  if (project.merges && !Array.isArray(project.merges)) return 'projectInvalidFormat';
+  if (project.annotations && !Array.isArray(project.annotations)) return 'projectInvalidFormat';
+  return null;
+};
+
+/**
+ * 读取项目包。
+ * @param {Blob} file
+ * @returns {Promise<{ doc: object, images: Array<{ key: string, info: object, blob: Blob | null, sourceBlob: Blob | null,
+ *   baseBlob: Blob | null, channelBlobs: Array<Blob | null> }> }>}
+ *   images 中 blob 为 null 表示包内缺少该文件；sourceBlob 为 TIFF / PDF 的原文件，baseBlob 为统一处理前的图片，
+ *   channelBlobs 为合并格子中各通道单独上传的图片 (与 info.channelMerge.channels 一一对应)
+ */
+export const readProjectBundle = async (file) => {
+  let entries;
+  try {
+    entries = await unzipAsync(new Uint8Array(await file.arrayBuffer()));
+  } catch {
+    throw new Error('projectInvalidArchive');
+  }
+  if (!entries['project.json']) throw new Error('projectInvalidArchive');
+
+  let project;
+  try {
+    project = JSON.parse(strFromU8(entries['project.json']));
+  } catch {
+    throw new Error('projectInvalidFormat');
+  }
+  const error = validateProject(project);
+  if (error) throw new Error(error);
+
+  const readEntry = (entry) => {
+    const data = entry && entry.file ? entries[entry.file] : null;
+    return data ? new Blob([data], { type: entry.type || '' }) : null;
+  };
+  const images = Object.entries(project.images).map(([key, info]) => {
+    const { file: _file, type: _type, source, normalize, ...rest } = info || {};
+    const sourceBlob = readEntry(source);
+    if (sourceBlob) {
+      const { file: _sourceFile, type: _sourceType, ...sourceInfo } = source;
+      rest.source = sourceInfo;
+    }
+    const baseBlob = readEntry(normalize);
+    if (baseBlob) {
+      const { file: _baseFile, type: _baseType, ...normalizeInfo } = normalize;
+      rest.normalize = normalizeInfo;
+    }
+    const channelBlobs = [];
+    if (rest.channelMerge && Array.isArray(rest.channelMerge.channels)) {
+      rest.channelMerge = {
+        ...rest.channelMerge,
+        channels: rest.channelMerge.channels.map(channel => {
+          const { file: _channelFile, type: _channelType, ...channelInfo } = channel;
+          channelBlobs.push(readEntry(channel));
+          return channelInfo;
+        }),
+      };
+    }
+    return { key, info: rest, blob: readEntry(info), sourceBlob, baseBlob, channelBlobs };
+  });
+
+  const { format: _format, version: _version, createdAt: _createdAt, images: _images, ...doc } = project;
+  return { doc, images };
+};
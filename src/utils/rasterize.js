@@ -0,0 +1,79 @@
+// --- 栅格化 (PNG / JPEG) ---
+// 导出场景的 SVG 由 resvg 绘制，JPEG 由 mozjpeg 编码，两者都是 WebAssembly 模块。浏览器与 Node 使用同一份 wasm
+// 和同一套字体 (fonts.js)，不经过 canvas 或系统字体，同一文档得到的像素完全相同。
+// wasm 文件与字体一样以包内路径标识，由运行环境的 loadAsset 读取。
+// resvg 也用来规范化 SVG 图片 (normalizeSvg)，供没有浏览器排版能力的环境 (Node) 交给 svg2pdf。
+import { initWasm, Resvg } from '@resvg/resvg-wasm';
+import { init as initJpeg, default as encodeJpeg } from '@jsquash/jpeg/encode.js';
+
+const RESVG_WASM = '@resvg/resvg-wasm/index_bg.wasm';
+const MOZJPEG_WASM = '@jsquash/jpeg/codec/enc/mozjpeg_enc.wasm';
+const JPEG_QUALITY = 100;
+
+// resvg 能直接解码的图片格式，其他位图格式需先转为 PNG
+export const resvgImageTypes = ['image/png', 'image/jpeg', 'image/gif', 'image/svg+xml'];
+
+// wasm 模块只初始化一次；失败时下次重试
+const once = (init) => {
+  let promise = null;
+  return (loadAsset) => {
+    promise = promise || init(loadAsset).catch(error => {
+      promise = null;
+      throw error;
+    });
+    return promise;
+  };
+};
+
+const loadResvg = once(async (loadAsset) => initWasm(await loadAsset(RESVG_WASM)));
+const loadJpegEncoder = once(async (loadAsset) => initJpeg(await WebAssembly.compile(await loadAsset(MOZJPEG_WASM))));
+
+/**
+ * 把 SVG 栅格化为 PNG / JPEG。
+ * @param {string} svg sceneToSvg(scene, { raster }) 的结果，尺寸即输出像素
+ * @param {object} options
+ * @param {string} options.mime 'image/png' | 'image/jpeg'，JPEG 以白色填充透明区域
+ * @param {object[]} options.fonts fonts.js 中 loadFonts 的结果
+ * @param {(file: string) => Promise<ArrayBuffer | Uint8Array>} options.loadAsset
+ * @returns {Promise<Uint8Array>}
+ */
+export const rasterizeSvg = async (svg, { mime, fonts, loadAsset }) => {
+  const isJpeg = mime === 'image/jpeg';
+  await Promise.all([loadResvg(loadAsset), isJpeg && loadJpegEncoder(loadAsset)]);
+  let rendered;
+  try {
+    const resvg = new Resvg(svg, {
+      fitTo: { mode: 'original' },
+      font: { fontBuffers: fonts.map(font => font.data), defaultFontFamily: 'Arimo' },
+      ...(isJpeg && { background: '#ffffff' }),
+    });
+    const image = resvg.render();
+    rendered = isJpeg
+      ? { data: new Uint8ClampedArray(image.pixels), width: image.width, height: image.height }
+      : image.asPng();
+    image.free();
+    resvg.free();
+  } catch (error) {
+    throw new Error('exportRasterFailed', { cause: error });
+  }
+  if (!isJpeg) return rendered;
+  return new Uint8Array(await encodeJpeg(rendered, { quality: JPEG_QUALITY }));
+};
+
+/**
+ * 由 resvg 规范化 SVG：文字转为路径，样式表、use 与单位换算都展开为基本图形的属性。
+ * @param {string} svg
+ * @param {object} options
+ * @param {object[]} options.fonts fonts.js 中 loadFonts 的结果，文字按这些字体转为路径
+ * @param {(file: string) => Promise<ArrayBuffer | Uint8Array>} options.loadAsset
+ * @returns {Promise<string>}
+ */
+export const normalizeSvg = async (svg, { fonts, loadAsset }) => {
+  await loadResvg(loadAsset);
+  const resvg = new Resvg(svg, { font: { fontBuffers: fonts.map(font => font.data), defaultFontFamily: 'Arimo' } });
+  try {
+    return resvg.toString();
+  } finally {
+    resvg.free();
+  }
+};
@@ -0,0 +1,69 @@
+// --- 富文本标记 ---
+// 脚注、行标签、标题与图例使用的轻量标记：
+//   **粗体**   *斜体*   ^{上标}   _{下标}   \alpha → α   换行即分行
+// 需要输出字面的 * _ ^ { } \ 时在前面加 \。
+
+export const greekLetters = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', zeta: 'ζ', eta: 'η', theta: 'θ',
+  iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', omicron: 'ο', pi: 'π',
+  rho: 'ρ', sigma: 'σ', tau: 'τ', upsilon: 'υ', phi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ',
+  Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+};
+
+const ESCAPABLE = '\\*_^{}';
+
+/**
+ * 解析标记文本。
+ * @param {string} source
+ * @returns {Array<Array<{ text: string, bold: boolean, italic: boolean, script: 'sup' | 'sub' | null }>>}
+ *   每个元素是一行，行内为格式相同的连续文字
+ */
+export const parseRichText = (source = '') => {
+  const lines = [[]];
+  const format = { bold: false, italic: false, script: null };
+
+  const push = (text) => {
+    const line = lines[lines.length - 1];
+    const last = line[line.length - 1];
+    if (last && last.bold === format.bold && last.italic === format.italic && last.script === format.script) {
+      last.text += text;
+    } else {
+      line.push({ text, ...format });
+    }
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    const next = source[i + 1];
+    if (ch === '\\') {
+      const name = /^[a-zA-Z]+/.exec(source.slice(i + 1));
+      if (name && greekLetters[name[0]]) {
+        push(greekLetters[name[0]]);
+        i += name[0].length;
+      } else if (next !== undefined && ESCAPABLE.includes(next)) {
+        push(next);
+        i++;
+      } else {
+        push(ch);
+      }
+    } else if (ch === '\n') {
+      lines.push([]);
+    } else if (ch === '*') {
+      if (next === '*') {
+        format.bold = !format.bold;
+        i++;
+      } else {
+        format.italic = !format.italic;
+      }
+    } else if ((ch === '^' || ch === '_') && next === '{' && !format.script) {
+      format.script = ch === '^' ? 'sup' : 'sub';
+      i++;
+    } else if (ch === '}' && format.script) {
+      format.script = null;
+    } else {
+      push(ch);
+    }
+  }
+  return lines;
+};
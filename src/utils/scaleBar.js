@@ -0,0 +1,49 @@
+// --- 比例尺 ---
+// 保存在 images['row-col'].scaleBar 中。像素尺寸 (pixelSize / pixelUnit) 属于图片本身，
+// 其余为显示参数。屏幕上的长度由格子中图片的实际显示比例算出，裁剪、缩放后依然准确。
+
+// 各长度单位折算为 µm
+export const lengthUnits = { nm: 0.001, 'µm': 1, mm: 1000 };
+
+export const defaultScaleBar = {
+  enabled: false,
+  pixelSize: null, // 每个原图像素代表的长度
+  pixelUnit: 'µm',
+  length: 10,
+  unit: 'µm',
+  position: 'bottom-right',
+  color: '#ffffff',
+  thickness: 2, // pt
+  showLabel: true,
+  label: '', // 为空时使用 "长度 单位"
+  fontSize: 7, // pt
+};
+
+export const withDefaultScaleBar = (scaleBar) => ({ ...defaultScaleBar, ...scaleBar });
+
+export const isScaleBarVisible = (scaleBar) => !!scaleBar && scaleBar.enabled && scaleBar.pixelSize > 0 && scaleBar.length > 0;
+
+export const scaleBarLabel = (scaleBar) => scaleBar.label || `${scaleBar.length} ${scaleBar.unit}`;
+
+// 比例尺对应的原图像素数
+export const scaleBarImagePixels = (scaleBar) =>
+  (scaleBar.length * lengthUnits[scaleBar.unit]) / (scaleBar.pixelSize * lengthUnits[scaleBar.pixelUnit]);
+
+// 取 1 / 2 / 5 × 10^n 中不超过图片宽度约 1/5 的最大值，作为默认长度
+export const niceScaleBarLength = (pixelSize, pixelUnit, imageWidth) => {
+  const target = (pixelSize * imageWidth * lengthUnits[pixelUnit]) / 5; // µm
+  const unit = target >= 1000 ? 'mm' : target < 1 ? 'nm' : 'µm';
+  const value = target / lengthUnits[unit];
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [5, 2, 1].find(s => s * magnitude <= value) || 1;
+  return { length: +(step * magnitude).toPrecision(6), unit };
+};
+
+// 常见的单位写法统一为 lengthUnits 中的键
+export const normalizeLengthUnit = (unit) => {
+  const value = String(unit || '').trim().toLowerCase();
+  if (['µm', 'μm', 'um', 'micron', 'microns', 'micrometer', 'micrometre'].includes(value)) return 'µm';
+  if (['nm', 'nanometer', 'nanometre'].includes(value)) return 'nm';
+  if (['mm', 'millimeter', 'millimetre'].includes(value)) return 'mm';
+  return null;
+};
@@ -0,0 +1,102 @@
+// --- 快照差异 ---
+// 比较两个文档快照 (历史记录或当前状态)，给出人能读懂的变更摘要。
+// 返回 [{ key, params }]，key 为多语言文案 key；没有变化时返回空数组。
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// 旧版本的历史记录可能缺少后来加入的字段
+const normalize = (doc) => ({
+  rows: doc.rows,
+  cols: doc.cols,
+  images: doc.images || {},
+  merges: doc.merges || [],
+  rowSizes: doc.rowSizes || [],
+  colSizes: doc.colSizes || [],
+  captions: doc.captions || [],
+  rowCaptions: doc.rowCaptions || [],
+  titleText: doc.titleText || '',
+  legendText: doc.legendText || '',
+  styles: doc.styles || {},
+  annotations: doc.annotations || [],
+});
+
+// 不同位置上内容不同的文字数 (空字符串与缺失视为相同)
+const countTextChanges = (a, b) => {
+  let count = 0;
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if ((a[i] || '') !== (b[i] || '')) count++;
+  }
+  return count;
+};
+
+// 格子中原始图片的标识：TIFF / PDF 的页面、窗宽窗位，归一化与通道合成都会改变 id，
+// 但原始文件 (source.id)、归一化前的图片 (normalize.baseId) 与合并格子本身不变，这些变化算作编辑
+const originalImage = (info) => {
+  if (info.channelMerge) return 'channelMerge';
+  if (info.source && info.source.id) return info.source.id;
+  if (info.normalize && info.normalize.baseId) return info.normalize.baseId;
+  return info.id;
+};
+
+const diffImages = (a, b) => {
+  const counts = { added: 0, removed: 0, replaced: 0, edited: 0 };
+  new Set([...Object.keys(a), ...Object.keys(b)]).forEach(key => {
+    const before = a[key];
+    const after = b[key];
+    if (!before) counts.added++;
+    else if (!after) counts.removed++;
+    else if (originalImage(before) !== originalImage(after)) counts.replaced++;
+    else if (!same(before, after)) counts.edited++; // 裁剪、比例尺、显示范围、页面与通道等
+  });
+  return counts;
+};
+
+const diffAnnotations = (a, b) => {
+  const before = new Map(a.map(item => [item.id, item]));
+  const after = new Map(b.map(item => [item.id, item]));
+  let changed = 0;
+  after.forEach((item, id) => {
+    if (before.has(id) && !same(before.get(id), item)) changed++;
+  });
+  return {
+    added: b.filter(item => !before.has(item.id)).length,
+    removed: a.filter(item => !after.has(item.id)).length,
+    changed,
+  };
+};
+
+/**
+ * @param {object} beforeDoc 较早的快照
+ * @param {object} afterDoc 较新的快照
+ * @returns {Array<{ key: string, params?: object }>}
+ */
+export const diffSnapshots = (beforeDoc, afterDoc) => {
+  const a = normalize(beforeDoc);
+  const b = normalize(afterDoc);
+  const changes = [];
+
+  if (a.rows !== b.rows || a.cols !== b.cols) {
+    changes.push({ key: 'diffGrid', params: { from: `${a.cols}x${a.rows}`, to: `${b.cols}x${b.rows}` } });
+  }
+  const images = diffImages(a.images, b.images);
+  ['added', 'removed', 'replaced', 'edited'].forEach(kind => {
+    if (images[kind] > 0) changes.push({ key: `diffImages_${kind}`, params: { count: images[kind] } });
+  });
+  if (!same(a.merges, b.merges)) changes.push({ key: 'diffMerges' });
+  if (!same(a.rowSizes, b.rowSizes) || !same(a.colSizes, b.colSizes)) changes.push({ key: 'diffTrackSizes' });
+
+  const captions = countTextChanges(a.captions, b.captions) + countTextChanges(a.rowCaptions, b.rowCaptions);
+  if (captions > 0) changes.push({ key: 'diffCaptions', params: { count: captions } });
+  if (a.titleText !== b.titleText) changes.push({ key: 'diffTitle' });
+  if (a.legendText !== b.legendText) changes.push({ key: 'diffLegend' });
+
+  const annotations = diffAnnotations(a.annotations, b.annotations);
+  if (annotations.added + annotations.removed + annotations.changed > 0) {
+    changes.push({ key: 'diffAnnotations', params: annotations });
+  }
+  const styleKeys = [...new Set([...Object.keys(a.styles), ...Object.keys(b.styles)])]
+    .filter(key => !same(a.styles[key], b.styles[key]));
+  if (styleKeys.length > 0) changes.push({ key: 'diffStyles', params: { count: styleKeys.length, keys: styleKeys.join(', ') } });
+
+  return changes;
+};
@@ -0,0 +1,132 @@
+// --- 样式主题 ---
+// 主题保存一套完整的排版外观，可应用到任意排版：
+//   { id, name, styles, annotation, scaleBar, guidelines? }
+// styles 为 state.styles (含字体、脚注颜色、面板标签样式)；内置主题只给出与默认值不同的部分。
+// annotation 为新建及已有标注的线宽与字体，scaleBar 为比例尺的线宽与字号。
+// guidelines 仅内置的期刊预设有：{ minFontSize, minLineWidth (pt), widthsMm, maxHeightMm }，投稿前检查使用。
+// 主题文件为 JSON：{ format, version, themes: [...] }。出错时抛出 Error，message 为多语言文案 key。
+
+export const THEME_FILE_FORMAT = 'figure-collage-themes';
+const THEME_FILE_VERSION = 1;
+
+// 应用主题时覆盖到已有标注上的样式项 (颜色、虚线属于标注本身的含义，不随主题变化)
+export const THEME_ANNOTATION_KEYS = ['strokeWidth', 'fontFamily', 'fontSize', 'fontWeight'];
+export const THEME_SCALE_BAR_KEYS = ['thickness', 'fontSize'];
+
+const SANS = 'Arial, Helvetica, sans-serif';
+
+const journalStyles = ({ widthMm, fontSize, labelScheme, labelSize }) => ({
+  page: { widthMm },
+  fontFamily: SANS,
+  captionFontSize: fontSize,
+  captionColor: '#000000',
+  backgroundColor: '#ffffff',
+  panelLabels: {
+    enabled: true,
+    scheme: labelScheme,
+    position: 'top-left',
+    fontFamily: SANS,
+    fontSize: labelSize,
+    fontWeight: 'bold',
+    color: '#000000',
+    showBackground: false,
+  },
+  title: { fontSize: labelSize },
+  legend: { fontSize },
+});
+
+// 依据各期刊公开的作者指南整理，投稿前请以期刊当前的要求为准
+export const builtInThemes = [
+  {
+    id: 'builtin:nature',
+    name: 'Nature',
+    styles: journalStyles({ widthMm: 183, fontSize: 7, labelScheme: 'lower', labelSize: 8 }),
+    annotation: { strokeWidth: 0.5, fontFamily: SANS, fontSize: 7 },
+    scaleBar: { thickness: 1, fontSize: 7 },
+    guidelines: { minFontSize: 5, minLineWidth: 0.25, widthsMm: [89, 183], maxHeightMm: 247 },
+  },
+  {
+    id: 'builtin:science',
+    name: 'Science',
+    styles: journalStyles({ widthMm: 184, fontSize: 7, labelScheme: 'upper', labelSize: 9 }),
+    annotation: { strokeWidth: 0.5, fontFamily: SANS, fontSize: 7 },
+    scaleBar: { thickness: 1, fontSize: 7 },
+    guidelines: { minFontSize: 6, minLineWidth: 0.5, widthsMm: [57, 121, 184], maxHeightMm: 229 },
+  },
+  {
+    id: 'builtin:cell',
+    name: 'Cell Press',
+    styles: journalStyles({ widthMm: 174, fontSize: 7, labelScheme: 'upper', labelSize: 8 }),
+    annotation: { strokeWidth: 0.5, fontFamily: SANS, fontSize: 7 },
+    scaleBar: { thickness: 1, fontSize: 7 },
+    guidelines: { minFontSize: 6, minLineWidth: 0.5, widthsMm: [85, 114, 174], maxHeightMm: 225 },
+  },
+  {
+    id: 'builtin:plos',
+    name: 'PLOS',
+    styles: journalStyles({ widthMm: 132, fontSize: 8, labelScheme: 'upper', labelSize: 10 }),
+    annotation: { strokeWidth: 0.75, fontFamily: SANS, fontSize: 8 },
+    scaleBar: { thickness: 1, fontSize: 8 },
+    guidelines: { minFontSize: 8, minLineWidth: 0.5, widthsMm: [132, 190], maxHeightMm: 222 },
+  },
+];
+
+export const isBuiltInTheme = (theme) => !!theme && theme.id.startsWith('builtin:');
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// 把主题样式合并到当前样式上：嵌套的分组 (page、panelLabels 等) 逐项合并，其余直接替换
+export const mergeThemeStyles = (styles, themeStyles) => {
+  const merged = { ...styles };
+  Object.entries(themeStyles || {}).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(styles[key]) ? { ...styles[key], ...value } : value;
+  });
+  return merged;
+};
+
+const pick = (source, keys) => Object.fromEntries(keys.filter(key => source[key] !== undefined).map(key => [key, source[key]]));
+
+/**
+ * 由当前排版生成主题。
+ * @param {{ name: string, styles: object, annotationStyle: object, scaleBar?: object }} options
+ *   scaleBar 为排版中任一比例尺的设置 (没有时省略)
+ */
+export const createTheme = ({ name, styles, annotationStyle, scaleBar = null }) => ({
+  id: crypto.randomUUID(),
+  name,
+  styles,
+  annotation: pick(annotationStyle, THEME_ANNOTATION_KEYS),
+  scaleBar: scaleBar ? pick(scaleBar, THEME_SCALE_BAR_KEYS) : {},
+});
+
+export const serializeThemes = (themes) => JSON.stringify({
+  format: THEME_FILE_FORMAT,
+  version: THEME_FILE_VERSION,
+  themes: themes.map(({ name, styles, annotation, scaleBar, guidelines }) => ({ name, styles, annotation, scaleBar, guidelines })),
+}, null, 2);
+
+/**
+ * 读取主题文件，导入的主题获得新的 id。
+ * @param {string} text
+ * @returns {object[]}
+ */
+export const parseThemes = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('themeInvalidFile', { cause: error });
+  }
+  if (!data || data.format !== THEME_FILE_FORMAT || !Array.isArray(data.themes)) throw new Error('themeInvalidFile');
+  if (data.version > THEME_FILE_VERSION) throw new Error('themeUnsupportedVersion');
+  const themes = data.themes.filter(theme => theme && typeof theme.name === 'string' && isPlainObject(theme.styles));
+  if (themes.length === 0) throw new Error('themeInvalidFile');
+  return themes.map(theme => ({
+    id: crypto.randomUUID(),
+    name: theme.name,
+    styles: theme.styles,
+    annotation: isPlainObject(theme.annotation) ? pick(theme.annotation, THEME_ANNOTATION_KEYS) : {},
+    scaleBar: isPlainObject(theme.scaleBar) ? pick(theme.scaleBar, THEME_SCALE_BAR_KEYS) : {},
+    ...(isPlainObject(theme.guidelines) ? { guidelines: theme.guidelines } : {}),
+  }));
+};
@@ -0,0 +1,113 @@
+// --- TIFF 解码 ---
+// 由 UTIF 解码 TIFF (含多页、8/16/32 位)，高位深数据自动窗宽窗位后转为 8 位。
+// 网页中在 decodeWorker.js 里调用，命令行 (src/node/renderFigure.js) 直接调用，两边得到的像素相同。
+import UTIF from 'utif';
+
+// 自动窗宽窗位时两端各舍弃的像素比例 (与 ImageJ 的 Auto 相同)
+const AUTO_SATURATION = 0.0035;
+const HISTOGRAM_BINS = 4096;
+
+const tag = (ifd, id, fallback) => (ifd[`t${id}`] ? ifd[`t${id}`][0] : fallback);
+
+// 读取高位深数据的样本值；UTIF 已把 16 位数据统一为小端序
+const sampleReader = (ifd, bitDepth) => {
+  const view = new DataView(ifd.data.buffer, ifd.data.byteOffset, ifd.data.byteLength);
+  const isFloat = tag(ifd, 339, 1) === 3;
+  if (bitDepth === 16) return (i) => view.getUint16(i * 2, true);
+  if (isFloat) return (i) => view.getFloat32(i * 4, ifd.isLE);
+  return (i) => view.getUint32(i * 4, ifd.isLE);
+};
+
+// 数据的完整范围，以及舍弃两端极值后的自动窗口
+const measureRange = (read, count, step, channels) => {
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < count; i += step) {
+    for (let c = 0; c < channels; c++) {
+      const v = read(i + c);
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+  }
+  if (!Number.isFinite(min) || min === max) return { range: { min, max: max + 1 }, auto: { min, max: max + 1 } };
+
+  const histogram = new Uint32Array(HISTOGRAM_BINS);
+  const binWidth = (max - min) / HISTOGRAM_BINS;
+  let total = 0;
+  for (let i = 0; i < count; i += step) {
+    for (let c = 0; c < channels; c++) {
+      histogram[Math.min(HISTOGRAM_BINS - 1, Math.floor((read(i + c) - min) / binWidth))]++;
+      total++;
+    }
+  }
+  const threshold = total * AUTO_SATURATION;
+  let low = 0;
+  for (let sum = 0; low < HISTOGRAM_BINS - 1 && (sum += histogram[low]) <= threshold;) low++;
+  let high = HISTOGRAM_BINS - 1;
+  for (let sum = 0; high > low && (sum += histogram[high]) <= threshold;) high--;
+  return {
+    range: { min, max },
+    auto: { min: min + low * binWidth, max: min + (high + 1) * binWidth },
+  };
+};
+
+// 高位深数据按窗口线性映射到 8 位
+const windowToRGBA8 = (ifd, read, window) => {
+  const { width, height } = ifd;
+  const samples = tag(ifd, 277, 1);
+  const isRgb = tag(ifd, 262, 1) === 2 && samples >= 3;
+  const isInverted = tag(ifd, 262, 1) === 0;
+  const scale = 255 / Math.max(window.max - window.min, Number.EPSILON);
+  const map = (v) => {
+    const value = Math.min(255, Math.max(0, (v - window.min) * scale));
+    return isInverted ? 255 - value : value;
+  };
+  const rgba = new Uint8ClampedArray(width * height * 4);
+  for (let p = 0; p < width * height; p++) {
+    const s = p * samples;
+    const q = p * 4;
+    if (isRgb) {
+      rgba[q] = map(read(s));
+      rgba[q + 1] = map(read(s + 1));
+      rgba[q + 2] = map(read(s + 2));
+    } else {
+      rgba[q] = rgba[q + 1] = rgba[q + 2] = map(read(s));
+    }
+    rgba[q + 3] = 255;
+  }
+  return rgba;
+};
+
+/**
+ * 解码 TIFF 的一页为 8 位 RGBA。高位深数据按窗口映射，未给出窗口时使用自动窗口。
+ * @param {{ buffer: ArrayBuffer, page?: number, window?: { min: number, max: number } | null }} request
+ * @returns {{ rgba: Uint8ClampedArray, width: number, height: number, page: number, pageCount: number,
+ *   bitDepth: number, levels: object | null }} levels 为 { range, auto, window }，8 位数据为 null
+ */
+export const decodeTiffPixels = ({ buffer, page = 0, window = null }) => {
+  const pages = UTIF.decode(buffer).filter(ifd => ifd.t256);
+  if (pages.length === 0) throw new Error('decodeUnsupported');
+  const index = Math.min(Math.max(0, page), pages.length - 1);
+  const ifd = pages[index];
+  UTIF.decodeImage(buffer, ifd, pages);
+  if (!ifd.data || !ifd.width || !ifd.height) throw new Error('decodeUnsupported');
+
+  const bitDepth = tag(ifd, 258, 1);
+  let rgba;
+  let levels = null;
+  if (bitDepth > 8) {
+    const read = sampleReader(ifd, bitDepth);
+    const samples = tag(ifd, 277, 1);
+    const channels = tag(ifd, 262, 1) === 2 && samples >= 3 ? 3 : 1;
+    // 大图只抽样统计，足以确定窗口
+    const pixels = ifd.width * ifd.height;
+    const stride = Math.max(1, Math.floor(pixels / 1e6)) * samples;
+    const { range, auto } = measureRange(read, pixels * samples, stride, channels);
+    const applied = window || auto;
+    rgba = windowToRGBA8(ifd, read, applied);
+    levels = { range, auto, window: applied };
+  } else {
+    rgba = new Uint8ClampedArray(UTIF.toRGBA8(ifd).buffer);
+  }
+  return { rgba, width: ifd.width, height: ifd.height, page: index, pageCount: pages.length, bitDepth, levels };
+};
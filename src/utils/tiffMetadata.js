@@ -0,0 +1,91 @@
+// --- TIFF 元数据 ---
+// 只读取第一个 IFD 中与物理尺寸、颜色空间有关的标签。像素尺寸按以下顺序确定：
+//   1. OME-XML (ImageDescription 中的 PhysicalSizeX / PhysicalSizeXUnit)
+//   2. ImageJ (ImageDescription 中的 unit=，配合 XResolution)
+//   3. XResolution + ResolutionUnit = 厘米
+import { normalizeLengthUnit } from './scaleBar.js';
+
+const TAG_PHOTOMETRIC = 262;
+const TAG_IMAGE_DESCRIPTION = 270;
+const TAG_X_RESOLUTION = 282;
+const TAG_RESOLUTION_UNIT = 296;
+
+export const isTiff = (file) => /^image\/tiff?$/.test(file.type) || /\.tiff?$/i.test(file.name || '');
+
+// 解析第一个 IFD，返回 { [tag]: value }；不是经典 TIFF 时返回 null
+const readFirstIfd = (buffer) => {
+  const view = new DataView(buffer);
+  if (view.byteLength < 8) return null;
+  const order = String.fromCharCode(view.getUint8(0), view.getUint8(1));
+  if (order !== 'II' && order !== 'MM') return null;
+  const little = order === 'II';
+  if (view.getUint16(2, little) !== 42) return null; // BigTIFF 暂不支持
+
+  const ifd = view.getUint32(4, little);
+  if (ifd + 2 > view.byteLength) return null;
+  const count = view.getUint16(ifd, little);
+  const tags = {};
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > view.byteLength) break;
+    const tag = view.getUint16(entry, little);
+    const type = view.getUint16(entry + 2, little);
+    const length = view.getUint32(entry + 4, little);
+
+    if (tag === TAG_IMAGE_DESCRIPTION && type === 2) {
+      const offset = length <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+      const bytes = new Uint8Array(buffer, offset, Math.min(length, view.byteLength - offset));
+      tags[tag] = new TextDecoder().decode(bytes).replace(/\0+$/, '');
+    } else if (tag === TAG_X_RESOLUTION && type === 5) {
+      const offset = view.getUint32(entry + 8, little);
+      const denominator = view.getUint32(offset + 4, little);
+      tags[tag] = denominator ? view.getUint32(offset, little) / denominator : 0;
+    } else if ((tag === TAG_RESOLUTION_UNIT || tag === TAG_PHOTOMETRIC) && type === 3) {
+      tags[tag] = view.getUint16(entry + 8, little);
+    }
+  }
+  return tags;
+};
+
+/**
+ * 从 TIFF / OME-TIFF 中读取像素尺寸。
+ * @param {Blob} blob
+ * @returns {Promise<{ pixelSize: number, pixelUnit: string } | null>}
+ */
+export const readTiffPixelSize = async (blob) => {
+  const tags = readFirstIfd(await blob.arrayBuffer());
+  if (!tags) return null;
+  const description = tags[TAG_IMAGE_DESCRIPTION] || '';
+  const xResolution = tags[TAG_X_RESOLUTION];
+
+  const ome = /PhysicalSizeX="([^"]+)"/.exec(description);
+  if (ome && parseFloat(ome[1]) > 0) {
+    const unitMatch = /PhysicalSizeXUnit="([^"]+)"/.exec(description);
+    const pixelUnit = unitMatch ? normalizeLengthUnit(unitMatch[1]) : 'µm'; // OME 的默认单位为 µm
+    if (pixelUnit) return { pixelSize: parseFloat(ome[1]), pixelUnit };
+  }
+
+  const imagej = /^ImageJ=/m.test(description) && /^unit=(.+)$/m.exec(description);
+  if (imagej && xResolution > 0) {
+    const pixelUnit = normalizeLengthUnit(imagej[1].replace(/\\u00B5/gi, 'µ'));
+    if (pixelUnit) return { pixelSize: 1 / xResolution, pixelUnit };
+  }
+
+  if (tags[TAG_RESOLUTION_UNIT] === 3 && xResolution > 0) {
+    return { pixelSize: 10000 / xResolution, pixelUnit: 'µm' }; // 每厘米像素数 → µm/px
+  }
+  return null;
+};
+
+// PhotometricInterpretation 对应的颜色空间；未知时返回 null
+const photometricColorSpaces = { 0: 'gray', 1: 'gray', 2: 'rgb', 3: 'indexed', 5: 'cmyk', 6: 'ycbcr', 8: 'lab' };
+
+/**
+ * 读取 TIFF 的颜色空间。
+ * @param {Blob} blob
+ * @returns {Promise<string | null>} 'gray' | 'rgb' | 'indexed' | 'cmyk' | 'ycbcr' | 'lab'
+ */
+export const readTiffColorSpace = async (blob) => {
+  const tags = readFirstIfd(await blob.arrayBuffer());
+  return (tags && photometricColorSpaces[tags[TAG_PHOTOMETRIC]]) || null;
+};
@@ -0,0 +1,412 @@
+// --- 矢量导出 (SVG / PDF) ---
+// 把导出场景 (由 figureLayout.js 的 layoutFigure 生成) 输出为 SVG 或 jsPDF 矢量对象：
+// 文字保持为文字 (标准字体之外的文字使用 fonts.js 中的字体)，图片按原始分辨率嵌入，SVG 输入在两种格式中都保持矢量。
+// PDF 输入在 PDF 中嵌入原页面 (见 embedPdfPages)；SVG 中没有对应的矢量形式，使用解码时栅格化的 PNG。
+// PNG / JPEG 由 SVG 栅格化得到 (见 rasterize.js)。SVG 输出不依赖 DOM，浏览器与 Node 中结果相同。
+//
+// 场景项 (坐标单位与场景相同，颜色为 { r, g, b, a })：
+//   rect   { x, y, width, height, fill, opacity }
+//   text   { text, x, y, anchor, fontFamily, fontSize, fontWeight, fontStyle, width, ascent, descent,
+//            color, opacity, rotation? }  (x, y) 为基线上的锚点，rotation 绕锚点旋转
+//   image  { x, y, width, height, placement, edits, naturalWidth, naturalHeight, clip, blob, mime, opacity,
+//            pdfSource? }  pdfSource = { blob, page } 为 PDF 输入的原文件，只用于 PDF 输出
+//   shape  { shape, x1, y1, x2, y2, color, strokeWidth, dash, opacity }  标注图形，见 annotations.js
+import { svgPlacementTransform, renderEditedImage, withDefaultEdits } from './imageEdits.js';
+import { arrowGeometry } from './annotations.js';
+import { fontClass, textFont, rasterFont, fontStyleKey, registerPdfFonts, pdfFontStyle } from './fonts.js';
+
+const PT_PER_MM = 72 / 25.4;
+
+const toHex = ({ r, g, b }) => '#' + [r, g, b].map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const blobToDataUrl = async (blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${blob.type || 'application/octet-stream'};base64,${btoa(binary)}`;
+};
+
+// 裁剪、旋转或翻转需要改动像素；缩放、平移和填充方式只影响摆放位置
+export const needsPixelEdits = (edits) => {
+  const e = withDefaultEdits(edits);
+  return e.crop.x !== 0 || e.crop.y !== 0 || e.crop.width !== 1 || e.crop.height !== 1
+    || e.rotation !== 0 || e.flipH || e.flipV;
+};
+
+// --- SVG ---
+
+// 避免多个内嵌 SVG 之间的 id 冲突
+const prefixSvgIds = (svgText, prefix) => svgText
+  .replace(/\bid="([^"]+)"/g, `id="${prefix}$1"`)
+  .replace(/url\(#([^)]+)\)/g, `url(#${prefix}$1)`)
+  .replace(/(xlink:href|href)="#([^"]+)"/g, `$1="#${prefix}$2"`);
+
+// 把 SVG 输入以 <svg> 元素的形式内嵌，rect 为整张原图的显示区域。
+// 只改写根元素的属性 (不经过 DOMParser)，Node 中同样可用
+const inlineSvg = async (item, rect, prefix) => {
+  const text = prefixSvgIds(await item.blob.text(), prefix);
+  const root = /<svg\b([^>]*?)(\/?)>/.exec(text);
+  if (!root) return null;
+  let attributes = root[1].replace(/\s(?:x|y|width|height|preserveAspectRatio)\s*=\s*(?:"[^"]*"|'[^']*')/g, '');
+  if (!/\sviewBox\s*=/.test(attributes)) {
+    attributes += ` viewBox="0 0 ${item.naturalWidth} ${item.naturalHeight}"`;
+  }
+  attributes += ` x="${rect.x}" y="${rect.y}" width="${rect.width}" height="${rect.height}" preserveAspectRatio="none"`;
+  // 去掉 XML 声明、DOCTYPE 等根元素之前的内容
+  return `<svg${attributes}${root[2]}>${text.slice(root.index + root[0].length)}`;
+};
+
+// 图片内容 (已应用裁剪/旋转/翻转)，坐标以显示区域左上角为原点
+const editedImageMarkup = (item, inner, clipId) => {
+  const p = item.placement;
+  return `<g transform="${svgPlacementTransform(p)}">`
+    + `<clipPath id="${clipId}"><rect x="0" y="0" width="${p.cropWidth}" height="${p.cropHeight}"/></clipPath>`
+    + `<g clip-path="url(#${clipId})">${inner}</g>`
+    + `</g>`;
+};
+
+const sourceRect = (p) => ({ x: p.offsetX, y: p.offsetY, width: p.imageWidth, height: p.imageHeight });
+
+const svgOpacity = (opacity) => (opacity < 1 ? ` opacity="${opacity}"` : '');
+
+const shapeToSvg = (item) => {
+  const stroke = `stroke="${item.color}" stroke-width="${item.strokeWidth}" fill="none"`
+    + (item.dash ? ` stroke-dasharray="${item.dash.join(' ')}"` : '');
+  const { x1, y1, x2, y2 } = item;
+  const x = Math.min(x1, x2);
+  const y = Math.min(y1, y2);
+  const width = Math.abs(x2 - x1);
+  const height = Math.abs(y2 - y1);
+  if (item.shape === 'rect') {
+    return `<rect x="${x}" y="${y}" width="${width}" height="${height}" ${stroke}/>`;
+  }
+  if (item.shape === 'ellipse') {
+    return `<ellipse cx="${x + width / 2}" cy="${y + height / 2}" rx="${width / 2}" ry="${height / 2}" ${stroke}/>`;
+  }
+  if (item.shape === 'arrow') {
+    const { shaft, head } = arrowGeometry(x1, y1, x2, y2, item.strokeWidth);
+    const points = head.map(p => p.join(',')).join(' ');
+    return `<line x1="${shaft.x1}" y1="${shaft.y1}" x2="${shaft.x2}" y2="${shaft.y2}" ${stroke}/>`
+      + (head.length ? `<polygon points="${points}" fill="${item.color}"/>` : '');
+  }
+  return `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" ${stroke}/>`;
+};
+const svgFill = (color) => `fill="${toHex(color)}"${color.a < 1 ? ` fill-opacity="${color.a}"` : ''}`;
+
+/**
+ * 将场景输出为 SVG 文本。
+ * @param {object} scene layoutFigure 的结果 (已补上图片)
+ * @param {object} [options]
+ * @param {number} [options.widthMm] 页面物理宽度；给出时 SVG 尺寸以 mm 标注
+ * @param {{ width: number, height: number }} [options.raster] 用于栅格化：SVG 尺寸为输出像素，
+ *   文字只使用随应用提供的字体 (fonts.js 的 rasterFont)
+ */
+export const sceneToSvg = async (scene, { widthMm, raster } = {}) => {
+  const defs = [];
+  const body = [];
+
+  if (scene.background) {
+    body.push(`<rect x="0" y="0" width="${scene.width}" height="${scene.height}" ${svgFill(scene.background)}/>`);
+  }
+
+  for (const [index, item] of scene.items.entries()) {
+    if (item.type === 'rect') {
+      body.push(`<rect x="${item.x}" y="${item.y}" width="${item.width}" height="${item.height}" ${svgFill(item.fill)}${svgOpacity(item.opacity)}/>`);
+    } else if (item.type === 'text') {
+      const weight = item.fontWeight !== '400' && item.fontWeight !== 'normal' ? ` font-weight="${item.fontWeight}"` : '';
+      const style = item.fontStyle !== 'normal' ? ` font-style="${item.fontStyle}"` : '';
+      // 排版按随应用提供的字体计算时优先使用它
+      const font = textFont(item.text);
+      const family = raster ? `'${rasterFont(item).family}'` : font ? `'${font.family}', ${item.fontFamily}` : item.fontFamily;
+      const rotate = item.rotation ? ` transform="rotate(${item.rotation} ${item.x} ${item.y})"` : '';
+      // 按排版时的字宽固定长度，系统中没有对应字体时也不会与相邻文字重叠
+      const length = item.width > 0 ? ` textLength="${item.width}" lengthAdjust="spacingAndGlyphs"` : '';
+      body.push(`<text x="${item.x}" y="${item.y}" font-family="${escapeXml(family)}" font-size="${item.fontSize}"${weight}${style} text-anchor="${item.anchor}"${length}${rotate} ${svgFill(item.color)}${svgOpacity(item.opacity)} xml:space="preserve">${escapeXml(item.text)}</text>`);
+    } else if (item.type === 'image') {
+      let clipAttr = '';
+      if (item.clip) {
+        defs.push(`<clipPath id="clip${index}"><rect x="${item.clip.x}" y="${item.clip.y}" width="${item.clip.width}" height="${item.clip.height}"/></clipPath>`);
+        clipAttr = ` clip-path="url(#clip${index})"`;
+      }
+      const rect = sourceRect(item.placement);
+      let inner = item.mime === 'image/svg+xml' ? await inlineSvg(item, rect, `img${index}-`) : null;
+      if (!inner) {
+        const href = await blobToDataUrl(item.blob);
+        inner = `<image x="${rect.x}" y="${rect.y}" width="${rect.width}" height="${rect.height}" preserveAspectRatio="none" href="${href}"/>`;
+      }
+      body.push(`<g${clipAttr}${svgOpacity(item.opacity)}><g transform="translate(${item.x} ${item.y})">${editedImageMarkup(item, inner, `crop${index}`)}</g></g>`);
+    } else if (item.type === 'shape') {
+      body.push(`<g${svgOpacity(item.opacity)}>${shapeToSvg(item)}</g>`);
+    }
+  }
+
+  let size = `width="${scene.width}" height="${scene.height}"`;
+  if (raster) {
+    // 输出像素取整后可能与场景的宽高比略有不同
+    size = `width="${raster.width}" height="${raster.height}" preserveAspectRatio="none"`;
+  } else if (widthMm) {
+    size = `width="${widthMm}mm" height="${+(scene.height * widthMm / scene.width).toFixed(3)}mm"`;
+  }
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ${size} viewBox="0 0 ${scene.width} ${scene.height}">`,
+    defs.length ? `<defs>${defs.join('')}</defs>` : '',
+    ...body,
+    `</svg>`,
+  ].join('\n');
+};
+
+// --- PDF (jsPDF) ---
+
+// 锚点到文字起点沿基线方向的距离
+const anchorOffset = (item) => {
+  if (item.anchor === 'middle') return item.width / 2;
+  if (item.anchor === 'end') return item.width;
+  return 0;
+};
+
+// PNG / JPEG 原样嵌入，其他位图格式按原始尺寸转为 PNG；
+// 有裁剪/旋转/翻转时按原始分辨率处理像素后再嵌入
+export const rasterImageData = async (item) => {
+  if (needsPixelEdits(item.edits)) {
+    const bitmap = await createImageBitmap(item.blob);
+    const canvas = renderEditedImage(bitmap, item.edits);
+    bitmap.close();
+    return { data: canvas.toDataURL('image/png'), format: 'PNG' };
+  }
+  if (item.mime === 'image/png' || item.mime === 'image/jpeg') {
+    return { data: new Uint8Array(await item.blob.arrayBuffer()), format: item.mime === 'image/png' ? 'PNG' : 'JPEG' };
+  }
+  const bitmap = await createImageBitmap(item.blob);
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  canvas.getContext('2d').drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return { data: canvas.toDataURL('image/png'), format: 'PNG' };
+};
+
+// --- PDF 输入 ---
+// jsPDF 不能读取 PDF：先在页面内容中写入对 /PdfPageN 的引用，输出后由 pdf-lib 把原页面作为 form XObject 登记为该名称。
+
+// 仿射矩阵 [a, b, c, d, e, f] (PDF 的约定：x' = a x + c y + e，y' = b x + d y + f)，先应用 m 再应用 n
+const multiply = (m, n) => [
+  m[0] * n[0] + m[1] * n[2],
+  m[0] * n[1] + m[1] * n[3],
+  m[2] * n[0] + m[3] * n[2],
+  m[2] * n[1] + m[3] * n[3],
+  m[4] * n[0] + m[5] * n[2] + n[4],
+  m[4] * n[1] + m[5] * n[3] + n[5],
+];
+const translate = (x, y) => [1, 0, 0, 1, x, y];
+const scale = (x, y) => [x, 0, 0, y, 0, 0];
+const rotate = (degrees) => {
+  const rad = degrees * Math.PI / 180;
+  return [Math.cos(rad), Math.sin(rad), -Math.sin(rad), Math.cos(rad), 0, 0];
+};
+
+// 页面 /Rotate (顺时针) 对应的变换，作用于以左上角为原点、向下为正的单位正方形
+const pageRotations = {
+  0: [1, 0, 0, 1, 0, 0],
+  90: [0, 1, -1, 0, 1, 0],
+  180: [-1, 0, 0, -1, 1, 1],
+  270: [0, -1, 1, 0, 0, 1],
+};
+
+const pdfNumber = (v) => (Math.abs(v) < 1e-9 ? 0 : +v.toFixed(5));
+const pdfMatrix = (m) => `${m.map(pdfNumber).join(' ')} cm`;
+
+// 载入 PDF 输入的页面；加密、损坏或缺页时返回 null，改为嵌入位图
+const loadPdfPage = async (pdfLib, { blob, page }) => {
+  try {
+    const doc = await pdfLib.PDFDocument.load(await blob.arrayBuffer(), { ignoreEncryption: true, updateMetadata: false });
+    if (doc.isEncrypted || page < 0 || page >= doc.getPageCount()) return null;
+    return doc.getPage(page);
+  } catch {
+    return null;
+  }
+};
+
+// 在 jsPDF 页面中按图片的摆放 (与 SVG 中的 editedImageMarkup 相同) 绘制 /name，裁剪框之外的部分被剪掉
+const drawPdfPagePlaceholder = (pdf, item, sourcePage, name, k) => {
+  const p = item.placement;
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const placement = [
+    translate(-p.cropWidth / 2, -p.cropHeight / 2),
+    scale(p.flipH ? -1 : 1, p.flipV ? -1 : 1),
+    rotate(p.rotation),
+    translate(item.x + p.width / 2, item.y + p.height / 2),
+    [k, 0, 0, -k, 0, pageHeight],
+  ].reduce(multiply);
+  const { width, height } = sourcePage.getCropBox();
+  const rotation = ((sourcePage.getRotation().angle % 360) + 360) % 360;
+  // form XObject 的坐标 (原点在左下角，单位 pt) 先换算到单位正方形，再对应原图的显示区域
+  const image = [
+    [1 / width, 0, 0, -1 / height, 0, 1],
+    pageRotations[rotation] || pageRotations[0],
+    [p.imageWidth, 0, 0, p.imageHeight, p.offsetX, p.offsetY],
+  ].reduce(multiply);
+  pdf.internal.write('q', pdfMatrix(placement), `0 0 ${pdfNumber(p.cropWidth)} ${pdfNumber(p.cropHeight)} re W n`);
+  pdf.internal.write(pdfMatrix(image), `/${name} Do`, 'Q');
+};
+
+// 把 jsPDF 的输出交给 pdf-lib，登记占位名称对应的原页面
+const embedPdfPages = async (pdfLib, bytes, placed) => {
+  const doc = await pdfLib.PDFDocument.load(bytes, { updateMetadata: false });
+  const page = doc.getPage(0);
+  const embedded = new Map();
+  for (const { name, sourcePage } of placed) {
+    if (!embedded.has(sourcePage)) {
+      const box = sourcePage.getCropBox();
+      embedded.set(sourcePage, await doc.embedPage(sourcePage, { left: box.x, bottom: box.y, right: box.x + box.width, top: box.y + box.height }));
+    }
+    page.node.setXObject(pdfLib.PDFName.of(name), embedded.get(sourcePage).ref);
+  }
+  return doc.save();
+};
+
+const withOpacity = (pdf, opacity, draw) => {
+  if (opacity >= 1) return draw();
+  pdf.saveGraphicsState();
+  pdf.setGState(new pdf.GState({ opacity }));
+  const result = draw();
+  pdf.restoreGraphicsState();
+  return result;
+};
+
+const drawShape = (pdf, item, k) => {
+  const x1 = item.x1 * k;
+  const y1 = item.y1 * k;
+  const x2 = item.x2 * k;
+  const y2 = item.y2 * k;
+  pdf.setDrawColor(item.color);
+  pdf.setFillColor(item.color);
+  pdf.setLineWidth(item.strokeWidth * k);
+  pdf.setLineDashPattern(item.dash ? item.dash.map(v => v * k) : [], 0);
+  if (item.shape === 'rect') {
+    pdf.rect(Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1), 'S');
+  } else if (item.shape === 'ellipse') {
+    pdf.ellipse((x1 + x2) / 2, (y1 + y2) / 2, Math.abs(x2 - x1) / 2, Math.abs(y2 - y1) / 2, 'S');
+  } else if (item.shape === 'arrow') {
+    const { shaft, head } = arrowGeometry(x1, y1, x2, y2, item.strokeWidth * k);
+    pdf.line(shaft.x1, shaft.y1, shaft.x2, shaft.y2);
+    if (head.length) {
+      pdf.setLineDashPattern([], 0);
+      pdf.triangle(...head.flat(), 'F');
+    }
+  } else {
+    pdf.line(x1, y1, x2, y2);
+  }
+  pdf.setLineDashPattern([], 0);
+};
+
+const parseSvgDocument = async (markup) => new DOMParser().parseFromString(markup, 'image/svg+xml').documentElement;
+
+/**
+ * 将场景绘制为矢量 PDF。
+ * @param {object} scene layoutFigure 的结果 (已补上图片)
+ * @param {object} libs
+ * @param {Function} libs.jsPDF
+ * @param {Function} [libs.svg2pdf] 没有时 SVG 图片按位图嵌入
+ * @param {(markup: string) => Promise<Element | null>} [libs.parseSvg] 解析交给 svg2pdf 的 SVG，默认使用浏览器的 DOMParser；
+ *   返回 null 时该图片按位图嵌入
+ * @param {object} [libs.pdfLib] pdf-lib 模块，没有时 PDF 输入按位图嵌入
+ * @param {object[]} [libs.fonts] fonts.js 中 loadFonts 的结果，以子集嵌入
+ * @param {(item: object) => Promise<{ data: string | Uint8Array, format: string }>} [libs.rasterizeImage]
+ *   需要转为位图的图片，默认使用浏览器的 canvas，Node 中由调用方提供
+ * @param {{ widthMm?: number }} [page] 页面物理宽度；未给出时按 1 px = 0.75 pt
+ * @returns {Promise<ArrayBuffer | Uint8Array>} PDF 文件内容
+ */
+export const sceneToPdf = async (scene, { jsPDF, svg2pdf, parseSvg = parseSvgDocument, pdfLib, fonts = [], rasterizeImage = rasterImageData }, { widthMm } = {}) => {
+  const k = widthMm ? widthMm * PT_PER_MM / scene.width : 0.75;
+  const pdf = new jsPDF({
+    orientation: scene.width > scene.height ? 'l' : 'p',
+    unit: 'pt',
+    format: [scene.width * k, scene.height * k],
+  });
+  registerPdfFonts(pdf, fonts);
+  const placedPages = [];
+  const sourcePages = new Map();
+
+  if (scene.background) {
+    pdf.setFillColor(scene.background.r, scene.background.g, scene.background.b);
+    pdf.rect(0, 0, scene.width * k, scene.height * k, 'F');
+  }
+
+  for (const item of scene.items) {
+    if (item.type === 'rect') {
+      withOpacity(pdf, item.opacity * item.fill.a, () => {
+        pdf.setFillColor(item.fill.r, item.fill.g, item.fill.b);
+        pdf.rect(item.x * k, item.y * k, item.width * k, item.height * k, 'F');
+      });
+    } else if (item.type === 'text') {
+      const font = textFont(item.text);
+      const style = fontStyleKey(item);
+      const unicodeStyle = font && pdfFontStyle(fonts, font, style);
+      withOpacity(pdf, item.opacity * item.color.a, () => {
+        if (unicodeStyle) pdf.setFont(font.pdfFamily, unicodeStyle);
+        else pdf.setFont(fontClass(item.fontFamily), style);
+        pdf.setFontSize(item.fontSize * k);
+        pdf.setTextColor(item.color.r, item.color.g, item.color.b);
+        if (item.rotation) {
+          // jsPDF 的对齐不考虑旋转，这里换算为起点后左对齐；angle 为逆时针角度
+          const rad = item.rotation * Math.PI / 180;
+          const offset = anchorOffset(item);
+          const x = item.x - offset * Math.cos(rad);
+          const y = item.y - offset * Math.sin(rad);
+          pdf.text(item.text, x * k, y * k, { baseline: 'alphabetic', angle: -item.rotation });
+        } else {
+          const align = { start: 'left', middle: 'center', end: 'right' }[item.anchor];
+          pdf.text(item.text, item.x * k, item.y * k, { align, baseline: 'alphabetic' });
+        }
+      });
+    } else if (item.type === 'image') {
+      pdf.saveGraphicsState();
+      if (item.clip) {
+        pdf.rect(item.clip.x * k, item.clip.y * k, item.clip.width * k, item.clip.height * k, null);
+        pdf.clip();
+        pdf.discardPath();
+      }
+      if (item.opacity < 1) {
+        pdf.setGState(new pdf.GState({ opacity: item.opacity }));
+      }
+      // 同一原文件只解析一次
+      if (item.pdfSource && pdfLib && !sourcePages.has(item.pdfSource)) {
+        sourcePages.set(item.pdfSource, await loadPdfPage(pdfLib, item.pdfSource));
+      }
+      const sourcePage = item.pdfSource ? sourcePages.get(item.pdfSource) : null;
+      const vector = item.mime === 'image/svg+xml' && svg2pdf
+        ? await inlineSvg(item, sourceRect(item.placement), 'img-')
+        : null;
+      // 用一层外包 SVG 承载裁剪与旋转，保持矢量输出
+      const { width, height } = item;
+      const svg = vector && await parseSvg(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">`
+        + `${editedImageMarkup(item, vector, 'crop')}</svg>`);
+      if (sourcePage) {
+        const name = `PdfPage${placedPages.length}`;
+        drawPdfPagePlaceholder(pdf, item, sourcePage, name, k);
+        placedPages.push({ name, sourcePage });
+      } else if (svg) {
+        await svg2pdf(svg, pdf, { x: item.x * k, y: item.y * k, width: width * k, height: height * k });
+      } else {
+        const { data, format } = await rasterizeImage(item);
+        pdf.addImage(data, format, item.x * k, item.y * k, item.width * k, item.height * k);
+      }
+      pdf.restoreGraphicsState();
+    } else if (item.type === 'shape') {
+      withOpacity(pdf, item.opacity, () => drawShape(pdf, item, k));
+    }
+  }
+
+  const bytes = pdf.output('arraybuffer');
+  return placedPages.length ? embedPdfPages(pdfLib, bytes, placedPages) : bytes;
+};
@@ -0,0 +1,148 @@
+// --- 项目 (工作区) ---
+// 每个项目是 projects 表中的一条记录：
+//   { id, name, createdAt, updatedAt, doc, history, thumbnail }
+// doc 为文档快照 (排版、图片映射、脚注、样式等)，新建的空项目为 null；
+// history 为该项目自己的历史记录；thumbnail 为 PNG Blob 或 null。
+// 当前项目的内容以 zustand 状态为准，由 createWorkspaceStorage 持续写回记录。
+import { withStore, updateRecord, PROJECTS, SETTINGS } from './db.js';
+
+// 旧版本把唯一的排版保存在 localStorage 中
+const LEGACY_STORAGE_KEY = 'figure-collage-storage';
+
+export const createProjectRecord = ({ name, doc = null, history = [], thumbnail = null }) => {
+  const now = new Date().toISOString();
+  return { id: crypto.randomUUID(), name, createdAt: now, updatedAt: now, doc, history, thumbnail };
+};
+
+export const getProject = (id) => withStore(PROJECTS, 'readonly', store => store.get(id));
+
+export const putProject = (record) => withStore(PROJECTS, 'readwrite', store => store.put(record, record.id));
+
+export const deleteProject = (id) => withStore(PROJECTS, 'readwrite', store => store.delete(id));
+
+// 修改项目记录中的部分字段 (如名称、缩略图)
+export const updateProject = (id, patch) =>
+  updateRecord(PROJECTS, id, record => (record ? { ...record, ...patch } : undefined));
+
+// 全部项目，最近修改的在前
+export const listProjects = async () => {
+  const records = await withStore(PROJECTS, 'readonly', store => store.getAll());
+  return records.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+// 同一份文档快照只写一次 (撤销栈等非持久化状态变化时 zustand 也会调用 setItem)
+const isSameSnapshot = (a, b) =>
+  !!a && !!b && Object.keys(a).length === Object.keys(b).length && Object.keys(a).every(key => a[key] === b[key]);
+
+const readLegacyState = () => {
+  try {
+    const legacy = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY));
+    return legacy && legacy.state;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * zustand persist 使用的存储：settingsKeys 中的全局设置 (语言、当前项目等) 写入 settings 表，
+ * 当前项目的名称、文档与历史记录写入对应的项目记录。
+ * 首次使用时把 localStorage 中的旧数据迁移为一个项目。
+ * 写入按调用顺序依次进行，较早的状态不会覆盖较新的状态。
+ * @param {{ defaultName: (lang: string) => string, settingsKeys?: string[] }} options
+ *   defaultName 为新建项目的默认名称
+ */
+export const createWorkspaceStorage = ({ defaultName, settingsKeys = ['lang', 'projectId'] }) => {
+  let lastSettings = null;
+  let lastSaved = null;
+  let writes = Promise.resolve();
+
+  // 拆分为全局设置与当前项目的快照
+  const splitState = (state) => {
+    const { projectId, projectName, history, ...rest } = state;
+    const settings = {};
+    const doc = {};
+    Object.entries(rest).forEach(([key, value]) => {
+      (settingsKeys.includes(key) ? settings : doc)[key] = value;
+    });
+    settings.projectId = projectId;
+    return { settings, doc, snapshot: { projectId, projectName, history, ...doc } };
+  };
+
+  const save = async (name, state) => {
+    // 载入完成前的默认状态不写入
+    if (!state.projectId) return;
+    const { settings, doc, snapshot } = splitState(state);
+    if (!isSameSnapshot(settings, lastSettings)) {
+      lastSettings = settings;
+      await withStore(SETTINGS, 'readwrite', store => store.put(settings, name));
+    }
+    if (isSameSnapshot(snapshot, lastSaved)) return;
+    const isProjectLoad = !lastSaved || lastSaved.projectId !== snapshot.projectId;
+    lastSaved = snapshot;
+    // 刚切换到的项目与记录内容相同，不必写回，也不改变修改时间
+    if (isProjectLoad) return;
+    await updateRecord(PROJECTS, snapshot.projectId, record => record && {
+      ...record,
+      name: snapshot.projectName,
+      doc,
+      history: snapshot.history,
+      updatedAt: new Date().toISOString(),
+    });
+  };
+
+  return {
+    getItem: async (name) => {
+      const settings = (await withStore(SETTINGS, 'readonly', store => store.get(name))) || {};
+      let project = settings.projectId && await getProject(settings.projectId);
+      let lang = settings.lang;
+
+      if (!project) {
+        const legacy = readLegacyState();
+        if (legacy) {
+          const { lang: legacyLang, history = [], ...doc } = legacy;
+          lang = lang || legacyLang;
+          project = createProjectRecord({ name: defaultName(lang), doc, history });
+          await putProject(project);
+          localStorage.removeItem(LEGACY_STORAGE_KEY);
+        } else {
+          project = (await listProjects())[0];
+        }
+      }
+      if (!project) {
+        project = createProjectRecord({ name: defaultName(lang) });
+        await putProject(project);
+      }
+
+      const { projectId: _projectId, ...savedSettings } = settings;
+      const state = {
+        ...savedSettings,
+        projectId: project.id,
+        projectName: project.name,
+        history: project.history || [],
+        ...project.doc,
+      };
+      if (lang) state.lang = lang;
+      return { state, version: 0 };
+    },
+
+    setItem: (name, { state }) => {
+      const write = writes.then(() => save(name, state));
+      // 一次写入失败不影响之后的写入
+      writes = write.catch(() => {});
+      return write;
+    },
+
+    removeItem: (name) => withStore(SETTINGS, 'readwrite', store => store.delete(name)),
+
+    /**
+     * 载入 (hydrate) 完成后记录当前状态：zustand 载入时不调用 setItem，
+     * 之后第一次 setItem 即为修改，需要写入。
+     * @param {object} state 经过 partialize 的状态
+     */
+    markLoaded: (state) => {
+      const { settings, snapshot } = splitState(state);
+      lastSettings = settings;
+      lastSaved = snapshot;
+    },
+  };
+};
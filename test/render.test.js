@@ -0,0 +1,175 @@
+// 命令行与网页导出得到的 PNG / JPEG 应逐像素相同：两边共用排版、字体与 resvg 栅格化，
+// 这里分别按命令行 (布局描述 + 文件路径) 与网页 (文档 + 按 id 取图片) 的方式调用并比较解码后的像素。
+// 命令行输出的 PDF 中 SVG 图片应保持矢量，TIFF 与网页导入时相同地自动窗宽窗位；PDF 输入在 PDF 中嵌入原页面。
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, writeFile, rm } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import os from 'node:os';
+import path from 'node:path';
+import sharp from 'sharp';
+import { jsPDF } from 'jspdf';
+import { getDocument, OPS } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import * as pdfLib from 'pdf-lib';
+import { loadFigure, renderFigureBuffer } from '../src/node/renderFigure.js';
+import { renderFigure } from '../src/utils/figureRender.js';
+
+const require = createRequire(import.meta.url);
+
+const captions = ['**Treated** x^{2}', 'Control \\alpha', '处理组 β'];
+
+const panel = (color) => sharp({ create: { width: 160, height: 120, channels: 3, background: color } }).png().toBuffer();
+
+const pixels = async (data) => {
+  const { data: raw, info } = await sharp(data).raw().toBuffer({ resolveWithObject: true });
+  return { raw, width: info.width, height: info.height };
+};
+
+// 与网页相同的调用方式：图片以 Blob 按 id 读取，随应用提供的文件以 ArrayBuffer 返回
+const renderLikeWeb = async (doc, blobs, format) => {
+  const blob = await renderFigure(doc, {
+    format,
+    getImageBlob: async (id) => blobs[id] || null,
+    getImageSize: async (blob) => sharp(Buffer.from(await blob.arrayBuffer())).metadata(),
+    jsPDF,
+    loadAsset: async (file) => {
+      const data = await readFile(require.resolve(file));
+      return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    },
+  });
+  return Buffer.from(await blob.arrayBuffer());
+};
+
+// 未压缩的 16 位灰度 TIFF
+const tiff16 = (width, height, value) => {
+  const entries = [[256, width], [257, height], [258, 16], [259, 1], [262, 1], [273, 0], [277, 1], [278, height], [279, width * height * 2]];
+  const dataOffset = 8 + 2 + entries.length * 12 + 4;
+  const buffer = Buffer.alloc(dataOffset + width * height * 2);
+  buffer.write('II*\0', 0, 'latin1');
+  buffer.writeUInt32LE(8, 4);
+  buffer.writeUInt16LE(entries.length, 8);
+  entries.forEach(([tag, data], i) => {
+    const offset = 10 + i * 12;
+    const long = tag === 273 || tag === 279;
+    buffer.writeUInt16LE(tag, offset);
+    buffer.writeUInt16LE(long ? 4 : 3, offset + 2);
+    buffer.writeUInt32LE(1, offset + 4);
+    if (long) buffer.writeUInt32LE(tag === 273 ? dataOffset : data, offset + 8);
+    else buffer.writeUInt16LE(data, offset + 8);
+  });
+  for (let i = 0; i < width * height; i++) buffer.writeUInt16LE(value(i % width, Math.floor(i / width)), dataOffset + i * 2);
+  return buffer;
+};
+
+// PDF 第一页绘制的位图与 form XObject 数
+const pdfPaintCounts = async (data) => {
+  const pdf = await getDocument({ data: new Uint8Array(data), verbosity: 0 }).promise;
+  const { fnArray } = await (await pdf.getPage(1)).getOperatorList();
+  await pdf.destroy();
+  return {
+    images: fnArray.filter(fn => fn === OPS.paintImageXObject || fn === OPS.paintInlineImageXObject).length,
+    forms: fnArray.filter(fn => fn === OPS.paintFormXObjectBegin).length,
+  };
+};
+
+test('PNG and JPEG from the CLI match the web export pixel for pixel', async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'render-figure-'));
+  try {
+    await writeFile(path.join(dir, 'a.png'), await panel('#3366aa'));
+    await writeFile(path.join(dir, 'b.png'), await panel('#aa6633'));
+    await writeFile(path.join(dir, 'c.png'), await panel('#33aa66'));
+    const specFile = path.join(dir, 'spec.json');
+    await writeFile(specFile, JSON.stringify({
+      rows: 1,
+      cols: 3,
+      images: { '0-0': 'a.png', '0-1': 'b.png', '0-2': 'c.png' },
+      captions,
+      styles: { page: { dpi: 150 }, captionColor: '#000000' },
+    }));
+
+    const figure = await loadFigure(specFile);
+    for (const format of ['png', 'jpg']) {
+      const cli = await pixels(await renderFigureBuffer(figure, { format }));
+      const web = await pixels(await renderLikeWeb(figure.doc, figure.blobs, format));
+      assert.equal(cli.width, web.width);
+      assert.equal(cli.height, web.height);
+      assert.ok(cli.raw.equals(web.raw), `${format} pixels differ`);
+    }
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('SVG inputs stay vector in PDFs rendered by the CLI', async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'render-figure-'));
+  try {
+    await writeFile(path.join(dir, 'chart.svg'), '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 100">'
+      + '<style>.bar { fill: #c33 }</style><rect class="bar" x="10" y="10" width="80" height="80"/>'
+      + '<text x="150" y="60" font-family="Arial" font-size="20" text-anchor="middle">β = 2</text></svg>');
+    await writeFile(path.join(dir, 'a.png'), await panel('#3366aa'));
+    const specFile = path.join(dir, 'spec.json');
+    await writeFile(specFile, JSON.stringify({
+      rows: 1,
+      cols: 2,
+      images: { '0-0': 'a.png', '0-1': { file: 'chart.svg', edits: { rotation: 90, flipH: true } } },
+    }));
+
+    const pdf = await renderFigureBuffer(await loadFigure(specFile), { format: 'pdf' });
+    assert.equal((await pdfPaintCounts(pdf)).images, 1);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('16-bit TIFF inputs are auto-levelled like the web import', async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'render-figure-'));
+  try {
+    // 左半 1000、右半 2000，自动窗口把两者拉伸为黑与白
+    await writeFile(path.join(dir, 'a.tif'), tiff16(64, 48, (x) => (x < 32 ? 1000 : 2000)));
+    const specFile = path.join(dir, 'spec.json');
+    await writeFile(specFile, JSON.stringify({ rows: 1, cols: 1, images: { '0-0': 'a.tif' } }));
+
+    const figure = await loadFigure(specFile);
+    const { raw, width, height } = await pixels(Buffer.from(await figure.blobs['0-0'].arrayBuffer()));
+    assert.equal(width, 64);
+    assert.equal(height, 48);
+    assert.deepEqual([...raw.subarray(0, 3)], [0, 0, 0]);
+    assert.deepEqual([...raw.subarray(raw.length - 4, raw.length - 1)], [255, 255, 255]);
+    assert.ok((await renderFigureBuffer(figure, { format: 'png' })).length > 0);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('PDF inputs are embedded as their original page in PDF exports', async () => {
+  const source = await pdfLib.PDFDocument.create();
+  source.addPage([200, 100]).drawRectangle({ x: 0, y: 50, width: 100, height: 50, color: pdfLib.rgb(1, 0, 0) });
+  const blobs = {
+    page: new Blob([await source.save()], { type: 'application/pdf' }),
+    preview: new Blob([await panel('#ff0000')], { type: 'image/png' }),
+  };
+  const doc = {
+    rows: 1,
+    cols: 2,
+    captions: [],
+    images: {
+      '0-0': { id: 'preview', source: { id: 'page', kind: 'pdf', page: 0 } },
+      '0-1': { id: 'preview', source: { id: 'page', kind: 'pdf', page: 0 }, edits: { rotation: 90, crop: { x: 0, y: 0, width: 0.5, height: 1 } } },
+    },
+  };
+  const render = (figure, libs) => renderFigure(figure, {
+    format: 'pdf',
+    getImageBlob: async (id) => blobs[id] || null,
+    getImageSize: async (blob) => sharp(Buffer.from(await blob.arrayBuffer())).metadata(),
+    jsPDF,
+    loadAsset: (file) => readFile(require.resolve(file)),
+    ...libs,
+  });
+
+  const vector = await pdfPaintCounts(await (await render(doc, { pdfLib })).arrayBuffer());
+  assert.deepEqual(vector, { images: 0, forms: 2 });
+  // 没有 pdf-lib 时退回解码得到的 PNG (有裁剪等编辑的位图需要浏览器处理，这里只比较未编辑的格子)
+  const plain = { ...doc, cols: 1, images: { '0-0': doc.images['0-0'] } };
+  const bitmap = await pdfPaintCounts(await (await render(plain, {})).arrayBuffer());
+  assert.deepEqual(bitmap, { images: 1, forms: 0 });
+});